@@ -6,8 +6,14 @@ import { Terminology } from './pages/Terminology'
 import { NotFound } from './pages/NotFound'
 import { Navbar } from './components/Navbar'
 import { Footer } from './components/Footer'
+import { EntityPreviewModal } from './components/Linking/EntityPreviewModal'
+import { OfflineIndicator } from './components/AppStatus/OfflineIndicator'
+import { UpdatePrompt } from './components/AppStatus/UpdatePrompt'
 import { History } from './pages/History'
 import { Quiz } from './pages/Quiz'
+import { Drill } from './pages/Drill'
+import { Syllabus } from './pages/Syllabus'
+import { Classroom } from './pages/Classroom'
 import { useScrollTo } from './hooks/useScrollTo'
 
 const ScrollToTopWrapper = ({ children }) => {
@@ -24,13 +30,26 @@ function App() {
             <Routes>
               <Route index element={<Home/>} />
               <Route path="/techniques" element={<Techniques/>} />
+              <Route path="/techniques/:category" element={<Techniques/>} />
+              <Route path="/techniques/:category/:techniqueSlug" element={<Techniques/>} />
               <Route path="/patterns" element={<Patterns/>} />
+              <Route path="/patterns/:patternId" element={<Patterns/>} />
               <Route path="/terminology" element={<Terminology/>} />
+              <Route path="/terminology/:termId" element={<Terminology/>} />
               <Route path="/history" element={<History/>} />
               <Route path="*" element={<NotFound/>} />
               <Route path="/quiz" element={<Quiz/>} />
+              <Route path="/quiz/:quizId" element={<Quiz/>} />
+              <Route path="/drill" element={<Drill/>} />
+              <Route path="/syllabus" element={<Syllabus/>} />
+              <Route path="/class" element={<Classroom/>} />
+              <Route path="/class/join/:assignmentCode" element={<Classroom/>} />
+              <Route path="/class/result/:resultCode" element={<Classroom/>} />
             </Routes>
           <Footer/>
+          <EntityPreviewModal/>
+          <OfflineIndicator/>
+          <UpdatePrompt/>
       </ScrollToTopWrapper>
       </BrowserRouter>
     </>
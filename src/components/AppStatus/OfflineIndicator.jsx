@@ -0,0 +1,32 @@
+import { useAppStatus } from '../../hooks/useAppStatus'
+
+/**
+ * OfflineIndicator Component
+ *
+ * Small badge shown while the device has no connection, so students know
+ * the guide is running from its offline copy.
+ *
+ * Features:
+ * - Appears and disappears with the browser's online/offline events
+ * - Polite live region so screen readers announce the change
+ *
+ * @returns {JSX.Element} Live region, with the badge while offline
+ */
+export const OfflineIndicator = () => {
+  // ===== STATE MANAGEMENT =====
+
+  const isOnline = useAppStatus(state => state.isOnline)
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div role="status" aria-live="polite" className="fixed bottom-4 left-4 z-50">
+      {!isOnline && (
+        <div className="flex items-center gap-2 px-4 py-2 rounded-full bg-background border border-border shadow-lg text-sm text-foreground">
+          <span className="w-2 h-2 rounded-full bg-yellow-500" aria-hidden="true" />
+          <span>Offline — saved content still works</span>
+        </div>
+      )}
+    </div>
+  )
+}
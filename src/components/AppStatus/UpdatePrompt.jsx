@@ -0,0 +1,81 @@
+import { useEffect } from 'react'
+import { useAppStatus } from '../../hooks/useAppStatus'
+
+/** @type {number} How long the "ready to work offline" notice stays up (ms) */
+const OFFLINE_READY_DURATION = 5000
+
+/**
+ * UpdatePrompt Component
+ *
+ * Notices from the service worker: a one-off confirmation that the guide
+ * is cached for offline use, and a prompt when a new version has
+ * downloaded. The new version only takes over when the user chooses to
+ * reload, so nobody loses a quiz in progress.
+ *
+ * Features:
+ * - "Ready to work offline" notice after the first install, auto-dismissed
+ * - "New version available" prompt with Reload and Later actions
+ *
+ * @returns {JSX.Element|null} Notice card, or null when there is nothing to show
+ */
+export const UpdatePrompt = () => {
+  // ===== STATE MANAGEMENT =====
+
+  const offlineReady = useAppStatus(state => state.offlineReady)
+  const waitingWorker = useAppStatus(state => state.waitingWorker)
+  const setOfflineReady = useAppStatus(state => state.setOfflineReady)
+  const applyUpdate = useAppStatus(state => state.applyUpdate)
+  const dismissUpdate = useAppStatus(state => state.dismissUpdate)
+
+  // ===== EFFECTS =====
+
+  /**
+   * Hides the offline-ready notice after a few seconds
+   */
+  useEffect(() => {
+    if (!offlineReady) return
+    const timeout = setTimeout(() => setOfflineReady(false), OFFLINE_READY_DURATION)
+    return () => clearTimeout(timeout)
+  }, [offlineReady, setOfflineReady])
+
+  // ===== EARLY RETURNS =====
+
+  if (!waitingWorker && !offlineReady) return null
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-4 right-4 z-50 max-w-sm bg-background border border-border rounded-xl shadow-2xl p-4"
+    >
+      {waitingWorker ? (
+        <>
+          <p className="font-semibold text-foreground">New version available</p>
+          <p className="text-sm text-foreground/70 mt-1">
+            Reload to get the latest content. Your progress is kept.
+          </p>
+          <div className="flex justify-end gap-2 mt-3">
+            <button
+              onClick={dismissUpdate}
+              className="px-3 py-1.5 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+            >
+              Later
+            </button>
+            <button
+              onClick={applyUpdate}
+              className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors"
+            >
+              Reload
+            </button>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-foreground">
+          ✓ Ready to work offline — audio and all content are saved on this device.
+        </p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,155 @@
+import { useState } from 'react'
+
+/**
+ * AssignmentForm Component
+ *
+ * Form for an instructor to set a new assignment from the built-in
+ * quizzes, grouped by quiz category.
+ *
+ * Features:
+ * - Title and optional due date
+ * - Quiz checklist grouped by category with per-category select all
+ * - Create button enabled once there is a title and at least one quiz
+ *
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.categories - Quiz categories
+ * @param {Array<Object>} props.quizzes - Built-in quizzes
+ * @param {Function} props.onCreate - Called with {title, quizIds, dueDate}
+ * @returns {JSX.Element} New assignment form
+ */
+export const AssignmentForm = ({ categories, quizzes, onCreate }) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[string, Function]} Assignment title */
+  const [title, setTitle] = useState('')
+
+  /** @type {[string, Function]} Due date as YYYY-MM-DD, or empty */
+  const [dueDate, setDueDate] = useState('')
+
+  /** @type {[Array<string>, Function]} Chosen quiz ids in the order they were ticked */
+  const [quizIds, setQuizIds] = useState([])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Ticks or unticks a quiz
+   * @param {string} quizId - Quiz id
+   */
+  const toggleQuiz = (quizId) => {
+    setQuizIds(current => (
+      current.includes(quizId) ? current.filter(id => id !== quizId) : [...current, quizId]
+    ))
+  }
+
+  /**
+   * Ticks every quiz of a category, or unticks them all when all are ticked
+   * @param {Array<Object>} categoryQuizzes - Quizzes of the category
+   */
+  const toggleCategory = (categoryQuizzes) => {
+    const ids = categoryQuizzes.map(quiz => quiz.id)
+    const allChosen = ids.every(id => quizIds.includes(id))
+    setQuizIds(current => (
+      allChosen ? current.filter(id => !ids.includes(id)) : [...current, ...ids.filter(id => !current.includes(id))]
+    ))
+  }
+
+  /**
+   * Creates the assignment and clears the form
+   * @param {React.FormEvent} event - Form submit event
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    onCreate({ title, quizIds, dueDate: dueDate || null })
+    setTitle('')
+    setDueDate('')
+    setQuizIds([])
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the quizzes of one category
+   * @param {Object} category - Quiz category
+   * @returns {JSX.Element|null} Category group, or null when it has no quizzes
+   */
+  const renderCategory = (category) => {
+    const categoryQuizzes = quizzes.filter(quiz => quiz.category === category.id)
+    if (categoryQuizzes.length === 0) return null
+
+    const chosenCount = categoryQuizzes.filter(quiz => quizIds.includes(quiz.id)).length
+
+    return (
+      <fieldset key={category.id} className="space-y-1">
+        <legend className="w-full flex items-center justify-between text-sm font-semibold text-foreground">
+          <span>{category.icon} {category.name}</span>
+          <button
+            type="button"
+            onClick={() => toggleCategory(categoryQuizzes)}
+            className="text-xs font-medium text-primary hover:underline"
+          >
+            {chosenCount === categoryQuizzes.length ? 'Clear' : 'Select all'}
+          </button>
+        </legend>
+        {categoryQuizzes.map(quiz => (
+          <label key={quiz.id} className="flex items-center gap-2 text-sm text-foreground/80 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={quizIds.includes(quiz.id)}
+              onChange={() => toggleQuiz(quiz.id)}
+              className="accent-primary"
+            />
+            <span className="flex-1">{quiz.title}</span>
+            <span className="text-xs text-foreground/50 capitalize">{quiz.difficulty}</span>
+          </label>
+        ))}
+      </fieldset>
+    )
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="bg-background border border-border rounded-2xl p-6 space-y-4"
+      aria-labelledby="new-assignment-heading"
+    >
+      <h2 id="new-assignment-heading" className="text-2xl font-bold text-foreground">
+        New assignment
+      </h2>
+
+      <div className="grid grid-cols-1 sm:grid-cols-[1fr_auto] gap-2">
+        <input
+          value={title}
+          onChange={(event) => setTitle(event.target.value)}
+          maxLength={60}
+          placeholder="Title, e.g. Week 3 terminology"
+          className="px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          aria-label="Assignment title"
+        />
+        <input
+          type="date"
+          value={dueDate}
+          onChange={(event) => setDueDate(event.target.value)}
+          className="px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          aria-label="Due date (optional)"
+        />
+      </div>
+
+      <div className="max-h-80 overflow-y-auto space-y-4 border border-border rounded-lg p-4">
+        {categories.map(renderCategory)}
+      </div>
+
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-sm text-foreground/60">{quizIds.length} quizzes selected</span>
+        <button
+          type="submit"
+          disabled={!title.trim() || quizIds.length === 0}
+          className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors disabled:opacity-50"
+        >
+          Create assignment
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,338 @@
+import { useRef, useState } from 'react'
+import { useClassroom } from '../../hooks/useClassroom'
+import { parseResultSubmission, parseRoster, buildRosterRows } from '../../lib/classroom'
+import { cn } from '../../lib/utils'
+
+/**
+ * Describes the outcome of importing one result
+ * @param {string} student - Student named in the result
+ * @param {{status: string, verified: boolean}} outcome - Store import outcome
+ * @returns {string} Message
+ */
+const describeImport = (student, { status, verified }) => {
+  const warning = verified ? '' : ' The signature did not match, so treat it with care.'
+  switch (status) {
+    case 'added': return `Added result for ${student}.${warning}`
+    case 'updated': return `Updated result for ${student}.${warning}`
+    case 'older': return `Skipped an older result for ${student}.`
+    default: return `The result for ${student} is for another assignment.`
+  }
+}
+
+/**
+ * AssignmentResults Component
+ *
+ * Instructor's results table for one assignment: class roster down the
+ * side, assignment quizzes across the top and each student's best score.
+ *
+ * Features:
+ * - Roster import from pasted names or a CSV file (first column)
+ * - Result import from files (several at once) or a pasted code or link
+ * - Signature check shown per student
+ * - Students who sent results without being on the roster are listed too
+ *
+ * @param {Object} props - Component properties
+ * @param {import('../../lib/classroom').Assignment} props.assignment - Assignment shown
+ * @param {Map<string, Object>} props.quizzesById - Built-in quizzes by id
+ * @returns {JSX.Element} Results section
+ */
+export const AssignmentResults = ({ assignment, quizzesById }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const assignments = useClassroom(state => state.assignments)
+  const roster = useClassroom(state => state.roster)
+  const imported = useClassroom(state => state.submissions[assignment.id]) || []
+  const setRoster = useClassroom(state => state.setRoster)
+  const importResult = useClassroom(state => state.importResult)
+
+  /** @type {[boolean, Function]} Whether the roster editor is open */
+  const [editingRoster, setEditingRoster] = useState(false)
+
+  /** @type {[string, Function]} Roster text being edited */
+  const [rosterText, setRosterText] = useState('')
+
+  /** @type {[string, Function]} Pasted result code or link */
+  const [resultCode, setResultCode] = useState('')
+
+  /** @type {[Array<{type: 'success'|'error', text: string}>, Function]} Outcome of the last import */
+  const [messages, setMessages] = useState([])
+
+  // ===== REFERENCES =====
+
+  const rosterFileRef = useRef(null)
+  const resultFileRef = useRef(null)
+
+  // ===== COMPUTED VALUES =====
+
+  const rows = buildRosterRows(roster, imported, assignment)
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Opens the roster editor with the current names
+   */
+  const handleEditRoster = () => {
+    setRosterText(roster.join('\n'))
+    setEditingRoster(true)
+  }
+
+  /**
+   * Saves the edited roster
+   */
+  const handleSaveRoster = () => {
+    setRoster(parseRoster(rosterText))
+    setEditingRoster(false)
+  }
+
+  /**
+   * Loads a roster file into the editor
+   * @param {React.ChangeEvent<HTMLInputElement>} event - File input change
+   */
+  const handleRosterFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (file) setRosterText(parseRoster(await file.text()).join('\n'))
+  }
+
+  /**
+   * Imports results from texts (files or a pasted code)
+   * @param {Array<string>} texts - Result files, codes or links
+   */
+  const importTexts = async (texts) => {
+    const outcomes = []
+    for (const text of texts) {
+      const { valid, errors, submission } = parseResultSubmission(text, assignments)
+      if (!valid) {
+        outcomes.push({ type: 'error', text: errors.join(' ') })
+        continue
+      }
+      const outcome = await importResult(submission)
+      outcomes.push({
+        type: outcome.verified && outcome.status !== 'unknown-assignment' ? 'success' : 'error',
+        text: describeImport(submission.student, outcome)
+      })
+    }
+    setMessages(outcomes)
+  }
+
+  /**
+   * Imports the pasted result code
+   * @param {React.FormEvent} event - Form submit event
+   */
+  const handlePasteSubmit = async (event) => {
+    event.preventDefault()
+    await importTexts([resultCode])
+    setResultCode('')
+  }
+
+  /**
+   * Imports chosen result files
+   * @param {React.ChangeEvent<HTMLInputElement>} event - File input change
+   */
+  const handleResultFiles = async (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+    await importTexts(await Promise.all(files.map(file => file.text())))
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the roster editor
+   * @returns {JSX.Element} Roster editor
+   */
+  const renderRosterEditor = () => (
+    <div className="border-2 border-primary/30 bg-primary/5 rounded-2xl p-4 space-y-2">
+      <label htmlFor="roster-names" className="block text-sm font-medium text-foreground">
+        One student per line, or load a CSV with names in the first column
+      </label>
+      <textarea
+        id="roster-names"
+        value={rosterText}
+        onChange={(event) => setRosterText(event.target.value)}
+        rows={6}
+        className="w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+      />
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={handleSaveRoster}
+          className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors"
+        >
+          Save roster
+        </button>
+        <button
+          onClick={() => rosterFileRef.current?.click()}
+          className="px-4 py-2 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+        >
+          Load CSV
+        </button>
+        <button
+          onClick={() => setEditingRoster(false)}
+          className="px-4 py-2 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+        >
+          Cancel
+        </button>
+        <input
+          ref={rosterFileRef}
+          type="file"
+          accept=".csv,.txt,text/csv,text/plain"
+          onChange={handleRosterFile}
+          className="hidden"
+          aria-label="Choose a roster file"
+        />
+      </div>
+    </div>
+  )
+
+  /**
+   * Renders one cell of the results table
+   * @param {import('../../lib/classroom').RosterRow} row - Student row
+   * @param {string} quizId - Quiz column
+   * @returns {JSX.Element} Table cell
+   */
+  const renderScoreCell = (row, quizId) => {
+    const result = row.results[quizId]
+    return (
+      <td key={quizId} className="px-3 py-2 text-center">
+        {result ? (
+          <span
+            className={cn('font-semibold', result.accuracy >= 70 ? 'text-green-600 dark:text-green-400' : 'text-foreground')}
+            title={`${result.score}/${result.totalPossiblePoints} pts • ${result.attempts} attempt(s)`}
+          >
+            {result.accuracy}%
+          </span>
+        ) : (
+          <span className="text-foreground/30">—</span>
+        )}
+      </td>
+    )
+  }
+
+  /**
+   * Renders the results table
+   * @returns {JSX.Element} Table, or an empty state
+   */
+  const renderTable = () => {
+    if (rows.length === 0) {
+      return (
+        <p className="text-sm text-foreground/60 text-center py-6">
+          Add your roster or import results to see the class table.
+        </p>
+      )
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-border text-foreground/70">
+              <th scope="col" className="px-3 py-2 text-left font-semibold">Student</th>
+              {assignment.quizIds.map(quizId => (
+                <th key={quizId} scope="col" className="px-3 py-2 font-semibold min-w-[6rem]">
+                  {quizzesById.get(quizId)?.title || quizId}
+                </th>
+              ))}
+              <th scope="col" className="px-3 py-2 font-semibold">Done</th>
+              <th scope="col" className="px-3 py-2 font-semibold">Average</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.student} className="border-b border-border/50">
+                <th scope="row" className="px-3 py-2 text-left font-medium text-foreground whitespace-nowrap">
+                  {row.student}
+                  {!row.onRoster && <span className="ml-2 text-xs text-foreground/50">(not on roster)</span>}
+                  {row.imported && !row.imported.verified && (
+                    <span className="ml-2 text-xs text-red-600" title="Signature did not match">⚠ unverified</span>
+                  )}
+                </th>
+                {assignment.quizIds.map(quizId => renderScoreCell(row, quizId))}
+                <td className="px-3 py-2 text-center text-foreground/80">
+                  {row.completed}/{assignment.quizIds.length}
+                </td>
+                <td className="px-3 py-2 text-center font-semibold text-foreground">
+                  {row.averageAccuracy === null ? '—' : `${row.averageAccuracy}%`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <section className="space-y-4" aria-labelledby="assignment-results-heading">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 id="assignment-results-heading" className="text-xl font-bold text-foreground">
+          Results
+        </h3>
+        {!editingRoster && (
+          <button
+            onClick={handleEditRoster}
+            className="px-3 py-1.5 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+          >
+            {roster.length > 0 ? `Edit roster (${roster.length})` : 'Add roster'}
+          </button>
+        )}
+      </div>
+
+      {editingRoster && renderRosterEditor()}
+
+      <form onSubmit={handlePasteSubmit} className="flex flex-wrap gap-2">
+        <input
+          value={resultCode}
+          onChange={(event) => setResultCode(event.target.value)}
+          placeholder="Paste a result code or link"
+          className="flex-1 min-w-[12rem] px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          aria-label="Result code or link"
+        />
+        <button
+          type="submit"
+          disabled={!resultCode.trim()}
+          className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors disabled:opacity-50"
+        >
+          Import
+        </button>
+        <button
+          type="button"
+          onClick={() => resultFileRef.current?.click()}
+          className="px-4 py-2 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+        >
+          Import files
+        </button>
+        <input
+          ref={resultFileRef}
+          type="file"
+          accept="application/json,.json"
+          multiple
+          onChange={handleResultFiles}
+          className="hidden"
+          aria-label="Choose result files"
+        />
+      </form>
+
+      {messages.length > 0 && (
+        <ul role="status" className="space-y-1">
+          {messages.map((message, index) => (
+            <li
+              key={index}
+              className={cn(
+                'text-sm rounded-lg px-4 py-2',
+                message.type === 'error'
+                  ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200'
+                  : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200'
+              )}
+            >
+              {message.text}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {renderTable()}
+    </section>
+  )
+}
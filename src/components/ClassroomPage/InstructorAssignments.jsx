@@ -0,0 +1,212 @@
+import { useState } from 'react'
+import { useClassroom } from '../../hooks/useClassroom'
+import { getAssignmentCode, getAssignmentFileName, downloadJsonFile } from '../../lib/classroom'
+import { AssignmentForm } from './AssignmentForm'
+import { AssignmentResults } from './AssignmentResults'
+import { QrCode } from './QrCode'
+import { cn } from '../../lib/utils'
+
+/**
+ * InstructorAssignments Component
+ *
+ * Instructor side of class mode: set assignments, share them with the
+ * class and collect results into the roster table.
+ *
+ * Features:
+ * - New assignment form
+ * - List of assignments with results received
+ * - Share an assignment as a file, a join link or a QR code
+ * - Results table for the selected assignment
+ * - Delete assignments with confirmation
+ *
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.categories - Quiz categories
+ * @param {Array<Object>} props.quizzes - Built-in quizzes
+ * @param {Map<string, Object>} props.quizzesById - Built-in quizzes by id
+ * @param {string|null} props.selectedAssignmentId - Assignment shown in detail
+ * @param {Function} props.onAssignmentSelect - Called with the assignment id to show
+ * @returns {JSX.Element} Instructor class mode panel
+ */
+export const InstructorAssignments = ({ categories, quizzes, quizzesById, selectedAssignmentId, onAssignmentSelect }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const assignments = useClassroom(state => state.assignments)
+  const submissions = useClassroom(state => state.submissions)
+  const createAssignment = useClassroom(state => state.createAssignment)
+  const deleteAssignment = useClassroom(state => state.deleteAssignment)
+
+  /** @type {[boolean, Function]} Whether the delete confirmation is showing */
+  const [confirmDelete, setConfirmDelete] = useState(false)
+
+  /** @type {[string|null, Function]} Feedback after copying the join link */
+  const [copyMessage, setCopyMessage] = useState(null)
+
+  // ===== COMPUTED VALUES =====
+
+  const selectedAssignment = assignments.find(assignment => assignment.id === selectedAssignmentId) || assignments[0] || null
+
+  /** @type {string|null} Link students open to join the selected assignment */
+  const joinLink = selectedAssignment
+    ? `${window.location.origin}/class/join/${getAssignmentCode(selectedAssignment)}`
+    : null
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Creates an assignment and shows it
+   * @param {Object} details - Title, quiz ids and due date
+   */
+  const handleCreate = (details) => {
+    const assignment = createAssignment(details)
+    onAssignmentSelect(assignment.id)
+  }
+
+  /**
+   * Shows another assignment
+   * @param {string} assignmentId - Assignment id
+   */
+  const handleSelect = (assignmentId) => {
+    setConfirmDelete(false)
+    setCopyMessage(null)
+    onAssignmentSelect(assignmentId)
+  }
+
+  /**
+   * Deletes the selected assignment after confirmation
+   */
+  const handleDelete = () => {
+    deleteAssignment(selectedAssignment.id)
+    setConfirmDelete(false)
+    onAssignmentSelect(null)
+  }
+
+  /**
+   * Copies the join link to the clipboard
+   */
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(joinLink)
+      setCopyMessage('Link copied.')
+    } catch {
+      setCopyMessage('Copy failed. Select the link and copy it by hand.')
+    }
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the assignment list
+   * @returns {JSX.Element} Assignment buttons
+   */
+  const renderAssignmentList = () => (
+    <div className="flex flex-wrap gap-2" role="tablist" aria-label="Assignments">
+      {assignments.map(assignment => (
+        <button
+          key={assignment.id}
+          onClick={() => handleSelect(assignment.id)}
+          className={cn(
+            'px-4 py-2 rounded-xl text-sm font-medium transition-all border',
+            assignment.id === selectedAssignment?.id
+              ? 'bg-primary text-white border-primary shadow-md'
+              : 'border-border text-foreground/70 hover:text-foreground'
+          )}
+          role="tab"
+          aria-selected={assignment.id === selectedAssignment?.id}
+        >
+          {assignment.title}
+          <span className="ml-2 opacity-70">({submissions[assignment.id]?.length || 0})</span>
+        </button>
+      ))}
+    </div>
+  )
+
+  /**
+   * Renders the share options and results of the selected assignment
+   * @returns {JSX.Element} Assignment detail
+   */
+  const renderAssignmentDetail = () => (
+    <article className="bg-background border border-border rounded-2xl p-6 space-y-6" role="tabpanel">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <h2 className="text-2xl font-bold text-foreground">{selectedAssignment.title}</h2>
+          <p className="text-sm text-foreground/60">
+            {selectedAssignment.quizIds.length} quizzes • Set {new Date(selectedAssignment.createdAt).toLocaleDateString()}
+            {selectedAssignment.dueDate && ` • Due ${new Date(`${selectedAssignment.dueDate}T00:00`).toLocaleDateString()}`}
+          </p>
+        </div>
+        {confirmDelete ? (
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-foreground">Delete with its results?</span>
+            <button
+              onClick={handleDelete}
+              className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-red-600 text-white hover:bg-red-700 transition-colors"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => setConfirmDelete(false)}
+              className="px-3 py-1.5 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={() => setConfirmDelete(true)}
+            className="px-3 py-1.5 rounded-lg text-sm text-red-600 hover:bg-red-600/10 transition-colors"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+
+      <section className="flex flex-col md:flex-row gap-4" aria-label="Share assignment">
+        <QrCode value={joinLink} label={`Join QR code for ${selectedAssignment.title}`} />
+        <div className="flex-1 space-y-3">
+          <p className="text-sm text-foreground/70">
+            Students scan the code or open the link to join. You can also send the assignment file.
+            Keep this device: results can only be checked here.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleCopyLink}
+              className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors"
+            >
+              Copy join link
+            </button>
+            <button
+              onClick={() => downloadJsonFile(selectedAssignment, getAssignmentFileName(selectedAssignment))}
+              className="px-4 py-2 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+            >
+              Download assignment file
+            </button>
+          </div>
+          {copyMessage && <p className="text-xs text-foreground/60" role="status">{copyMessage}</p>}
+          <input
+            readOnly
+            value={joinLink}
+            onFocus={(event) => event.target.select()}
+            className="w-full px-3 py-2 rounded-lg border border-border bg-background text-xs text-foreground/70"
+            aria-label="Join link"
+          />
+        </div>
+      </section>
+
+      <AssignmentResults assignment={selectedAssignment} quizzesById={quizzesById} />
+    </article>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div className="space-y-6">
+      {assignments.length > 0 && (
+        <>
+          {renderAssignmentList()}
+          {renderAssignmentDetail()}
+        </>
+      )}
+      <AssignmentForm categories={categories} quizzes={quizzes} onCreate={handleCreate} />
+    </div>
+  )
+}
@@ -0,0 +1,216 @@
+import { useMemo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useGlobalProgress } from '../../hooks/useGlobalProgess'
+import { useProfiles, selectActiveProfile } from '../../hooks/useProfiles'
+import {
+  collectAssignmentResults,
+  createResultSubmission,
+  getResultCode,
+  getResultFileName,
+  downloadJsonFile
+} from '../../lib/classroom'
+import { getQuizPath } from '../../lib/quizLinks'
+import { QrCode } from './QrCode'
+import { cn } from '../../lib/utils'
+
+/**
+ * StudentAssignmentCard Component
+ *
+ * One joined assignment from the student's side: which quizzes are done,
+ * links to play the rest, and a signed result to hand to the instructor.
+ *
+ * Features:
+ * - Per-quiz status with best accuracy and attempts since the assignment was set
+ * - Links straight into each quiz
+ * - Signed result as a file download, a copyable link and a QR code
+ * - Leave the assignment
+ *
+ * @param {Object} props - Component properties
+ * @param {import('../../lib/classroom').Assignment} props.assignment - Joined assignment
+ * @param {Map<string, Object>} props.quizzesById - Built-in quizzes by id
+ * @param {Function} props.onLeave - Called with the assignment id to leave it
+ * @returns {JSX.Element} Assignment card
+ */
+export const StudentAssignmentCard = ({ assignment, quizzesById, onLeave }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const sessionLog = useGlobalProgress(state => state.sessionLog)
+  const activeProfile = useProfiles(selectActiveProfile)
+
+  /** @type {[string, Function]} Name put on the result */
+  const [studentName, setStudentName] = useState(activeProfile.name)
+
+  /** @type {[import('../../lib/classroom').ResultSubmission|null, Function]} Last signed result */
+  const [submission, setSubmission] = useState(null)
+
+  /** @type {[string|null, Function]} Feedback after copying the link */
+  const [copyMessage, setCopyMessage] = useState(null)
+
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Best result per quiz played since the assignment was created
+   * @type {Array<import('../../lib/classroom').QuizResult>}
+   */
+  const results = useMemo(
+    () => collectAssignmentResults(assignment, sessionLog),
+    [assignment, sessionLog]
+  )
+
+  const resultsByQuiz = new Map(results.map(result => [result.quizId, result]))
+
+  /** @type {string|null} Link that imports the signed result on the instructor's device */
+  const resultLink = submission
+    ? `${window.location.origin}/class/result/${getResultCode(submission, assignment)}`
+    : null
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Signs the current results under the typed name
+   * @param {React.FormEvent} event - Form submit event
+   */
+  const handleCreateResult = async (event) => {
+    event.preventDefault()
+    setCopyMessage(null)
+    setSubmission(await createResultSubmission(assignment, studentName, results))
+  }
+
+  /**
+   * Copies the result link to the clipboard
+   */
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(resultLink)
+      setCopyMessage('Link copied.')
+    } catch {
+      setCopyMessage('Copy failed. Select the link and copy it by hand.')
+    }
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders one assignment quiz with its status
+   * @param {string} quizId - Quiz id
+   * @returns {JSX.Element} Quiz row
+   */
+  const renderQuiz = (quizId) => {
+    const quiz = quizzesById.get(quizId)
+    const result = resultsByQuiz.get(quizId)
+
+    return (
+      <li key={quizId} className="flex flex-wrap items-center justify-between gap-2 border border-border rounded-lg px-4 py-2">
+        <div>
+          <p className="text-sm font-medium text-foreground">{quiz?.title || quizId}</p>
+          <p className="text-xs text-foreground/60">
+            {result
+              ? `Best ${result.accuracy}% • ${result.score}/${result.totalPossiblePoints} pts • ${result.attempts} attempt${result.attempts === 1 ? '' : 's'}`
+              : 'Not played yet'}
+          </p>
+        </div>
+        {quiz ? (
+          <Link
+            to={getQuizPath(quizId)}
+            state={{ quiz }}
+            className={cn(
+              'px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors',
+              result
+                ? 'text-primary hover:bg-primary/10'
+                : 'bg-primary text-white hover:bg-primary-hover'
+            )}
+          >
+            {result ? 'Play again' : 'Start'}
+          </Link>
+        ) : (
+          <span className="text-xs text-foreground/50">Not in this version of the guide</span>
+        )}
+      </li>
+    )
+  }
+
+  /**
+   * Renders the signed result ready to hand in
+   * @returns {JSX.Element} Result hand-in options
+   */
+  const renderSubmission = () => (
+    <div className="border-2 border-primary/30 bg-primary/5 rounded-2xl p-4 flex flex-col md:flex-row gap-4">
+      <QrCode value={resultLink} label={`Result QR code for ${submission.student}`} />
+      <div className="flex-1 space-y-3">
+        <p className="text-sm text-foreground/70">
+          Result for <span className="font-semibold text-foreground">{submission.student}</span> with{' '}
+          {submission.results.length} of {assignment.quizIds.length} quizzes. Let your instructor scan the
+          code, or send them the file or link.
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => downloadJsonFile(submission, getResultFileName(submission))}
+            className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors"
+          >
+            Download result file
+          </button>
+          <button
+            onClick={handleCopyLink}
+            className="px-4 py-2 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+          >
+            Copy result link
+          </button>
+        </div>
+        {copyMessage && <p className="text-xs text-foreground/60" role="status">{copyMessage}</p>}
+        <input
+          readOnly
+          value={resultLink}
+          onFocus={(event) => event.target.select()}
+          className="w-full px-3 py-2 rounded-lg border border-border bg-background text-xs text-foreground/70"
+          aria-label="Result link"
+        />
+      </div>
+    </div>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <article className="bg-background border border-border rounded-2xl p-6 space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <h3 className="text-xl font-bold text-foreground">{assignment.title}</h3>
+          <p className="text-sm text-foreground/60">
+            {results.length} / {assignment.quizIds.length} quizzes done
+            {assignment.dueDate && ` • Due ${new Date(`${assignment.dueDate}T00:00`).toLocaleDateString()}`}
+          </p>
+        </div>
+        <button
+          onClick={() => onLeave(assignment.id)}
+          className="px-3 py-1.5 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+        >
+          Leave
+        </button>
+      </div>
+
+      <ul className="space-y-2">
+        {assignment.quizIds.map(renderQuiz)}
+      </ul>
+
+      <form onSubmit={handleCreateResult} className="flex flex-wrap items-center gap-2">
+        <input
+          value={studentName}
+          onChange={(event) => setStudentName(event.target.value)}
+          placeholder="Your name"
+          required
+          className="flex-1 min-w-[10rem] px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          aria-label="Your name as your instructor knows it"
+        />
+        <button
+          type="submit"
+          disabled={!studentName.trim()}
+          className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors disabled:opacity-50"
+        >
+          {submission ? 'Update my result' : 'Create my result'}
+        </button>
+      </form>
+
+      {submission && renderSubmission()}
+    </article>
+  )
+}
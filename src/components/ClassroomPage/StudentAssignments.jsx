@@ -0,0 +1,155 @@
+import { useRef, useState } from 'react'
+import { useClassroom } from '../../hooks/useClassroom'
+import { parseAssignment } from '../../lib/classroom'
+import { StudentAssignmentCard } from './StudentAssignmentCard'
+import { cn } from '../../lib/utils'
+
+/**
+ * StudentAssignments Component
+ *
+ * Student side of class mode: join an assignment from the instructor's
+ * code, link or file, then work through the joined assignments.
+ *
+ * Features:
+ * - Join by pasting a code or link, or opening an assignment file
+ * - One card per joined assignment with quiz status and result hand-in
+ * - Empty state explaining how to get an assignment
+ *
+ * @param {Object} props - Component properties
+ * @param {Map<string, Object>} props.quizzesById - Built-in quizzes by id
+ * @returns {JSX.Element} Student class mode panel
+ */
+export const StudentAssignments = ({ quizzesById }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const joinedAssignments = useClassroom(state => state.joinedAssignments)
+  const joinAssignment = useClassroom(state => state.joinAssignment)
+  const leaveAssignment = useClassroom(state => state.leaveAssignment)
+
+  /** @type {[string, Function]} Pasted code or link */
+  const [code, setCode] = useState('')
+
+  /** @type {[{type: 'success'|'error', text: string}|null, Function]} Result of the last join */
+  const [message, setMessage] = useState(null)
+
+  // ===== REFERENCES =====
+
+  const fileInputRef = useRef(null)
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Joins the assignment in a code, link or file
+   * @param {string} text - Code, link or file contents
+   */
+  const joinFromText = (text) => {
+    const { valid, errors, assignment } = parseAssignment(text)
+    if (!valid) {
+      setMessage({ type: 'error', text: errors.join(' ') })
+      return
+    }
+
+    const isNew = joinAssignment(assignment)
+    setCode('')
+    setMessage({
+      type: 'success',
+      text: isNew ? `Joined "${assignment.title}".` : `"${assignment.title}" was already joined and has been updated.`
+    })
+  }
+
+  /**
+   * Joins from the pasted code
+   * @param {React.FormEvent} event - Form submit event
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    joinFromText(code)
+  }
+
+  /**
+   * Joins from a chosen assignment file
+   * @param {React.ChangeEvent<HTMLInputElement>} event - File input change
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (file) joinFromText(await file.text())
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div className="space-y-6">
+      <section className="bg-background border border-border rounded-2xl p-6 space-y-4" aria-labelledby="join-assignment-heading">
+        <div>
+          <h2 id="join-assignment-heading" className="text-2xl font-bold text-foreground mb-1">
+            Join an assignment
+          </h2>
+          <p className="text-foreground/70">
+            Paste the code or link from your instructor, or open the assignment file they sent you.
+          </p>
+        </div>
+        <form onSubmit={handleSubmit} className="flex flex-wrap gap-2">
+          <input
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            placeholder="Assignment code or link"
+            className="flex-1 min-w-[12rem] px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+            aria-label="Assignment code or link"
+          />
+          <button
+            type="submit"
+            disabled={!code.trim()}
+            className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors disabled:opacity-50"
+          >
+            Join
+          </button>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="px-4 py-2 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+          >
+            Open file
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            className="hidden"
+            aria-label="Choose an assignment file"
+          />
+        </form>
+        {message && (
+          <p
+            role="status"
+            className={cn(
+              'text-sm rounded-lg px-4 py-2',
+              message.type === 'error'
+                ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200'
+                : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200'
+            )}
+          >
+            {message.text}
+          </p>
+        )}
+      </section>
+
+      {joinedAssignments.length > 0 ? (
+        joinedAssignments.map(assignment => (
+          <StudentAssignmentCard
+            key={assignment.id}
+            assignment={assignment}
+            quizzesById={quizzesById}
+            onLeave={leaveAssignment}
+          />
+        ))
+      ) : (
+        <div className="text-center py-12 bg-background border border-border rounded-2xl" role="status">
+          <div className="text-4xl mb-4" aria-hidden="true">📋</div>
+          <p className="text-foreground/70">No assignments yet. Ask your instructor for an assignment code.</p>
+        </div>
+      )}
+    </div>
+  )
+}
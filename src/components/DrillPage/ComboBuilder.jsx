@@ -0,0 +1,495 @@
+import { useMemo, useState } from 'react'
+import { cn } from '../../lib/utils'
+import { useCombos } from '../../hooks/useCombos'
+import { TECHNIQUE_ENTITIES, getTechniqueEntity } from '../../lib/entityLinks'
+import { TECHNIQUE_CATEGORIES } from '../../lib/techniques'
+import {
+  COMBO_TEMPLATES,
+  MAX_COMBO_MOVES,
+  MAX_COMBO_NAME_LENGTH,
+  createComboMove,
+  describeCombo,
+  reorderMoves,
+  validateCombo
+} from '../../lib/combos'
+
+/** @type {number} Most search results listed in the technique picker */
+const MAX_PICKER_RESULTS = 12
+
+/**
+ * ComboBuilder Component
+ *
+ * Combination builder shown when the drill source is a combination.
+ * Students chain techniques from any category into a named sequence,
+ * reorder it and save it on the device; the selected combination is the
+ * one the drill runs.
+ *
+ * Features:
+ * - Saved combinations to pick from, edit or delete
+ * - Technique picker with category filter and search
+ * - Drag and drop reordering, with move up/down buttons for keyboard and touch
+ * - Example combinations to start from
+ * - Combinations saved locally
+ *
+ * @param {Object} props - Component properties
+ * @param {string|null} props.selectedId - Combination the drill will run
+ * @param {Function} props.onSelect - Called with the id of the combination to run, or null
+ * @returns {JSX.Element} Combination builder
+ */
+export const ComboBuilder = ({ selectedId, onSelect }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const combos = useCombos(state => state.combos)
+  const saveCombo = useCombos(state => state.saveCombo)
+  const deleteCombo = useCombos(state => state.deleteCombo)
+
+  /** @type {[string|null, Function]} Saved combination being edited, null for a new one */
+  const [editingId, setEditingId] = useState(null)
+
+  /** @type {[string, Function]} Name of the combination being edited */
+  const [name, setName] = useState('')
+
+  /** @type {[Array<import('../../lib/combos').ComboMove>, Function]} Moves of the combination being edited */
+  const [moves, setMoves] = useState([])
+
+  /** @type {[Array<string>, Function]} Problems preventing the last save */
+  const [problems, setProblems] = useState([])
+
+  /** @type {[string, Function]} Category the picker lists, empty for all */
+  const [pickerCategory, setPickerCategory] = useState('')
+
+  /** @type {[string, Function]} Picker search text */
+  const [pickerQuery, setPickerQuery] = useState('')
+
+  /** @type {[number|null, Function]} Position of the move being dragged */
+  const [dragIndex, setDragIndex] = useState(null)
+
+  /** @type {[number|null, Function]} Position the dragged move would be dropped at */
+  const [dropIndex, setDropIndex] = useState(null)
+
+  /** @type {[string|null, Function]} Combination waiting for delete confirmation */
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null)
+
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Techniques offered by the picker
+   * @type {Array<import('../../lib/entityLinks').TechniqueEntity>}
+   */
+  const pickerResults = useMemo(() => {
+    const search = pickerQuery.trim().toLowerCase()
+    return TECHNIQUE_ENTITIES
+      .filter(entity => !pickerCategory || entity.categoryId === pickerCategory)
+      .filter(entity => !search ||
+        entity.technique.english.toLowerCase().includes(search) ||
+        entity.technique.korean.toLowerCase().includes(search))
+      .slice(0, MAX_PICKER_RESULTS)
+  }, [pickerCategory, pickerQuery])
+
+  /** @type {boolean} Whether another move can be added */
+  const canAdd = moves.length < MAX_COMBO_MOVES
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Loads a combination, saved or from a template, into the editor
+   * @param {Object} details - Combination to edit
+   * @param {string} details.name - Name
+   * @param {Array<import('../../lib/combos').ComboMove>} details.moves - Moves
+   * @param {string|null} [comboId] - Saved combination id, null when it is new
+   */
+  const loadDraft = ({ name: draftName, moves: draftMoves }, comboId = null) => {
+    setEditingId(comboId)
+    setName(draftName)
+    setMoves(draftMoves)
+    setProblems([])
+  }
+
+  /**
+   * Starts a new, empty combination
+   */
+  const handleNew = () => loadDraft({ name: '', moves: [] })
+
+  /**
+   * Starts a new combination from an example
+   * @param {{name: string, techniqueIds: Array<string>}} template - Example combination
+   */
+  const handleTemplate = (template) => {
+    loadDraft({ name: template.name, moves: template.techniqueIds.map(createComboMove) })
+  }
+
+  /**
+   * Adds a technique to the end of the combination
+   * @param {string} techniqueId - Technique to add
+   */
+  const handleAddMove = (techniqueId) => {
+    if (!canAdd) return
+    setMoves(prev => [...prev, createComboMove(techniqueId)])
+    setProblems([])
+  }
+
+  /**
+   * Removes a move from the combination
+   * @param {string} moveId - Move to remove
+   */
+  const handleRemoveMove = (moveId) => {
+    setMoves(prev => prev.filter(move => move.id !== moveId))
+  }
+
+  /**
+   * Moves a move to a new position
+   * @param {number} fromIndex - Current position
+   * @param {number} toIndex - New position
+   */
+  const handleReorder = (fromIndex, toIndex) => {
+    setMoves(prev => reorderMoves(prev, fromIndex, toIndex))
+  }
+
+  /**
+   * Starts dragging a move
+   * @param {DragEvent} e - Drag event
+   * @param {number} index - Position of the move
+   */
+  const handleDragStart = (e, index) => {
+    setDragIndex(index)
+    e.dataTransfer.effectAllowed = 'move'
+    // Firefox only starts a drag when data is set
+    e.dataTransfer.setData('text/plain', String(index))
+  }
+
+  /**
+   * Marks where the dragged move would land
+   * @param {DragEvent} e - Drag event
+   * @param {number} index - Position being dragged over
+   */
+  const handleDragOver = (e, index) => {
+    if (dragIndex === null) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'move'
+    setDropIndex(index)
+  }
+
+  /**
+   * Drops the dragged move at a position
+   * @param {DragEvent} e - Drop event
+   * @param {number} index - Position dropped on
+   */
+  const handleDrop = (e, index) => {
+    e.preventDefault()
+    if (dragIndex !== null) handleReorder(dragIndex, index)
+    handleDragEnd()
+  }
+
+  /**
+   * Clears the drag state
+   */
+  const handleDragEnd = () => {
+    setDragIndex(null)
+    setDropIndex(null)
+  }
+
+  /**
+   * Saves the combination and selects it for the drill
+   */
+  const handleSave = () => {
+    const found = validateCombo({ name, moves })
+    setProblems(found)
+    if (found.length > 0) return
+
+    const combo = saveCombo({ name, moves }, editingId)
+    setEditingId(combo.id)
+    onSelect(combo.id)
+  }
+
+  /**
+   * Deletes a saved combination after confirmation
+   * @param {string} comboId - Combination to delete
+   */
+  const handleDelete = (comboId) => {
+    deleteCombo(comboId)
+    setConfirmDeleteId(null)
+    if (selectedId === comboId) onSelect(null)
+    if (editingId === comboId) handleNew()
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the saved combinations
+   * @returns {JSX.Element} Saved combination list
+   */
+  const renderSavedCombos = () => (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="font-semibold text-foreground">Saved Combinations</h3>
+        <button
+          onClick={handleNew}
+          className="px-3 py-1.5 rounded-full text-sm border border-border text-foreground/80 hover:border-primary hover:text-primary transition-colors"
+        >
+          + New combination
+        </button>
+      </div>
+
+      {combos.length === 0 ? (
+        <p className="text-sm text-foreground/60">
+          No combinations yet. Build one below or start from an example.
+        </p>
+      ) : (
+        <ul className="grid grid-cols-1 md:grid-cols-2 gap-3" aria-label="Saved combinations">
+          {combos.map(combo => {
+            const isSelected = combo.id === selectedId
+            return (
+              <li
+                key={combo.id}
+                className={cn(
+                  "rounded-xl border-2 p-4 space-y-2 transition-colors",
+                  isSelected ? "border-primary bg-primary/5" : "border-border"
+                )}
+              >
+                <button
+                  onClick={() => onSelect(combo.id)}
+                  className="block w-full text-left focus:outline-none focus:ring-2 focus:ring-primary rounded"
+                  aria-pressed={isSelected}
+                >
+                  <span className="block font-semibold text-foreground">
+                    {isSelected && <span className="text-primary mr-1" aria-hidden="true">✓</span>}
+                    {combo.name}
+                  </span>
+                  <span className="block text-xs text-foreground/60">{combo.moves.length} moves</span>
+                  <span className="block text-sm text-foreground/70 mt-1">{describeCombo(combo)}</span>
+                </button>
+                {confirmDeleteId === combo.id ? (
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm text-foreground">Delete this combination?</span>
+                    <button
+                      onClick={() => handleDelete(combo.id)}
+                      className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-red-600 text-white hover:bg-red-700 transition-colors"
+                    >
+                      Delete
+                    </button>
+                    <button
+                      onClick={() => setConfirmDeleteId(null)}
+                      className="px-3 py-1.5 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => loadDraft(combo, combo.id)}
+                      className="px-3 py-1.5 rounded-lg text-sm text-primary hover:bg-primary/10 transition-colors"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => setConfirmDeleteId(combo.id)}
+                      className="px-3 py-1.5 rounded-lg text-sm text-red-600 hover:bg-red-600/10 transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+
+  /**
+   * Renders the moves of the combination being edited
+   * @returns {JSX.Element} Sortable move list
+   */
+  const renderMoves = () => moves.length === 0 ? (
+    <p className="text-sm text-foreground/60 border-2 border-dashed border-border rounded-xl p-6 text-center">
+      Add techniques from the list below to build the combination.
+    </p>
+  ) : (
+    <ol className="space-y-2" aria-label="Moves in order">
+      {moves.map((move, index) => {
+        const entity = getTechniqueEntity(move.techniqueId)
+        const label = entity?.technique.english || 'Missing technique'
+        return (
+          <li
+            key={move.id}
+            draggable
+            onDragStart={(e) => handleDragStart(e, index)}
+            onDragOver={(e) => handleDragOver(e, index)}
+            onDrop={(e) => handleDrop(e, index)}
+            onDragEnd={handleDragEnd}
+            className={cn(
+              "flex items-center gap-3 rounded-lg border bg-background px-3 py-2 transition-colors",
+              dragIndex === index && "opacity-50",
+              dropIndex === index && dragIndex !== index ? "border-primary bg-primary/5" : "border-border"
+            )}
+          >
+            <span className="cursor-grab text-foreground/40 select-none" aria-hidden="true">⠿</span>
+            <span className="bg-primary text-white text-xs rounded-full w-6 h-6 flex items-center justify-center flex-shrink-0">
+              {index + 1}
+            </span>
+            <span className="flex-1 min-w-0">
+              <span className="block font-semibold text-foreground truncate">{label}</span>
+              {entity && (
+                <span className="block text-xs text-foreground/60 truncate">
+                  {entity.technique.korean} · {entity.categoryName}
+                </span>
+              )}
+            </span>
+            <button
+              onClick={() => handleReorder(index, index - 1)}
+              disabled={index === 0}
+              className="w-8 h-8 rounded-lg text-foreground/70 hover:bg-primary/10 disabled:opacity-30 transition-colors"
+              aria-label={`Move ${label} up`}
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => handleReorder(index, index + 1)}
+              disabled={index === moves.length - 1}
+              className="w-8 h-8 rounded-lg text-foreground/70 hover:bg-primary/10 disabled:opacity-30 transition-colors"
+              aria-label={`Move ${label} down`}
+            >
+              ↓
+            </button>
+            <button
+              onClick={() => handleRemoveMove(move.id)}
+              className="w-8 h-8 rounded-lg text-red-600 hover:bg-red-600/10 transition-colors"
+              aria-label={`Remove ${label}`}
+            >
+              ×
+            </button>
+          </li>
+        )
+      })}
+    </ol>
+  )
+
+  /**
+   * Renders the technique picker
+   * @returns {JSX.Element} Picker
+   */
+  const renderPicker = () => (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <label className="block">
+          <span className="text-sm text-foreground/70">Category</span>
+          <select
+            value={pickerCategory}
+            onChange={(e) => setPickerCategory(e.target.value)}
+            className="mt-1 w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            <option value="">All categories</option>
+            {TECHNIQUE_CATEGORIES.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block md:col-span-2">
+          <span className="text-sm text-foreground/70">Search techniques</span>
+          <input
+            type="search"
+            value={pickerQuery}
+            onChange={(e) => setPickerQuery(e.target.value)}
+            placeholder="e.g. low block"
+            className="mt-1 w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+        </label>
+      </div>
+
+      <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2" aria-label="Techniques to add">
+        {pickerResults.map(entity => (
+          <li key={entity.id}>
+            <button
+              onClick={() => handleAddMove(entity.id)}
+              disabled={!canAdd}
+              className="w-full text-left px-3 py-2 rounded-lg border border-border text-sm hover:border-primary/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <span className="font-semibold">+ {entity.technique.english}</span>
+              <span className="block text-xs text-foreground/60">{entity.categoryName} · {entity.technique.korean}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {pickerResults.length === 0 && (
+        <p className="text-sm text-foreground/60">No techniques match that search.</p>
+      )}
+    </div>
+  )
+
+  /**
+   * Renders the editor for the combination being built
+   * @returns {JSX.Element} Combination editor
+   */
+  const renderEditor = () => (
+    <div className="space-y-4 border-t border-border pt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="font-semibold text-foreground">
+          {editingId ? 'Edit Combination' : 'New Combination'}
+        </h3>
+        <span className="text-sm text-foreground/60">{moves.length}/{MAX_COMBO_MOVES} moves</span>
+      </div>
+
+      {!editingId && moves.length === 0 && COMBO_TEMPLATES.length > 0 && (
+        <div>
+          <p className="text-sm text-foreground/60 mb-2">Start from an example</p>
+          <div className="flex flex-wrap gap-2">
+            {COMBO_TEMPLATES.map(template => (
+              <button
+                key={template.name}
+                onClick={() => handleTemplate(template)}
+                className="px-3 py-1.5 rounded-full text-sm border border-border text-foreground/80 hover:border-primary hover:text-primary transition-colors"
+              >
+                {template.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <label className="block">
+        <span className="text-sm text-foreground/70">Name</span>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={MAX_COMBO_NAME_LENGTH}
+          placeholder="e.g. Block and counter"
+          className="mt-1 w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+        />
+      </label>
+
+      {renderMoves()}
+      {moves.length > 1 && (
+        <p className="text-xs text-foreground/60">Drag moves to reorder them, or use the arrows.</p>
+      )}
+
+      {problems.length > 0 && (
+        <ul className="rounded-lg p-3 text-sm bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200" role="alert">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          className="px-6 py-2 rounded-lg font-semibold border-2 border-primary text-primary hover:bg-primary/10 transition-colors focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+        >
+          {editingId ? 'Save Changes' : 'Save Combination'}
+        </button>
+      </div>
+
+      {renderPicker()}
+    </div>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div className="space-y-6">
+      {renderSavedCombos()}
+      {renderEditor()}
+    </div>
+  )
+}
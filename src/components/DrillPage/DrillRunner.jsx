@@ -0,0 +1,219 @@
+import { useRef } from 'react'
+import { cn } from '../../lib/utils'
+import { getKoreanCount } from '../../lib/drill'
+
+/**
+ * DrillRunner Component
+ *
+ * Large-format drill display designed to be put on a screen in class.
+ * Shows the active movement, its count in English and Korean, a beat
+ * indicator for the tempo and the upcoming movements, with transport
+ * controls underneath.
+ *
+ * Features:
+ * - Large, high-contrast active step display
+ * - Beat progress bar synced to the tempo
+ * - Pause/resume, skip, repeat-set and stop controls
+ * - Upcoming movement preview
+ * - Fullscreen toggle for projector use
+ *
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.steps - Drill steps being run
+ * @param {Object} props.runner - State and controls from useDrillRunner
+ * @param {number} props.tempo - Seconds per movement
+ * @param {number} props.sets - Total number of sets
+ * @param {Function} props.onExit - Returns to the setup screen
+ * @returns {JSX.Element} Drill runner display
+ */
+export const DrillRunner = ({ steps, runner, tempo, sets, onExit }) => {
+  // ===== REFERENCES =====
+
+  /** @type {import('react').RefObject<HTMLDivElement>} Container used for fullscreen mode */
+  const containerRef = useRef(null)
+
+  // ===== COMPUTED VALUES =====
+
+  const { status, stepIndex, currentSet, currentStep } = runner
+  const koreanCount = getKoreanCount(currentStep?.count)
+  const upcomingSteps = steps.slice(stepIndex + 1, stepIndex + 4)
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Toggles fullscreen display of the runner
+   */
+  const handleFullscreenToggle = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen?.()
+    } else {
+      containerRef.current?.requestFullscreen?.().catch(error => {
+        console.warn('Fullscreen request failed:', error)
+      })
+    }
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders a transport control button
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @param {boolean} [isPrimary] - Whether to use the primary style
+   * @param {boolean} [disabled] - Whether the button is disabled
+   * @returns {JSX.Element} Control button
+   */
+  const renderControl = (label, onClick, isPrimary = false, disabled = false) => (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={cn(
+        "px-6 py-3 rounded-xl font-semibold transition-colors disabled:opacity-50",
+        "focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2",
+        isPrimary
+          ? "bg-primary hover:bg-primary-hover text-white"
+          : "border-2 border-border text-foreground hover:bg-primary/10"
+      )}
+    >
+      {label}
+    </button>
+  )
+
+  /**
+   * Renders the active step display
+   * @returns {JSX.Element} Active step panel
+   */
+  const renderActiveStep = () => (
+    <div className="text-center space-y-4" aria-live="polite">
+      <div className="flex items-center justify-center gap-4">
+        <span className="text-7xl md:text-8xl font-bold text-primary tabular-nums">
+          {currentStep.count}
+        </span>
+        {koreanCount && (
+          <span className="text-3xl md:text-4xl font-semibold text-foreground/70">
+            {koreanCount.romanized}
+          </span>
+        )}
+      </div>
+      <h2 className="text-3xl md:text-5xl font-bold text-foreground">
+        {currentStep.title}
+      </h2>
+      {currentStep.subtitle && (
+        <p className="text-xl text-foreground/60">{currentStep.subtitle}</p>
+      )}
+      <p className="text-xl md:text-2xl text-foreground/80 max-w-3xl mx-auto leading-relaxed">
+        {currentStep.call}
+      </p>
+      {currentStep.details?.length > 0 && (
+        <ul className="flex flex-wrap justify-center gap-2 pt-2" role="list">
+          {currentStep.details.map((detail, index) => (
+            <li key={index} className="bg-primary/10 text-foreground/80 text-sm px-3 py-1 rounded-full">
+              {detail}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+
+  /**
+   * Renders the beat indicator for the active step
+   * @returns {JSX.Element} Beat progress bar
+   */
+  const renderBeatIndicator = () => (
+    <div className="w-full bg-gray-200 rounded-full h-3 dark:bg-gray-700 overflow-hidden" aria-hidden="true">
+      <div
+        key={`${currentSet}-${stepIndex}-${status}`}
+        className={cn("bg-primary h-3 rounded-full", status === 'running' && "animate-drill-beat")}
+        style={{
+          animationDuration: `${tempo}s`,
+          width: status === 'running' ? undefined : '0%'
+        }}
+      />
+    </div>
+  )
+
+  /**
+   * Renders the upcoming movements preview
+   * @returns {JSX.Element} Upcoming steps list
+   */
+  const renderUpcoming = () => (
+    <div className="border-t border-border pt-6">
+      <h3 className="text-sm font-semibold text-foreground/60 uppercase tracking-wide mb-3">Up Next</h3>
+      {upcomingSteps.length > 0 ? (
+        <ol className="grid grid-cols-1 md:grid-cols-3 gap-3" role="list">
+          {upcomingSteps.map(step => (
+            <li key={step.id} className="bg-primary/5 border border-primary/10 rounded-lg p-3 text-sm">
+              <span className="font-bold text-primary mr-2">{step.count}</span>
+              <span className="text-foreground/80">{step.title}</span>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-foreground/60 text-sm">
+          {currentSet < sets ? `Set ${currentSet + 1} starts next` : 'Last movement of the drill'}
+        </p>
+      )}
+    </div>
+  )
+
+  /**
+   * Renders the finished state
+   * @returns {JSX.Element} Finished panel
+   */
+  const renderFinished = () => (
+    <div className="text-center space-y-6 py-12">
+      <div className="text-6xl" aria-hidden="true">🥋</div>
+      <h2 className="text-3xl font-bold text-foreground">Drill Complete</h2>
+      <p className="text-foreground/70">
+        {steps.length} movements × {sets} {sets === 1 ? 'set' : 'sets'}
+      </p>
+      <div className="flex justify-center gap-4">
+        {renderControl('Run Again', runner.start, true)}
+        {renderControl('Change Drill', onExit)}
+      </div>
+    </div>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div
+      ref={containerRef}
+      className="bg-background border border-border rounded-2xl shadow-lg p-8 space-y-8 animate-fade-in overflow-y-auto"
+      role="region"
+      aria-label="Drill runner"
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between text-sm text-foreground/60">
+        <span>
+          Movement {stepIndex + 1} of {steps.length} • Set {currentSet} of {sets}
+        </span>
+        <button
+          onClick={handleFullscreenToggle}
+          className="text-primary hover:text-primary/80 font-medium focus:outline-none focus:underline"
+        >
+          ⛶ Fullscreen
+        </button>
+      </div>
+
+      {status === 'finished' || !currentStep ? renderFinished() : (
+        <>
+          {renderActiveStep()}
+          {renderBeatIndicator()}
+
+          {/* Transport Controls */}
+          <div className="flex flex-wrap justify-center gap-3">
+            {status === 'running'
+              ? renderControl('Pause', runner.pause, true)
+              : renderControl('Resume', runner.resume, true, status !== 'paused')}
+            {renderControl('Skip', runner.skip)}
+            {renderControl('Repeat Set', runner.repeatSet)}
+            {renderControl('Stop', onExit)}
+          </div>
+
+          {renderUpcoming()}
+        </>
+      )}
+    </div>
+  )
+}
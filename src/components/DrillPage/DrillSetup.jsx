@@ -0,0 +1,208 @@
+import { cn } from '../../lib/utils'
+import { TECHNIQUE_CATEGORIES, getTechniqueCategory } from '../../lib/techniques'
+import PatternData from '../../data/patterns/Patterns.json'
+import { ComboBuilder } from './ComboBuilder'
+
+/**
+ * DrillSetup Component
+ *
+ * Configuration panel for the drill runner. Lets the user choose a pattern,
+ * a technique category or a combination as the drill source and set the
+ * tempo, number of sets and call-out options before starting.
+ *
+ * Features:
+ * - Pattern or technique source selection
+ * - Belt level filtering for technique drills
+ * - Combination builder for drilling a chain of techniques
+ * - Tempo and set count controls
+ * - Voice, Korean count and Korean command call-out toggles
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.config - Current drill configuration
+ * @param {Function} props.onConfigChange - Called with a partial config to merge
+ * @param {string|null} props.comboId - Combination the drill will run
+ * @param {number} props.stepCount - Number of steps in the configured drill
+ * @param {Function} props.onStart - Starts the drill
+ * @returns {JSX.Element} Drill configuration panel
+ */
+export const DrillSetup = ({ config, onConfigChange, comboId, stepCount, onStart }) => {
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Patterns that have movement data to drill
+   * @type {Array}
+   */
+  const drillablePatterns = PatternData.patterns.filter(pattern => pattern.movements?.length > 0)
+
+  /**
+   * Belt levels available in the selected technique category
+   * @type {Array<string>}
+   */
+  const categoryBelts = getTechniqueCategory(config.categoryId)?.data.beltLevels
+    .map(level => level.belt) || []
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Toggles a belt level in the technique filter
+   * @param {string} belt - Belt name to toggle
+   */
+  const handleBeltToggle = (belt) => {
+    onConfigChange({
+      belts: config.belts.includes(belt)
+        ? config.belts.filter(b => b !== belt)
+        : [...config.belts, belt]
+    })
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders a pill-style toggle button
+   * @param {string} key - React key
+   * @param {string} label - Button label
+   * @param {boolean} isActive - Whether the option is selected
+   * @param {Function} onClick - Click handler
+   * @returns {JSX.Element} Toggle button
+   */
+  const renderPill = (key, label, isActive, onClick) => (
+    <button
+      key={key}
+      onClick={onClick}
+      className={cn(
+        "px-4 py-2 rounded-lg text-sm font-medium border-2 transition-all duration-200",
+        "focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2",
+        isActive
+          ? "bg-primary text-white border-primary shadow-md"
+          : "bg-background border-border text-foreground/80 hover:border-primary/50 hover:bg-primary/10"
+      )}
+      aria-pressed={isActive}
+    >
+      {label}
+    </button>
+  )
+
+  /**
+   * Renders the source picker (pattern list or technique category)
+   * @returns {JSX.Element} Source picker
+   */
+  const renderSourcePicker = () => (
+    <section aria-labelledby="drill-source-heading" className="space-y-4">
+      <h2 id="drill-source-heading" className="text-xl font-bold text-foreground">
+        Drill Source
+      </h2>
+      <div className="flex gap-3">
+        {renderPill('pattern', '🌀 Pattern', config.source === 'pattern', () => onConfigChange({ source: 'pattern' }))}
+        {renderPill('techniques', '🥋 Techniques', config.source === 'techniques', () => onConfigChange({ source: 'techniques' }))}
+        {renderPill('combo', '🔗 Combination', config.source === 'combo', () => onConfigChange({ source: 'combo' }))}
+      </div>
+
+      {config.source === 'combo' && (
+        <ComboBuilder selectedId={comboId} onSelect={(id) => onConfigChange({ comboId: id })} />
+      )}
+
+      {config.source === 'pattern' && (
+        <div className="flex flex-wrap gap-2">
+          {drillablePatterns.map(pattern =>
+            renderPill(pattern.id, pattern.name, config.patternId === pattern.id, () => onConfigChange({ patternId: pattern.id }))
+          )}
+        </div>
+      )}
+
+      {config.source === 'techniques' && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {TECHNIQUE_CATEGORIES.map(category =>
+              renderPill(category.id, category.name, config.categoryId === category.id, () => onConfigChange({ categoryId: category.id, belts: [] }))
+            )}
+          </div>
+          <div>
+            <p className="text-sm text-foreground/60 mb-2">
+              Belt levels {config.belts.length === 0 && '(all included)'}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {categoryBelts.map(belt =>
+                renderPill(belt, belt, config.belts.includes(belt), () => handleBeltToggle(belt))
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  )
+
+  /**
+   * Renders tempo, set count and call-out options
+   * @returns {JSX.Element} Timing options
+   */
+  const renderTimingOptions = () => (
+    <section aria-labelledby="drill-timing-heading" className="space-y-4">
+      <h2 id="drill-timing-heading" className="text-xl font-bold text-foreground">
+        Tempo & Sets
+      </h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <label className="block">
+          <span className="text-sm text-foreground/70">
+            Tempo: <strong className="text-primary">{config.tempo}s</strong> per movement
+          </span>
+          <input
+            type="range"
+            min={1}
+            max={10}
+            step={0.5}
+            value={config.tempo}
+            onChange={(e) => onConfigChange({ tempo: Number(e.target.value) })}
+            className="w-full mt-2 accent-primary"
+            aria-label="Seconds per movement"
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm text-foreground/70">
+            Sets: <strong className="text-primary">{config.sets}</strong>
+          </span>
+          <input
+            type="range"
+            min={1}
+            max={10}
+            value={config.sets}
+            onChange={(e) => onConfigChange({ sets: Number(e.target.value) })}
+            className="w-full mt-2 accent-primary"
+            aria-label="Number of sets"
+          />
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-3">
+        {renderPill('voice', '🗣️ Voice call-outs', config.voice, () => onConfigChange({ voice: !config.voice }))}
+        {renderPill('korean-count', '🔢 Korean count', config.koreanCount, () => onConfigChange({ koreanCount: !config.koreanCount }))}
+        {renderPill('korean-commands', '🇰🇷 Korean commands', config.koreanCommands, () => onConfigChange({ koreanCommands: !config.koreanCommands }))}
+      </div>
+      {config.koreanCommands && (
+        <p className="text-sm text-foreground/60">
+          Korean commands call each technique by its recorded Korean name, where there is one, and finish with "Baro".
+        </p>
+      )}
+    </section>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div className="bg-background border border-border rounded-2xl shadow-lg p-8 space-y-8 animate-fade-in">
+      {renderSourcePicker()}
+      {renderTimingOptions()}
+
+      <div className="flex items-center justify-between border-t border-border pt-6">
+        <p className="text-foreground/70 text-sm">
+          {stepCount} movements × {config.sets} {config.sets === 1 ? 'set' : 'sets'}
+        </p>
+        <button
+          onClick={onStart}
+          disabled={stepCount === 0}
+          className="bg-primary hover:bg-primary-hover text-white px-8 py-3 rounded-lg font-semibold transition-colors disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+        >
+          Start Drill
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -17,6 +17,7 @@ import { TimelineItem } from './TimelineItem'
  * 
  * @param {Object} props - Component properties
  * @param {Array<TimelineEvent>} props.events - Array of timeline event objects
+ * @param {string} [props.initialEventId] - Event to show expanded on first render
  * 
  * @returns {JSX.Element} Interactive timeline component
  * 
@@ -47,11 +48,11 @@ import { TimelineItem } from './TimelineItem'
  * @property {string} [detailed.currentState] - Current status description
  */
 
-export const Timeline = ({ events }) => {
+export const Timeline = ({ events, initialEventId }) => {
   // ===== STATE MANAGEMENT =====
   
   /** @type {[string|null, Function]} Currently active/expanded event ID */
-  const [activeEvent, setActiveEvent] = useState(null)
+  const [activeEvent, setActiveEvent] = useState(initialEventId || null)
 
   // ===== EVENT HANDLERS =====
 
@@ -255,7 +256,8 @@ export const Timeline = ({ events }) => {
   const renderTimelineEvent = (event, index) => (
     <div 
       key={event.id}
-      className="relative w-full animate-slide-in"
+      id={`history-${event.id}`}
+      className="relative w-full animate-slide-in scroll-mt-24"
       style={{ animationDelay: `${index * 100}ms` }}
     >
       <TimelineItem 
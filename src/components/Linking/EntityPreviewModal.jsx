@@ -0,0 +1,255 @@
+import { useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { useEntityPreview } from '../../hooks/useEntityPreview'
+import {
+  getTechniqueForTerm,
+  getTermForTechnique,
+  getPatternsUsingTerm
+} from '../../lib/entityLinks'
+import { AudioPlayer } from '../Terminology/AudioPlayer'
+import { PronunciationPractice } from '../Terminology/PronunciationPractice'
+import { LinkedText } from './LinkedText'
+
+/**
+ * EntityPreviewModal Component
+ *
+ * Shared modal that shows whichever term or technique was last opened
+ * through an entity link. Rendered once in App so pattern movements,
+ * technique steps and terminology rows can all open it.
+ *
+ * Features:
+ * - Term view with pronunciation audio, meaning and belt
+ * - "Say it" recording practice against the term's audio
+ * - Technique view with description, linked steps and the term's audio
+ * - Cross links between a term and its technique
+ * - Patterns and movement numbers that use a term, linked to the pattern page
+ * - Back button for previews opened from another preview
+ * - Escape key and backdrop click to close
+ *
+ * @returns {JSX.Element|null} Preview modal, or null when nothing is open
+ */
+export const EntityPreviewModal = () => {
+  // ===== STATE MANAGEMENT =====
+
+  const stack = useEntityPreview(state => state.stack)
+  const openEntity = useEntityPreview(state => state.openEntity)
+  const goBack = useEntityPreview(state => state.goBack)
+  const closeEntity = useEntityPreview(state => state.closeEntity)
+
+  // ===== COMPUTED VALUES =====
+
+  /** @type {import('../../lib/entityLinks').Entity|undefined} Entity on top of the stack */
+  const entity = stack[stack.length - 1]
+  const isOpen = Boolean(entity)
+
+  /** @type {import('../../lib/entityLinks').TermEntity|null} Term shown with audio */
+  const termEntity = entity?.type === 'term' ? entity : entity ? getTermForTechnique(entity.id) : null
+
+  /** @type {import('../../lib/entityLinks').TechniqueEntity|null} Technique cross-link for a term */
+  const relatedTechnique = entity?.type === 'term' ? getTechniqueForTerm(entity.id) : null
+
+  // ===== EFFECTS =====
+
+  /**
+   * Closes the preview with the Escape key while it is open
+   */
+  useEffect(() => {
+    /**
+     * Handles Escape key press to close the preview
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        event.stopPropagation()
+        closeEntity()
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscapeKey, true)
+    }
+
+    return () => document.removeEventListener('keydown', handleEscapeKey, true)
+  }, [isOpen, closeEntity])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Handles backdrop click to close the preview
+   * @param {React.MouseEvent} event - Mouse event
+   */
+  const handleBackdropClick = useCallback((event) => {
+    if (event.target === event.currentTarget) {
+      closeEntity()
+    }
+  }, [closeEntity])
+
+  // ===== EARLY RETURNS =====
+
+  if (!isOpen) return null
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the header with entity names, back and close buttons
+   * @returns {JSX.Element} Modal header
+   */
+  const renderHeader = () => {
+    const title = entity.type === 'term' ? entity.term.koreanName : entity.technique.korean
+    const subtitle = entity.type === 'term' ? entity.term.englishName : entity.technique.english
+
+    return (
+      <div className="border-b border-border p-6 flex items-start justify-between gap-4">
+        <div className="flex items-start gap-3">
+          {stack.length > 1 && (
+            <button
+              onClick={goBack}
+              className="text-foreground/60 hover:text-foreground p-2 rounded-lg hover:bg-primary/10 focus:outline-none focus:ring-2 focus:ring-primary"
+              aria-label="Back to previous item"
+            >
+              ←
+            </button>
+          )}
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-wide text-foreground/50">
+              {entity.type === 'term' ? `Terminology · ${entity.term.category}` : `Technique · ${entity.categoryName}`}
+            </p>
+            <h3 className="text-2xl font-bold text-primary font-korean" id="entity-preview-title">
+              {title}
+            </h3>
+            <p className="text-foreground/80 font-semibold mt-1">{subtitle}</p>
+          </div>
+        </div>
+        <button
+          onClick={closeEntity}
+          className="text-foreground/60 hover:text-foreground transition-colors p-2 rounded-lg hover:bg-primary/10 focus:outline-none focus:ring-2 focus:ring-primary"
+          aria-label="Close preview"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+    )
+  }
+
+  /**
+   * Renders the term's pronunciation and meaning
+   * @returns {JSX.Element|null} Pronunciation block
+   */
+  const renderPronunciation = () => termEntity && (
+    <div className="bg-primary/5 border border-primary/10 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-baseline gap-x-3 gap-y-1">
+        <span className="font-semibold text-foreground">{termEntity.term.romanized}</span>
+        <span className="text-primary font-korean">{termEntity.term.koreanName}</span>
+        <span className="text-xs text-foreground/50">Learnt at {termEntity.term.beltLearnt}</span>
+      </div>
+      <AudioPlayer audioSrc={termEntity.term.sound} term={termEntity.term.englishName} />
+      {termEntity.term.sound && (
+        <PronunciationPractice
+          key={termEntity.id}
+          audioSrc={termEntity.term.sound}
+          term={termEntity.term.englishName}
+        />
+      )}
+      <p className="text-foreground/70 text-sm">{termEntity.term.meaning}</p>
+      {entity.type === 'technique' && (
+        <button
+          onClick={() => openEntity(termEntity)}
+          className="text-sm font-medium text-primary hover:underline"
+        >
+          Open term: {termEntity.term.englishName} →
+        </button>
+      )}
+    </div>
+  )
+
+  /**
+   * Renders the technique description and linked steps
+   * @returns {JSX.Element} Technique details
+   */
+  const renderTechnique = () => (
+    <div className="space-y-4">
+      <p className="text-xs text-foreground/50">{entity.belt}</p>
+      <p className="text-foreground/70 leading-relaxed">{entity.technique.description}</p>
+      <ol className="text-foreground/70 space-y-2 text-sm" aria-label="Execution steps">
+        {entity.technique.steps.map((step, index) => (
+          <li key={index} className="flex items-start">
+            <span
+              className="bg-primary text-white text-xs rounded-full w-5 h-5 flex items-center justify-center mr-3 mt-0.5 flex-shrink-0"
+              aria-hidden="true"
+            >
+              {index + 1}
+            </span>
+            <span><LinkedText text={step} /></span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+
+  /**
+   * Renders the term's related technique and pattern usage
+   * @returns {JSX.Element} Term cross-links
+   */
+  const renderTermLinks = () => {
+    const patterns = getPatternsUsingTerm(entity.id)
+
+    return (
+      <div className="space-y-4">
+        {relatedTechnique && (
+          <button
+            onClick={() => openEntity(relatedTechnique)}
+            className="w-full text-left p-4 rounded-lg border border-border hover:border-primary hover:bg-primary/5 transition-colors"
+          >
+            <span className="block text-xs font-semibold uppercase tracking-wide text-foreground/50">
+              Related technique
+            </span>
+            <span className="font-semibold text-foreground">{relatedTechnique.technique.english}</span>
+            <span className="text-foreground/60"> · {relatedTechnique.technique.korean}</span>
+          </button>
+        )}
+        {patterns.length > 0 && (
+          <div>
+            <h4 className="font-semibold text-foreground mb-2">Used in patterns</h4>
+            <ul className="text-sm text-foreground/70 space-y-1">
+              {patterns.map(usage => (
+                <li key={usage.patternId}>
+                  <Link
+                    to={`/patterns/${usage.patternId}`}
+                    onClick={closeEntity}
+                    className="font-medium text-foreground hover:text-primary underline decoration-dotted underline-offset-2"
+                  >
+                    {usage.patternName}
+                  </Link>
+                  {' '}— movement{usage.counts.length > 1 ? 's' : ''} {usage.counts.join(', ')}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+      onClick={handleBackdropClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="entity-preview-title"
+    >
+      <div className="bg-background border border-border rounded-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+        {renderHeader()}
+
+        <div className="p-6 space-y-6">
+          {renderPronunciation()}
+          {entity.type === 'technique' ? renderTechnique() : renderTermLinks()}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,71 @@
+import { useMemo } from 'react'
+import { linkText } from '../../lib/entityLinks'
+import { useEntityPreview } from '../../hooks/useEntityPreview'
+import { cn } from '../../lib/utils'
+
+/**
+ * LinkedText Component
+ *
+ * Renders free text with every known stance, block, kick or term name
+ * turned into a button that opens the shared entity preview.
+ *
+ * Features:
+ * - Longest-name matching via the entity-linking layer
+ * - Opens the technique when one matches, otherwise the dictionary term
+ * - Clicks do not bubble, so links work inside clickable rows
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.text - Text to render
+ * @param {string} [props.className] - Additional CSS classes for the link buttons
+ * @returns {JSX.Element} Text with inline entity links
+ *
+ * @example
+ * <LinkedText text="Turn left to B, left walking stance, left low block" />
+ */
+export const LinkedText = ({ text, className }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const openEntity = useEntityPreview(state => state.openEntity)
+
+  // ===== COMPUTED VALUES =====
+
+  /** @type {Array<import('../../lib/entityLinks').TextSegment>} Plain and linked segments */
+  const segments = useMemo(() => linkText(text), [text])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Opens the preview for a linked segment
+   * @param {React.MouseEvent} event - Click event
+   * @param {import('../../lib/entityLinks').LinkTarget} link - Link target
+   */
+  const handleLinkClick = (event, link) => {
+    event.stopPropagation()
+    openEntity(link.technique || link.term)
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.link ? (
+          <button
+            key={index}
+            type="button"
+            onClick={(event) => handleLinkClick(event, segment.link)}
+            className={cn(
+              'inline font-medium text-primary underline decoration-primary/40 underline-offset-2',
+              'hover:decoration-primary focus:outline-none focus:ring-2 focus:ring-primary rounded-sm',
+              className
+            )}
+          >
+            {segment.text}
+          </button>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </>
+  )
+}
@@ -1,6 +1,9 @@
 import { cn } from "../lib/utils"
 import { useEffect, useState, useRef } from "react"
 import { ThemeToggle } from "./ThemeToggle"
+import { GlobalSearch } from "./Search/GlobalSearch"
+import { ProfileMenu } from "./Profiles/ProfileMenu"
+import { ProfileManager } from "./Profiles/ProfileManager"
 import { Link, useLocation } from "react-router-dom"
 
 // ===== NAVIGATION CONFIGURATION =====
@@ -22,6 +25,9 @@ const MainNavItems = [
 const AdditionalNavItems = [
   { name: "Terminology", href: "/terminology" },
   { name: "Quiz", href: "/quiz" },
+  { name: "Drills", href: "/drill" },
+  { name: "Syllabus", href: "/syllabus" },
+  { name: "Class", href: "/class" },
 ]
 
 // ===== MAIN COMPONENT =====
@@ -37,6 +43,8 @@ const AdditionalNavItems = [
  * - Dynamic styling based on scroll position and route
  * - Dropdown navigation for additional pages
  * - Theme toggle integration
+ * - Site-wide search dialog (press "/" anywhere to open)
+ * - Active student profile with switching and profile management
  * - Accessibility-compliant navigation patterns
  * - Smooth transitions and professional animations
  * 
@@ -56,6 +64,12 @@ export const Navbar = () => {
   
   /** @type {[boolean, Function]} Dropdown menu open state */
   const [dropdownOpen, setDropdownOpen] = useState(false)
+
+  /** @type {[boolean, Function]} Global search dialog open state */
+  const [searchOpen, setSearchOpen] = useState(false)
+
+  /** @type {[boolean, Function]} Profile manager dialog open state */
+  const [profilesOpen, setProfilesOpen] = useState(false)
   
   // ===== HOOKS & REFERENCES =====
   
@@ -104,6 +118,30 @@ export const Navbar = () => {
     }
   }, [])
 
+  /**
+   * Opens global search with the "/" key unless the user is typing
+   */
+  useEffect(() => {
+    /**
+     * Opens the search dialog on "/"
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    const handleSearchShortcut = (event) => {
+      const target = event.target
+      const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+      if (event.key === '/' && !isTyping && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        event.preventDefault()
+        setSearchOpen(true)
+      }
+    }
+
+    document.addEventListener('keydown', handleSearchShortcut)
+
+    return () => {
+      document.removeEventListener('keydown', handleSearchShortcut)
+    }
+  }, [])
+
   // ===== EVENT HANDLERS =====
 
   /**
@@ -120,6 +158,14 @@ export const Navbar = () => {
     setMenuOpen(false)
   }
 
+  /**
+   * Opens the global search dialog and closes the mobile menu
+   */
+  const openSearch = () => {
+    setMenuOpen(false)
+    setSearchOpen(true)
+  }
+
   /**
    * Toggles dropdown menu open/close state
    */
@@ -168,6 +214,32 @@ export const Navbar = () => {
     </Link>
   )
 
+  /**
+   * Renders the button that opens global search
+   * @param {boolean} showShortcut - Whether to show the "/" shortcut hint
+   * @returns {JSX.Element} Search button component
+   */
+  const renderSearchButton = (showShortcut = true) => (
+    <button
+      onClick={openSearch}
+      className={cn(
+        "flex items-center gap-2 px-3 py-2 rounded-md text-sm font-medium transition-all duration-200",
+        isOnHeroSection
+          ? "text-white hover:text-primary hover:bg-white/10"
+          : "text-foreground hover:text-primary hover:bg-primary/10"
+      )}
+      aria-label="Search the guide"
+      aria-keyshortcuts="/"
+    >
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+      </svg>
+      {showShortcut && (
+        <kbd className="hidden lg:inline text-xs border border-current rounded px-1.5 opacity-60">/</kbd>
+      )}
+    </button>
+  )
+
   /**
    * Renders desktop navigation with dropdown
    * @returns {JSX.Element} Desktop navigation component
@@ -181,6 +253,8 @@ export const Navbar = () => {
         {/* Dropdown Navigation */}
         {renderDropdownNavigation()}
       </div>
+      <ProfileMenu isOnHeroSection={isOnHeroSection} onManage={() => setProfilesOpen(true)} />
+      {renderSearchButton()}
       <ThemeToggle />
     </div>
   )
@@ -252,6 +326,8 @@ export const Navbar = () => {
    */
   const renderMobileMenuButton = () => (
     <div className="flex md:hidden items-center">
+      <ProfileMenu isOnHeroSection={isOnHeroSection} compact onManage={() => setProfilesOpen(true)} />
+      {renderSearchButton(false)}
       <button
         onClick={toggleMenu}
         className={cn(
@@ -310,6 +386,7 @@ export const Navbar = () => {
   // ===== MAIN COMPONENT RENDER =====
 
   return (
+    <>
     <nav
       className={cn(
         "fixed w-full z-50 top-0 left-0 transition-all duration-300", 
@@ -351,5 +428,10 @@ export const Navbar = () => {
       {/* Mobile Navigation Menu */}
       {renderMobileNavigation()}
     </nav>
+
+    {/* Global Search Dialog (outside the nav so its blur doesn't clip the overlay) */}
+    <GlobalSearch isOpen={searchOpen} onClose={() => setSearchOpen(false)} />
+    <ProfileManager isOpen={profilesOpen} onClose={() => setProfilesOpen(false)} />
+    </>
   )   
 }
\ No newline at end of file
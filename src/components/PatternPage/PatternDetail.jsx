@@ -1,4 +1,9 @@
+import { useState, useEffect } from 'react'
 import { cn } from '../../lib/utils'
+import { PatternDiagramPlayer } from './PatternDiagramPlayer'
+import { LinkedText } from '../Linking/LinkedText'
+import { useEntityPreview } from '../../hooks/useEntityPreview'
+import { getTermEntity } from '../../lib/entityLinks'
 
 /**
  * PatternDetail Component
@@ -9,6 +14,8 @@ import { cn } from '../../lib/utils'
  * Features:
  * - Detailed pattern information with belt color coding
  * - Step-by-step movement instructions with numbering
+ * - Animated floor plan diagram synced with the movement list
+ * - Stance and technique names linked to their terms and techniques
  * - Historical context and pattern meaning
  * - Responsive grid layout for optimal viewing
  * - Professional animations and transitions
@@ -48,13 +55,26 @@ import { cn } from '../../lib/utils'
 /**
  * Movement Type Definition
  * 
- * @typedef {Object} Movement
- * @property {string} stance - Stance used in movement
- * @property {string} description - Movement description
- * @property {Array<string>} [steps] - Detailed step breakdown
+ * Full schema with structured fields lives in lib/patternValidator.js.
+ * 
+ * @typedef {import('../../lib/patternValidator').Movement} Movement
  */
 
 export const PatternDetail = ({ pattern, onBack }) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[number, Function]} Movement highlighted in the diagram and movement list */
+  const [activeMovement, setActiveMovement] = useState(0)
+
+  const openEntity = useEntityPreview(state => state.openEntity)
+
+  /**
+   * Returns to the first movement when a different pattern is shown
+   */
+  useEffect(() => {
+    setActiveMovement(0)
+  }, [pattern?.id])
+
   // ===== BELT COLOR CONFIGURATION =====
 
   /**
@@ -223,12 +243,22 @@ export const PatternDetail = ({ pattern, onBack }) => {
       <div className="animate-fade-in" style={{ animationDelay: '200ms' }}>
         <h3 className="font-semibold text-foreground mb-3 text-lg">Diagram</h3>
         <div className="bg-primary/5 border border-primary/10 rounded-lg p-6 text-center hover:bg-primary/10 transition-colors duration-200">
-          <div 
-            className="text-4xl font-mono mb-2 animate-bounce-slow" 
-            aria-label="Pattern shape"
-          >
-            {patternData.patternShape || "+"}
-          </div>
+          {patternData.movements && patternData.movements.length > 0 ? (
+            <div className="mb-4">
+              <PatternDiagramPlayer
+                pattern={patternData}
+                activeIndex={activeMovement}
+                onActiveIndexChange={setActiveMovement}
+              />
+            </div>
+          ) : (
+            <div 
+              className="text-4xl font-mono mb-2 animate-bounce-slow" 
+              aria-label="Pattern shape"
+            >
+              {patternData.patternShape || "+"}
+            </div>
+          )}
           <p className="text-sm text-foreground/60">
             {patternData.patternDescription || "Traditional pattern shape representing the foundation of techniques"}
           </p>
@@ -259,34 +289,63 @@ export const PatternDetail = ({ pattern, onBack }) => {
       </h3>
       
       {patternData.movements && patternData.movements.length > 0 ? (
-        <div className="space-y-3">
+        <ol className="space-y-3">
           {patternData.movements.map((movement, index) => (
-            <div 
+            <li 
               key={index}
-              className="
-                flex items-start p-4 bg-primary/5 border border-primary/10 rounded-lg
-                hover:bg-primary/10 hover:border-primary/20 transition-all duration-200
-                animate-slide-up group cursor-default
-              "
+              onClick={() => setActiveMovement(index)}
+              className={cn(
+                "flex items-start p-4 border rounded-lg transition-all duration-200",
+                "animate-slide-up group cursor-pointer",
+                index === activeMovement
+                  ? "bg-primary/15 border-primary shadow-md"
+                  : "bg-primary/5 border-primary/10 hover:bg-primary/10 hover:border-primary/20"
+              )}
               style={{ animationDelay: `${index * 50}ms` }}
+              aria-current={index === activeMovement ? 'step' : undefined}
             >
-              <div 
+              {/* The number badge is the keyboard and screen reader control; the row's chips and links stay reachable */}
+              <button
+                type="button"
+                onClick={(event) => {
+                  event.stopPropagation()
+                  setActiveMovement(index)
+                }}
                 className="
                   bg-primary text-white rounded-full w-8 h-8 flex items-center justify-center 
                   mr-4 flex-shrink-0 font-semibold transition-all duration-200
                   group-hover:scale-110 group-hover:shadow-md
+                  focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2
                 "
-                aria-label={`Movement ${index + 1}`}
+                aria-label={`Show movement ${index + 1} in the diagram`}
               >
                 {index + 1}
-              </div>
+              </button>
               <div className="flex-1">
                 <h4 className="font-semibold text-foreground">
-                  {movement.stance || "Ready Stance"}
+                  <LinkedText text={movement.stance || "Ready Stance"} />
                 </h4>
                 <p className="text-foreground/70 text-sm mt-1 leading-relaxed">
-                  {movement.description}
+                  <LinkedText text={movement.description} />
                 </p>
+                {movement.terms && movement.terms.length > 0 && (
+                  <div className="flex flex-wrap gap-1.5 mt-2" aria-label="Korean terms in this movement">
+                    {movement.terms.map(termId => getTermEntity(termId)).filter(Boolean).map(termEntity => (
+                      <button
+                        key={termEntity.id}
+                        type="button"
+                        onClick={(event) => {
+                          event.stopPropagation()
+                          openEntity(termEntity)
+                        }}
+                        className="px-2 py-0.5 rounded-full text-xs font-medium bg-background border border-primary/20 text-primary hover:bg-primary/10 transition-colors"
+                        title={termEntity.term.englishName}
+                      >
+                        {termEntity.term.romanized}
+                      </button>
+                    ))}
+                  </div>
+                )}
                 {movement.steps && movement.steps.length > 0 && (
                   <ul 
                     className="text-foreground/60 text-xs mt-2 space-y-1"
@@ -295,15 +354,15 @@ export const PatternDetail = ({ pattern, onBack }) => {
                     {movement.steps.map((step, stepIndex) => (
                       <li key={stepIndex} className="flex animate-fade-in">
                         <span className="mr-2 text-primary" aria-hidden="true">•</span>
-                        <span>{step}</span>
+                        <span><LinkedText text={step} /></span>
                       </li>
                     ))}
                   </ul>
                 )}
               </div>
-            </div>
+            </li>
           ))}
-        </div>
+        </ol>
       ) : (
         <div 
           className="text-center py-8 text-foreground/50 animate-fade-in"
@@ -0,0 +1,242 @@
+import { useState, useEffect, useMemo } from 'react'
+import { cn } from '../../lib/utils'
+import { buildDiagramSteps, getPatternShape, DIRECTION_ANGLES } from '../../lib/patternDiagram'
+
+/** @type {number} Milliseconds each movement is shown while playing */
+const STEP_DURATION_MS = 1200
+
+/** @type {number} SVG units per diagram unit */
+const SCALE = 80
+
+/** @type {number} SVG coordinate of the diagram centre */
+const CENTER = 100
+
+/**
+ * Converts a diagram coordinate to SVG space
+ * @param {number} value - Diagram coordinate (-1 to 1)
+ * @returns {number} SVG coordinate
+ */
+const toSvg = (value) => CENTER + value * SCALE
+
+/**
+ * PatternDiagramPlayer Component
+ *
+ * Top-down floor plan of a pattern. Draws the pattern line from its shape,
+ * places a marker for every movement and animates the performer through
+ * the movements. The active movement is shared with the parent so the
+ * movement list can highlight the same step.
+ *
+ * Features:
+ * - Pattern line drawn from the shape character (+, 工, 士, 山 and more)
+ * - Direction labels D, C, A and B around the floor plan
+ * - Trail of visited positions with a facing arrow on the active movement
+ * - Play/pause, previous/next and a scrubber to jump to any movement
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.pattern - Pattern with a movements array
+ * @param {number} props.activeIndex - Index of the highlighted movement
+ * @param {Function} props.onActiveIndexChange - Called with a new movement index
+ * @returns {JSX.Element} Animated pattern diagram
+ */
+export const PatternDiagramPlayer = ({ pattern, activeIndex, onActiveIndexChange }) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[boolean, Function]} Whether the diagram is auto-advancing */
+  const [isPlaying, setIsPlaying] = useState(false)
+
+  // ===== COMPUTED VALUES =====
+
+  /** @type {Array} Marker positions for every movement */
+  const steps = useMemo(() => buildDiagramSteps(pattern), [pattern])
+
+  /** @type {Object} Floor lines for the pattern shape */
+  const shape = getPatternShape(pattern)
+
+  /** @type {Object|undefined} Step for the active movement */
+  const activeStep = steps[activeIndex]
+
+  /** @type {number} Index of the last movement */
+  const lastIndex = steps.length - 1
+
+  // ===== EFFECTS =====
+
+  /**
+   * Advances one movement per beat while playing and stops at the end
+   */
+  useEffect(() => {
+    if (!isPlaying) return
+
+    if (activeIndex >= lastIndex) {
+      setIsPlaying(false)
+      return
+    }
+
+    const timer = setTimeout(() => onActiveIndexChange(activeIndex + 1), STEP_DURATION_MS)
+    return () => clearTimeout(timer)
+  }, [isPlaying, activeIndex, lastIndex, onActiveIndexChange])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Toggles playback, restarting from the first movement when finished
+   */
+  const handlePlayToggle = () => {
+    if (!isPlaying && activeIndex >= lastIndex) {
+      onActiveIndexChange(0)
+    }
+    setIsPlaying(!isPlaying)
+  }
+
+  /**
+   * Jumps to a movement and pauses playback
+   * @param {number} index - Movement index
+   */
+  const handleSeek = (index) => {
+    setIsPlaying(false)
+    onActiveIndexChange(Math.max(0, Math.min(lastIndex, index)))
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the floor lines and direction labels
+   * @returns {JSX.Element} Floor plan group
+   */
+  const renderFloorPlan = () => (
+    <g>
+      {shape.segments.map(([x1, y1, x2, y2], index) => (
+        <line
+          key={index}
+          x1={toSvg(x1)}
+          y1={toSvg(y1)}
+          x2={toSvg(x2)}
+          y2={toSvg(y2)}
+          className="stroke-primary/30"
+          strokeWidth={4}
+          strokeLinecap="round"
+        />
+      ))}
+      <text x={CENTER} y={8} textAnchor="middle" className="fill-foreground/60 text-[10px] font-bold">D</text>
+      <text x={CENTER} y={198} textAnchor="middle" className="fill-foreground/60 text-[10px] font-bold">C</text>
+      <text x={195} y={CENTER + 4} textAnchor="middle" className="fill-foreground/60 text-[10px] font-bold">A</text>
+      <text x={5} y={CENTER + 4} textAnchor="middle" className="fill-foreground/60 text-[10px] font-bold">B</text>
+    </g>
+  )
+
+  /**
+   * Renders the trail and markers for movements up to the active one
+   * @returns {JSX.Element} Movement markers group
+   */
+  const renderMarkers = () => (
+    <g>
+      <polyline
+        points={steps.slice(0, activeIndex + 1).map(step => `${toSvg(step.x)},${toSvg(step.y)}`).join(' ')}
+        fill="none"
+        className="stroke-primary/60"
+        strokeWidth={1.5}
+        strokeDasharray="3 3"
+      />
+      {steps.map(step => (
+        <circle
+          key={step.index}
+          cx={toSvg(step.x)}
+          cy={toSvg(step.y)}
+          r={3}
+          className={cn(
+            "cursor-pointer transition-opacity duration-300",
+            step.index <= activeIndex ? "fill-primary opacity-70" : "fill-foreground opacity-20"
+          )}
+          onClick={() => handleSeek(step.index)}
+        >
+          <title>Movement {step.index + 1}</title>
+        </circle>
+      ))}
+    </g>
+  )
+
+  /**
+   * Renders the performer marker with a facing arrow
+   * @returns {JSX.Element|null} Performer group
+   */
+  const renderPerformer = () => {
+    if (!activeStep) return null
+
+    return (
+      <g
+        style={{
+          transform: `translate(${toSvg(activeStep.x)}px, ${toSvg(activeStep.y)}px)`,
+          transition: 'transform 500ms ease-in-out'
+        }}
+      >
+        <g
+          style={{
+            transform: `rotate(${DIRECTION_ANGLES[activeStep.facing]}deg)`,
+            transition: 'transform 500ms ease-in-out'
+          }}
+        >
+          <path d="M 10 0 L 18 0 M 14 -4 L 18 0 L 14 4" className="stroke-primary" strokeWidth={2} fill="none" />
+        </g>
+        <circle r={9} className="fill-primary" />
+        <text y={3.5} textAnchor="middle" className="fill-white text-[9px] font-bold">
+          {activeIndex + 1}
+        </text>
+      </g>
+    )
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div className="space-y-4">
+      <svg
+        viewBox="0 0 200 200"
+        className="w-full max-w-xs mx-auto block"
+        role="img"
+        aria-label={`${pattern.name} floor plan, movement ${activeIndex + 1} of ${steps.length}, facing ${activeStep?.facing}`}
+      >
+        {renderFloorPlan()}
+        {renderMarkers()}
+        {renderPerformer()}
+      </svg>
+
+      {/* Playback Controls */}
+      <div className="flex items-center gap-3">
+        <button
+          onClick={() => handleSeek(activeIndex - 1)}
+          disabled={activeIndex <= 0}
+          className="px-3 py-2 rounded-lg border border-border hover:bg-primary/10 disabled:opacity-40 focus:outline-none focus:ring-2 focus:ring-primary"
+          aria-label="Previous movement"
+        >
+          ⏮
+        </button>
+        <button
+          onClick={handlePlayToggle}
+          className="px-4 py-2 rounded-lg bg-primary text-white font-semibold hover:bg-primary-hover focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+          aria-label={isPlaying ? 'Pause diagram' : 'Play diagram'}
+        >
+          {isPlaying ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <button
+          onClick={() => handleSeek(activeIndex + 1)}
+          disabled={activeIndex >= lastIndex}
+          className="px-3 py-2 rounded-lg border border-border hover:bg-primary/10 disabled:opacity-40 focus:outline-none focus:ring-2 focus:ring-primary"
+          aria-label="Next movement"
+        >
+          ⏭
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={lastIndex}
+          value={activeIndex}
+          onChange={(e) => handleSeek(Number(e.target.value))}
+          className="flex-1 accent-primary"
+          aria-label="Scrub through movements"
+        />
+        <span className="text-sm text-foreground/70 tabular-nums w-12 text-right">
+          {activeIndex + 1}/{steps.length}
+        </span>
+      </div>
+    </div>
+  )
+}
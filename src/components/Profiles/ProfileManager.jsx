@@ -0,0 +1,439 @@
+import { useEffect, useState } from 'react'
+import { useProfiles, selectActiveProfile } from '../../hooks/useProfiles'
+import {
+  MAX_PROFILE_NAME_LENGTH,
+  PIN_PATTERN,
+  getProfileInitials,
+  verifyPin
+} from '../../lib/profiles'
+import { cn } from '../../lib/utils'
+
+/** @type {string} Shared input styling */
+const INPUT_CLASS = 'w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary'
+
+/**
+ * Keeps only digits, up to the longest allowed PIN
+ * @param {string} value - Raw input value
+ * @returns {string} Digits only
+ */
+const cleanPinInput = (value) => value.replace(/\D/g, '').slice(0, 6)
+
+/**
+ * ProfileManager Component
+ *
+ * Modal for managing the student profiles on this device. Each profile has
+ * its own progress, achievements, belt and theme.
+ *
+ * Features:
+ * - Create a profile with an optional 4–6 digit PIN
+ * - Rename the active profile
+ * - Set, change or remove the active profile's PIN (current PIN required)
+ * - Delete other profiles, with their PIN when they have one
+ * - Closes on backdrop click and Escape
+ *
+ * @param {Object} props - Component properties
+ * @param {boolean} props.isOpen - Whether the modal is shown
+ * @param {Function} props.onClose - Closes the modal
+ * @returns {JSX.Element|null} Profile manager modal
+ */
+export const ProfileManager = ({ isOpen, onClose }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const profiles = useProfiles(state => state.profiles)
+  const activeProfile = useProfiles(selectActiveProfile)
+  const createProfile = useProfiles(state => state.createProfile)
+  const renameProfile = useProfiles(state => state.renameProfile)
+  const setProfilePin = useProfiles(state => state.setProfilePin)
+  const deleteProfile = useProfiles(state => state.deleteProfile)
+
+  /** @type {[string, Function]} Name of the profile being created */
+  const [newName, setNewName] = useState('')
+
+  /** @type {[string, Function]} Optional PIN of the profile being created */
+  const [newPin, setNewPin] = useState('')
+
+  /** @type {[string, Function]} Edited name of the active profile */
+  const [renameValue, setRenameValue] = useState('')
+
+  /** @type {[string, Function]} Current PIN, required to change a protected profile's PIN */
+  const [currentPin, setCurrentPin] = useState('')
+
+  /** @type {[string, Function]} Replacement PIN for the active profile */
+  const [changedPin, setChangedPin] = useState('')
+
+  /** @type {[string|null, Function]} Profile waiting for delete confirmation */
+  const [deleteId, setDeleteId] = useState(null)
+
+  /** @type {[string, Function]} PIN typed to confirm a delete */
+  const [deletePin, setDeletePin] = useState('')
+
+  /** @type {[{type: 'success'|'error', text: string}|null, Function]} Result of the last action */
+  const [message, setMessage] = useState(null)
+
+  // ===== EFFECTS =====
+
+  /**
+   * Resets the forms each time the modal opens or the active profile changes
+   */
+  useEffect(() => {
+    if (!isOpen) return
+    setRenameValue(activeProfile.name)
+    setCurrentPin('')
+    setChangedPin('')
+    setDeleteId(null)
+    setDeletePin('')
+  }, [isOpen, activeProfile.id, activeProfile.name])
+
+  /**
+   * Clears the message when the modal closes
+   */
+  useEffect(() => {
+    if (!isOpen) {
+      setMessage(null)
+      setNewName('')
+      setNewPin('')
+    }
+  }, [isOpen])
+
+  /**
+   * Closes the modal on Escape
+   */
+  useEffect(() => {
+    if (!isOpen) return
+
+    /**
+     * Handles Escape key presses
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') onClose()
+    }
+
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => document.removeEventListener('keydown', handleEscapeKey)
+  }, [isOpen, onClose])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Closes the modal when the backdrop itself is clicked
+   * @param {React.MouseEvent} event - Click event
+   */
+  const handleBackdropClick = (event) => {
+    if (event.target === event.currentTarget) onClose()
+  }
+
+  /**
+   * Creates a profile and switches to it
+   * @param {React.FormEvent} event - Form submit event
+   */
+  const handleCreate = async (event) => {
+    event.preventDefault()
+    if (newPin && !PIN_PATTERN.test(newPin)) {
+      setMessage({ type: 'error', text: 'A PIN must be 4 to 6 digits.' })
+      return
+    }
+
+    const profileId = await createProfile(newName, newPin || undefined)
+    if (!profileId) {
+      setMessage({ type: 'error', text: 'Enter a name for the new profile.' })
+      return
+    }
+
+    setNewName('')
+    setNewPin('')
+    setMessage({ type: 'success', text: 'Profile created and switched to.' })
+  }
+
+  /**
+   * Renames the active profile
+   * @param {React.FormEvent} event - Form submit event
+   */
+  const handleRename = (event) => {
+    event.preventDefault()
+    if (!renameValue.trim()) {
+      setMessage({ type: 'error', text: 'A profile needs a name.' })
+      return
+    }
+    renameProfile(activeProfile.id, renameValue)
+    setMessage({ type: 'success', text: 'Profile renamed.' })
+  }
+
+  /**
+   * Sets, changes or removes the active profile's PIN
+   * @param {string|null} pin - New PIN, or null to remove it
+   */
+  const handlePinChange = async (pin) => {
+    if (!(await verifyPin(activeProfile, currentPin))) {
+      setMessage({ type: 'error', text: 'The current PIN is wrong.' })
+      return
+    }
+    if (pin !== null && !PIN_PATTERN.test(pin)) {
+      setMessage({ type: 'error', text: 'A PIN must be 4 to 6 digits.' })
+      return
+    }
+
+    await setProfilePin(activeProfile.id, pin)
+    setCurrentPin('')
+    setChangedPin('')
+    setMessage({ type: 'success', text: pin ? 'PIN saved.' : 'PIN removed.' })
+  }
+
+  /**
+   * Deletes the profile awaiting confirmation, checking its PIN first
+   */
+  const handleDelete = async () => {
+    const profile = profiles.find(item => item.id === deleteId)
+    if (!(await verifyPin(profile, deletePin))) {
+      setMessage({ type: 'error', text: `Wrong PIN for ${profile.name}.` })
+      setDeletePin('')
+      return
+    }
+
+    deleteProfile(profile.id)
+    setDeleteId(null)
+    setDeletePin('')
+    setMessage({ type: 'success', text: `${profile.name} and their progress were deleted.` })
+  }
+
+  // ===== EARLY RETURNS =====
+
+  if (!isOpen) return null
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the settings of the active profile
+   * @returns {JSX.Element} Active profile section
+   */
+  const renderActiveProfile = () => (
+    <section className="space-y-4" aria-labelledby="active-profile-heading">
+      <h3 id="active-profile-heading" className="font-semibold text-foreground">
+        Current profile
+      </h3>
+
+      <form onSubmit={handleRename} className="flex gap-2">
+        <input
+          value={renameValue}
+          onChange={(event) => setRenameValue(event.target.value)}
+          maxLength={MAX_PROFILE_NAME_LENGTH}
+          className={INPUT_CLASS}
+          aria-label="Profile name"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+        >
+          Rename
+        </button>
+      </form>
+
+      <div className="space-y-2">
+        <p className="text-sm text-foreground/70">
+          {activeProfile.pinHash
+            ? 'This profile is protected by a PIN.'
+            : 'Add a PIN so classmates do not open this profile by accident.'}
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {activeProfile.pinHash && (
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="off"
+              value={currentPin}
+              onChange={(event) => setCurrentPin(cleanPinInput(event.target.value))}
+              placeholder="Current PIN"
+              className={cn(INPUT_CLASS, 'w-32')}
+              aria-label="Current PIN"
+            />
+          )}
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            value={changedPin}
+            onChange={(event) => setChangedPin(cleanPinInput(event.target.value))}
+            placeholder="New PIN"
+            className={cn(INPUT_CLASS, 'w-32')}
+            aria-label="New PIN"
+          />
+          <button
+            onClick={() => handlePinChange(changedPin)}
+            className="px-4 py-2 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+          >
+            {activeProfile.pinHash ? 'Change PIN' : 'Set PIN'}
+          </button>
+          {activeProfile.pinHash && (
+            <button
+              onClick={() => handlePinChange(null)}
+              className="px-4 py-2 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+            >
+              Remove PIN
+            </button>
+          )}
+        </div>
+      </div>
+    </section>
+  )
+
+  /**
+   * Renders one of the other profiles with its delete controls
+   * @param {import('../../lib/profiles').Profile} profile - Profile to show
+   * @returns {JSX.Element} Profile row
+   */
+  const renderProfileRow = (profile) => (
+    <li
+      key={profile.id}
+      className="flex flex-wrap items-center gap-3 border border-border rounded-lg px-4 py-2"
+    >
+      <span className="w-8 h-8 rounded-full bg-primary text-white text-xs font-bold flex items-center justify-center">
+        {getProfileInitials(profile.name)}
+      </span>
+      <span className="flex-1 text-sm font-medium text-foreground truncate">
+        {profile.name} {profile.pinHash && <span aria-label="PIN protected">🔒</span>}
+      </span>
+      {deleteId === profile.id ? (
+        <div className="flex flex-wrap items-center gap-2">
+          {profile.pinHash && (
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="off"
+              autoFocus
+              value={deletePin}
+              onChange={(event) => setDeletePin(cleanPinInput(event.target.value))}
+              placeholder="PIN"
+              className={cn(INPUT_CLASS, 'w-24 py-1.5')}
+              aria-label={`PIN for ${profile.name}`}
+            />
+          )}
+          <button
+            onClick={handleDelete}
+            className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-red-600 text-white hover:bg-red-700 transition-colors"
+          >
+            Delete
+          </button>
+          <button
+            onClick={() => setDeleteId(null)}
+            className="px-3 py-1.5 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => {
+            setDeleteId(profile.id)
+            setDeletePin('')
+          }}
+          className="px-3 py-1.5 rounded-lg text-sm text-red-600 hover:bg-red-600/10 transition-colors"
+        >
+          Delete
+        </button>
+      )}
+    </li>
+  )
+
+  /**
+   * Renders the new profile form
+   * @returns {JSX.Element} Create profile section
+   */
+  const renderCreateForm = () => (
+    <form onSubmit={handleCreate} className="space-y-2" aria-labelledby="new-profile-heading">
+      <h3 id="new-profile-heading" className="font-semibold text-foreground">
+        Add a profile
+      </h3>
+      <div className="flex flex-wrap gap-2">
+        <input
+          value={newName}
+          onChange={(event) => setNewName(event.target.value)}
+          maxLength={MAX_PROFILE_NAME_LENGTH}
+          placeholder="Name"
+          className={cn(INPUT_CLASS, 'flex-1 min-w-[10rem]')}
+          aria-label="New profile name"
+        />
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          value={newPin}
+          onChange={(event) => setNewPin(cleanPinInput(event.target.value))}
+          placeholder="PIN (optional)"
+          className={cn(INPUT_CLASS, 'w-36')}
+          aria-label="New profile PIN (optional)"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors"
+        >
+          Add profile
+        </button>
+      </div>
+    </form>
+  )
+
+  const otherProfiles = profiles.filter(profile => profile.id !== activeProfile.id)
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex items-start justify-center p-4 pt-24 bg-black/50 backdrop-blur-sm overflow-y-auto"
+      onClick={handleBackdropClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="profile-manager-heading"
+    >
+      <div className="bg-background border border-border rounded-2xl max-w-xl w-full shadow-2xl p-6 space-y-6">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 id="profile-manager-heading" className="text-2xl font-bold text-foreground">
+              Profiles
+            </h2>
+            <p className="text-sm text-foreground/70">
+              Each profile keeps its own progress, achievements, belt and theme on this device.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md text-foreground/70 hover:text-primary hover:bg-primary/10 transition-colors"
+            aria-label="Close profiles"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {message && (
+          <p
+            role="status"
+            className={cn(
+              'text-sm rounded-lg px-4 py-2',
+              message.type === 'error'
+                ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200'
+                : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200'
+            )}
+          >
+            {message.text}
+          </p>
+        )}
+
+        {renderActiveProfile()}
+
+        {otherProfiles.length > 0 && (
+          <section className="space-y-2" aria-labelledby="other-profiles-heading">
+            <h3 id="other-profiles-heading" className="font-semibold text-foreground">
+              Other profiles
+            </h3>
+            <ul className="space-y-2">
+              {otherProfiles.map(renderProfileRow)}
+            </ul>
+          </section>
+        )}
+
+        {renderCreateForm()}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,245 @@
+import { useEffect, useRef, useState } from 'react'
+import { useProfiles, selectActiveProfile } from '../../hooks/useProfiles'
+import { getProfileInitials, verifyPin } from '../../lib/profiles'
+import { cn } from '../../lib/utils'
+
+/**
+ * ProfileMenu Component
+ *
+ * Navbar badge showing who is using the device, with a dropdown to switch
+ * to another local profile. Profiles with a PIN ask for it before switching.
+ *
+ * Features:
+ * - Active profile initials (and name on wide screens)
+ * - Switch profile from the dropdown
+ * - PIN prompt for protected profiles
+ * - Link to the profile manager
+ * - Closes on outside click and Escape
+ *
+ * @param {Object} props - Component properties
+ * @param {boolean} props.isOnHeroSection - Whether the navbar is over the hero image
+ * @param {boolean} [props.compact=false] - Show only the initials badge
+ * @param {Function} props.onManage - Opens the profile manager
+ * @returns {JSX.Element} Profile menu
+ */
+export const ProfileMenu = ({ isOnHeroSection, compact = false, onManage }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const profiles = useProfiles(state => state.profiles)
+  const activeProfile = useProfiles(selectActiveProfile)
+  const switchProfile = useProfiles(state => state.switchProfile)
+
+  /** @type {[boolean, Function]} Dropdown open state */
+  const [isOpen, setIsOpen] = useState(false)
+
+  /** @type {[import('../../lib/profiles').Profile|null, Function]} Protected profile waiting for its PIN */
+  const [pinProfile, setPinProfile] = useState(null)
+
+  /** @type {[string, Function]} PIN being typed */
+  const [pin, setPin] = useState('')
+
+  /** @type {[boolean, Function]} Whether the last PIN was wrong */
+  const [pinError, setPinError] = useState(false)
+
+  // ===== REFERENCES =====
+
+  const menuRef = useRef(null)
+
+  // ===== EFFECTS =====
+
+  /**
+   * Closes the dropdown on outside click or Escape
+   */
+  useEffect(() => {
+    if (!isOpen) return
+
+    /**
+     * Closes the dropdown when clicking outside it
+     * @param {MouseEvent} event - Mouse event
+     */
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) closeMenu()
+    }
+
+    /**
+     * Closes the dropdown on Escape
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') closeMenu()
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+      document.removeEventListener('keydown', handleEscapeKey)
+    }
+  }, [isOpen])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Closes the dropdown and clears any PIN prompt
+   */
+  const closeMenu = () => {
+    setIsOpen(false)
+    setPinProfile(null)
+    setPin('')
+    setPinError(false)
+  }
+
+  /**
+   * Switches to a profile, asking for its PIN first when it has one
+   * @param {import('../../lib/profiles').Profile} profile - Profile chosen
+   */
+  const handleProfileClick = (profile) => {
+    if (profile.id === activeProfile.id) {
+      closeMenu()
+    } else if (profile.pinHash) {
+      setPinProfile(profile)
+      setPin('')
+      setPinError(false)
+    } else {
+      switchProfile(profile.id)
+      closeMenu()
+    }
+  }
+
+  /**
+   * Checks the typed PIN and switches on success
+   * @param {React.FormEvent} event - Form submit event
+   */
+  const handlePinSubmit = async (event) => {
+    event.preventDefault()
+    if (await verifyPin(pinProfile, pin)) {
+      switchProfile(pinProfile.id)
+      closeMenu()
+    } else {
+      setPinError(true)
+      setPin('')
+    }
+  }
+
+  /**
+   * Opens the profile manager
+   */
+  const handleManageClick = () => {
+    closeMenu()
+    onManage()
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the PIN prompt for a protected profile
+   * @returns {JSX.Element} PIN form
+   */
+  const renderPinPrompt = () => (
+    <form onSubmit={handlePinSubmit} className="px-4 py-3 space-y-2">
+      <label htmlFor="profile-pin" className="block text-sm font-medium text-foreground">
+        PIN for {pinProfile.name}
+      </label>
+      <input
+        id="profile-pin"
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        autoFocus
+        value={pin}
+        onChange={(event) => setPin(event.target.value.replace(/\D/g, '').slice(0, 6))}
+        className="w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground tracking-widest focus:outline-none focus:ring-2 focus:ring-primary"
+        aria-invalid={pinError}
+      />
+      {pinError && <p className="text-xs text-red-600">Wrong PIN, try again.</p>}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={() => setPinProfile(null)}
+          className="px-3 py-1.5 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+        >
+          Back
+        </button>
+        <button
+          type="submit"
+          className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors"
+        >
+          Switch
+        </button>
+      </div>
+    </form>
+  )
+
+  /**
+   * Renders the list of profiles to switch between
+   * @returns {JSX.Element} Profile list
+   */
+  const renderProfileList = () => (
+    <>
+      <p className="px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-foreground/50">
+        Switch profile
+      </p>
+      {profiles.map(profile => (
+        <button
+          key={profile.id}
+          onClick={() => handleProfileClick(profile)}
+          className={cn(
+            'w-full flex items-center gap-3 px-4 py-2 text-sm text-left transition-colors',
+            profile.id === activeProfile.id ? 'bg-primary/10 text-primary' : 'text-foreground hover:bg-primary/10'
+          )}
+          role="menuitemradio"
+          aria-checked={profile.id === activeProfile.id}
+        >
+          <span className="w-7 h-7 rounded-full bg-primary text-white text-xs font-bold flex items-center justify-center flex-shrink-0">
+            {getProfileInitials(profile.name)}
+          </span>
+          <span className="flex-1 truncate">{profile.name}</span>
+          {profile.pinHash && <span aria-label="PIN protected">🔒</span>}
+        </button>
+      ))}
+      <div className="border-t border-border mt-1 pt-1">
+        <button
+          onClick={handleManageClick}
+          className="w-full px-4 py-2 text-sm text-left text-foreground hover:bg-primary/10 transition-colors"
+          role="menuitem"
+        >
+          Manage profiles…
+        </button>
+      </div>
+    </>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => (isOpen ? closeMenu() : setIsOpen(true))}
+        className={cn(
+          'flex items-center gap-2 px-2 py-1.5 rounded-md text-sm font-medium transition-all duration-200',
+          isOnHeroSection
+            ? 'text-white hover:text-primary hover:bg-white/10'
+            : 'text-foreground hover:text-primary hover:bg-primary/10'
+        )}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+        aria-label={`Profile: ${activeProfile.name}. Switch or manage profiles`}
+      >
+        <span className="w-7 h-7 rounded-full bg-primary text-white text-xs font-bold flex items-center justify-center">
+          {getProfileInitials(activeProfile.name)}
+        </span>
+        {!compact && <span className="hidden lg:inline max-w-[8rem] truncate">{activeProfile.name}</span>}
+      </button>
+
+      {isOpen && (
+        <div
+          className="absolute right-0 mt-2 w-64 rounded-md shadow-lg bg-background border border-border py-1 z-[60]"
+          role="menu"
+          aria-label="Profiles"
+        >
+          {pinProfile ? renderPinPrompt() : renderProfileList()}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,248 @@
+import { useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { useGlobalProgress } from '../../hooks/useGlobalProgess'
+import {
+  getScoreTrend,
+  getAccuracyBy,
+  getWeakestTerms,
+  getPracticeHeatmap,
+  WEEKDAY_LABELS
+} from '../../lib/sessionLog'
+import { getTermEntity } from '../../lib/entityLinks'
+import { getGame } from '../../lib/gameRegistry'
+import categoriesData from '../../data/quiz/QuizCategories.json'
+
+/** @type {number} Most recent games shown on the score trend chart */
+const TREND_LENGTH = 30
+
+/** @type {Object<string, string>} Display names for categories */
+const CATEGORY_NAMES = Object.fromEntries(
+  categoriesData.quizCategories.map(category => [category.id, category.name])
+)
+
+/**
+ * Display name for an accuracy group (a category or a game type)
+ * @param {string} key - Category id or game type id
+ * @returns {string} Display name
+ */
+const getGroupName = (key) => CATEGORY_NAMES[key] || getGame(key)?.name || key
+
+/**
+ * AccuracyBars Component
+ *
+ * Horizontal bars of average accuracy per group.
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.title - Section heading
+ * @param {Array<import('../../lib/sessionLog').AccuracyGroup>} props.groups - Accuracy groups
+ * @returns {JSX.Element} Accuracy bar list
+ */
+const AccuracyBars = ({ title, groups }) => (
+  <div className="bg-background border border-border rounded-2xl p-4">
+    <h3 className="font-semibold text-foreground mb-4">{title}</h3>
+    <ul className="space-y-3">
+      {groups.map(group => (
+        <li key={group.key}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="text-foreground">{getGroupName(group.key)}</span>
+            <span className="text-foreground/60">{group.accuracy}% • {group.sessions} games</span>
+          </div>
+          <div
+            className="w-full bg-border rounded-full h-2.5 overflow-hidden"
+            role="progressbar"
+            aria-valuenow={group.accuracy}
+            aria-valuemin="0"
+            aria-valuemax="100"
+            aria-label={`${getGroupName(group.key)} accuracy: ${group.accuracy}%`}
+          >
+            <div className="bg-primary h-2.5 rounded-full" style={{ width: `${group.accuracy}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  </div>
+)
+
+/**
+ * ProgressAnalytics Component
+ *
+ * Analytics tab of the progress dashboard, drawn from the session log of
+ * completed games.
+ *
+ * Features:
+ * - Score trend line over the most recent games
+ * - Average accuracy per category and per game type
+ * - Weakest terms, linked to their terminology entry
+ * - Practice heatmap by weekday and hour of day
+ * - Empty state until the first game is logged
+ *
+ * @returns {JSX.Element} Analytics interface
+ */
+export const ProgressAnalytics = () => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {Array<import('../../lib/sessionLog').SessionRecord>} Completed games, oldest first */
+  const sessionLog = useGlobalProgress((state) => state.sessionLog)
+
+  // ===== COMPUTED VALUES =====
+
+  const trend = useMemo(() => getScoreTrend(sessionLog.slice(-TREND_LENGTH)), [sessionLog])
+  const categoryAccuracy = useMemo(() => getAccuracyBy(sessionLog, 'category'), [sessionLog])
+  const gameTypeAccuracy = useMemo(() => getAccuracyBy(sessionLog, 'gameType'), [sessionLog])
+  const weakestTerms = useMemo(() => getWeakestTerms(sessionLog), [sessionLog])
+  const heatmap = useMemo(() => getPracticeHeatmap(sessionLog), [sessionLog])
+
+  /** @type {number} Busiest heatmap cell, for shading */
+  const heatmapMax = Math.max(1, ...heatmap.flat())
+
+  // ===== EARLY RETURNS =====
+
+  if (sessionLog.length === 0) {
+    return (
+      <div className="text-center py-16 bg-background border border-border rounded-2xl">
+        <div className="text-4xl mb-4" aria-hidden="true">📈</div>
+        <h2 className="text-2xl font-bold text-foreground mb-2">No games logged yet</h2>
+        <p className="text-foreground/70">Finish a quiz and your trends will appear here.</p>
+      </div>
+    )
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the score trend as an SVG line chart
+   * @returns {JSX.Element} Score trend section
+   */
+  const renderScoreTrend = () => {
+    const width = 600
+    const height = 200
+    const step = trend.length > 1 ? width / (trend.length - 1) : 0
+    const points = trend.map((point, index) => [
+      trend.length > 1 ? index * step : width / 2,
+      height - (point.percent / 100) * height
+    ])
+
+    return (
+      <section className="bg-background border border-border rounded-2xl p-6" aria-labelledby="score-trend-heading">
+        <h2 id="score-trend-heading" className="text-2xl font-bold text-foreground mb-1">Score Trend</h2>
+        <p className="text-sm text-foreground/60 mb-4">Score as a percentage of available points, last {trend.length} games</p>
+        <svg
+          viewBox={`-8 -8 ${width + 16} ${height + 16}`}
+          className="w-full h-48"
+          role="img"
+          aria-label={`Score trend over the last ${trend.length} games, latest ${trend[trend.length - 1].percent}%`}
+        >
+          {[0, 50, 100].map(percent => (
+            <line
+              key={percent}
+              x1="0"
+              x2={width}
+              y1={height - (percent / 100) * height}
+              y2={height - (percent / 100) * height}
+              className="stroke-border"
+              strokeDasharray="4 4"
+            />
+          ))}
+          <polyline
+            points={points.map(point => point.join(',')).join(' ')}
+            fill="none"
+            className="stroke-primary"
+            strokeWidth="3"
+            strokeLinejoin="round"
+          />
+          {points.map(([x, y], index) => (
+            <circle key={trend[index].completedAt} cx={x} cy={y} r="4" className="fill-primary">
+              <title>{`${trend[index].title || 'Game'}: ${trend[index].percent}% (${new Date(trend[index].completedAt).toLocaleDateString()})`}</title>
+            </circle>
+          ))}
+        </svg>
+      </section>
+    )
+  }
+
+  /**
+   * Renders the weakest terms list
+   * @returns {JSX.Element} Weakest terms section
+   */
+  const renderWeakestTerms = () => (
+    <section className="bg-background border border-border rounded-2xl p-6" aria-labelledby="weakest-terms-heading">
+      <h2 id="weakest-terms-heading" className="text-2xl font-bold text-foreground mb-4">Weakest Terms</h2>
+      {weakestTerms.length === 0 ? (
+        <p className="text-foreground/70">No weak terms yet. Terms appear here once you have answered them at least twice and missed one.</p>
+      ) : (
+        <ul className="divide-y divide-border">
+          {weakestTerms.map(stats => {
+            const term = getTermEntity(stats.termId)?.term
+            return (
+              <li key={stats.termId} className="flex items-center justify-between gap-4 py-2">
+                <Link to={`/terminology/${stats.termId}`} className="hover:text-primary transition-colors">
+                  <span className="font-medium text-foreground">{term?.romanized || stats.termId}</span>
+                  {term && <span className="text-foreground/60"> · {term.englishName}</span>}
+                </Link>
+                <span className="text-sm text-foreground/60 whitespace-nowrap">
+                  {stats.correct}/{stats.attempts} correct ({stats.accuracy}%)
+                </span>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </section>
+  )
+
+  /**
+   * Renders the weekday by hour practice heatmap
+   * @returns {JSX.Element} Heatmap section
+   */
+  const renderHeatmap = () => (
+    <section className="bg-background border border-border rounded-2xl p-6" aria-labelledby="practice-heatmap-heading">
+      <h2 id="practice-heatmap-heading" className="text-2xl font-bold text-foreground mb-4">When You Practise</h2>
+      <div className="overflow-x-auto">
+        <table className="border-separate border-spacing-0.5 text-xs text-foreground/60">
+          <thead>
+            <tr>
+              <th scope="col" className="sr-only">Day</th>
+              {heatmap[0].map((_, hour) => (
+                <th key={hour} scope="col" className="font-normal w-5">
+                  {hour % 6 === 0 ? hour : ''}
+                  <span className="sr-only">{hour}:00</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {heatmap.map((hours, day) => (
+              <tr key={WEEKDAY_LABELS[day]}>
+                <th scope="row" className="font-normal text-left pr-2">{WEEKDAY_LABELS[day]}</th>
+                {hours.map((count, hour) => (
+                  <td
+                    key={hour}
+                    className="w-5 h-5 rounded-sm bg-primary"
+                    style={{ opacity: count === 0 ? 0.06 : 0.2 + (count / heatmapMax) * 0.8 }}
+                    title={`${WEEKDAY_LABELS[day]} ${hour}:00 — ${count} game${count === 1 ? '' : 's'}`}
+                  >
+                    <span className="sr-only">{count}</span>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div className="space-y-8">
+      {renderScoreTrend()}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <AccuracyBars title="Accuracy by Category" groups={categoryAccuracy} />
+        <AccuracyBars title="Accuracy by Game Type" groups={gameTypeAccuracy} />
+      </div>
+      {renderWeakestTerms()}
+      {renderHeatmap()}
+    </div>
+  )
+}
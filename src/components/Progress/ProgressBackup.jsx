@@ -0,0 +1,323 @@
+import { useState, useRef, useEffect } from 'react'
+import { useGlobalProgress } from '../../hooks/useGlobalProgess'
+import { useProfiles } from '../../hooks/useProfiles'
+import { useCombos } from '../../hooks/useCombos'
+import {
+  createBackup,
+  getBackupFileName,
+  validateBackup,
+  loadSnapshots
+} from '../../lib/progressBackup'
+import { cn } from '../../lib/utils'
+
+/** @type {string} Shown when no undo snapshot could be saved before a change */
+const SNAPSHOT_FAILED = 'No undo snapshot could be saved, possibly because browser storage is full.'
+
+/**
+ * Formats an ISO timestamp for display
+ * @param {string|null} isoDate - ISO timestamp
+ * @returns {string} Localised date and time, or "unknown date"
+ */
+const formatDate = (isoDate) => (isoDate ? new Date(isoDate).toLocaleString() : 'unknown date')
+
+/**
+ * ProgressBackup Component
+ *
+ * Backup and restore panel for the progress dashboard. Students moving to
+ * another device or browser export their progress to a file and import it
+ * on the other side; every import or reset first saves an automatic
+ * snapshot that can be restored from the same panel.
+ *
+ * Features:
+ * - Export progress and technique combinations to a versioned JSON file
+ * - Import with validation, a summary of the file and merge or replace
+ * - Reset progress with confirmation
+ * - Automatic snapshots before import, restore and reset, restorable here
+ *
+ * @returns {JSX.Element} Backup and restore section
+ */
+export const ProgressBackup = () => {
+  // ===== STATE MANAGEMENT =====
+
+  const importProgress = useGlobalProgress(state => state.importProgress)
+  const restoreSnapshot = useGlobalProgress(state => state.restoreSnapshot)
+  const resetProgress = useGlobalProgress(state => state.resetProgress)
+  const activeProfileId = useProfiles(state => state.activeProfileId)
+
+  /** @type {[import('../../lib/progressBackup').BackupValidation|null, Function]} File being imported */
+  const [pendingImport, setPendingImport] = useState(null)
+
+  /** @type {[Array<import('../../lib/progressBackup').ProgressSnapshot>, Function]} Saved snapshots */
+  const [snapshots, setSnapshots] = useState(() => loadSnapshots(activeProfileId))
+
+  /** @type {[boolean, Function]} Whether the reset confirmation is showing */
+  const [confirmReset, setConfirmReset] = useState(false)
+
+  /** @type {[{type: 'success'|'error', text: string}|null, Function]} Result of the last action */
+  const [message, setMessage] = useState(null)
+
+  // ===== REFERENCES =====
+
+  const fileInputRef = useRef(null)
+
+  // ===== EFFECTS =====
+
+  /**
+   * Shows the snapshots of whichever profile is active
+   */
+  useEffect(() => {
+    setSnapshots(loadSnapshots(activeProfileId))
+    setPendingImport(null)
+    setMessage(null)
+  }, [activeProfileId])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Downloads the current progress and combinations as a JSON file
+   */
+  const handleExport = () => {
+    const now = new Date()
+    const backup = createBackup(useGlobalProgress.getState(), useCombos.getState().combos, now)
+    const url = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }))
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = getBackupFileName(now)
+    link.click()
+    URL.revokeObjectURL(url)
+
+    setMessage({ type: 'success', text: 'Progress exported.' })
+  }
+
+  /**
+   * Reads and validates the chosen backup file
+   * @param {React.ChangeEvent<HTMLInputElement>} event - File input change
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    setMessage(null)
+    try {
+      const validation = validateBackup(JSON.parse(await file.text()))
+      if (validation.valid) {
+        setPendingImport(validation)
+      } else {
+        setMessage({ type: 'error', text: validation.errors.join(' ') })
+      }
+    } catch {
+      setMessage({ type: 'error', text: 'The file could not be read as JSON.' })
+    }
+  }
+
+  /**
+   * Applies the pending import
+   * @param {'merge'|'replace'} mode - Merge with or replace the current progress
+   */
+  const handleImport = (mode) => {
+    const imported = importProgress(pendingImport.progress, mode, pendingImport.combos)
+    setPendingImport(null)
+    setSnapshots(loadSnapshots(activeProfileId))
+    setMessage(imported
+      ? { type: 'success', text: mode === 'merge' ? 'Backup merged with your progress.' : 'Progress replaced with the backup.' }
+      : { type: 'error', text: `${SNAPSHOT_FAILED} Nothing was imported.` })
+  }
+
+  /**
+   * Restores an automatic snapshot
+   * @param {string} snapshotId - Snapshot to restore
+   */
+  const handleRestore = (snapshotId) => {
+    const restored = restoreSnapshot(snapshotId)
+    setSnapshots(loadSnapshots(activeProfileId))
+    setMessage(restored
+      ? { type: 'success', text: 'Snapshot restored.' }
+      : { type: 'error', text: 'This snapshot could not be restored. It may be damaged, or browser storage may be too full to save an undo snapshot first.' })
+  }
+
+  /**
+   * Resets progress after confirmation
+   */
+  const handleReset = () => {
+    const reset = resetProgress()
+    setConfirmReset(false)
+    setSnapshots(loadSnapshots(activeProfileId))
+    setMessage(reset
+      ? { type: 'success', text: 'Progress reset. A snapshot was saved below in case you change your mind.' }
+      : { type: 'error', text: `${SNAPSHOT_FAILED} Nothing was reset.` })
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the summary of a validated file with merge/replace choices
+   * @returns {JSX.Element} Import confirmation
+   */
+  const renderPendingImport = () => {
+    const { progress, combos, exportedAt, warnings } = pendingImport
+
+    return (
+      <div className="border-2 border-primary/30 bg-primary/5 rounded-2xl p-4 space-y-3">
+        <div>
+          <h3 className="font-semibold text-foreground">Import backup from {formatDate(exportedAt)}</h3>
+          <p className="text-sm text-foreground/70">
+            {progress.totalGamesPlayed} games • {progress.totalPoints} points • {progress.achievements.length} achievements • {Object.keys(progress.termReviews).length} reviewed terms{combos ? ` • ${combos.length} combinations` : ''}
+          </p>
+        </div>
+        {warnings.length > 0 && (
+          <ul className="text-sm text-yellow-700 dark:text-yellow-300 list-disc list-inside">
+            {warnings.map(warning => <li key={warning}>{warning}</li>)}
+          </ul>
+        )}
+        <p className="text-sm text-foreground/70">
+          Merge keeps the best of both (highest counts, all achievements and combinations). Replace discards the progress on this device.
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => handleImport('merge')}
+            className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors"
+          >
+            Merge with my progress
+          </button>
+          <button
+            onClick={() => handleImport('replace')}
+            className="px-4 py-2 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+          >
+            Replace my progress
+          </button>
+          <button
+            onClick={() => setPendingImport(null)}
+            className="px-4 py-2 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  /**
+   * Renders the reset button or its confirmation
+   * @returns {JSX.Element} Reset controls
+   */
+  const renderReset = () => (
+    confirmReset ? (
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-foreground">Reset all progress?</span>
+        <button
+          onClick={handleReset}
+          className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-600 text-white hover:bg-red-700 transition-colors"
+        >
+          Yes, reset
+        </button>
+        <button
+          onClick={() => setConfirmReset(false)}
+          className="px-4 py-2 rounded-lg text-sm text-foreground/70 hover:bg-primary/10 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    ) : (
+      <button
+        onClick={() => setConfirmReset(true)}
+        className="px-4 py-2 rounded-lg text-sm font-semibold border border-red-600 text-red-600 hover:bg-red-600/10 transition-colors"
+      >
+        Reset progress
+      </button>
+    )
+  )
+
+  /**
+   * Renders the list of automatic snapshots
+   * @returns {JSX.Element|null} Snapshot list, or null when there are none
+   */
+  const renderSnapshots = () => (
+    snapshots.length > 0 && (
+      <div>
+        <h3 className="font-semibold text-foreground mb-2">Automatic snapshots</h3>
+        <ul className="space-y-2">
+          {snapshots.map(snapshot => (
+            <li
+              key={snapshot.id}
+              className="flex flex-wrap items-center justify-between gap-2 border border-border rounded-lg px-4 py-2"
+            >
+              <div>
+                <p className="text-sm font-medium text-foreground">{snapshot.reason}</p>
+                <p className="text-xs text-foreground/60">
+                  {formatDate(snapshot.backup?.exportedAt)} • {snapshot.backup?.progress?.totalGamesPlayed ?? 0} games • {snapshot.backup?.progress?.achievements?.length ?? 0} achievements
+                </p>
+              </div>
+              <button
+                onClick={() => handleRestore(snapshot.id)}
+                className="px-3 py-1.5 rounded-lg text-sm text-primary hover:bg-primary/10 transition-colors"
+              >
+                Restore
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    )
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <section
+      className="bg-background border border-border rounded-2xl p-6 space-y-6"
+      aria-labelledby="progress-backup-heading"
+    >
+      <div>
+        <h2 id="progress-backup-heading" className="text-2xl font-bold text-foreground mb-2">
+          Backup &amp; Restore
+        </h2>
+        <p className="text-foreground/70">
+          Progress is saved in this browser only. Export it to move to another device or browser.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={handleExport}
+          className="px-4 py-2 rounded-lg text-sm font-semibold bg-primary text-white hover:bg-primary-hover transition-colors"
+        >
+          Export progress
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="px-4 py-2 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+        >
+          Import backup
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          className="hidden"
+          aria-label="Choose a progress backup file"
+        />
+      </div>
+
+      {message && (
+        <p
+          role="status"
+          className={cn(
+            'text-sm rounded-lg px-4 py-2',
+            message.type === 'error'
+              ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200'
+              : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200'
+          )}
+        >
+          {message.text}
+        </p>
+      )}
+
+      {pendingImport && renderPendingImport()}
+      {renderSnapshots()}
+      {renderReset()}
+    </section>
+  )
+}
@@ -1,5 +1,9 @@
+import { useState } from 'react'
 import { useGlobalProgress } from '../../hooks/useGlobalProgess'
 import achievementsData from '../../data/achievements/achievements.json'
+import { ProgressBackup } from './ProgressBackup'
+import { ProgressAnalytics } from './ProgressAnalytics'
+import { getGames } from '../../lib/gameRegistry'
 
 /**
  * StatCard Component
@@ -207,16 +211,23 @@ const DebugInfo = () => {
  * category progress, game type completion, and achievement tracking.
  * 
  * Features:
+ * - Overview and Analytics tabs
  * - Overall progress statistics
  * - Category-specific progress bars
  * - Game type completion counts
  * - Achievement gallery with unlock status
  * - Recent achievements showcase
+ * - Backup, restore and reset of progress
  * - Debug information (development only)
  * 
  * @returns {JSX.Element} Complete progress dashboard interface
  */
 export const ProgressDashboard = () => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {['overview'|'analytics', Function]} Visible dashboard tab */
+  const [activeTab, setActiveTab] = useState('overview')
+
   // ===== INDIVIDUAL SELECTORS =====
   // Using individual selectors prevents infinite re-render loops
   
@@ -305,15 +316,17 @@ export const ProgressDashboard = () => {
         Game Types
       </h2>
       <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
-        {Object.entries(gamesCompleted).map(([gameType, count]) => (
+        {getGames().map(game => (
           <div 
-            key={gameType} 
+            key={game.id} 
             className="bg-primary/10 rounded-2xl p-4 text-center"
             role="region"
-            aria-label={`${gameType} games: ${count} completed`}
+            aria-label={`${game.name} games: ${gamesCompleted[game.id] || 0} completed`}
           >
-            <div className="text-2xl font-bold text-primary mb-1">{count}</div>
-            <div className="text-sm text-foreground/70 capitalize">{gameType}</div>
+            <div className="text-2xl font-bold text-primary mb-1">{gamesCompleted[game.id] || 0}</div>
+            <div className="text-sm text-foreground/70">
+              <span aria-hidden="true">{game.icon}</span> {game.name}
+            </div>
           </div>
         ))}
       </div>
@@ -369,15 +382,60 @@ export const ProgressDashboard = () => {
     )
   )
 
+  /**
+   * Renders the Overview/Analytics tab switcher
+   * @returns {JSX.Element} Tab navigation
+   */
+  const renderTabs = () => (
+    <div className="flex justify-center">
+      <div
+        className="bg-background border border-border rounded-2xl p-1"
+        role="tablist"
+        aria-label="Progress views"
+      >
+        {[
+          { id: 'overview', label: 'Overview' },
+          { id: 'analytics', label: 'Analytics' }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-6 py-2 rounded-xl font-medium transition-all ${
+              activeTab === tab.id
+                ? 'bg-primary text-white shadow-md'
+                : 'text-foreground/70 hover:text-foreground'
+            }`}
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            aria-controls={`progress-${tab.id}-panel`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+
   // ===== MAIN COMPONENT RENDER =====
 
   return (
     <div className="space-y-8">
-      {renderMainStats()}
-      {renderCategoryProgress()}
-      {renderGameTypeProgress()}
-      {renderAchievementsGallery()}
-      {renderRecentAchievements()}
+      {renderTabs()}
+
+      {activeTab === 'analytics' ? (
+        <div id="progress-analytics-panel" role="tabpanel">
+          <ProgressAnalytics />
+        </div>
+      ) : (
+        <div id="progress-overview-panel" role="tabpanel" className="space-y-8">
+          {renderMainStats()}
+          {renderCategoryProgress()}
+          {renderGameTypeProgress()}
+          {renderAchievementsGallery()}
+          {renderRecentAchievements()}
+          <ProgressBackup />
+        </div>
+      )}
       
       {/* Debug Information - Commented out but kept for emergency use */}
       {/* <DebugInfo /> */}
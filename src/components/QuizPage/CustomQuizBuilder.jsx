@@ -0,0 +1,197 @@
+import { useState, useMemo } from 'react'
+import { BELT_LEVELS } from '../../lib/belts'
+import { generateQuiz, countAvailableItems, GENERATOR_GAME_TYPES } from '../../lib/quizGenerator'
+
+/** @type {number} Smallest custom quiz size */
+const MIN_SIZE = 4
+
+/** @type {number} Largest custom quiz size */
+const MAX_SIZE = 20
+
+/**
+ * CustomQuizBuilder Component
+ *
+ * Builds a fresh quiz from the guide's terminology, pattern and technique
+ * data. The student picks what to be tested on and the generator assembles
+ * a new set of questions every time, so quizzes never run out.
+ *
+ * Features:
+ * - Category, game type and difficulty selection
+ * - Optional "up to my belt" filter using the belt each item is learnt at
+ * - Adjustable quiz size with a live count of matching items
+ * - Starts the generated quiz through the normal quiz lifecycle
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.categories - Quiz categories from QuizCategories.json
+ * @param {Array} props.gameTypes - Registered games (lib/gameRegistry)
+ * @param {Array} props.difficulties - Difficulty levels from QuizCategories.json
+ * @param {Function} props.onQuizSelect - Callback with the generated quiz
+ * @returns {JSX.Element} Custom quiz builder
+ */
+export const CustomQuizBuilder = ({ categories, gameTypes, difficulties, onQuizSelect }) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[string, Function]} Content category to draw from */
+  const [category, setCategory] = useState('terminology')
+
+  /** @type {[string, Function]} Game type to generate */
+  const [gameType, setGameType] = useState('mcq')
+
+  /** @type {[string, Function]} Difficulty level id */
+  const [difficulty, setDifficulty] = useState('easy')
+
+  /** @type {[string, Function]} Highest belt to include, or '' for the difficulty's band */
+  const [belt, setBelt] = useState('')
+
+  /** @type {[number, Function]} Number of items in the quiz */
+  const [size, setSize] = useState(10)
+
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Categories the generator can build quizzes for
+   * @type {Array}
+   */
+  const generatorCategories = categories.filter(c => GENERATOR_GAME_TYPES[c.id])
+
+  /**
+   * Game types available for the selected category
+   * @type {Array}
+   */
+  const availableGameTypes = gameTypes.filter(g => GENERATOR_GAME_TYPES[category].includes(g.id))
+
+  /**
+   * Number of items matching the current configuration
+   * @type {number}
+   */
+  const availableCount = useMemo(
+    () => countAvailableItems({ category, gameType, difficulty, belt: belt || undefined }),
+    [category, gameType, difficulty, belt]
+  )
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Switches category, falling back to MCQ when the current game type is unsupported
+   * @param {string} categoryId - Category id
+   */
+  const handleCategoryChange = (categoryId) => {
+    setCategory(categoryId)
+    if (!GENERATOR_GAME_TYPES[categoryId].includes(gameType)) {
+      setGameType('mcq')
+    }
+  }
+
+  /**
+   * Generates the quiz and starts it
+   */
+  const handleGenerate = () => {
+    const quiz = generateQuiz({ category, gameType, difficulty, belt: belt || undefined, size })
+    if (quiz) onQuizSelect(quiz)
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders a row of pill buttons
+   * @param {string} label - Group label
+   * @param {Array} options - Options with id, name and optional icon
+   * @param {string} selectedId - Selected option id
+   * @param {Function} onSelect - Selection callback
+   * @returns {JSX.Element} Pill group
+   */
+  const renderPills = (label, options, selectedId, onSelect) => (
+    <div>
+      <div className="text-sm font-semibold text-foreground/70 mb-2">{label}</div>
+      <div className="flex flex-wrap gap-2" role="group" aria-label={label}>
+        {options.map(option => {
+          const isSelected = selectedId === option.id
+          return (
+            <button
+              key={option.id}
+              onClick={() => onSelect(option.id)}
+              className={`px-4 py-2 rounded-full border-2 text-sm font-medium transition-all focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 ${
+                isSelected
+                  ? 'bg-primary text-white border-primary shadow-md'
+                  : 'bg-background border-border hover:bg-primary/10 hover:border-primary/50'
+              }`}
+              aria-pressed={isSelected}
+            >
+              {option.icon && <span className="mr-1" aria-hidden="true">{option.icon}</span>}
+              {option.name}
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <section
+      className="bg-background border-2 border-border rounded-2xl p-6"
+      aria-labelledby="custom-quiz-heading"
+    >
+      <h2 id="custom-quiz-heading" className="text-2xl font-bold text-foreground mb-2">
+        🎲 Custom Quiz
+      </h2>
+      <p className="text-foreground/70 mb-6">
+        Generate a new quiz from the guide's terminology, patterns and techniques.
+      </p>
+
+      <div className="space-y-5">
+        {renderPills('Category', generatorCategories, category, handleCategoryChange)}
+        {renderPills('Game Type', availableGameTypes, gameType, setGameType)}
+        {renderPills('Difficulty', difficulties, difficulty, setDifficulty)}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+          <label className="block">
+            <span className="text-sm font-semibold text-foreground/70">Learnt up to belt</span>
+            <select
+              value={belt}
+              onChange={(e) => setBelt(e.target.value)}
+              className="mt-2 w-full px-4 py-2 rounded-xl border-2 border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              <option value="">Any belt in this difficulty</option>
+              {BELT_LEVELS.map(level => (
+                <option key={level.id} value={level.id}>
+                  {level.name} ({level.grade})
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block">
+            <span className="text-sm font-semibold text-foreground/70">
+              Quiz size: <span className="text-primary font-bold">{size}</span>
+            </span>
+            <input
+              type="range"
+              min={MIN_SIZE}
+              max={MAX_SIZE}
+              value={size}
+              onChange={(e) => setSize(Number(e.target.value))}
+              className="mt-4 w-full accent-primary"
+            />
+          </label>
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 pt-2">
+          <p className="text-sm text-foreground/60" role="status" aria-live="polite">
+            {availableCount === 0
+              ? 'No items match these settings.'
+              : `${Math.min(size, availableCount)} of ${availableCount} matching items will be used.`}
+          </p>
+          <button
+            onClick={handleGenerate}
+            disabled={availableCount === 0}
+            className="px-6 py-3 bg-primary text-white rounded-xl font-semibold hover:bg-primary-hover transition-colors disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+          >
+            Generate Quiz
+          </button>
+        </div>
+      </div>
+    </section>
+  )
+}
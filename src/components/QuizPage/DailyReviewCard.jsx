@@ -0,0 +1,106 @@
+import { useMemo } from 'react'
+import { useGlobalProgress } from '../../hooks/useGlobalProgess'
+import { getDueTerms, buildDailyReviewQuiz, DAILY_REVIEW_GAME_TYPES } from '../../lib/srs'
+
+/**
+ * DailyReviewCard Component
+ *
+ * Entry point for the spaced repetition Daily Review. Shows how many
+ * terminology items are due today and lets the student review them as
+ * flashcards, multiple choice or a translation challenge.
+ *
+ * Features:
+ * - Due and new term counts from the review schedule
+ * - One-click review in three game types
+ * - Next due date when nothing is left to review
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.gameTypes - Registered games (lib/gameRegistry)
+ * @param {Function} props.onQuizSelect - Callback with the generated review quiz
+ * @returns {JSX.Element} Daily review card
+ */
+export const DailyReviewCard = ({ gameTypes, onQuizSelect }) => {
+  // ===== PROGRESS HOOKS =====
+
+  /** @type {Object} Review records keyed by term id */
+  const termReviews = useGlobalProgress((state) => state.termReviews)
+
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Terms due for review right now
+   * @type {Array}
+   */
+  const dueTerms = useMemo(() => getDueTerms(termReviews), [termReviews])
+
+  /**
+   * Number of due terms that have never been reviewed
+   * @type {number}
+   */
+  const newCount = dueTerms.filter(term => !termReviews[term.id]).length
+
+  /**
+   * Earliest upcoming due date across all reviewed terms
+   * @type {number|null}
+   */
+  const nextDueDate = useMemo(() => {
+    const dates = Object.values(termReviews).map(record => record.dueDate)
+    return dates.length > 0 ? Math.min(...dates) : null
+  }, [termReviews])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Builds a review quiz for the chosen game type and starts it
+   * @param {string} gameType - Game type id
+   */
+  const handleReviewStart = (gameType) => {
+    onQuizSelect(buildDailyReviewQuiz(gameType, dueTerms))
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <section
+      className="bg-gradient-to-r from-primary/10 to-primary/5 border-2 border-primary/20 rounded-2xl p-6"
+      aria-labelledby="daily-review-heading"
+    >
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-6">
+        <div>
+          <h2 id="daily-review-heading" className="text-2xl font-bold text-foreground mb-2">
+            📅 Daily Review
+          </h2>
+          {dueTerms.length > 0 ? (
+            <p className="text-foreground/70">
+              <span className="font-bold text-primary">{dueTerms.length}</span> terms due today
+              {newCount > 0 && ` (${newCount} new)`}
+            </p>
+          ) : (
+            <p className="text-foreground/70">
+              All caught up!
+              {nextDueDate && ` Next review ${new Date(nextDueDate).toLocaleDateString()}.`}
+            </p>
+          )}
+        </div>
+
+        <div className="flex flex-wrap gap-3" role="group" aria-label="Review game type">
+          {DAILY_REVIEW_GAME_TYPES.map(gameTypeId => {
+            const gameType = gameTypes.find(g => g.id === gameTypeId)
+            return (
+              <button
+                key={gameTypeId}
+                onClick={() => handleReviewStart(gameTypeId)}
+                disabled={dueTerms.length === 0}
+                className="flex items-center gap-2 px-4 py-2 rounded-xl border-2 border-border bg-background font-medium hover:bg-primary/10 hover:border-primary/50 transition-all disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+                aria-label={`Review due terms with ${gameType?.name || gameTypeId}`}
+              >
+                <span aria-hidden="true">{gameType?.icon}</span>
+                {gameType?.name || gameTypeId}
+              </button>
+            )
+          })}
+        </div>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,58 @@
+import { cn } from '../../lib/utils'
+import { scoreMockGrading } from '../../lib/mockGrading'
+
+/**
+ * GradingReport Component
+ *
+ * Result report shown at the end of a mock grading. Scores the exam against
+ * its pass mark and breaks the result down by section so the student can
+ * see what to work on before the real grading.
+ *
+ * Features:
+ * - Pass / fail verdict with the overall percentage
+ * - Per-section correct count and progress bar
+ * - Highlights sections scoring below the pass mark
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.quiz - Mock grading quiz (has a mockGrading block)
+ * @param {Array} props.itemResults - Per-question results from the game
+ * @returns {JSX.Element} Grading report
+ */
+export const GradingReport = ({ quiz, itemResults }) => {
+  const { sections, percent, passed } = scoreMockGrading(quiz, itemResults)
+  const { passMark } = quiz.mockGrading
+
+  return (
+    <section className="max-w-2xl mx-auto text-left space-y-4" aria-label="Mock grading report">
+      <div
+        className={cn(
+          "rounded-xl p-4 text-center border-2",
+          passed ? "bg-green-100 border-green-400 text-green-800" : "bg-red-100 border-red-400 text-red-800"
+        )}
+        role="status"
+      >
+        <div className="text-2xl font-bold">{passed ? 'Pass' : 'Not yet'} — {percent}%</div>
+        <div className="text-sm">Pass mark {passMark}%</div>
+      </div>
+
+      <ul className="space-y-3">
+        {sections.map(section => (
+          <li key={section.id}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="font-medium text-foreground">{section.name}</span>
+              <span className={cn(section.percent < passMark ? "text-red-600" : "text-foreground/70")}>
+                {section.correct}/{section.total} ({section.percent}%)
+              </span>
+            </div>
+            <div className="w-full h-2 bg-border rounded-full overflow-hidden" aria-hidden="true">
+              <div
+                className={cn("h-full rounded-full", section.percent < passMark ? "bg-red-500" : "bg-primary")}
+                style={{ width: `${section.percent}%` }}
+              />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
@@ -0,0 +1,93 @@
+import { useState } from 'react'
+import { useGlobalProgress } from '../../hooks/useGlobalProgess'
+import { BELT_LEVELS, getBeltIndex } from '../../lib/belts'
+import { buildMockGrading, GRADING_TARGETS, GRADING_SECTIONS, GRADING_PASS_MARK } from '../../lib/mockGrading'
+
+/**
+ * MockGradingCard Component
+ *
+ * Entry point for the mock grading exam. The student chooses the grade
+ * they are testing for and gets a mixed exam covering patterns,
+ * terminology, techniques and history.
+ *
+ * Features:
+ * - Target grade defaults to the grade above the student's current belt
+ * - Section summary with question counts and pass mark
+ * - Fresh exam generated on every start
+ *
+ * @param {Object} props - Component properties
+ * @param {Function} props.onQuizSelect - Callback with the generated exam
+ * @returns {JSX.Element} Mock grading card
+ */
+export const MockGradingCard = ({ onQuizSelect }) => {
+  // ===== PROGRESS HOOKS =====
+
+  /** @type {string|null} Belt the student currently holds */
+  const currentBelt = useGlobalProgress((state) => state.currentBelt)
+
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[string, Function]} Belt id being graded for */
+  const [targetBelt, setTargetBelt] = useState(
+    () => BELT_LEVELS[getBeltIndex(currentBelt) + 1]?.id || GRADING_TARGETS[0].id
+  )
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Builds the exam for the selected grade and starts it
+   */
+  const handleStart = () => {
+    const quiz = buildMockGrading(targetBelt)
+    if (quiz) onQuizSelect(quiz)
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <section
+      className="bg-background border-2 border-border rounded-2xl p-6"
+      aria-labelledby="mock-grading-heading"
+    >
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-6">
+        <div>
+          <h2 id="mock-grading-heading" className="text-2xl font-bold text-foreground mb-2">
+            🥋 Mock Grading
+          </h2>
+          <p className="text-foreground/70 mb-3">
+            A mixed exam for your next belt. Score {GRADING_PASS_MARK}% or more to pass.
+          </p>
+          <ul className="flex flex-wrap gap-2 text-sm text-foreground/60">
+            {GRADING_SECTIONS.map(section => (
+              <li key={section.id} className="px-3 py-1 rounded-full bg-primary/10">
+                {section.name} ({section.questionCount})
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <label className="sr-only" htmlFor="mock-grading-target">Grade to test for</label>
+          <select
+            id="mock-grading-target"
+            value={targetBelt}
+            onChange={(e) => setTargetBelt(e.target.value)}
+            className="px-4 py-2 rounded-xl border-2 border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            {GRADING_TARGETS.map(belt => (
+              <option key={belt.id} value={belt.id}>
+                {belt.grade} ({belt.name})
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleStart}
+            className="px-6 py-2 bg-primary text-white rounded-xl font-semibold hover:bg-primary-hover transition-colors focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+          >
+            Start Exam
+          </button>
+        </div>
+      </div>
+    </section>
+  )
+}
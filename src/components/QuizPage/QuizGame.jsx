@@ -1,12 +1,8 @@
 import { useState, useEffect, useRef } from 'react'
-import { MCQGame } from './games/MCQGame'
-import { FlashcardGame } from './games/FlashCardGame'
-import { MatchingGame } from './games/MatchingGame'
-import { TranslationGame } from './games/TranslationGame'
-import { WordSearchGame } from './games/WordSearchGame'
 import { useScrollTo } from '../../hooks/useScrollTo'
 import { useGlobalProgress } from '../../hooks/useGlobalProgess'
-import { CrosswordGame } from './games/CrosswordGame'
+import { getGame, validateQuizData, validateGameResults } from '../../lib/gameRegistry'
+import { GradingReport } from './GradingReport'
 
 /**
  * QuizGame Component
@@ -18,22 +14,25 @@ import { CrosswordGame } from './games/CrosswordGame'
  * - Game state management (ready, playing, finished)
  * - Achievement tracking and celebration
  * - Progress recording to global state
- * - Responsive game routing based on quiz type
+ * - Game lookup through the game registry (ids and aliases)
+ * - Quiz data checked against the game's schema before play
  * - Auto-scroll behavior for better UX
  * - Comprehensive results display
+ * - Per-section pass/fail report for mock gradings
  * 
  * @param {Object} props - Component properties
  * @param {Object} props.quiz - Quiz configuration object containing:
  *   @param {string} quiz.id - Unique identifier for the quiz
  *   @param {string} quiz.title - Display title of the quiz
  *   @param {string} quiz.description - Brief description of the quiz
- *   @param {string} quiz.gameType - Type of game ('mcq', 'flashcards', 'matching', 'translation', 'wordsearch')
+ *   @param {string} quiz.gameType - Registered game id or alias (see games/registerGames.js)
  *   @param {string} quiz.category - Category of the quiz
  *   @param {number} quiz.points - Total points available
  *   @param {number} quiz.timeLimit - Time limit in seconds
  *   @param {number} [quiz.questionCount] - Number of questions (for MCQ/Translation)
  *   @param {Array} [quiz.cards] - Array of cards (for Flashcard games)
  *   @param {Array} [quiz.pairs] - Array of pairs (for Matching games)
+ *   @param {Object} [quiz.mockGrading] - Pass mark and sections (for mock grading exams)
  * @param {Function} props.onBack - Callback function to return to quiz selection
  * @returns {JSX.Element} Complete game interface with state management
  */
@@ -49,6 +48,14 @@ export const QuizGame = ({ quiz, onBack }) => {
   /** @type {[Array, Function]} Array of newly unlocked achievement IDs */
   const [newAchievements, setNewAchievements] = useState([])
 
+  // ===== COMPUTED VALUES =====
+
+  /** @type {import('../../lib/gameRegistry').GameDefinition|null} Game that plays this quiz */
+  const game = getGame(quiz.gameType)
+
+  /** @type {Array<string>} Problems that stop the quiz from being played */
+  const quizErrors = validateQuizData(quiz)
+
   // ===== HOOKS & REFERENCES =====
   
   /** Custom hook for smooth scrolling to top of page */
@@ -57,6 +64,9 @@ export const QuizGame = ({ quiz, onBack }) => {
   /** Zustand hook for recording game progress and achievements */
   const recordGameCompletion = useGlobalProgress((state) => state.recordGameCompletion)
 
+  /** Zustand hook for updating the per-term spaced repetition schedule */
+  const recordTermReviews = useGlobalProgress((state) => state.recordTermReviews)
+
   // ===== EFFECTS =====
 
   /**
@@ -76,11 +86,20 @@ export const QuizGame = ({ quiz, onBack }) => {
    * @param {Object} results - Game results object from the completed game
    */
   const handleGameComplete = async (results) => {
+    // Flag games that report less than their result schema promises
+    const resultErrors = validateGameResults(game.id, results)
+    if (resultErrors.length > 0) {
+      console.warn(`Game "${game.id}" reported incomplete results:`, resultErrors)
+    }
+
     // Prepare progress data with quiz metadata
     const progressData = {
       ...results,
-      gameType: quiz.gameType,
+      gameType: game.id,
       category: quiz.category,
+      quizId: quiz.id,
+      quizTitle: quiz.title,
+      difficulty: quiz.difficulty,
       score: results.score || 0,
       timeUsed: results.timeUsed || 0
     }
@@ -89,6 +108,9 @@ export const QuizGame = ({ quiz, onBack }) => {
       // Record game completion and check for new achievements
       const { newAchievements: earnedAchievements } = await recordGameCompletion(progressData)
 
+      // Feed per-item answers into the review schedule
+      recordTermReviews(results.itemResults)
+
       // Display new achievements if any were unlocked
       if (earnedAchievements.length > 0) {
         setNewAchievements(earnedAchievements)
@@ -129,32 +151,26 @@ export const QuizGame = ({ quiz, onBack }) => {
   // ===== GAME RENDERING =====
 
   /**
-   * Renders the appropriate game component based on quiz type
+   * Renders the registered game for the quiz, or why it cannot be played
    * @returns {JSX.Element} The game component for the current quiz type
    */
   const renderGame = () => {
-    switch (quiz.gameType) {
-      case 'mcq':
-        return <MCQGame quiz={quiz} onComplete={handleGameComplete} />
-      case 'flashcards':
-        return <FlashcardGame quiz={quiz} onComplete={handleGameComplete} />
-      case 'matching':
-        return <MatchingGame quiz={quiz} onComplete={handleGameComplete} />
-      case 'translation':
-        return <TranslationGame quiz={quiz} onComplete={handleGameComplete} />
-      case 'wordsearch':
-        return <WordSearchGame quiz={quiz} onComplete={handleGameComplete} />
-      case 'crossword':
-        return <CrosswordGame quiz={quiz} onComplete={handleGameComplete} />
-      default:
-        return (
-          <div className="text-center">
-            <div className="text-4xl mb-4">🚧</div>
-            <h2 className="text-2xl font-bold text-foreground mb-4">Game Coming Soon</h2>
-            <p className="text-foreground/70">This game type is under development!</p>
-          </div>
-        )
+    if (quizErrors.length > 0) {
+      return (
+        <div className="text-center" role="alert">
+          <div className="text-4xl mb-4">🚧</div>
+          <h2 className="text-2xl font-bold text-foreground mb-4">
+            {game ? 'This Quiz Cannot Be Played' : 'Game Coming Soon'}
+          </h2>
+          <p className="text-foreground/70">
+            {game ? quizErrors.join(' ') : 'This game type is under development!'}
+          </p>
+        </div>
+      )
     }
+
+    const GameComponent = game.component
+    return <GameComponent quiz={quiz} onComplete={handleGameComplete} />
   }
 
   /**
@@ -285,7 +301,9 @@ export const QuizGame = ({ quiz, onBack }) => {
             {newAchievements.length > 0 && renderAchievementCelebration()}
             
             <div className="text-6xl mb-4" aria-hidden="true">🏆</div>
-            <h2 className="text-3xl font-bold text-foreground">Game Complete!</h2>
+            <h2 className="text-3xl font-bold text-foreground">
+              {quiz.mockGrading ? 'Grading Complete!' : 'Game Complete!'}
+            </h2>
             
             {/* Results Grid */}
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4 max-w-2xl mx-auto">
@@ -318,6 +336,11 @@ export const QuizGame = ({ quiz, onBack }) => {
               )}
             </div>
 
+            {/* Mock Grading Breakdown */}
+            {quiz.mockGrading && (
+              <GradingReport quiz={quiz} itemResults={gameResults.itemResults} />
+            )}
+
             {/* Action Buttons */}
             <div className="flex justify-center gap-4">
               <button
@@ -3,8 +3,12 @@ import { QuizCategoryCard } from './QuizCategoryCard'
 import { DifficultySelector } from './DifficultySelector'
 import { GameTypeSelector } from './GameTypeSelector'
 import { QuizCard } from './QuizCard'
+import { DailyReviewCard } from './DailyReviewCard'
+import { CustomQuizBuilder } from './CustomQuizBuilder'
+import { MockGradingCard } from './MockGradingCard'
 import { ProgressDashboard } from '../Progress/ProgressDashboard'
 import { useGlobalProgress } from '../../hooks/useGlobalProgess'
+import { getGames, getGame, resolveGameTypeId } from '../../lib/gameRegistry'
 
 // Import all quiz data from JSON files
 import categoriesData from '../../data/quiz/QuizCategories.json'
@@ -14,6 +18,7 @@ import translationData from '../../data/quiz/TranslationData.json'
 import crosswordData from '../../data/quiz/CrosswordData.json'
 import flashcardData from '../../data/quiz/FlashCardData.json'
 import matchingData from '../../data/quiz/MatchingData.json'
+import listeningData from '../../data/quiz/ListeningData.json'
 
 /**
  * QuizHub Component
@@ -23,6 +28,9 @@ import matchingData from '../../data/quiz/MatchingData.json'
  * 
  * Features:
  * - Tab-based navigation between quizzes and progress dashboard
+ * - Spaced repetition Daily Review of due terminology
+ * - Custom quizzes generated from the terminology, pattern and technique data
+ * - Mock grading exams for a target belt
  * - Multi-filter quiz selection (category, game type, difficulty)
  * - Real-time progress statistics display
  * - Responsive grid layouts for all screen sizes
@@ -70,7 +78,8 @@ export const QuizHub = ({ onQuizSelect }) => {
     ...translationData.quizzes,
     ...crosswordData.quizzes,
     ...flashcardData.quizzes,
-    ...matchingData.quizzes
+    ...matchingData.quizzes,
+    ...listeningData.quizzes
   ], [])
 
   /**
@@ -81,7 +90,7 @@ export const QuizHub = ({ onQuizSelect }) => {
     allQuizzes.filter(quiz => {
       const matchesCategory = !selectedCategory || quiz.category === selectedCategory
       const matchesDifficulty = !selectedDifficulty || quiz.difficulty === selectedDifficulty
-      const matchesGameType = !selectedGameType || quiz.gameType === selectedGameType
+      const matchesGameType = !selectedGameType || resolveGameTypeId(quiz.gameType) === selectedGameType
       return matchesCategory && matchesDifficulty && matchesGameType
     }),
     [allQuizzes, selectedCategory, selectedDifficulty, selectedGameType]
@@ -213,7 +222,7 @@ export const QuizHub = ({ onQuizSelect }) => {
         Select Game Type
       </h2>
       <GameTypeSelector
-        gameTypes={categoriesData.gameTypes}
+        gameTypes={getGames()}
         selectedGameType={selectedGameType}
         onGameTypeSelect={setSelectedGameType}
       />
@@ -268,7 +277,7 @@ export const QuizHub = ({ onQuizSelect }) => {
             <QuizCard
               key={quiz.id}
               quiz={quiz}
-              gameType={categoriesData.gameTypes.find(g => g.id === quiz.gameType)}
+              gameType={getGame(quiz.gameType)}
               onSelect={onQuizSelect}
             />
           ))}
@@ -339,6 +348,23 @@ export const QuizHub = ({ onQuizSelect }) => {
       {/* Content based on active tab */}
       {activeTab === 'quizzes' ? (
         <div role="tabpanel" id="quizzes-panel" aria-labelledby="quizzes-tab">
+          <div className="mb-12">
+            <DailyReviewCard
+              gameTypes={getGames()}
+              onQuizSelect={onQuizSelect}
+            />
+          </div>
+          <div className="mb-12">
+            <CustomQuizBuilder
+              categories={categoriesData.quizCategories}
+              gameTypes={getGames()}
+              difficulties={categoriesData.difficultyLevels}
+              onQuizSelect={onQuizSelect}
+            />
+          </div>
+          <div className="mb-12">
+            <MockGradingCard onQuizSelect={onQuizSelect} />
+          </div>
           {renderCategorySelection()}
           {renderGameTypeSelection()}
           {renderDifficultySelection()}
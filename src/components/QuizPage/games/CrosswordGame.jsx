@@ -61,12 +61,19 @@ export const CrosswordGame = ({ quiz, onComplete }) => {
       shuffled: false,
       totalPossiblePoints: quiz.points,
       averageTimePerWord: timePerWord,
-      solvedWordsList: solvedWordsRef.current
+      solvedWordsList: solvedWordsRef.current,
+
+      // Per-item results for the spaced repetition schedule, for the words placed in the grid
+      itemResults: clues.map(clue => ({
+        id: clue.id,
+        romanized: clue.word,
+        correct: solvedWordsRef.current.includes(clue.id)
+      }))
     }
     
     console.log('Game finished with results:', standardizedResults)
     onComplete(standardizedResults)
-  }, [gameState, quiz, timeLeft, score, onComplete])
+  }, [gameState, quiz, timeLeft, score, clues, onComplete])
 
   // ===== NAVIGATION FUNCTIONS =====
   const moveToNextCell = useCallback(() => {
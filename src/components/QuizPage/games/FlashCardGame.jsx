@@ -47,6 +47,9 @@ export const FlashcardGame = ({ quiz, onComplete }) => {
   /** @type {[Array, Function]} Shuffled copy of quiz cards for random order */
   const [shuffledCards, setShuffledCards] = useState([])
 
+  /** @type {[Array, Function]} Remembered/needs-practice answer for each card seen */
+  const [cardResults, setCardResults] = useState([])
+
   // ===== CALCULATED VALUES =====
 
   /**
@@ -132,8 +135,9 @@ export const FlashcardGame = ({ quiz, onComplete }) => {
  * Ensures perfect score calculation matches total available points
  * @param {number} finalScore - Final game score
  * @param {number} finalRemembered - Final count of remembered cards
+ * @param {Array} finalCardResults - Final list of per-card answers
  */
-const finishGame = useCallback((finalScore = score, finalRemembered = rememberedCards) => {
+const finishGame = useCallback((finalScore = score, finalRemembered = rememberedCards, finalCardResults = cardResults) => {
   setGameState('finished')
   const timeUsed = quiz.timeLimit - timeLeft
   
@@ -172,12 +176,15 @@ const finishGame = useCallback((finalScore = score, finalRemembered = remembered
     
     // Additional context for achievements
     shuffled: true, // Indicates cards were randomized
-    totalPossiblePoints: quiz.points
+    totalPossiblePoints: quiz.points,
+
+    // Per-item results for the spaced repetition schedule
+    itemResults: finalCardResults
   }
   
   // Trigger completion callback with standardized data
   onComplete(standardizedResults)
-}, [score, rememberedCards, quiz, timeLeft, onComplete])
+}, [score, rememberedCards, cardResults, quiz, timeLeft, onComplete])
 
 /**
  * Processes user response and advances to next card or ends game
@@ -189,13 +196,21 @@ const handleNextCard = useCallback((remembered) => {
   // Calculate what the new values will be
   const newScore = remembered ? score + pointsPerCard : score
   const newRemembered = remembered ? rememberedCards + 1 : rememberedCards
+  const newCardResults = [...cardResults, {
+    id: currentCardData.id,
+    termId: currentCardData.termId,
+    korean: currentCardData.back,
+    romanized: currentCardData.romanized,
+    correct: remembered
+  }]
+  setCardResults(newCardResults)
 
   // Check if this is the last card
   const isLastCard = currentCardIndex >= shuffledCards.length - 1
 
   if (isLastCard) {
     // For the last card, finish the game immediately with the updated values
-    finishGame(newScore, newRemembered)
+    finishGame(newScore, newRemembered, newCardResults)
   } else {
     // For non-last cards, update state and continue
     if (remembered) {
@@ -205,7 +220,7 @@ const handleNextCard = useCallback((remembered) => {
     setCurrentCardIndex(prev => prev + 1)
     setIsFlipped(false)
   }
-}, [currentCardIndex, shuffledCards.length, calculatePointsPerCard, score, rememberedCards, finishGame])
+}, [currentCardIndex, shuffledCards.length, calculatePointsPerCard, score, rememberedCards, cardResults, currentCardData, finishGame])
 
   // ===== RENDER METHODS =====
 
@@ -0,0 +1,513 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { isAnswerCorrect } from '../../../lib/answerMatching'
+
+/** @type {number} Replays allowed when a quiz does not set maxReplays */
+const DEFAULT_MAX_REPLAYS = 3
+
+/**
+ * ListeningGame Component
+ *
+ * An audio-first quiz: each question is only the pronunciation of a term,
+ * and the student answers by picking the meaning or typing it.
+ *
+ * Features:
+ * - Randomized question order
+ * - Clip plays automatically, with a limited number of replays per question
+ * - Multiple choice or typed answers (quiz.answerMode)
+ * - Typed answers accept the English meaning or the romanized Korean,
+ *   with the same lenient matching as the translation game
+ * - Progress tracking, per-item review results and a time limit
+ *
+ * @param {Object} quiz - Quiz configuration object
+ * @param {'choice'|'typed'} [quiz.answerMode] - How questions are answered (default 'choice')
+ * @param {number} [quiz.maxReplays] - Extra plays allowed per question after the first
+ * @param {Function} onComplete - Callback when game completes with standardized results
+ * @returns {JSX.Element} Listening game interface
+ */
+export const ListeningGame = ({ quiz, onComplete }) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[number, Function]} Current question index in shuffled deck */
+  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0)
+
+  /** @type {[string, Function]} User's typed answer */
+  const [userInput, setUserInput] = useState('')
+
+  /** @type {[number, Function]} Current accumulated score */
+  const [score, setScore] = useState(0)
+
+  /** @type {[number, Function]} Count of correctly answered questions */
+  const [correctAnswers, setCorrectAnswers] = useState(0)
+
+  /** @type {[number, Function]} Remaining time in seconds */
+  const [timeLeft, setTimeLeft] = useState(quiz.timeLimit)
+
+  /** @type {[string, Function]} Current game state: 'playing' | 'finished' */
+  const [gameState, setGameState] = useState('playing')
+
+  /** @type {[Array, Function]} Shuffled copy of quiz questions for random order */
+  const [shuffledQuestions, setShuffledQuestions] = useState([])
+
+  /** @type {[{show: boolean, isCorrect: boolean, message: string}, Function]} Feedback state for user responses */
+  const [feedback, setFeedback] = useState({ show: false, isCorrect: false, message: '' })
+
+  /** @type {[Array, Function]} Track all answered questions for detailed results */
+  const [answeredQuestions, setAnsweredQuestions] = useState([])
+
+  /** @type {[number, Function]} Replays used on the current question */
+  const [replaysUsed, setReplaysUsed] = useState(0)
+
+  /** @type {[boolean, Function]} Whether the current clip failed to load */
+  const [audioError, setAudioError] = useState(false)
+
+  // ===== REFERENCES =====
+
+  const audioRef = useRef(null)
+
+  // ===== CALCULATED VALUES =====
+
+  /**
+   * Calculates points per question ensuring perfect score equals total available points
+   * @returns {number} Points awarded for each correct answer
+   */
+  const calculatePointsPerQuestion = useCallback(() => {
+    return Math.floor(quiz.points / quiz.questions.length)
+  }, [quiz.points, quiz.questions.length])
+
+  /**
+   * Gets the current question data from shuffled deck
+   * @returns {Object|null} Current question object or null if not available
+   */
+  const currentQuestion = shuffledQuestions[currentQuestionIndex]
+
+  /** @type {number} Extra plays allowed per question */
+  const maxReplays = quiz.maxReplays ?? DEFAULT_MAX_REPLAYS
+
+  /** @type {boolean} Whether the current question is answered from options */
+  const isChoice = quiz.answerMode !== 'typed' && Array.isArray(currentQuestion?.options)
+
+  // ===== EFFECTS & INITIALIZATION =====
+
+  /**
+   * Initialize game by shuffling questions on component mount
+   * Uses Fisher-Yates shuffle algorithm for true randomization
+   */
+  useEffect(() => {
+    const questions = [...quiz.questions]
+    for (let i = questions.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      ;[questions[i], questions[j]] = [questions[j], questions[i]]
+    }
+    setShuffledQuestions(questions)
+  }, [quiz.questions])
+
+  /**
+   * Plays each new question's clip once without using a replay
+   */
+  useEffect(() => {
+    if (!currentQuestion?.audio || !audioRef.current) return
+    setReplaysUsed(0)
+    setAudioError(false)
+    audioRef.current.play().catch(error => {
+      console.warn('Audio playback failed:', error)
+    })
+  }, [currentQuestion])
+
+  // ===== GAME LOGIC =====
+
+  /**
+   * Replays the clip if the question still has replays left
+   */
+  const handleReplay = useCallback(() => {
+    if (!audioRef.current || replaysUsed >= maxReplays) return
+    setReplaysUsed(prev => prev + 1)
+    audioRef.current.currentTime = 0
+    audioRef.current.play().catch(error => {
+      console.warn('Audio playback failed:', error)
+    })
+  }, [replaysUsed, maxReplays])
+
+  /**
+   * Finalizes game results and triggers completion callback
+   * @param {number} finalScore - Final game score
+   * @param {number} finalCorrectCount - Final count of correct answers
+   * @param {Array} finalAnswered - Final list of answered questions
+   */
+  const finishGame = useCallback((finalScore = score, finalCorrectCount = correctAnswers, finalAnswered = answeredQuestions) => {
+    setGameState('finished')
+    audioRef.current?.pause()
+    const timeUsed = quiz.timeLimit - timeLeft
+
+    // Ensure perfect score equals total available points
+    const isPerfectScore = finalCorrectCount === quiz.questions.length
+    const adjustedScore = isPerfectScore ? quiz.points : finalScore
+
+    const accuracy = (finalCorrectCount / quiz.questions.length) * 100
+    const timePerQuestion = timeUsed / quiz.questions.length
+
+    // Standardized results object for progress tracking system
+    const standardizedResults = {
+      // Core game identification
+      gameType: quiz.gameType,
+      category: quiz.category,
+
+      // Performance metrics
+      score: adjustedScore,
+      timeUsed: timeUsed,
+      perfectScore: isPerfectScore,
+
+      // Question-specific analytics
+      totalQuestions: quiz.questions.length,
+      correctAnswers: finalCorrectCount,
+      replaysUsed: finalAnswered.reduce((sum, question) => sum + question.replaysUsed, 0),
+
+      // Advanced metrics for progress system
+      accuracy: accuracy,
+      timePerQuestion: timePerQuestion,
+      completionRate: (finalAnswered.length / quiz.questions.length) * 100,
+
+      // Additional context for achievements
+      shuffled: true,
+      totalPossiblePoints: quiz.points,
+      averageTimePerQuestion: timePerQuestion,
+
+      // Detailed results for review
+      answeredQuestions: finalAnswered,
+
+      // Per-item results for the spaced repetition schedule
+      itemResults: finalAnswered.map(question => ({
+        id: question.id,
+        termId: question.termId,
+        korean: question.korean,
+        romanized: question.romanized,
+        correct: question.isCorrect
+      }))
+    }
+
+    onComplete(standardizedResults)
+  }, [score, correctAnswers, quiz, timeLeft, answeredQuestions, onComplete])
+
+  /**
+   * Game timer effect - counts down remaining time
+   * Automatically ends game when time reaches zero
+   */
+  useEffect(() => {
+    if (timeLeft > 0 && gameState === 'playing') {
+      const timer = setTimeout(() => setTimeLeft(timeLeft - 1), 1000)
+      return () => clearTimeout(timer)
+    } else if (timeLeft === 0 && gameState === 'playing') {
+      finishGame()
+    }
+  }, [timeLeft, gameState, finishGame])
+
+  /**
+   * Records an answer, shows feedback and moves on after a short delay
+   * @param {string} answer - Picked option, typed answer or 'skipped'
+   * @param {boolean} isCorrect - Whether the answer was right
+   */
+  const recordAnswer = useCallback((answer, isCorrect) => {
+    const pointsPerQuestion = calculatePointsPerQuestion()
+    const newScore = isCorrect ? score + pointsPerQuestion : score
+    const newCorrectCount = isCorrect ? correctAnswers + 1 : correctAnswers
+    const reveal = `${currentQuestion.romanized}${currentQuestion.korean ? ` (${currentQuestion.korean})` : ''} means "${currentQuestion.english}"`
+
+    setFeedback({
+      show: true,
+      isCorrect,
+      message: isCorrect ? `Correct! 🎉 ${reveal}` : answer === 'skipped' ? `Skipped! ${reveal}` : `Not quite. ${reveal}`
+    })
+
+    const newAnsweredQuestions = [...answeredQuestions, {
+      ...currentQuestion,
+      userAnswer: answer,
+      isCorrect,
+      replaysUsed,
+      points: isCorrect ? pointsPerQuestion : 0
+    }]
+    setAnsweredQuestions(newAnsweredQuestions)
+
+    const isLastQuestion = currentQuestionIndex >= shuffledQuestions.length - 1
+
+    setTimeout(() => {
+      if (isLastQuestion) {
+        finishGame(newScore, newCorrectCount, newAnsweredQuestions)
+      } else {
+        setScore(newScore)
+        setCorrectAnswers(newCorrectCount)
+        setCurrentQuestionIndex(prev => prev + 1)
+        setUserInput('')
+        setFeedback({ show: false, isCorrect: false, message: '' })
+      }
+    }, 2000) // 2 second delay to read the revealed term
+  }, [calculatePointsPerQuestion, score, correctAnswers, currentQuestion, answeredQuestions, replaysUsed, currentQuestionIndex, shuffledQuestions.length, finishGame])
+
+  /**
+   * Handles a picked option
+   * @param {string} option - Option text
+   */
+  const handleOptionSelect = useCallback((option) => {
+    if (feedback.show) return
+    recordAnswer(option, option === currentQuestion.english)
+  }, [feedback.show, recordAnswer, currentQuestion])
+
+  /**
+   * Handles a typed answer: the English meaning or the romanized Korean both count
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault()
+    if (!userInput.trim() || feedback.show) return
+
+    const isCorrect = isAnswerCorrect(userInput, currentQuestion.english) ||
+      isAnswerCorrect(userInput, currentQuestion.romanized, { ignoreSpaces: true })
+    recordAnswer(userInput, isCorrect)
+  }, [userInput, feedback.show, currentQuestion, recordAnswer])
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders individual statistic box for completion screen
+   * @param {string|number} value - The statistic value to display
+   * @param {string} label - The label for the statistic
+   * @returns {JSX.Element} Statistic box component
+   */
+  const renderStatBox = (value, label) => (
+    <div className="bg-primary/10 rounded-xl p-4">
+      <div className="text-2xl font-bold text-primary">{value}</div>
+      <div className="text-sm text-foreground/70">{label}</div>
+    </div>
+  )
+
+  /**
+   * Renders game completion screen with statistics and answers
+   * @returns {JSX.Element} Completion screen component
+   */
+  const renderCompletionScreen = () => {
+    const isPerfectScore = correctAnswers === quiz.questions.length
+    const finalScore = isPerfectScore ? quiz.points : score
+    const accuracy = (correctAnswers / quiz.questions.length) * 100
+    const timeUsed = quiz.timeLimit - timeLeft
+
+    return (
+      <div className="text-center space-y-6">
+        <div className="text-6xl mb-4">👂</div>
+        <h2 className="text-3xl font-bold text-foreground">Listening Complete!</h2>
+
+        {isPerfectScore && (
+          <div className="bg-gradient-to-r from-yellow-400 to-orange-500 text-white py-2 px-4 rounded-full inline-block">
+            ⭐ Perfect Score! ⭐
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 max-w-2xl mx-auto">
+          {renderStatBox(finalScore, 'Points')}
+          {renderStatBox(`${correctAnswers}/${quiz.questions.length}`, 'Correct')}
+          {renderStatBox(`${accuracy.toFixed(1)}%`, 'Accuracy')}
+          {renderStatBox(`${Math.floor(timeUsed / 60)}:${timeUsed % 60 < 10 ? '0' : ''}${timeUsed % 60}`, 'Time')}
+        </div>
+
+        <div className="max-w-2xl mx-auto bg-card rounded-xl p-6 border space-y-4">
+          <h3 className="text-xl font-bold text-foreground">Your Answers</h3>
+          {answeredQuestions.map((question, index) => (
+            <div key={index} className={`p-4 rounded-lg border-2 ${
+              question.isCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+            }`}>
+              <div className="flex justify-between items-start">
+                <div className="text-left">
+                  <div className="font-semibold text-foreground">{question.romanized} — {question.english}</div>
+                  <div className="text-sm text-foreground/60">{question.korean}</div>
+                  <div className="text-sm mt-1">
+                    Your answer: <span className={question.isCorrect ? "text-green-600" : "text-red-600"}>
+                      {question.userAnswer}
+                    </span>
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className={`font-bold ${question.isCorrect ? 'text-green-600' : 'text-red-600'}`}>
+                    {question.isCorrect ? '✓' : '✗'}
+                  </div>
+                  <div className="text-sm text-foreground/60">+{question.points}</div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    )
+  }
+
+  /**
+   * Renders the play / replay control for the current clip
+   * @returns {JSX.Element} Listen controls
+   */
+  const renderListenControls = () => {
+    const replaysLeft = maxReplays - replaysUsed
+    return (
+      <div className="space-y-3">
+        <div className="text-6xl" aria-hidden="true">🔊</div>
+        <button
+          onClick={handleReplay}
+          disabled={replaysLeft <= 0 || feedback.show || audioError}
+          className="inline-flex items-center gap-2 px-5 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-300 focus:ring-offset-2"
+          aria-label={`Play the word again, ${replaysLeft} replay${replaysLeft === 1 ? '' : 's'} left`}
+        >
+          <span aria-hidden="true">🔁</span>
+          Play again
+        </button>
+        <div className="text-xs text-foreground/60">
+          {replaysLeft > 0 ? `${replaysLeft} replay${replaysLeft === 1 ? '' : 's'} left` : 'No replays left'}
+        </div>
+        {audioError && (
+          <div className="text-sm text-red-600" role="alert">
+            This clip could not be played. Skip it to carry on.
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  /**
+   * Renders the options for a multiple choice question
+   * @returns {JSX.Element} Option buttons
+   */
+  const renderOptions = () => (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      {currentQuestion.options.map(option => {
+        const isAnswer = option === currentQuestion.english
+        return (
+          <button
+            key={option}
+            onClick={() => handleOptionSelect(option)}
+            disabled={feedback.show}
+            className={`px-4 py-3 rounded-xl border-2 text-lg font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 ${
+              feedback.show && isAnswer
+                ? 'bg-green-100 border-green-400 text-green-800'
+                : 'border-primary/30 text-foreground hover:bg-primary/10 disabled:opacity-60'
+            }`}
+          >
+            {option}
+          </button>
+        )
+      })}
+    </div>
+  )
+
+  /**
+   * Renders the typed answer input
+   * @returns {JSX.Element} Answer form
+   */
+  const renderTypedAnswer = () => (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <input
+        type="text"
+        value={userInput}
+        onChange={(e) => setUserInput(e.target.value)}
+        placeholder="Type the meaning or the Korean word..."
+        className="w-full px-4 py-3 text-lg border-2 border-primary rounded-xl focus:outline-none focus:border-primary/70 bg-background text-center disabled:opacity-50 disabled:cursor-not-allowed"
+        disabled={feedback.show}
+        autoFocus
+        aria-label="Your answer"
+      />
+      <button
+        type="submit"
+        disabled={feedback.show || !userInput.trim()}
+        className="px-6 py-3 bg-primary text-white rounded-xl hover:bg-primary/90 disabled:opacity-50 transition-colors font-semibold focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+      >
+        Check Answer
+      </button>
+    </form>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  if (gameState === 'finished') {
+    return renderCompletionScreen()
+  }
+
+  if (!currentQuestion) {
+    return (
+      <div className="flex justify-center items-center h-48">
+        <div className="text-lg text-foreground/60">Loading questions...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6 max-w-2xl mx-auto">
+      {/* Game Header with Progress Info */}
+      <div className="flex justify-between items-center">
+        <div className="text-sm text-foreground/60">
+          Question {currentQuestionIndex + 1} of {shuffledQuestions.length}
+        </div>
+        <div className="text-sm font-semibold text-primary">
+          Time: {Math.floor(timeLeft / 60)}:{timeLeft % 60 < 10 ? '0' : ''}{timeLeft % 60}
+        </div>
+      </div>
+
+      {/* Progress Bar */}
+      <div className="w-full bg-gray-200 rounded-full h-2 dark:bg-gray-700">
+        <div
+          className="bg-primary h-2 rounded-full transition-all duration-300"
+          style={{ width: `${((currentQuestionIndex + 1) / shuffledQuestions.length) * 100}%` }}
+          role="progressbar"
+          aria-valuenow={currentQuestionIndex + 1}
+          aria-valuemin={0}
+          aria-valuemax={shuffledQuestions.length}
+        />
+      </div>
+
+      {/* Game Area */}
+      <div className="bg-card rounded-2xl p-8 shadow-lg border text-center space-y-6">
+        <div className="text-foreground/60 text-sm">
+          {isChoice ? 'Listen, then pick what it means:' : 'Listen, then type what it means (English or Korean):'}
+        </div>
+
+        {renderListenControls()}
+
+        {isChoice ? renderOptions() : renderTypedAnswer()}
+
+        {/* Feedback Message */}
+        {feedback.show && (
+          <div
+            className={`p-4 rounded-xl text-lg font-semibold ${
+              feedback.isCorrect
+                ? 'bg-green-100 text-green-800 border border-green-300'
+                : 'bg-red-100 text-red-800 border border-red-300'
+            }`}
+            role="alert"
+            aria-live="polite"
+          >
+            {feedback.message}
+          </div>
+        )}
+
+        <button
+          type="button"
+          onClick={() => recordAnswer('skipped', false)}
+          disabled={feedback.show}
+          className="px-6 py-2 border-2 border-foreground/20 text-foreground/70 rounded-xl hover:bg-foreground/5 disabled:opacity-50 transition-colors focus:outline-none focus:ring-2 focus:ring-gray-300 focus:ring-offset-2"
+          aria-label="Skip question"
+        >
+          Skip
+        </button>
+
+        <audio
+          ref={audioRef}
+          src={currentQuestion.audio}
+          preload="auto"
+          onError={() => setAudioError(true)}
+          aria-hidden="true"
+        />
+      </div>
+
+      {/* Score Display */}
+      <div className="text-center">
+        <div className="inline-block bg-primary/10 rounded-full px-4 py-2">
+          <span className="text-sm text-foreground/60 mr-2">Score:</span>
+          <span className="font-bold text-primary">{score}</span>
+          <span className="text-sm text-foreground/60 ml-2">/ {quiz.points}</span>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -41,6 +41,9 @@ export const MCQGame = ({ quiz, onComplete }) => {
   /** @type {[Array, Function]} Shuffled copy of quiz questions for random order */
   const [shuffledQuestions, setShuffledQuestions] = useState([])
 
+  /** @type {[Array, Function]} Track all answered questions for per-item review results */
+  const [answeredQuestions, setAnsweredQuestions] = useState([])
+
   // ===== CALCULATED VALUES =====
 
   /**
@@ -58,6 +61,18 @@ export const MCQGame = ({ quiz, onComplete }) => {
    */
   const currentQuestion = shuffledQuestions[currentQuestionIndex]
 
+  /**
+   * Checks whether an option is the correct answer. Questions may store the
+   * correct answer either as an option index or as the option text.
+   * @param {string} option - Option text
+   * @param {number} index - Option index
+   * @returns {boolean} Whether the option is correct
+   */
+  const isOptionCorrect = useCallback((option, index) => {
+    const { correctAnswer } = currentQuestion
+    return typeof correctAnswer === 'number' ? index === correctAnswer : option === correctAnswer
+  }, [currentQuestion])
+
   // ===== EFFECTS & INITIALIZATION =====
 
   /**
@@ -98,8 +113,9 @@ export const MCQGame = ({ quiz, onComplete }) => {
  * Ensures perfect score calculation and provides comprehensive analytics
  * @param {number} finalScore - Final game score
  * @param {number} finalCorrectCount - Final count of correct answers
+ * @param {Array} finalAnswered - Final list of answered questions
  */
-const finishGame = useCallback((finalScore = score, finalCorrectCount = correctAnswers) => {
+const finishGame = useCallback((finalScore = score, finalCorrectCount = correctAnswers, finalAnswered = answeredQuestions) => {
   setGameState('finished')
   const timeUsed = quiz.timeLimit - timeLeft
   
@@ -134,12 +150,21 @@ const finishGame = useCallback((finalScore = score, finalCorrectCount = correctA
     // Additional context for achievements
     shuffled: true, // Indicates questions were randomized
     totalPossiblePoints: quiz.points,
-    averageTimePerQuestion: timePerQuestion
+    averageTimePerQuestion: timePerQuestion,
+
+    // Per-item results for the spaced repetition schedule
+    itemResults: finalAnswered.map(question => ({
+      id: question.id,
+      termId: question.termId,
+      korean: question.korean,
+      romanized: question.romanized,
+      correct: question.isCorrect
+    }))
   }
   
   // Trigger completion callback with standardized data
   onComplete(standardizedResults)
-}, [score, correctAnswers, quiz, timeLeft, onComplete])
+}, [score, correctAnswers, answeredQuestions, quiz, timeLeft, onComplete])
 
 /**
  * Handles user answer selection with validation and progression
@@ -149,11 +174,13 @@ const handleAnswerSelect = useCallback((answerIndex) => {
   setSelectedAnswer(answerIndex)
   
   const pointsPerQuestion = calculatePointsPerQuestion()
-  const isCorrect = answerIndex === currentQuestion.correctAnswer
+  const isCorrect = isOptionCorrect(currentQuestion.options[answerIndex], answerIndex)
   
   // Calculate what the new values will be
   const newScore = isCorrect ? score + pointsPerQuestion : score
   const newCorrectCount = isCorrect ? correctAnswers + 1 : correctAnswers
+  const newAnsweredQuestions = [...answeredQuestions, { ...currentQuestion, isCorrect }]
+  setAnsweredQuestions(newAnsweredQuestions)
 
   // Check if this is the last question
   const isLastQuestion = currentQuestionIndex >= shuffledQuestions.length - 1
@@ -162,7 +189,7 @@ const handleAnswerSelect = useCallback((answerIndex) => {
   setTimeout(() => {
     if (isLastQuestion) {
       // For the last question, finish the game with updated values
-      finishGame(newScore, newCorrectCount)
+      finishGame(newScore, newCorrectCount, newAnsweredQuestions)
     } else {
       // Update state and continue to next question
       if (isCorrect) {
@@ -173,7 +200,7 @@ const handleAnswerSelect = useCallback((answerIndex) => {
       setSelectedAnswer(null)
     }
   }, 1000) // 1 second delay for user to see feedback
-}, [currentQuestionIndex, shuffledQuestions.length, calculatePointsPerQuestion, score, correctAnswers, currentQuestion, finishGame])
+}, [currentQuestionIndex, shuffledQuestions.length, calculatePointsPerQuestion, score, correctAnswers, answeredQuestions, currentQuestion, isOptionCorrect, finishGame])
   
 
   // ===== RENDER METHODS =====
@@ -251,7 +278,7 @@ const handleAnswerSelect = useCallback((answerIndex) => {
    */
   const renderAnswerOption = (option, index) => {
     const isSelected = selectedAnswer === index
-    const isCorrect = index === currentQuestion.correctAnswer
+    const isCorrect = isOptionCorrect(option, index)
     const showCorrect = selectedAnswer !== null && isCorrect
     const showIncorrect = isSelected && !isCorrect
     
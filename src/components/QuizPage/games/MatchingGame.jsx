@@ -209,12 +209,21 @@ export const MatchingGame = ({ quiz, onComplete }) => {
       // Additional context for achievements
       shuffled: true, // Indicates cards were randomized
       totalPossiblePoints: quiz.points,
-      averageTimePerPair: timePerPair
+      averageTimePerPair: timePerPair,
+
+      // Per-item results for the spaced repetition schedule
+      itemResults: quiz.pairs.map(pair => ({
+        id: pair.id,
+        termId: pair.termId,
+        korean: pair.korean,
+        romanized: pair.romanized,
+        correct: matchedPairs.includes(pair.id)
+      }))
     }
     
     // Trigger completion callback with standardized data
     onComplete(standardizedResults)
-  }, [score, matchedPairs.length, quiz, timeLeft, onComplete])
+  }, [score, matchedPairs, quiz, timeLeft, onComplete])
 
   // ===== RENDER METHODS =====
 
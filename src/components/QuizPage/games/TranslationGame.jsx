@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback } from 'react'
+import { isAnswerCorrect } from '../../../lib/answerMatching'
 
 /**
  * TranslationGame Component
@@ -8,7 +9,7 @@ import { useState, useEffect, useCallback } from 'react'
  * 
  * Features:
  * - Randomized question order for better learning retention
- * - Flexible answer validation with spelling variations
+ * - Flexible answer validation with spelling variations (lib/answerMatching)
  * - Audio pronunciation support
  * - Progress tracking and scoring
  * - Time-based challenge with visual progress
@@ -99,61 +100,6 @@ export const TranslationGame = ({ quiz, onComplete }) => {
 
   // ===== GAME LOGIC =====
 
-  /**
-   * Normalizes answers for flexible comparison
-   * Removes punctuation, extra spaces, and converts to lowercase
-   * @param {string} answer - The answer to normalize
-   * @returns {string} Normalized answer string
-   */
-  const normalizeAnswer = useCallback((answer) => {
-    return answer.toLowerCase().trim().replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, "")
-  }, [])
-
-  /**
-   * Validates user answer with flexible matching rules
-   * Supports spelling variations, article differences, and plural forms
-   * @param {string} userAnswer - User's submitted answer
-   * @param {string} correctAnswer - Expected correct answer
-   * @returns {boolean} Whether answer is considered correct
-   */
-  const isAnswerCorrect = useCallback((userAnswer, correctAnswer) => {
-    const normalizedUser = normalizeAnswer(userAnswer)
-    const normalizedCorrect = normalizeAnswer(correctAnswer)
-    
-    // Exact match
-    if (normalizedUser === normalizedCorrect) return true
-    
-    // Allow minor spelling variations
-    const commonVariations = {
-      'colour': 'color',
-      'favourite': 'favorite',
-      'centre': 'center',
-      'honour': 'honor',
-      'defence': 'defense'
-    }
-    
-    if (commonVariations[normalizedUser] === normalizedCorrect || 
-        commonVariations[normalizedCorrect] === normalizedUser) {
-      return true
-    }
-    
-    // Allow answers without articles for simplicity
-    const withoutArticles = (str) => str.replace(/^(a|an|the)\s+/i, '')
-    if (withoutArticles(normalizedUser) === withoutArticles(normalizedCorrect)) {
-      return true
-    }
-
-    // Allow plural/singular variations for simple cases
-    if ((normalizedUser + 's' === normalizedCorrect) || 
-        (normalizedUser === normalizedCorrect + 's') ||
-        (normalizedUser + 'es' === normalizedCorrect) ||
-        (normalizedUser === normalizedCorrect + 'es')) {
-      return true
-    }
-    
-    return false
-  }, [normalizeAnswer])
-
   /**
    * Plays audio pronunciation for current question if available
    * Handles errors gracefully to prevent game interruption
@@ -173,8 +119,9 @@ export const TranslationGame = ({ quiz, onComplete }) => {
    * Ensures perfect score calculation and provides comprehensive analytics
    * @param {number} finalScore - Final game score
    * @param {number} finalCorrectCount - Final count of correct answers
+   * @param {Array} finalAnswered - Final list of answered questions
    */
-  const finishGame = useCallback((finalScore = score, finalCorrectCount = correctAnswers) => {
+  const finishGame = useCallback((finalScore = score, finalCorrectCount = correctAnswers, finalAnswered = answeredQuestions) => {
     setGameState('finished')
     const timeUsed = quiz.timeLimit - timeLeft
     
@@ -212,7 +159,16 @@ export const TranslationGame = ({ quiz, onComplete }) => {
       averageTimePerQuestion: timePerQuestion,
       
       // Detailed results for review
-      answeredQuestions: answeredQuestions
+      answeredQuestions: finalAnswered,
+
+      // Per-item results for the spaced repetition schedule
+      itemResults: finalAnswered.map(question => ({
+        id: question.id,
+        termId: question.termId,
+        korean: question.korean,
+        romanized: question.romanized,
+        correct: question.isCorrect
+      }))
     }
     
     // Trigger completion callback with standardized data
@@ -266,7 +222,7 @@ export const TranslationGame = ({ quiz, onComplete }) => {
     setTimeout(() => {
       if (isLastQuestion) {
         // For the last question, finish the game with updated values
-        finishGame(newScore, newCorrectCount)
+        finishGame(newScore, newCorrectCount, newAnsweredQuestions)
       } else {
         // Update state and continue to next question
         if (isCorrect) {
@@ -278,7 +234,7 @@ export const TranslationGame = ({ quiz, onComplete }) => {
         setFeedback({ show: false, isCorrect: false, message: '' })
       }
     }, 1500) // 1.5 second delay for user to see feedback
-  }, [userInput, currentQuestion, calculatePointsPerQuestion, isAnswerCorrect, score, correctAnswers, currentQuestionIndex, shuffledQuestions.length, answeredQuestions, finishGame])
+  }, [userInput, currentQuestion, calculatePointsPerQuestion, score, correctAnswers, currentQuestionIndex, shuffledQuestions.length, answeredQuestions, finishGame])
 
   /**
    * Handles question skip with progression
@@ -305,7 +261,7 @@ export const TranslationGame = ({ quiz, onComplete }) => {
     setTimeout(() => {
       if (isLastQuestion) {
         // For the last question, finish the game
-        finishGame(score, correctAnswers)
+        finishGame(score, correctAnswers, newAnsweredQuestions)
       } else {
         // Continue to next question
         setCurrentQuestionIndex(prev => prev + 1)
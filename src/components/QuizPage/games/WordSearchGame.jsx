@@ -426,7 +426,15 @@ export const WordSearchGame = ({ quiz, onComplete }) => {
       averageTimePerWord: timePerWord,
       
       // Detailed results for review
-      foundWordsList: foundWords
+      foundWordsList: foundWords,
+
+      // Per-item results for the spaced repetition schedule
+      itemResults: quiz.grid.words.map(word => ({
+        id: word.word,
+        termId: word.termId,
+        romanized: word.word,
+        correct: foundWords.includes(word.word.toUpperCase())
+      }))
     }
     
     // Trigger completion callback with standardized data
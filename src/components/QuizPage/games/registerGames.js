@@ -0,0 +1,97 @@
+import { registerGame } from '../../../lib/gameRegistry'
+import { MCQGame } from './MCQGame'
+import { WordSearchGame } from './WordSearchGame'
+import { CrosswordGame } from './CrosswordGame'
+import { TranslationGame } from './TranslationGame'
+import { FlashcardGame } from './FlashCardGame'
+import { MatchingGame } from './MatchingGame'
+import { ListeningGame } from './ListeningGame'
+
+/**
+ * Built-in Game Registrations
+ *
+ * Registers the games that ship with the app. Imported once from main.jsx
+ * so the registry is filled before anything renders. Registration order is
+ * the order games appear in the game type picker and progress views.
+ *
+ * To add a game: build a component taking {quiz, onComplete} that reports
+ * at least BASE_RESULT_SCHEMA, then register it here with its schemas.
+ */
+
+registerGame({
+  id: 'mcq',
+  aliases: ['multipleChoice'],
+  name: 'Multiple Choice',
+  description: 'Choose the correct answer from options',
+  icon: '🔘',
+  color: 'blue',
+  dataSchema: { questions: 'array', questionCount: 'number?' },
+  resultSchema: { totalQuestions: 'number', correctAnswers: 'number', accuracy: 'number' },
+  component: MCQGame
+})
+
+registerGame({
+  id: 'wordsearch',
+  name: 'Word Search',
+  description: 'Find hidden Korean terms in the grid',
+  icon: '🔍',
+  color: 'green',
+  dataSchema: { grid: 'object' },
+  resultSchema: { totalWords: 'number', foundWords: 'number', completionRate: 'number' },
+  component: WordSearchGame
+})
+
+registerGame({
+  id: 'crossword',
+  name: 'Crossword Puzzle',
+  description: 'Solve the terminology crossword',
+  icon: '📝',
+  color: 'purple',
+  dataSchema: { grid: 'object' },
+  resultSchema: { totalWords: 'number', solvedWords: 'number', completionRate: 'number' },
+  component: CrosswordGame
+})
+
+registerGame({
+  id: 'translation',
+  name: 'Translation Challenge',
+  description: 'Translate between English and Korean',
+  icon: '🔄',
+  color: 'orange',
+  dataSchema: { questions: 'array', questionCount: 'number?' },
+  resultSchema: { totalQuestions: 'number', correctAnswers: 'number', accuracy: 'number' },
+  component: TranslationGame
+})
+
+registerGame({
+  id: 'flashcards',
+  name: 'Flashcards',
+  description: 'Quick recall with audio pronunciation',
+  icon: '🎴',
+  color: 'red',
+  dataSchema: { cards: 'array' },
+  resultSchema: { totalCards: 'number', rememberedCards: 'number', completionRate: 'number' },
+  component: FlashcardGame
+})
+
+registerGame({
+  id: 'matching',
+  name: 'Snap & Match',
+  description: 'Match Korean terms with English meanings',
+  icon: '🃏',
+  color: 'teal',
+  dataSchema: { pairs: 'array' },
+  resultSchema: { totalPairs: 'number', matchedPairs: 'number', completionRate: 'number' },
+  component: MatchingGame
+})
+
+registerGame({
+  id: 'listening',
+  name: 'Listening',
+  description: 'Hear the Korean and pick or type the meaning',
+  icon: '👂',
+  color: 'indigo',
+  dataSchema: { questions: 'array', answerMode: 'string?', maxReplays: 'number?' },
+  resultSchema: { totalQuestions: 'number', correctAnswers: 'number', accuracy: 'number' },
+  component: ListeningGame
+})
@@ -0,0 +1,222 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { searchSite } from '../../lib/siteSearch'
+import { cn } from '../../lib/utils'
+
+/**
+ * GlobalSearch Component
+ *
+ * Site-wide search dialog opened from the Navbar. Searches terminology,
+ * patterns, techniques, history events and quizzes, shows ranked results
+ * grouped by type and takes the user straight to the chosen item.
+ *
+ * Features:
+ * - Ranked results grouped by content type
+ * - Arrow keys to move through results, Enter to open, Escape to close
+ * - Every result navigates to its item's deep link
+ *
+ * @param {Object} props - Component properties
+ * @param {boolean} props.isOpen - Whether the dialog is open
+ * @param {Function} props.onClose - Called to close the dialog
+ * @returns {JSX.Element|null} Search dialog, or null when closed
+ */
+export const GlobalSearch = ({ isOpen, onClose }) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[string, Function]} Current query */
+  const [query, setQuery] = useState('')
+
+  /** @type {[number, Function]} Index of the highlighted result across all groups */
+  const [activeIndex, setActiveIndex] = useState(0)
+
+  const navigate = useNavigate()
+
+  // ===== REFERENCES =====
+
+  const inputRef = useRef(null)
+
+  // ===== COMPUTED VALUES =====
+
+  /** @type {Array<import('../../lib/siteSearch').SearchGroup>} Grouped results */
+  const groups = useMemo(() => searchSite(query), [query])
+
+  /** @type {Array<import('../../lib/siteSearch').SearchResult>} Results in display order */
+  const flatResults = useMemo(() => groups.flatMap(group => group.results), [groups])
+
+  // ===== EFFECTS =====
+
+  /**
+   * Clears the previous search and focuses the input when opened
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('')
+      setActiveIndex(0)
+      inputRef.current?.focus()
+    }
+  }, [isOpen])
+
+  /**
+   * Highlights the best result whenever the results change
+   */
+  useEffect(() => {
+    setActiveIndex(0)
+  }, [query])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Opens a result and closes the dialog
+   * @param {import('../../lib/siteSearch').SearchResult} result - Chosen result
+   */
+  const handleSelect = (result) => {
+    const { target } = result.document
+    onClose()
+    navigate(target.path, { state: target.state })
+  }
+
+  /**
+   * Handles result navigation keys in the input
+   * @param {React.KeyboardEvent} event - Keyboard event
+   */
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault()
+        setActiveIndex(index => Math.min(index + 1, flatResults.length - 1))
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        setActiveIndex(index => Math.max(index - 1, 0))
+        break
+      case 'Enter':
+        if (flatResults[activeIndex]) {
+          event.preventDefault()
+          handleSelect(flatResults[activeIndex])
+        }
+        break
+      case 'Escape':
+        event.preventDefault()
+        onClose()
+        break
+      default:
+        break
+    }
+  }
+
+  /**
+   * Closes the dialog when the backdrop is clicked
+   * @param {React.MouseEvent} event - Mouse event
+   */
+  const handleBackdropClick = (event) => {
+    if (event.target === event.currentTarget) {
+      onClose()
+    }
+  }
+
+  // ===== EARLY RETURNS =====
+
+  if (!isOpen) return null
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders one result row
+   * @param {import('../../lib/siteSearch').SearchResult} result - Result to render
+   * @returns {JSX.Element} Result row
+   */
+  const renderResult = (result) => {
+    const index = flatResults.indexOf(result)
+    const isActive = index === activeIndex
+
+    return (
+      <li key={`${result.document.type}:${result.document.id}`} role="option" aria-selected={isActive}>
+        <button
+          type="button"
+          onClick={() => handleSelect(result)}
+          onMouseEnter={() => setActiveIndex(index)}
+          className={cn(
+            'w-full text-left px-4 py-2.5 rounded-lg transition-colors',
+            isActive ? 'bg-primary/15' : 'hover:bg-primary/5'
+          )}
+        >
+          <span className={cn('block font-medium', isActive ? 'text-primary' : 'text-foreground')}>
+            {result.document.title}
+          </span>
+          <span className="block text-xs text-foreground/60 truncate">{result.document.subtitle}</span>
+        </button>
+      </li>
+    )
+  }
+
+  /**
+   * Renders grouped results or an empty/hint message
+   * @returns {JSX.Element} Results area
+   */
+  const renderResults = () => {
+    if (!query.trim()) {
+      return (
+        <p className="px-4 py-8 text-center text-sm text-foreground/60">
+          Search terms, patterns, techniques, history and quizzes
+        </p>
+      )
+    }
+
+    if (groups.length === 0) {
+      return (
+        <p className="px-4 py-8 text-center text-sm text-foreground/60">
+          No results for “{query}”
+        </p>
+      )
+    }
+
+    return (
+      <div className="space-y-4" role="listbox" aria-label="Search results">
+        {groups.map(group => (
+          <div key={group.type}>
+            <h3 className="px-4 mb-1 text-xs font-semibold uppercase tracking-wide text-foreground/50">
+              {group.label}
+            </h3>
+            <ul className="space-y-0.5">
+              {group.results.map(renderResult)}
+            </ul>
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex items-start justify-center p-4 pt-24 bg-black/50 backdrop-blur-sm"
+      onClick={handleBackdropClick}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Search the guide"
+    >
+      <div className="bg-background border border-border rounded-2xl max-w-xl w-full shadow-2xl overflow-hidden">
+        <div className="flex items-center gap-3 border-b border-border px-4">
+          <svg className="w-5 h-5 text-foreground/50 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+          </svg>
+          <input
+            ref={inputRef}
+            type="search"
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search the guide..."
+            className="flex-1 bg-transparent py-4 text-foreground placeholder:text-foreground/40 focus:outline-none"
+            aria-label="Search the guide"
+          />
+          <kbd className="text-xs text-foreground/50 border border-border rounded px-1.5 py-0.5">Esc</kbd>
+        </div>
+        <div className="max-h-[60vh] overflow-y-auto p-2">
+          {renderResults()}
+        </div>
+      </div>
+    </div>
+  )
+}
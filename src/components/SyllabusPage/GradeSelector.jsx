@@ -0,0 +1,53 @@
+import { cn } from '../../lib/utils'
+import { KUP_GRADES } from '../../lib/syllabus'
+
+/**
+ * GradeSelector Component
+ *
+ * Lets the student pick the kup grade they currently hold. The selection
+ * drives which syllabus is shown for their next grading.
+ *
+ * Features:
+ * - One button per coloured belt grade, 10th Kup to 1st Kup
+ * - Belt name and grade on each option
+ * - Pressed state for the selected grade
+ *
+ * @param {Object} props - Component properties
+ * @param {string|null} props.selectedBelt - Currently selected belt id
+ * @param {Function} props.onBeltSelect - Called with the chosen belt id
+ * @returns {JSX.Element} Grade selector
+ */
+export const GradeSelector = ({ selectedBelt, onBeltSelect }) => (
+  <section aria-labelledby="grade-heading" className="bg-background border border-border rounded-2xl p-6">
+    <h2 id="grade-heading" className="text-2xl font-bold text-foreground mb-2">
+      Your Current Grade
+    </h2>
+    <p className="text-foreground/70 mb-6">
+      Choose the belt you wear today to see what you need for your next grading.
+    </p>
+    <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3" role="group" aria-label="Current kup grade">
+      {KUP_GRADES.map(belt => {
+        const isSelected = selectedBelt === belt.id
+        return (
+          <button
+            key={belt.id}
+            onClick={() => onBeltSelect(belt.id)}
+            className={cn(
+              "px-4 py-3 rounded-xl border-2 text-left transition-all duration-200",
+              "focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2",
+              isSelected
+                ? "bg-primary text-white border-primary shadow-md"
+                : "bg-background border-border hover:border-primary/50 hover:bg-primary/10"
+            )}
+            aria-pressed={isSelected}
+          >
+            <div className="font-semibold">{belt.grade}</div>
+            <div className={cn("text-sm", isSelected ? "text-white/80" : "text-foreground/60")}>
+              {belt.name}
+            </div>
+          </button>
+        )
+      })}
+    </div>
+  </section>
+)
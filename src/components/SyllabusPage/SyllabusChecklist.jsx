@@ -0,0 +1,87 @@
+import { cn } from '../../lib/utils'
+
+/**
+ * SyllabusChecklist Component
+ *
+ * One section of the grading syllabus (patterns, a technique category or
+ * terminology) rendered as a checklist the student can tick off.
+ *
+ * Features:
+ * - Checkbox per syllabus item with title, subtitle and detail
+ * - Ticked count and progress bar for the section
+ * - Ticked items are dimmed and struck through
+ *
+ * @param {Object} props - Component properties
+ * @param {import('../../lib/syllabus').SyllabusSection} props.section - Section to render
+ * @param {Object<string, boolean>} props.checklist - Ticked state keyed by item key
+ * @param {Function} props.onToggle - Called with an item key when it is ticked or unticked
+ * @returns {JSX.Element} Section checklist
+ */
+export const SyllabusChecklist = ({ section, checklist, onToggle }) => {
+  // ===== COMPUTED VALUES =====
+
+  /** @type {number} Number of ticked items in this section */
+  const doneCount = section.items.filter(item => checklist[item.key]).length
+
+  /** @type {number} Section completion percentage */
+  const percent = Math.round((doneCount / section.items.length) * 100)
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <section
+      className="bg-background border border-border rounded-2xl p-6"
+      aria-labelledby={`syllabus-${section.id}-heading`}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h3 id={`syllabus-${section.id}-heading`} className="text-xl font-bold text-foreground">
+          {section.name}
+        </h3>
+        <span className="text-sm font-medium text-foreground/60">
+          {doneCount} / {section.items.length}
+        </span>
+      </div>
+
+      <div className="w-full h-2 bg-border rounded-full mb-4 overflow-hidden" aria-hidden="true">
+        <div
+          className="h-full bg-primary rounded-full transition-all duration-300"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      <ul className="space-y-2">
+        {section.items.map(item => {
+          const isChecked = Boolean(checklist[item.key])
+          return (
+            <li key={item.key}>
+              <label
+                className={cn(
+                  "flex items-start gap-3 p-3 rounded-xl border border-border cursor-pointer transition-colors",
+                  isChecked ? "bg-primary/5" : "hover:bg-primary/10"
+                )}
+              >
+                <input
+                  type="checkbox"
+                  checked={isChecked}
+                  onChange={() => onToggle(item.key)}
+                  className="mt-1 h-5 w-5 accent-primary"
+                />
+                <div className={cn("flex-1", isChecked && "opacity-60")}>
+                  <div className={cn("font-semibold text-foreground", isChecked && "line-through")}>
+                    {item.title}
+                    {item.subtitle && (
+                      <span className="font-normal text-foreground/70"> — {item.subtitle}</span>
+                    )}
+                  </div>
+                  {item.detail && (
+                    <div className="text-sm text-foreground/60 mt-1">{item.detail}</div>
+                  )}
+                </div>
+              </label>
+            </li>
+          )
+        })}
+      </ul>
+    </section>
+  )
+}
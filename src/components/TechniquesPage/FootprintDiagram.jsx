@@ -0,0 +1,194 @@
+import { useMemo } from 'react'
+import { DIAGRAM_EXTENT, FOOT_SIZE, FOOTPRINT_MEASURES, getFootPlacements } from '../../lib/footprint'
+
+/** @type {number} SVG units per shoulder width */
+const SCALE = 80
+
+/** @type {number} Gap in SVG units between a foot and its weight label */
+const LABEL_GAP = 16
+
+/**
+ * Outline of one foot with the toes at the top, centred on the origin
+ * @type {string}
+ */
+const FOOT_PATH = (() => {
+  const l = FOOT_SIZE.length * SCALE / 2
+  const w = FOOT_SIZE.width * SCALE / 2
+  const p = (x, y) => `${x.toFixed(1)} ${y.toFixed(1)}`
+  return [
+    `M ${p(0, -l)}`,
+    `C ${p(w, -l)} ${p(w * 1.1, -l * 0.35)} ${p(w * 0.85, l * 0.2)}`,
+    `C ${p(w * 0.7, l * 0.65)} ${p(w * 0.6, l)} ${p(0, l)}`,
+    `C ${p(-w * 0.6, l)} ${p(-w * 0.7, l * 0.65)} ${p(-w * 0.85, l * 0.2)}`,
+    `C ${p(-w * 1.1, -l * 0.35)} ${p(-w, -l)} ${p(0, -l)} Z`
+  ].join(' ')
+})()
+
+/**
+ * Foot Component
+ *
+ * One foot of a diagram, turned to its toe angle. The main stance is
+ * shaded by the weight the foot carries; an overlaid stance is a dashed
+ * outline. A raised heel shades only the ball of the foot and a raised
+ * foot is outlined only.
+ *
+ * @param {Object} props - Component properties
+ * @param {import('../../lib/footprint').FootPlacement} props.placement - Foot to draw
+ * @param {boolean} [props.isOverlay] - Whether the foot belongs to the overlaid stance
+ * @returns {JSX.Element} Foot SVG group
+ */
+const Foot = ({ placement, isOverlay = false }) => {
+  const { x, y, angle, weight, contact } = placement
+  const shade = 0.15 + weight / 100 * 0.6
+  const l = FOOT_SIZE.length * SCALE / 2
+  const w = FOOT_SIZE.width * SCALE / 2
+
+  // Weight labels sit on the outside of each foot
+  const direction = x !== 0 ? Math.sign(x) : placement.side === 'left' ? -1 : 1
+  const labelX = x * SCALE + direction * (w + LABEL_GAP)
+
+  if (isOverlay) {
+    return (
+      <g transform={`translate(${x * SCALE} ${-y * SCALE}) rotate(${angle})`}>
+        <path d={FOOT_PATH} fill="none" stroke="currentColor" strokeWidth={2} strokeDasharray="5 4" />
+      </g>
+    )
+  }
+
+  return (
+    <g>
+      <g transform={`translate(${x * SCALE} ${-y * SCALE}) rotate(${angle})`}>
+        <path
+          d={FOOT_PATH}
+          fill="currentColor"
+          fillOpacity={contact === 'flat' ? shade : 0.08}
+          stroke="currentColor"
+          strokeWidth={2}
+          strokeDasharray={contact === 'raised' ? '2 3' : undefined}
+        />
+        {contact === 'ball' && (
+          <ellipse cx={0} cy={-l * 0.45} rx={w * 0.9} ry={l * 0.4} fill="currentColor" fillOpacity={shade} />
+        )}
+      </g>
+      <text
+        x={labelX}
+        y={-y * SCALE}
+        textAnchor="middle"
+        dominantBaseline="middle"
+        fontSize={11}
+        fontWeight={600}
+        fill="currentColor"
+      >
+        {contact === 'raised' ? 'up' : `${weight}%`}
+      </text>
+    </g>
+  )
+}
+
+/**
+ * FootprintDiagram Component
+ *
+ * Top-down diagram of where the feet go in a stance, drawn to a fixed
+ * scale of shoulder widths so diagrams of different stances can be
+ * compared by eye. A second stance can be laid over the first as a
+ * dashed outline (e.g. walking stance over L-stance).
+ *
+ * Features:
+ * - Feet placed and turned from the stance footprint data
+ * - Weight on each foot as shading and a percentage
+ * - Raised heels and raised feet drawn differently from flat feet
+ * - Shoulder-width grid and scale bar
+ * - Optional overlay of a second stance with a legend
+ *
+ * @param {Object} props - Component properties
+ * @param {import('../../lib/footprint').Footprint} props.footprint - Stance to draw
+ * @param {string} props.label - Stance name
+ * @param {import('../../lib/footprint').Footprint} [props.overlay] - Stance to lay over it
+ * @param {string} [props.overlayLabel] - Name of the overlaid stance
+ * @param {string} [props.className] - Size classes for the SVG
+ * @returns {JSX.Element} Footprint diagram
+ */
+export const FootprintDiagram = ({ footprint, label, overlay, overlayLabel, className = 'w-full max-h-72' }) => {
+  // ===== COMPUTED VALUES =====
+
+  /** @type {Array<import('../../lib/footprint').FootPlacement>} Feet of the stance */
+  const placements = useMemo(() => getFootPlacements(footprint), [footprint])
+
+  /** @type {Array<import('../../lib/footprint').FootPlacement>} Feet of the overlaid stance */
+  const overlayPlacements = useMemo(() => overlay ? getFootPlacements(overlay) : [], [overlay])
+
+  /** @type {string} Spoken summary of the diagram */
+  const description = [
+    `${label} footprint, left foot forward`,
+    ...FOOTPRINT_MEASURES.map(measure => `${measure.label}: ${measure.format(footprint)}`),
+    overlay ? `Overlaid with ${overlayLabel}` : null
+  ].filter(Boolean).join('. ')
+
+  const halfWidth = DIAGRAM_EXTENT.x * SCALE
+  const halfHeight = DIAGRAM_EXTENT.y * SCALE
+  const gridLines = []
+  for (let step = SCALE / 2; step < halfHeight; step += SCALE / 2) gridLines.push(step)
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <figure className="space-y-2">
+      <svg
+        viewBox={`${-halfWidth} ${-halfHeight} ${halfWidth * 2} ${halfHeight * 2}`}
+        className={className}
+        role="img"
+        aria-label={description}
+      >
+        {/* Shoulder-width grid */}
+        <g stroke="currentColor" strokeOpacity={0.08} strokeWidth={1}>
+          {gridLines.filter(step => step < halfWidth).flatMap(step => [-step, step]).map(x => (
+            <line key={`x${x}`} x1={x} y1={-halfHeight} x2={x} y2={halfHeight} />
+          ))}
+          {gridLines.flatMap(step => [-step, step]).map(y => (
+            <line key={`y${y}`} x1={-halfWidth} y1={y} x2={halfWidth} y2={y} />
+          ))}
+        </g>
+        <g stroke="currentColor" strokeOpacity={0.2} strokeDasharray="3 4">
+          <line x1={0} y1={-halfHeight} x2={0} y2={halfHeight} />
+          <line x1={-halfWidth} y1={0} x2={halfWidth} y2={0} />
+        </g>
+
+        <text x={-halfWidth + 8} y={-halfHeight + 16} fontSize={11} fill="currentColor" fillOpacity={0.6}>
+          ↑ Front
+        </text>
+
+        {/* Scale bar */}
+        <g stroke="currentColor" strokeOpacity={0.6} strokeWidth={2}>
+          <line x1={-halfWidth + 8} y1={halfHeight - 10} x2={-halfWidth + 8 + SCALE} y2={halfHeight - 10} />
+          <line x1={-halfWidth + 8} y1={halfHeight - 15} x2={-halfWidth + 8} y2={halfHeight - 5} />
+          <line x1={-halfWidth + 8 + SCALE} y1={halfHeight - 15} x2={-halfWidth + 8 + SCALE} y2={halfHeight - 5} />
+        </g>
+        <text x={-halfWidth + 8} y={halfHeight - 20} fontSize={10} fill="currentColor" fillOpacity={0.6}>
+          1 shoulder width
+        </text>
+
+        <g className="text-primary">
+          {placements.map(placement => <Foot key={placement.foot} placement={placement} />)}
+        </g>
+        {overlay && (
+          <g className="text-foreground/70">
+            {overlayPlacements.map(placement => <Foot key={placement.foot} placement={placement} isOverlay />)}
+          </g>
+        )}
+      </svg>
+
+      {overlay && (
+        <figcaption className="flex flex-wrap justify-center gap-4 text-xs text-foreground/70">
+          <span className="flex items-center gap-2">
+            <span className="w-4 h-3 rounded-sm bg-primary/60 border-2 border-primary" aria-hidden="true" />
+            {label}
+          </span>
+          <span className="flex items-center gap-2">
+            <span className="w-4 h-3 rounded-sm border-2 border-dashed border-foreground/70" aria-hidden="true" />
+            {overlayLabel}
+          </span>
+        </figcaption>
+      )}
+    </figure>
+  )
+}
@@ -0,0 +1,110 @@
+import { useMemo, useState } from 'react'
+import { cn } from '../../lib/utils'
+import { TECHNIQUE_ENTITIES } from '../../lib/entityLinks'
+import { compareFootprints } from '../../lib/footprint'
+import { FootprintDiagram } from './FootprintDiagram'
+
+/**
+ * StanceFootprint Component
+ *
+ * Footprint panel for a stance in the technique modal: the top-down
+ * diagram, its measurements, and a picker to lay another stance over it
+ * and see which measurements change.
+ *
+ * Features:
+ * - Scale diagram of foot placement, weight and toe angles
+ * - Length, width, weight and toe angle listed in shoulder widths and degrees
+ * - Overlay of any other stance with a footprint
+ * - Measurements that differ from the overlaid stance highlighted
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.technique - Stance technique object with a footprint
+ * @returns {JSX.Element} Footprint panel
+ */
+export const StanceFootprint = ({ technique }) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[string, Function]} Id of the stance laid over this one, empty for none */
+  const [overlayId, setOverlayId] = useState('')
+
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Other stances that can be overlaid
+   * @type {Array<import('../../lib/entityLinks').TechniqueEntity>}
+   */
+  const overlayOptions = useMemo(() => TECHNIQUE_ENTITIES.filter(entity =>
+    entity.technique.footprint && entity.technique.english !== technique.english
+  ), [technique])
+
+  /** @type {import('../../lib/entityLinks').TechniqueEntity|undefined} Overlaid stance */
+  const overlayEntity = overlayOptions.find(entity => entity.id === overlayId)
+
+  /** @type {Array<import('../../lib/footprint').FootprintMeasure>} Measurements of both stances */
+  const measures = useMemo(() => compareFootprints([
+    technique.footprint,
+    ...(overlayEntity ? [overlayEntity.technique.footprint] : [])
+  ]), [technique, overlayEntity])
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div
+      className="bg-gradient-to-br from-primary/10 to-primary/5 border border-primary/20 rounded-xl p-4 space-y-4"
+      role="group"
+      aria-label={`Footprint of ${technique.english}`}
+    >
+      <div className="flex flex-wrap items-end justify-between gap-2">
+        <h4 className="font-semibold text-foreground">Footprint</h4>
+        <label className="block text-sm">
+          <span className="text-foreground/70">Overlay another stance</span>
+          <select
+            value={overlayId}
+            onChange={(e) => setOverlayId(e.target.value)}
+            className="mt-1 w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            <option value="">None</option>
+            {overlayOptions.map(entity => (
+              <option key={entity.id} value={entity.id}>{entity.technique.english}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <FootprintDiagram
+        footprint={technique.footprint}
+        label={technique.english}
+        overlay={overlayEntity?.technique.footprint}
+        overlayLabel={overlayEntity?.technique.english}
+      />
+
+      <table className="w-full text-sm">
+        {overlayEntity && (
+          <thead>
+            <tr className="text-left text-xs text-foreground/60">
+              <td />
+              <th scope="col" className="py-1 pr-2 font-semibold">{technique.english}</th>
+              <th scope="col" className="py-1 font-semibold">{overlayEntity.technique.english}</th>
+            </tr>
+          </thead>
+        )}
+        <tbody>
+          {measures.map(measure => (
+            <tr key={measure.label} className="border-t border-primary/10 align-top">
+              <th scope="row" className="py-1 pr-2 text-left text-xs font-semibold uppercase tracking-wide text-foreground/60">
+                {measure.label}
+              </th>
+              {measure.values.map((value, index) => (
+                <td key={index} className="py-1 pr-2 text-foreground/80">
+                  <span className={cn(measure.different && "bg-primary/20 text-foreground rounded px-0.5")}>
+                    {value}
+                  </span>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -0,0 +1,432 @@
+import { cn } from '../../lib/utils'
+import { useCallback, useMemo, useState } from 'react'
+import { TechniqueModal } from './TechniqueModal'
+import { TECHNIQUE_ENTITIES } from '../../lib/entityLinks'
+import { TECHNIQUE_SORTS, countTechniques, filterTechniques } from '../../lib/techniques'
+import { useGlobalProgress } from '../../hooks/useGlobalProgess'
+
+/**
+ * TechniqueCategory Component
+ *
+ * Category page for one technique category from the techniques registry
+ * (lib/techniques). Everything shown comes from the category's JSON file,
+ * so every category, including ones added later, gets the same page.
+ *
+ * Features:
+ * - Belt progression timeline with gradient color coding
+ * - Belt filter, text search and sorting by belt or name
+ * - "Not studied yet" filter and studied badges on cards
+ * - Interactive technique cards with modal details (linkable by URL)
+ * - "Compare with…" from the modal into compare mode
+ * - Training principles and safety guidelines, when the category has them
+ * - Statistics and mastery progression
+ *
+ * @param {Object} props - Component properties
+ * @param {import('../../lib/techniques').TechniqueCategory} props.category - Category to show
+ * @param {string} [props.techniqueSlug] - Slug of the technique shown in the modal (from the URL)
+ * @param {Function} props.onTechniqueSelect - Called with a technique slug, or null to close the modal
+ * @param {Function} props.onCompare - Called with a technique id to open compare mode with it
+ * @returns {JSX.Element} Category interface
+ */
+export const TechniqueCategory = ({ category, techniqueSlug, onTechniqueSelect, onCompare }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const studiedTechniques = useGlobalProgress((state) => state.studiedTechniques)
+
+  /** @type {[string, Function]} Belt to show, empty for every belt */
+  const [belt, setBelt] = useState('')
+
+  /** @type {[string, Function]} Search text */
+  const [query, setQuery] = useState('')
+
+  /** @type {[string, Function]} Sort order id from TECHNIQUE_SORTS */
+  const [sort, setSort] = useState('belt')
+
+  /** @type {[boolean, Function]} Whether studied techniques are hidden */
+  const [unstudiedOnly, setUnstudiedOnly] = useState(false)
+
+  // ===== COMPUTED VALUES =====
+
+  const { data } = category
+
+  /**
+   * Every technique in this category as an entity
+   * @type {Array<import('../../lib/entityLinks').TechniqueEntity>}
+   */
+  const categoryTechniques = useMemo(() => (
+    TECHNIQUE_ENTITIES.filter(entity => entity.categoryId === category.id)
+  ), [category.id])
+
+  /**
+   * Techniques left after filtering and sorting
+   * @type {Array<import('../../lib/entityLinks').TechniqueEntity>}
+   */
+  const visibleTechniques = useMemo(() => (
+    filterTechniques(categoryTechniques, { belt, query, sort, unstudiedOnly }, studiedTechniques)
+  ), [categoryTechniques, belt, query, sort, unstudiedOnly, studiedTechniques])
+
+  /**
+   * Belt levels with at least one visible technique, for the timeline
+   * @type {Array<Object>}
+   */
+  const visibleBeltLevels = useMemo(() => (
+    data.beltLevels
+      .map(level => ({
+        ...level,
+        entities: visibleTechniques.filter(entity => entity.belt === level.belt)
+      }))
+      .filter(level => level.entities.length > 0)
+  ), [data.beltLevels, visibleTechniques])
+
+  /** @type {number} Total number of techniques across all belt levels */
+  const totalTechniques = countTechniques(category)
+
+  /** @type {number} Techniques in this category marked as studied */
+  const studiedCount = categoryTechniques.filter(entity => studiedTechniques[entity.id]).length
+
+  /** @type {boolean} Whether any filter narrows the list */
+  const isFiltered = belt !== '' || query.trim() !== '' || unstudiedOnly
+
+  // ===== SELECTION =====
+
+  /** @type {Object|null} Technique named in the URL, shown in the modal */
+  const selectedTechnique = useMemo(() => (
+    techniqueSlug
+      ? categoryTechniques.find(entity => entity.slug === techniqueSlug)?.technique || null
+      : null
+  ), [categoryTechniques, techniqueSlug])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Handles modal close with state cleanup
+   */
+  const handleModalClose = useCallback(() => {
+    onTechniqueSelect(null)
+  }, [onTechniqueSelect])
+
+  /**
+   * Clears every filter
+   */
+  const handleClearFilters = () => {
+    setBelt('')
+    setQuery('')
+    setUnstudiedOnly(false)
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the main page header with category information
+   * @returns {JSX.Element} Page header component
+   */
+  const renderPageHeader = () => (
+    <div className="text-center mb-12">
+      <h1 className="text-4xl font-bold text-foreground mb-6">
+        {data.category} <span className="text-primary">({data.koreanName})</span>
+      </h1>
+      <p className="text-xl text-foreground/70 max-w-2xl mx-auto leading-relaxed">
+        {data.description}
+      </p>
+    </div>
+  )
+
+  /**
+   * Renders the belt, search, sort and studied filters
+   * @returns {JSX.Element} Filter bar
+   */
+  const renderFilters = () => (
+    <div
+      className="max-w-4xl mx-auto mb-16 p-4 rounded-2xl border border-border bg-background/80 grid grid-cols-1 md:grid-cols-4 gap-4 items-end"
+      role="search"
+      aria-label={`Filter ${data.category.toLowerCase()}`}
+    >
+      <label className="block md:col-span-2">
+        <span className="text-sm text-foreground/70">Search</span>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="English, Korean or description"
+          className="mt-1 w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+        />
+      </label>
+      <label className="block">
+        <span className="text-sm text-foreground/70">Belt</span>
+        <select
+          value={belt}
+          onChange={(e) => setBelt(e.target.value)}
+          className="mt-1 w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+        >
+          <option value="">All belts</option>
+          {data.beltLevels.map(level => (
+            <option key={level.belt} value={level.belt}>{level.belt}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-sm text-foreground/70">Sort by</span>
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="mt-1 w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+        >
+          {TECHNIQUE_SORTS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <div className="md:col-span-4 flex flex-wrap items-center justify-between gap-3 text-sm">
+        <label className="flex items-center gap-2 text-foreground/80">
+          <input
+            type="checkbox"
+            checked={unstudiedOnly}
+            onChange={(e) => setUnstudiedOnly(e.target.checked)}
+            className="accent-primary"
+          />
+          Show only techniques I haven't studied
+        </label>
+        <span className="text-foreground/60" role="status">
+          Showing {visibleTechniques.length} of {totalTechniques}
+          {isFiltered && (
+            <button onClick={handleClearFilters} className="ml-3 text-primary font-semibold hover:underline">
+              Clear filters
+            </button>
+          )}
+        </span>
+      </div>
+    </div>
+  )
+
+  /**
+   * Renders one technique card
+   * @param {import('../../lib/entityLinks').TechniqueEntity} entity - Technique to show
+   * @returns {JSX.Element} Technique card
+   */
+  const renderTechniqueCard = (entity) => {
+    const { technique } = entity
+    const isStudied = Boolean(studiedTechniques[entity.id])
+
+    return (
+      <button
+        key={entity.id}
+        onClick={() => onTechniqueSelect(entity.slug)}
+        className="
+          relative text-left bg-background border border-border rounded-xl p-6
+          hover:shadow-lg hover:border-primary/50 hover:scale-105
+          transition-all duration-300 focus:outline-none focus:ring-2
+          focus:ring-primary focus:ring-offset-2
+        "
+        aria-label={`Learn about ${technique.english} (${technique.korean})${isStudied ? ', studied' : ''}`}
+      >
+        {isStudied && (
+          <span className="absolute top-3 right-3 px-2 py-0.5 rounded-full bg-primary/10 text-primary text-xs font-semibold">
+            ✓ Studied
+          </span>
+        )}
+        <h4 className="text-lg font-bold text-primary mb-2 pr-20">
+          {technique.korean}
+        </h4>
+        <p className="text-foreground/80 font-semibold mb-3">
+          {technique.english}
+        </p>
+        <p className="text-foreground/70 text-sm mb-3 leading-relaxed">
+          {technique.description}
+        </p>
+        <div
+          className="flex items-center text-primary text-xs font-semibold"
+          aria-hidden="true"
+        >
+          Click for details
+          <svg
+            className="ml-1 w-3 h-3"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M9 5l7 7-7 7"
+            />
+          </svg>
+        </div>
+      </button>
+    )
+  }
+
+  /**
+   * Renders individual belt level section in the timeline
+   * @param {Object} beltLevel - Belt level data object with its visible entities
+   * @param {number} index - Array index for alternating layout
+   * @returns {JSX.Element} Belt level component
+   */
+  const renderBeltLevel = (beltLevel, index) => (
+    <div key={beltLevel.belt} className="relative" role="listitem">
+      <div className={cn(
+        "relative z-10 max-w-2xl mx-auto p-8 rounded-2xl border border-border bg-background/80 backdrop-blur-sm shadow-sm",
+        index % 2 === 0 ? "ml-auto" : "mr-auto"
+      )}>
+        {/* Belt Color Header */}
+        <div className={cn(
+          "absolute -top-4 left-1/2 transform -translate-x-1/2 px-6 py-2 rounded-full text-black font-bold text-sm uppercase tracking-wide bg-gradient-to-r shadow-md",
+          beltLevel.beltColor
+        )}>
+          {beltLevel.belt}
+        </div>
+
+        {/* Techniques Grid */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+          {beltLevel.entities.map(renderTechniqueCard)}
+        </div>
+      </div>
+    </div>
+  )
+
+  /**
+   * Renders the belt progression timeline
+   * @returns {JSX.Element} Timeline component
+   */
+  const renderBeltProgression = () => (
+    <div className="relative">
+      {/* Timeline Line */}
+      <div
+        className="absolute left-1/2 transform -translate-x-1/2 w-1 h-full bg-gradient-to-b from-yellow-300 via-yellow-400 via-green-500 via-blue-500 via-red-500 to-red-600 rounded-full"
+        aria-hidden="true"
+      />
+
+      {/* Belt Levels Container */}
+      <div
+        className="space-y-16"
+        role="list"
+        aria-label={`${data.category} by belt level`}
+      >
+        {visibleBeltLevels.map(renderBeltLevel)}
+      </div>
+    </div>
+  )
+
+  /**
+   * Renders the techniques, as a timeline in belt order or a grid when sorted by name
+   * @returns {JSX.Element} Technique list
+   */
+  const renderTechniques = () => (
+    <div className="mb-20">
+      <h2 className="text-2xl font-bold text-foreground mb-12 text-center">
+        {sort === 'belt' ? 'Belt Progression' : `All ${data.category}`}
+      </h2>
+
+      {visibleTechniques.length === 0 ? (
+        <p className="text-center text-foreground/60">
+          {unstudiedOnly && !query && !belt
+            ? `You have studied every technique in ${data.category}.`
+            : 'No techniques match these filters.'}
+        </p>
+      ) : sort === 'belt' ? (
+        renderBeltProgression()
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {visibleTechniques.map(renderTechniqueCard)}
+        </div>
+      )}
+    </div>
+  )
+
+  /**
+   * Renders one list of training principles
+   * @param {string} title - List heading
+   * @param {Array<string>} items - Principles
+   * @returns {JSX.Element} Principle list
+   */
+  const renderPrincipleList = (title, items = []) => (
+    <div className="space-y-4">
+      <h4 className="font-semibold text-foreground text-lg">{title}</h4>
+      <ul
+        className="text-foreground/70 space-y-3 text-sm"
+        role="list"
+      >
+        {items.map((item, index) => (
+          <li key={index} className="flex items-start">
+            <span className="text-primary mr-3 mt-0.5 flex-shrink-0" aria-hidden="true">•</span>
+            <span>{item}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+
+  /**
+   * Renders training principles and safety guidelines
+   * @returns {JSX.Element|null} Training principles component
+   */
+  const renderTrainingPrinciples = () => data.trainingPrinciples && (
+    <div
+      className="bg-gradient-to-r from-primary/10 to-primary/5 border border-primary/20 rounded-2xl p-8 max-w-4xl mx-auto"
+      role="region"
+      aria-label={`${data.category} training principles`}
+    >
+      <h3 className="text-2xl font-bold text-foreground mb-8 text-center">
+        {data.category} Training Principles
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        {renderPrincipleList('Key Focus Areas', data.trainingPrinciples.focusAreas)}
+        {renderPrincipleList('Safety Considerations', data.trainingPrinciples.safety)}
+      </div>
+    </div>
+  )
+
+  /**
+   * Renders quick statistics section
+   * @returns {JSX.Element} Statistics component
+   */
+  const renderStatistics = () => (
+    <div className="mt-16 text-center">
+      <div
+        className="inline-flex items-center space-x-12 text-foreground/60 text-sm"
+        role="region"
+        aria-label={`${data.category} statistics`}
+      >
+        <div>
+          <div className="text-2xl font-bold text-primary">
+            {totalTechniques}
+          </div>
+          <div>Total {data.category}</div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-primary">
+            {data.beltLevels.length}
+          </div>
+          <div>Belt Levels</div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-primary">
+            {studiedCount}/{totalTechniques}
+          </div>
+          <div>Studied</div>
+        </div>
+      </div>
+    </div>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div className="py-12">
+      {renderPageHeader()}
+      {renderFilters()}
+      {renderTechniques()}
+      {renderTrainingPrinciples()}
+      {renderStatistics()}
+
+      {/* Technique Modal */}
+      <TechniqueModal
+        technique={selectedTechnique}
+        isOpen={!!selectedTechnique}
+        onClose={handleModalClose}
+        onCompare={onCompare}
+      />
+    </div>
+  )
+}
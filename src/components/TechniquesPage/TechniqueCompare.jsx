@@ -0,0 +1,378 @@
+import { useMemo, useState } from 'react'
+import { cn } from '../../lib/utils'
+import { TechniqueModal } from './TechniqueModal'
+import { FootprintDiagram } from './FootprintDiagram'
+import { TECHNIQUE_ENTITIES, getTechniqueEntity } from '../../lib/entityLinks'
+import { TECHNIQUE_CATEGORIES } from '../../lib/techniques'
+import { COMPARE_SUGGESTIONS, MAX_COMPARE, MIN_COMPARE, compareTechniques } from '../../lib/techniqueCompare'
+import { compareFootprints } from '../../lib/footprint'
+
+/** @type {number} Most search results listed in the picker */
+const MAX_PICKER_RESULTS = 12
+
+/**
+ * TechniqueCompare Component
+ *
+ * Side-by-side comparison of two to four techniques from any category,
+ * for telling apart techniques students often confuse. Steps are aligned
+ * by number and the words and mistakes that differ are highlighted.
+ *
+ * Features:
+ * - Picker with category filter and search across every category
+ * - One-click suggestions for commonly confused techniques
+ * - Steps, application and common mistakes aligned in columns
+ * - Highlighted differences with a legend
+ * - Stance footprints to scale, each overlaid with the first stance
+ * - Technique details in a modal from each column heading
+ * - Selection kept in the URL so a comparison can be shared
+ *
+ * @param {Object} props - Component properties
+ * @param {Array<string>} props.selectedIds - Technique ids being compared
+ * @param {Function} props.onSelectionChange - Called with the new list of technique ids
+ * @returns {JSX.Element} Comparison interface
+ */
+export const TechniqueCompare = ({ selectedIds, onSelectionChange }) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[string, Function]} Category the picker lists, empty for all */
+  const [pickerCategory, setPickerCategory] = useState('')
+
+  /** @type {[string, Function]} Picker search text */
+  const [pickerQuery, setPickerQuery] = useState('')
+
+  /** @type {[Object|null, Function]} Technique shown in the details modal */
+  const [openTechnique, setOpenTechnique] = useState(null)
+
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Techniques being compared
+   * @type {Array<import('../../lib/entityLinks').TechniqueEntity>}
+   */
+  const selected = useMemo(() => selectedIds.map(getTechniqueEntity).filter(Boolean), [selectedIds])
+
+  /**
+   * Aligned comparison, once there is enough to compare
+   * @type {ReturnType<typeof compareTechniques>|null}
+   */
+  const comparison = useMemo(() => (
+    selected.length >= MIN_COMPARE ? compareTechniques(selected) : null
+  ), [selected])
+
+  /**
+   * Footprint measurements of the selected stances, when at least two have one
+   * @type {Array<import('../../lib/footprint').FootprintMeasure>|null}
+   */
+  const footprintMeasures = useMemo(() => {
+    const footprints = selected.map(entity => entity.technique.footprint)
+    return footprints.filter(Boolean).length >= MIN_COMPARE ? compareFootprints(footprints) : null
+  }, [selected])
+
+  /** @type {import('../../lib/entityLinks').TechniqueEntity|undefined} First stance, laid over the others' footprints */
+  const baseStance = selected.find(entity => entity.technique.footprint)
+
+  /**
+   * Techniques offered by the picker
+   * @type {Array<import('../../lib/entityLinks').TechniqueEntity>}
+   */
+  const pickerResults = useMemo(() => {
+    const search = pickerQuery.trim().toLowerCase()
+    return TECHNIQUE_ENTITIES
+      .filter(entity => !pickerCategory || entity.categoryId === pickerCategory)
+      .filter(entity => !search ||
+        entity.technique.english.toLowerCase().includes(search) ||
+        entity.technique.korean.toLowerCase().includes(search))
+      .slice(0, MAX_PICKER_RESULTS)
+  }, [pickerCategory, pickerQuery])
+
+  /** @type {boolean} Whether another technique can be added */
+  const canAdd = selected.length < MAX_COMPARE
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Adds a technique to the comparison
+   * @param {string} techniqueId - Technique to add
+   */
+  const handleAdd = (techniqueId) => {
+    if (!canAdd || selectedIds.includes(techniqueId)) return
+    onSelectionChange([...selectedIds, techniqueId])
+  }
+
+  /**
+   * Removes a technique from the comparison
+   * @param {string} techniqueId - Technique to remove
+   */
+  const handleRemove = (techniqueId) => {
+    onSelectionChange(selectedIds.filter(id => id !== techniqueId))
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders text with its differing words highlighted
+   * @param {Array<import('../../lib/techniqueCompare').TextPart>|null} parts - Text parts, null when missing
+   * @returns {JSX.Element} Highlighted text
+   */
+  const renderParts = (parts) => parts ? (
+    <span>
+      {parts.map((part, index) => part.different ? (
+        <mark key={index} className="bg-primary/20 text-foreground rounded px-0.5">{part.text}</mark>
+      ) : (
+        <span key={index}>{part.text}</span>
+      ))}
+    </span>
+  ) : (
+    <span className="text-foreground/40">—</span>
+  )
+
+  /**
+   * Renders the picker for adding techniques
+   * @returns {JSX.Element} Picker
+   */
+  const renderPicker = () => (
+    <section className="mb-12 p-6 rounded-2xl border border-border bg-background/80 space-y-4" aria-labelledby="compare-picker-heading">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 id="compare-picker-heading" className="text-xl font-bold text-foreground">
+          Pick {MIN_COMPARE}-{MAX_COMPARE} techniques
+        </h2>
+        <span className="text-sm text-foreground/60">{selected.length}/{MAX_COMPARE} selected</span>
+      </div>
+
+      {/* Selected techniques */}
+      {selected.length > 0 && (
+        <ul className="flex flex-wrap gap-2" aria-label="Selected techniques">
+          {selected.map(entity => (
+            <li key={entity.id} className="flex items-center gap-2 pl-3 pr-1 py-1 rounded-full bg-primary text-white text-sm">
+              {entity.technique.english}
+              <button
+                onClick={() => handleRemove(entity.id)}
+                className="w-6 h-6 rounded-full hover:bg-white/20 transition-colors"
+                aria-label={`Remove ${entity.technique.english}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Suggestions */}
+      {COMPARE_SUGGESTIONS.length > 0 && (
+        <div>
+          <p className="text-sm text-foreground/60 mb-2">Often confused</p>
+          <div className="flex flex-wrap gap-2">
+            {COMPARE_SUGGESTIONS.map(suggestion => (
+              <button
+                key={suggestion.title}
+                onClick={() => onSelectionChange(suggestion.ids)}
+                className="px-3 py-1.5 rounded-full text-sm border border-border text-foreground/80 hover:border-primary hover:text-primary transition-colors"
+              >
+                {suggestion.title}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Search */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <label className="block">
+          <span className="text-sm text-foreground/70">Category</span>
+          <select
+            value={pickerCategory}
+            onChange={(e) => setPickerCategory(e.target.value)}
+            className="mt-1 w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            <option value="">All categories</option>
+            {TECHNIQUE_CATEGORIES.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block md:col-span-2">
+          <span className="text-sm text-foreground/70">Search</span>
+          <input
+            type="search"
+            value={pickerQuery}
+            onChange={(e) => setPickerQuery(e.target.value)}
+            placeholder="e.g. knife hand"
+            className="mt-1 w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+        </label>
+      </div>
+
+      <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2" aria-label="Techniques to add">
+        {pickerResults.map(entity => {
+          const isSelected = selectedIds.includes(entity.id)
+          return (
+            <li key={entity.id}>
+              <button
+                onClick={() => handleAdd(entity.id)}
+                disabled={isSelected || !canAdd}
+                className={cn(
+                  "w-full text-left px-3 py-2 rounded-lg border text-sm transition-colors disabled:cursor-not-allowed",
+                  isSelected
+                    ? "border-primary bg-primary/10 text-primary"
+                    : "border-border hover:border-primary/50 disabled:opacity-50"
+                )}
+              >
+                <span className="font-semibold">{entity.technique.english}</span>
+                <span className="block text-xs text-foreground/60">{entity.categoryName} · {entity.technique.korean}</span>
+              </button>
+            </li>
+          )
+        })}
+      </ul>
+      {pickerResults.length === 0 && (
+        <p className="text-sm text-foreground/60">No techniques match that search.</p>
+      )}
+    </section>
+  )
+
+  /**
+   * Renders a labelled comparison row
+   * @param {string} label - Row heading
+   * @param {Array<JSX.Element>} cells - One cell per technique
+   * @param {string} [key] - React key
+   * @returns {JSX.Element} Table row
+   */
+  const renderRow = (label, cells, key = label) => (
+    <tr key={key} className="border-t border-border align-top">
+      <th scope="row" className="p-3 text-left text-xs font-semibold uppercase tracking-wide text-foreground/60 w-28">
+        {label}
+      </th>
+      {cells.map((cell, index) => (
+        <td key={selected[index].id} className="p-3 text-sm text-foreground/80 leading-relaxed">{cell}</td>
+      ))}
+    </tr>
+  )
+
+  /**
+   * Renders a technique's footprint, overlaid with the first stance and
+   * with the measurements that differ highlighted
+   * @param {import('../../lib/entityLinks').TechniqueEntity} entity - Technique in the comparison
+   * @param {number} index - Column of the technique
+   * @returns {JSX.Element} Footprint cell
+   */
+  const renderFootprint = (entity, index) => {
+    const { footprint, english } = entity.technique
+    if (!footprint) return <span className="text-foreground/40">—</span>
+    const overlay = entity === baseStance ? null : baseStance.technique
+
+    return (
+      <div className="space-y-2">
+        <FootprintDiagram
+          footprint={footprint}
+          label={english}
+          overlay={overlay?.footprint}
+          overlayLabel={overlay?.english}
+          className="w-full max-h-56"
+        />
+        <dl className="text-xs space-y-1">
+          {footprintMeasures.map(measure => (
+            <div key={measure.label}>
+              <dt className="font-semibold text-foreground/60">{measure.label}</dt>
+              <dd className={cn(measure.different && "bg-primary/20 text-foreground rounded px-0.5")}>
+                {measure.values[index]}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    )
+  }
+
+  /**
+   * Renders the aligned comparison table
+   * @returns {JSX.Element} Comparison table
+   */
+  const renderComparison = () => (
+    <section aria-labelledby="compare-table-heading">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 id="compare-table-heading" className="text-xl font-bold text-foreground">Side by Side</h2>
+        <p className="text-sm text-foreground/60">
+          <mark className="bg-primary/20 text-foreground rounded px-1">Highlighted</mark> words and ≠ mistakes differ between the techniques
+        </p>
+      </div>
+
+      <div className="overflow-x-auto border border-border rounded-2xl bg-background">
+        <table className="w-full min-w-[40rem] table-fixed">
+          <thead>
+            <tr>
+              <td className="w-28" />
+              {selected.map(entity => (
+                <th key={entity.id} scope="col" className="p-3 text-left align-top">
+                  <button
+                    onClick={() => setOpenTechnique(entity.technique)}
+                    className="text-left hover:underline focus:outline-none focus:ring-2 focus:ring-primary rounded"
+                  >
+                    <span className="block text-lg font-bold text-primary">{entity.technique.korean}</span>
+                    <span className="block font-semibold text-foreground">{entity.technique.english}</span>
+                  </button>
+                  <span className="block text-xs font-normal text-foreground/60 mt-1">{entity.categoryName} · {entity.belt}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {renderRow('Summary', selected.map(entity => entity.technique.description))}
+            {footprintMeasures && renderRow('Footprint', selected.map(renderFootprint))}
+            {comparison.steps.map((row, index) =>
+              renderRow(`Step ${index + 1}`, row.map(renderParts), `step-${index}`)
+            )}
+            {renderRow('Application', comparison.application.map(renderParts))}
+            {renderRow('Common mistakes', comparison.mistakes.map(items => (
+              <ul className="space-y-2">
+                {items.map(item => (
+                  <li
+                    key={item.text}
+                    className={cn(
+                      "flex items-start gap-2 rounded px-1",
+                      !item.shared && "bg-primary/10"
+                    )}
+                  >
+                    <span className="text-primary flex-shrink-0" aria-label={item.shared ? 'Shared' : 'Different'}>
+                      {item.shared ? '=' : '≠'}
+                    </span>
+                    <span>{item.text}</span>
+                  </li>
+                ))}
+              </ul>
+            )))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  )
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div className="py-12">
+      <div className="text-center mb-12">
+        <h1 className="text-4xl font-bold text-foreground mb-6">
+          Compare <span className="text-primary">Techniques</span>
+        </h1>
+        <p className="text-xl text-foreground/70 max-w-2xl mx-auto leading-relaxed">
+          Put similar techniques next to each other to see exactly where they differ.
+        </p>
+      </div>
+
+      {renderPicker()}
+
+      {comparison ? renderComparison() : (
+        <p className="text-center text-foreground/60">
+          Add {MIN_COMPARE - selected.length === 1 ? 'one more technique' : `at least ${MIN_COMPARE} techniques`} to see them side by side.
+        </p>
+      )}
+
+      {/* Technique Modal */}
+      <TechniqueModal
+        technique={openTechnique}
+        isOpen={!!openTechnique}
+        onClose={() => setOpenTechnique(null)}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,216 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { cn } from '../../lib/utils'
+import { DEFAULT_KEYFRAMES, FIGURE_DIMENSIONS, getFigureJoints, interpolatePose, resolvePose } from '../../lib/stickFigure'
+
+/** @type {number} Milliseconds the animation rests on each keyframe */
+const HOLD_MS = 700
+
+/** @type {number} Milliseconds spent moving between keyframes */
+const MOVE_MS = 600
+
+/**
+ * Eases a 0-1 progress value in and out
+ * @param {number} t - Linear progress
+ * @returns {number} Eased progress
+ */
+const easeInOut = (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2
+
+/**
+ * Works out the pose and keyframe shown at a point in the animation loop
+ * @param {Array<import('../../lib/stickFigure').Pose>} poses - Keyframe poses
+ * @param {number} elapsed - Milliseconds since the animation started
+ * @returns {{pose: import('../../lib/stickFigure').Pose, frameIndex: number}} Pose and the keyframe it is at or leaving
+ */
+const getAnimationFrame = (poses, elapsed) => {
+  const step = HOLD_MS + MOVE_MS
+  const position = elapsed % (poses.length * step)
+  const frameIndex = Math.floor(position / step)
+  const within = position - frameIndex * step
+
+  if (within < HOLD_MS) return { pose: poses[frameIndex], frameIndex }
+
+  const next = poses[(frameIndex + 1) % poses.length]
+  return { pose: interpolatePose(poses[frameIndex], next, easeInOut((within - HOLD_MS) / MOVE_MS)), frameIndex }
+}
+
+/**
+ * StickFigure Component
+ *
+ * Draws one pose as a side-on stick figure facing right. Limbs on the far
+ * side are drawn fainter so the lead arm and leg stand out.
+ *
+ * @param {Object} props - Component properties
+ * @param {import('../../lib/stickFigure').Pose} props.pose - Pose to draw
+ * @param {string} [props.label] - Accessible description; decorative when omitted
+ * @param {string} [props.className] - Size and colour classes
+ * @returns {JSX.Element} Figure SVG
+ */
+const StickFigure = ({ pose, label, className }) => {
+  const joints = getFigureJoints(pose)
+  const { width, height, groundY, headRadius } = FIGURE_DIMENSIONS
+  const toPoints = points => points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ')
+  const facing = Math.sign(joints.head.x - joints.hip.x + 0.01) >= 0 ? 1 : -1
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      className={className}
+      {...(label ? { role: 'img', 'aria-label': label } : { 'aria-hidden': true })}
+    >
+      <line x1={10} y1={groundY} x2={width - 10} y2={groundY} stroke="currentColor" strokeOpacity={0.2} strokeWidth={2} />
+      <g fill="none" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round">
+        <g strokeOpacity={0.4} strokeWidth={5}>
+          <polyline points={toPoints(joints.limbs.backLeg)} />
+          <polyline points={toPoints(joints.limbs.backArm)} />
+        </g>
+        <g strokeWidth={6}>
+          <line x1={joints.hip.x} y1={joints.hip.y} x2={joints.shoulder.x} y2={joints.shoulder.y} />
+          <polyline points={toPoints(joints.limbs.frontLeg)} />
+        </g>
+        <polyline points={toPoints(joints.limbs.frontArm)} strokeWidth={5} className="text-primary" stroke="currentColor" />
+      </g>
+      <circle cx={joints.head.x} cy={joints.head.y} r={headRadius} fill="currentColor" />
+      <circle cx={joints.head.x + facing * 4} cy={joints.head.y - 2} r={1.6} className="fill-background" />
+    </svg>
+  )
+}
+
+/**
+ * TechniqueIllustration Component
+ *
+ * Parametric illustration of a technique, drawn from the joint-angle
+ * keyframes in its JSON entry, so no photography is needed. Techniques
+ * without keyframes show a ready stance.
+ *
+ * Features:
+ * - Animated figure moving through start, chamber and end positions
+ * - One still per keyframe, clickable to pause on that position
+ * - Play / pause control; no autoplay when reduced motion is preferred
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.technique - Technique object with optional keyframes
+ * @returns {JSX.Element} Illustration panel
+ */
+export const TechniqueIllustration = ({ technique }) => {
+  // ===== COMPUTED VALUES =====
+
+  /** @type {Array<import('../../lib/stickFigure').Keyframe>} Keyframes to draw */
+  const keyframes = technique.keyframes?.length ? technique.keyframes : DEFAULT_KEYFRAMES
+
+  /** @type {Array<import('../../lib/stickFigure').Pose>} Resolved keyframe poses */
+  const poses = useMemo(() => keyframes.map(resolvePose), [keyframes])
+
+  /** @type {boolean} Whether there is movement to animate */
+  const canAnimate = poses.length > 1
+
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[boolean, Function]} Whether the animation is running */
+  const [isPlaying, setIsPlaying] = useState(() =>
+    !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches
+  )
+
+  /** @type {[number, Function]} Milliseconds into the animation loop */
+  const [elapsed, setElapsed] = useState(0)
+
+  /** @type {[number, Function]} Keyframe shown while paused */
+  const [pausedFrame, setPausedFrame] = useState(poses.length - 1)
+
+  /** @type {import('react').MutableRefObject<number>} Offset to resume the animation loop from */
+  const elapsedRef = useRef(0)
+
+  // ===== EFFECTS =====
+
+  /**
+   * Advances the animation every display frame while playing
+   */
+  useEffect(() => {
+    if (!isPlaying || !canAnimate) return
+    let frameId
+    const startedAt = performance.now() - elapsedRef.current
+
+    const tick = (now) => {
+      elapsedRef.current = now - startedAt
+      setElapsed(elapsedRef.current)
+      frameId = requestAnimationFrame(tick)
+    }
+    frameId = requestAnimationFrame(tick)
+
+    return () => cancelAnimationFrame(frameId)
+  }, [isPlaying, canAnimate])
+
+  // ===== COMPUTED VALUES =====
+
+  const { pose, frameIndex } = isPlaying && canAnimate
+    ? getAnimationFrame(poses, elapsed)
+    : { pose: poses[pausedFrame] || poses[0], frameIndex: pausedFrame }
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Pauses on one keyframe
+   * @param {number} index - Keyframe to show
+   */
+  const handleFrameSelect = (index) => {
+    setIsPlaying(false)
+    setPausedFrame(index)
+    elapsedRef.current = index * (HOLD_MS + MOVE_MS)
+    setElapsed(elapsedRef.current)
+  }
+
+  /**
+   * Starts or pauses the animation
+   */
+  const handleTogglePlay = () => {
+    if (isPlaying) setPausedFrame(frameIndex)
+    setIsPlaying(!isPlaying)
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <div
+      className="bg-gradient-to-br from-primary/10 to-primary/5 border border-primary/20 rounded-xl p-4 space-y-3"
+      role="group"
+      aria-label={`Illustration of ${technique.english}`}
+    >
+      <div className="relative">
+        <StickFigure
+          pose={pose}
+          label={`${technique.english}: ${keyframes[frameIndex]?.label || ''} position`}
+          className="w-full max-h-64 text-foreground/80"
+        />
+        {canAnimate && (
+          <button
+            onClick={handleTogglePlay}
+            className="absolute top-0 right-0 px-3 py-1 rounded-lg text-xs font-semibold border border-primary text-primary bg-background/80 hover:bg-primary/10 transition-colors"
+            aria-pressed={isPlaying}
+          >
+            {isPlaying ? '❚❚ Pause' : '▶ Play'}
+          </button>
+        )}
+      </div>
+
+      {canAnimate && (
+        <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${poses.length}, minmax(0, 1fr))` }}>
+          {keyframes.map((keyframe, index) => (
+            <button
+              key={`${keyframe.label}-${index}`}
+              onClick={() => handleFrameSelect(index)}
+              className={cn(
+                "rounded-lg border p-1 text-xs font-semibold transition-colors",
+                index === frameIndex
+                  ? "border-primary text-primary bg-background"
+                  : "border-border text-foreground/60 hover:border-primary/50"
+              )}
+              aria-label={`Show the ${keyframe.label} position`}
+            >
+              <StickFigure pose={poses[index]} className="w-full h-16 text-foreground/70" />
+              {keyframe.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
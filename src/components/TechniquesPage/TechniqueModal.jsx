@@ -1,4 +1,12 @@
-import { useEffect, useCallback } from 'react'
+import { useEffect, useCallback, useMemo } from 'react'
+import { findTechniqueEntity, getTermForTechnique } from '../../lib/entityLinks'
+import { useGlobalProgress } from '../../hooks/useGlobalProgess'
+import { cn } from '../../lib/utils'
+import { AudioPlayer } from '../Terminology/AudioPlayer'
+import { PronunciationPractice } from '../Terminology/PronunciationPractice'
+import { LinkedText } from '../Linking/LinkedText'
+import { TechniqueIllustration } from './TechniqueIllustration'
+import { StanceFootprint } from './StanceFootprint'
 
 /**
  * TechniqueModal Component
@@ -9,9 +17,15 @@ import { useEffect, useCallback } from 'react'
  * 
  * Features:
  * - Full technique breakdown with Korean and English names
- * - Step-by-step execution instructions
+ * - Step-by-step execution instructions with linked technique names
+ * - Animated stick-figure illustration from the technique's keyframes
+ * - Top-down footprint diagram for stances, with an overlay of another stance
+ * - Pronunciation audio from the matching terminology term
+ * - "Say it" recording practice against that audio
  * - Practical application guidance
  * - Common mistakes and corrections
+ * - "Studied" toggle saved with the student's progress
+ * - Optional shortcut into compare mode
  * - Keyboard accessibility and escape key support
  * - Responsive design with proper overflow handling
  * 
@@ -19,9 +33,34 @@ import { useEffect, useCallback } from 'react'
  * @param {Object|null} props.technique - Technique data object or null when closed
  * @param {boolean} props.isOpen - Whether the modal is currently open
  * @param {Function} props.onClose - Callback function to close the modal
+ * @param {Function} [props.onCompare] - Called with the technique id to compare it with others; hides the button when omitted
  * @returns {JSX.Element} Technique modal dialog component
  */
-export const TechniqueModal = ({ technique, isOpen, onClose }) => {
+export const TechniqueModal = ({ technique, isOpen, onClose, onCompare }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const studiedTechniques = useGlobalProgress((state) => state.studiedTechniques)
+  const toggleTechniqueStudied = useGlobalProgress((state) => state.toggleTechniqueStudied)
+
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Technique entity, for its id
+   * @type {import('../../lib/entityLinks').TechniqueEntity|null}
+   */
+  const techniqueEntity = useMemo(() => technique ? findTechniqueEntity(technique) : null, [technique])
+
+  /**
+   * Terminology term for this technique, used for pronunciation audio
+   * @type {import('../../lib/entityLinks').TermEntity|null}
+   */
+  const termEntity = useMemo(() => (
+    techniqueEntity ? getTermForTechnique(techniqueEntity.id) : null
+  ), [techniqueEntity])
+
+  /** @type {boolean} Whether the student has marked this technique as studied */
+  const isStudied = Boolean(techniqueEntity && studiedTechniques[techniqueEntity.id])
+
   // ===== EFFECTS =====
 
   /**
@@ -90,6 +129,30 @@ export const TechniqueModal = ({ technique, isOpen, onClose }) => {
           <p className="text-foreground/80 font-semibold mt-1">
             {technique.english}
           </p>
+          {techniqueEntity && (
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button
+                onClick={() => toggleTechniqueStudied(techniqueEntity.id)}
+                className={cn(
+                  "px-3 py-1 rounded-full text-xs font-semibold border transition-colors",
+                  isStudied
+                    ? "bg-primary text-white border-primary hover:bg-primary-hover"
+                    : "border-primary text-primary hover:bg-primary/10"
+                )}
+                aria-pressed={isStudied}
+              >
+                {isStudied ? '✓ Studied' : 'Mark as studied'}
+              </button>
+              {onCompare && (
+                <button
+                  onClick={() => onCompare(techniqueEntity.id)}
+                  className="px-3 py-1 rounded-full text-xs font-semibold border border-border text-foreground/80 hover:border-primary hover:text-primary transition-colors"
+                >
+                  ⇄ Compare with…
+                </button>
+              )}
+            </div>
+          )}
         </div>
         <button
           onClick={handleCloseClick}
@@ -119,30 +182,27 @@ export const TechniqueModal = ({ technique, isOpen, onClose }) => {
   )
 
   /**
-   * Renders the technique image or placeholder
-   * @returns {JSX.Element} Technique image component
+   * Renders pronunciation audio for the matching terminology term
+   * @returns {JSX.Element|null} Pronunciation component
    */
-  const renderTechniqueImage = () => (
-    <div 
-      className="bg-gradient-to-br from-primary/10 to-primary/5 border border-primary/20 rounded-xl p-8 flex items-center justify-center min-h-64"
-      role="img"
-      aria-label={`Visual demonstration of ${technique.english} technique`}
-    >
-      {technique.image ? (
-        <img 
-          src={technique.image} 
-          alt={`${technique.english} technique execution`}
-          className="max-w-full max-h-48 object-contain rounded-lg"
-        />
-      ) : (
-        <div className="text-center">
-          <div className="text-6xl mb-4" aria-hidden="true">👊</div>
-          <p className="text-foreground/60 text-sm">
-            Technique diagram for {technique.english}
-          </p>
-          <p className="text-foreground/40 text-xs mt-2">
-            [Add technique photo to JSON data]
-          </p>
+  const renderPronunciation = () => termEntity && (
+    <div className="flex flex-wrap items-center gap-4 bg-primary/5 border border-primary/10 rounded-lg p-4">
+      <div>
+        <p className="font-semibold text-foreground">{termEntity.term.romanized}</p>
+        <p className="text-primary font-korean">{termEntity.term.koreanName}</p>
+      </div>
+      <AudioPlayer
+        audioSrc={termEntity.term.sound}
+        term={termEntity.term.englishName}
+        className="flex-1 min-w-[200px]"
+      />
+      {termEntity.term.sound && (
+        <div className="w-full">
+          <PronunciationPractice
+            key={termEntity.id}
+            audioSrc={termEntity.term.sound}
+            term={termEntity.term.englishName}
+          />
         </div>
       )}
     </div>
@@ -181,7 +241,7 @@ export const TechniqueModal = ({ technique, isOpen, onClose }) => {
             >
               {index + 1}
             </span>
-            <span>{step}</span>
+            <span><LinkedText text={step} /></span>
           </li>
         ))}
       </ol>
@@ -248,7 +308,9 @@ export const TechniqueModal = ({ technique, isOpen, onClose }) => {
         {renderModalHeader()}
         
         <div className="p-6 space-y-8">
-          {renderTechniqueImage()}
+          {renderPronunciation()}
+          <TechniqueIllustration key={technique.english} technique={technique} />
+          {technique.footprint && <StanceFootprint key={`footprint-${technique.english}`} technique={technique} />}
           {renderDescription()}
           {renderExecutionSteps()}
           {renderApplication()}
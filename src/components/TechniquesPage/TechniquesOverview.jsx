@@ -1,5 +1,6 @@
 import { cn } from '../../lib/utils'
 import { useScrollTo } from '../../hooks/useScrollTo'
+import { TECHNIQUE_CATEGORIES, countTechniques } from '../../lib/techniques'
 
 /**
  * TechniquesOverview Component
@@ -9,7 +10,8 @@ import { useScrollTo } from '../../hooks/useScrollTo'
  * and professional visual design.
  * 
  * Features:
- * - Category grid with hover animations and gradients
+ * - Category grid built from the techniques registry, with live counts
+ * - Hover animations and gradients
  * - Smooth scrolling transitions between views
  * - Professional spacing and typography hierarchy
  * - Accessibility-compliant interactive elements
@@ -28,53 +30,22 @@ export const TechniquesOverview = ({ onCategorySelect }) => {
   // ===== DATA DEFINITIONS =====
 
   /**
-   * Category configuration data for all ITF Taekwondo technique categories
+   * One card per category in the techniques registry
    * @type {Array}
    */
-  const categoryCards = [
-    {
-      id: 'stances',
-      title: 'Stances (Sogi)',
-      description: 'Foundation positions for power, balance, and mobility in all patterns',
-      count: '18 stances',
-      color: 'from-primary to-primary/20'
-    },
-    {
-      id: 'strikes', 
-      title: 'Strikes (Jireugi)',
-      description: 'Punching techniques and hand attacks for maximum impact',
-      count: '8 strikes',
-      color: 'from-primary to-primary/20'
-    },
-    {
-      id: 'blocks',
-      title: 'Blocks (Makgi)',
-      description: 'Defensive techniques to protect, deflect, and counter attacks',
-      count: '24 blocks',
-      color: 'from-primary to-primary/20'
-    },
-    {
-      id: 'kicks',
-      title: 'Kicks (Chagi)',
-      description: 'Powerful leg techniques and dynamic foot attacks for all ranges', 
-      count: '17 kicks',
-      color: 'from-primary to-primary/20'
-    },
-    {
-      id: 'thrusts',
-      title: 'Thrusts (Tzireugi)',
-      description: 'Spear hands, palm heels, and pushing techniques for close combat',
-      count: '5 thrusts',
-      color: 'from-primary to-primary/20'
-    },
-    {
-      id: 'punches',
-      title: 'Punches (Jirugi)',
-      description: 'Powerful hand strikes delivered with precision and speed',
-      count: '6 punches',
+  const categoryCards = TECHNIQUE_CATEGORIES.map(category => {
+    const count = countTechniques(category)
+    return {
+      id: category.id,
+      title: `${category.name} (${category.koreanName})`,
+      description: category.description,
+      count: `${count} ${count === 1 ? 'technique' : category.name.toLowerCase()}`,
       color: 'from-primary to-primary/20'
     }
-  ]
+  })
+
+  /** @type {number} Techniques across every category */
+  const totalTechniques = TECHNIQUE_CATEGORIES.reduce((total, category) => total + countTechniques(category), 0)
 
   // ===== EVENT HANDLERS =====
 
@@ -218,7 +189,7 @@ export const TechniquesOverview = ({ onCategorySelect }) => {
           Complete Technique Library
         </h3>
         <p className="text-foreground/70 mb-4 leading-relaxed">
-          All <span className="text-primary font-semibold">78 techniques</span> organized by category, 
+          All <span className="text-primary font-semibold">{totalTechniques} techniques</span> organized by category, 
           with detailed instructions, applications, and training tips for every belt level.
         </p>
         <p className="text-foreground/60 text-sm">
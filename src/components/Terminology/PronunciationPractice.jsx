@@ -0,0 +1,336 @@
+import { useState, useEffect, useRef } from 'react'
+import { useAudioRecorder } from '../../hooks/useAudioRecorder'
+import { decodeAudio, analyseRecording, compareRecordings, getWaveformPeaks } from '../../lib/pronunciation'
+import { cn } from '../../lib/utils'
+
+/** @type {number} Bars drawn per waveform */
+const WAVEFORM_BARS = 60
+
+/** @type {number} Longest attempt recorded, in seconds */
+const MAX_RECORDING_SECONDS = 5
+
+/**
+ * Decodes and analyses a clip for the practice panel
+ * @param {Blob|string} source - Recording blob or audio URL
+ * @returns {Promise<{analysis: import('../../lib/pronunciation').RecordingAnalysis, peaks: Array<number>}>} Analysis and waveform
+ */
+const loadClip = async (source) => {
+  const { samples, sampleRate } = await decodeAudio(source)
+  return {
+    analysis: analyseRecording(samples, sampleRate),
+    peaks: getWaveformPeaks(samples, WAVEFORM_BARS)
+  }
+}
+
+/**
+ * Describes an overall score in words
+ * @param {number} score - Overall score, 0-100
+ * @returns {string} Verdict
+ */
+const getVerdict = (score) => {
+  if (score >= 80) return 'Great match!'
+  if (score >= 60) return 'Close, keep going'
+  return 'Keep practising'
+}
+
+/**
+ * Waveform Component
+ *
+ * Bar waveform of one clip.
+ *
+ * @param {Object} props - Component properties
+ * @param {Array<number>|null} props.peaks - Bar heights 0-1, or null while loading
+ * @param {string} props.label - Accessible description
+ * @param {string} props.className - Colour classes for the bars
+ * @returns {JSX.Element} Waveform
+ */
+const Waveform = ({ peaks, label, className }) => (
+  <svg
+    viewBox={`0 0 ${WAVEFORM_BARS * 3} 40`}
+    preserveAspectRatio="none"
+    className={cn('w-full h-12', className)}
+    role="img"
+    aria-label={label}
+  >
+    {(peaks || Array(WAVEFORM_BARS).fill(0)).map((peak, index) => {
+      const height = Math.max(1, peak * 38)
+      return <rect key={index} x={index * 3} y={20 - height / 2} width={2} height={height} rx={1} fill="currentColor" />
+    })}
+  </svg>
+)
+
+/**
+ * PronunciationPractice Component
+ *
+ * "Say it" mode for a term: the student records themselves, hears their
+ * attempt next to the reference and sees both waveforms with a rough
+ * similarity score worked out on the device.
+ *
+ * Features:
+ * - Microphone recording with an automatic stop after a few seconds
+ * - Reference and attempt waveforms, one above the other
+ * - Play the reference, the attempt, or both back to back
+ * - Overall score with duration, loudness and pitch parts and tips
+ * - Clear messages when recording is unsupported or blocked
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.audioSrc - Reference pronunciation URL
+ * @param {string} [props.term] - Term name for labels
+ * @returns {JSX.Element} Practice panel, collapsed behind a "Say it" button
+ */
+export const PronunciationPractice = ({ audioSrc, term = 'this term' }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const recorder = useAudioRecorder({ maxSeconds: MAX_RECORDING_SECONDS })
+
+  /** @type {[boolean, Function]} Whether the panel is open */
+  const [isOpen, setIsOpen] = useState(false)
+
+  /** @type {[Object|null, Function]} Reference analysis and waveform */
+  const [reference, setReference] = useState(null)
+
+  /** @type {[Object|null, Function]} Attempt analysis and waveform */
+  const [attempt, setAttempt] = useState(null)
+
+  /** @type {[string|null, Function]} Why the reference could not be analysed */
+  const [referenceError, setReferenceError] = useState(null)
+
+  /** @type {[string|null, Function]} Why the last recording could not be analysed */
+  const [analysisError, setAnalysisError] = useState(null)
+
+  // ===== REFERENCES =====
+
+  const referenceAudioRef = useRef(null)
+  const attemptAudioRef = useRef(null)
+
+  /** @type {import('react').MutableRefObject<Function|null>} Pending "play the attempt after the reference" listener */
+  const playAttemptNextRef = useRef(null)
+
+  // ===== COMPUTED VALUES =====
+
+  /** @type {import('../../lib/pronunciation').PronunciationComparison|null} Score for the last attempt */
+  const comparison = reference && attempt ? compareRecordings(reference.analysis, attempt.analysis) : null
+
+  // ===== EFFECTS =====
+
+  /**
+   * Analyses the reference clip when the panel first opens
+   */
+  useEffect(() => {
+    if (!isOpen || reference || referenceError) return
+    let cancelled = false
+
+    loadClip(audioSrc)
+      .then(clip => !cancelled && setReference(clip))
+      .catch(() => !cancelled && setReferenceError('The reference audio could not be analysed, so no score can be given.'))
+
+    return () => { cancelled = true }
+  }, [isOpen, reference, referenceError, audioSrc])
+
+  /**
+   * Analyses each new recording
+   */
+  useEffect(() => {
+    if (!recorder.recording) return
+    let cancelled = false
+
+    loadClip(recorder.recording.blob)
+      .then(clip => !cancelled && setAttempt(clip))
+      .catch(() => !cancelled && setAnalysisError('Your recording could not be analysed. Try again.'))
+
+    return () => { cancelled = true }
+  }, [recorder.recording])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Starts a new attempt, clearing the previous one
+   */
+  const handleRecord = () => {
+    setAttempt(null)
+    setAnalysisError(null)
+    recorder.start()
+  }
+
+  /**
+   * Plays one clip from the start, cancelling any queued "Both" playback
+   * @param {React.RefObject<HTMLAudioElement>} audioRef - Clip to play
+   */
+  const playClip = (audioRef) => {
+    if (playAttemptNextRef.current) {
+      referenceAudioRef.current?.removeEventListener('ended', playAttemptNextRef.current)
+      playAttemptNextRef.current = null
+    }
+    referenceAudioRef.current?.pause()
+    attemptAudioRef.current?.pause()
+    if (!audioRef.current) return
+    audioRef.current.currentTime = 0
+    audioRef.current.play().catch(error => console.error('🚨 Audio play failed:', error))
+  }
+
+  /**
+   * Plays the reference, then the attempt when it ends
+   */
+  const handlePlayBoth = () => {
+    playClip(referenceAudioRef)
+    playAttemptNextRef.current = () => playClip(attemptAudioRef)
+    referenceAudioRef.current?.addEventListener('ended', playAttemptNextRef.current, { once: true })
+  }
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders a small playback button
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @param {boolean} [disabled] - Whether the button is disabled
+   * @returns {JSX.Element} Button
+   */
+  const renderPlayButton = (label, onClick, disabled = false) => (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className="px-3 py-1.5 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors disabled:opacity-50"
+    >
+      ▶ {label}
+    </button>
+  )
+
+  /**
+   * Renders the record / stop button
+   * @returns {JSX.Element} Record button
+   */
+  const renderRecordButton = () => (
+    <button
+      onClick={recorder.isRecording ? recorder.stop : handleRecord}
+      disabled={recorder.status === 'requesting'}
+      className={cn(
+        'px-4 py-2 rounded-lg text-sm font-semibold text-white transition-colors disabled:opacity-50',
+        recorder.isRecording ? 'bg-red-600 hover:bg-red-700 animate-pulse' : 'bg-primary hover:bg-primary-hover'
+      )}
+      aria-label={recorder.isRecording ? 'Stop recording' : `Record yourself saying ${term}`}
+    >
+      {recorder.isRecording ? '■ Stop' : attempt ? '🎙️ Try again' : '🎙️ Record'}
+    </button>
+  )
+
+  /**
+   * Renders one part score as a labelled bar
+   * @param {string} label - Part name
+   * @param {number|null} value - Part score, or null when not measured
+   * @returns {JSX.Element} Score bar
+   */
+  const renderPartScore = (label, value) => (
+    <div key={label}>
+      <div className="flex justify-between text-xs mb-1">
+        <span className="text-foreground/70">{label}</span>
+        <span className="text-foreground/60">{value === null ? 'n/a' : `${value}%`}</span>
+      </div>
+      <div className="h-1.5 bg-primary/10 rounded-full overflow-hidden">
+        <div className="h-full bg-primary rounded-full" style={{ width: `${value || 0}%` }} />
+      </div>
+    </div>
+  )
+
+  /**
+   * Renders the score for the last attempt
+   * @returns {JSX.Element} Score section
+   */
+  const renderComparison = () => (
+    <div className="space-y-3" role="status">
+      <div className="flex items-baseline gap-3">
+        <span className="text-3xl font-bold text-primary">{comparison.score}%</span>
+        <span className="font-semibold text-foreground">{getVerdict(comparison.score)}</span>
+      </div>
+      <div className="grid grid-cols-3 gap-3">
+        {renderPartScore('Length', comparison.parts.duration)}
+        {renderPartScore('Stress', comparison.parts.energy)}
+        {renderPartScore('Pitch', comparison.parts.pitch)}
+      </div>
+      {comparison.tips.length > 0 && (
+        <ul className="text-sm text-foreground/70 list-disc pl-5 space-y-1">
+          {comparison.tips.map(tip => <li key={tip}>{tip}</li>)}
+        </ul>
+      )}
+      <p className="text-xs text-foreground/50">
+        A rough guide from timing, loudness and pitch. It does not check the actual sounds.
+      </p>
+    </div>
+  )
+
+  // ===== EARLY RETURNS =====
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="px-3 py-1.5 rounded-lg text-sm font-semibold border border-primary text-primary hover:bg-primary/10 transition-colors"
+      >
+        🎙️ Say it
+      </button>
+    )
+  }
+
+  // ===== MAIN COMPONENT RENDER =====
+
+  return (
+    <section className="border border-border rounded-lg p-4 space-y-4" aria-label={`Say it practice for ${term}`}>
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="font-semibold text-foreground">🎙️ Say it</h3>
+        <button
+          onClick={() => setIsOpen(false)}
+          className="text-sm text-foreground/60 hover:text-foreground transition-colors"
+        >
+          Close
+        </button>
+      </div>
+
+      {!recorder.isSupported ? (
+        <p className="text-sm text-foreground/70">
+          Recording is not supported in this browser. Try a recent version of Chrome, Edge, Firefox or Safari.
+        </p>
+      ) : (
+        <>
+          <p className="text-sm text-foreground/70">
+            Listen to the reference, then record yourself (up to {MAX_RECORDING_SECONDS} seconds).
+          </p>
+
+          <div className="space-y-2">
+            <div>
+              <p className="text-xs text-foreground/60 mb-1">Reference</p>
+              <Waveform peaks={reference?.peaks} label={`Reference waveform for ${term}`} className="text-primary" />
+            </div>
+            <div>
+              <p className="text-xs text-foreground/60 mb-1">Your attempt</p>
+              <Waveform
+                peaks={attempt?.peaks}
+                label={attempt ? `Your waveform for ${term}` : 'No attempt recorded yet'}
+                className="text-foreground/50"
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            {renderRecordButton()}
+            {renderPlayButton('Reference', () => playClip(referenceAudioRef))}
+            {renderPlayButton('Mine', () => playClip(attemptAudioRef), !recorder.recording)}
+            {renderPlayButton('Both', handlePlayBoth, !recorder.recording)}
+          </div>
+
+          {[referenceError, recorder.error, analysisError].filter(Boolean).map(message => (
+            <p key={message} className="text-sm rounded-lg px-4 py-2 bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200" role="alert">
+              {message}
+            </p>
+          ))}
+
+          {comparison && renderComparison()}
+        </>
+      )}
+
+      <audio ref={referenceAudioRef} src={audioSrc} preload="auto" aria-hidden="true" />
+      {recorder.recording && (
+        <audio ref={attemptAudioRef} src={recorder.recording.url} preload="auto" aria-hidden="true" />
+      )}
+    </section>
+  )
+}
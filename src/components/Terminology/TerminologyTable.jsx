@@ -33,12 +33,15 @@ const BELT_COLOR_MAP = {
  * - Responsive table design with horizontal scrolling
  * - Belt color coding with gradient support
  * - Integrated audio pronunciation players
+ * - Clickable rows that select a term (highlighted while selected)
  * - Hover effects and smooth transitions
  * - Accessibility-compliant table structure
  * - Professional styling with consistent design language
  * 
  * @param {Object} props - Component properties
  * @param {Array<TerminologyTerm>} props.terms - Array of terminology term objects
+ * @param {string} [props.selectedTermId] - Id of the highlighted term
+ * @param {Function} [props.onTermSelect] - Called with the term when a row is clicked
  * @param {string} [props.className] - Additional CSS classes for container customization
  * 
  * @returns {JSX.Element} Terminology table component
@@ -64,7 +67,7 @@ const BELT_COLOR_MAP = {
  * @property {string} [category] - Optional category classification
  */
 
-export const TerminologyTable = ({ terms, className }) => {
+export const TerminologyTable = ({ terms, selectedTermId, onTermSelect, className }) => {
   // ===== UTILITY FUNCTIONS =====
 
   /**
@@ -76,6 +79,28 @@ export const TerminologyTable = ({ terms, className }) => {
     return BELT_COLOR_MAP[beltColor] || 'bg-gray-200 border-gray-300 text-gray-800 shadow-sm'
   }
 
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Selects a term when its row is activated
+   * @param {TerminologyTerm} term - Terminology term object
+   */
+  const handleRowOpen = (term) => {
+    onTermSelect?.(term)
+  }
+
+  /**
+   * Selects the term with Enter or Space on a focused row
+   * @param {React.KeyboardEvent} event - Keyboard event
+   * @param {TerminologyTerm} term - Terminology term object
+   */
+  const handleRowKeyDown = (event, term) => {
+    if (event.target === event.currentTarget && (event.key === 'Enter' || event.key === ' ')) {
+      event.preventDefault()
+      handleRowOpen(term)
+    }
+  }
+
   // ===== RENDER METHODS =====
 
   /**
@@ -118,9 +143,15 @@ export const TerminologyTable = ({ terms, className }) => {
       key={term.id}
       className={cn(
         "hover:bg-primary/5 transition-all duration-200 border-b border-border/50",
-        "group cursor-default",
-        index % 2 === 0 ? "bg-background" : "bg-muted/30"
+        "group cursor-pointer focus:outline-none focus:bg-primary/10",
+        term.id === selectedTermId
+          ? "bg-primary/15"
+          : index % 2 === 0 ? "bg-background" : "bg-muted/30"
       )}
+      aria-selected={term.id === selectedTermId}
+      onClick={() => handleRowOpen(term)}
+      onKeyDown={(event) => handleRowKeyDown(event, term)}
+      tabIndex={0}
       style={{
         animationDelay: `${index * 50}ms`
       }}
@@ -141,7 +172,7 @@ export const TerminologyTable = ({ terms, className }) => {
       </td>
       
       {/* Audio Pronunciation */}
-      <td className="p-4">
+      <td className="p-4" onClick={(event) => event.stopPropagation()}>
         <AudioPlayer 
           audioSrc={term.sound} 
           term={term.englishName}
@@ -241,5 +272,7 @@ export const TerminologyTable = ({ terms, className }) => {
  * 
  * @typedef {Object} TerminologyTableProps
  * @property {Array<TerminologyTerm>} terms - Array of terminology term objects
+ * @property {string} [selectedTermId] - Id of the highlighted term
+ * @property {Function} [onTermSelect] - Called with the term when a row is clicked
  * @property {string} [className] - Additional CSS classes for container customization
  */
\ No newline at end of file
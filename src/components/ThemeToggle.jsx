@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react'
 import { cn } from '../lib/utils'
+import { useProfiles, selectActiveProfile } from '../hooks/useProfiles'
+import { DEFAULT_PROFILE_ID } from '../lib/profiles'
 
 /**
  * ThemeToggle Component
@@ -10,6 +12,8 @@ import { cn } from '../lib/utils'
  * Features:
  * - System preference detection using prefers-color-scheme
  * - Persistent theme storage in localStorage
+ * - Remembers the theme per local profile and applies it on profile switch;
+ *   profiles without one follow the system preference
  * - Smooth CSS transitions and accessibility compliance
  * - ARIA labels and keyboard navigation support
  * - Professional iconography with clear visual indicators
@@ -28,6 +32,11 @@ export const ThemeToggle = () => {
   /** Loading state to prevent flash of wrong theme */
   const [isMounted, setIsMounted] = useState(false)
 
+  /** Active profile and its remembered theme (null when it has none yet) */
+  const activeProfileId = useProfiles(state => state.activeProfileId)
+  const profileTheme = useProfiles(state => selectActiveProfile(state).theme)
+  const setProfileTheme = useProfiles(state => state.setProfileTheme)
+
   // ===== EFFECTS =====
 
   /**
@@ -54,6 +63,14 @@ export const ThemeToggle = () => {
       return systemPrefersDark ? 'dark' : 'light'
     }
 
+    // A theme saved before profiles existed belongs to the original profile
+    const savedTheme = localStorage.getItem('theme')
+    const profiles = useProfiles.getState()
+    if (profiles.activeProfileId === DEFAULT_PROFILE_ID && !selectActiveProfile(profiles).theme &&
+      (savedTheme === 'dark' || savedTheme === 'light')) {
+      profiles.setProfileTheme(DEFAULT_PROFILE_ID, savedTheme)
+    }
+
     // Apply initial theme
     const initialTheme = getInitialTheme()
     const isDarkMode = initialTheme === 'dark'
@@ -75,6 +92,33 @@ export const ThemeToggle = () => {
     console.log(`🎨 Theme initialized: ${initialTheme}`)
   }, [])
 
+  /**
+   * Applies the active profile's theme, or the system preference when the
+   * profile has none, so one profile's choice never carries over to another
+   * Runs on mount and whenever another profile is switched to
+   */
+  useEffect(() => {
+    const hasTheme = profileTheme === 'dark' || profileTheme === 'light'
+    const isDarkMode = hasTheme
+      ? profileTheme === 'dark'
+      : window.matchMedia('(prefers-color-scheme: dark)').matches
+
+    setIsDark(isDarkMode)
+    if (hasTheme) {
+      localStorage.setItem('theme', profileTheme)
+    } else {
+      localStorage.removeItem('theme')
+    }
+
+    if (isDarkMode) {
+      document.documentElement.classList.remove('light')
+      document.documentElement.classList.add('dark')
+    } else {
+      document.documentElement.classList.remove('dark')
+      document.documentElement.classList.add('light')
+    }
+  }, [profileTheme])
+
   /**
    * Listens for system theme changes and updates accordingly
    */
@@ -136,6 +180,7 @@ export const ThemeToggle = () => {
     // Update state and storage
     setIsDark(newDarkMode)
     localStorage.setItem('theme', newDarkMode ? 'dark' : 'light')
+    setProfileTheme(activeProfileId, newDarkMode ? 'dark' : 'light')
     
     // Remove transition class after animation
     setTimeout(() => {
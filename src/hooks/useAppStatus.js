@@ -0,0 +1,66 @@
+import { create } from 'zustand'
+import { activateUpdate } from '../lib/serviceWorker'
+
+/**
+ * App Status Store
+ *
+ * Connection and offline-install state shown by the offline indicator and
+ * the update prompt. The service worker callbacks (registered in main.jsx)
+ * and the browser's online/offline events feed it.
+ *
+ * Features:
+ * - Online/offline state kept in sync with the browser
+ * - "Ready to work offline" notice after the first full cache
+ * - Waiting new version, applied on request
+ * - Not persisted
+ */
+export const useAppStatus = create((set, get) => ({
+  // ===== STATE DEFINITIONS =====
+
+  /** @type {boolean} Whether the browser reports a network connection */
+  isOnline: typeof navigator === 'undefined' ? true : navigator.onLine,
+
+  /** @type {boolean} Whether the app was just cached for offline use */
+  offlineReady: false,
+
+  /** @type {ServiceWorker|null} New version waiting to take over */
+  waitingWorker: null,
+
+  // ===== ACTIONS =====
+
+  /**
+   * Records a change in connection state
+   * @param {boolean} isOnline - Whether the browser is online
+   */
+  setOnline: (isOnline) => set({ isOnline }),
+
+  /**
+   * Shows or hides the "ready to work offline" notice
+   * @param {boolean} offlineReady - Whether to show the notice
+   */
+  setOfflineReady: (offlineReady) => set({ offlineReady }),
+
+  /**
+   * Records a new version waiting to take over
+   * @param {ServiceWorker|null} waitingWorker - Waiting worker
+   */
+  setWaitingWorker: (waitingWorker) => set({ waitingWorker }),
+
+  /**
+   * Switches to the waiting version and reloads the page
+   */
+  applyUpdate: () => {
+    const { waitingWorker } = get()
+    if (waitingWorker) activateUpdate(waitingWorker)
+  },
+
+  /**
+   * Hides the update prompt until the next visit
+   */
+  dismissUpdate: () => set({ waitingWorker: null })
+}))
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => useAppStatus.getState().setOnline(true))
+  window.addEventListener('offline', () => useAppStatus.getState().setOnline(false))
+}
@@ -0,0 +1,163 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+
+/** @type {boolean} Whether this browser can record from the microphone */
+const RECORDING_SUPPORTED = typeof window !== 'undefined' &&
+  typeof window.MediaRecorder !== 'undefined' &&
+  Boolean(navigator.mediaDevices?.getUserMedia)
+
+/**
+ * useAudioRecorder Custom Hook
+ *
+ * Records short clips from the microphone with the MediaRecorder API.
+ * The microphone is only held while recording and is released as soon
+ * as the clip stops.
+ *
+ * Features:
+ * - Start and stop controls with an automatic stop after maxSeconds
+ * - Recorded clip as a Blob and an object URL for playback
+ * - Permission and support errors as readable messages
+ * - Object URL and microphone cleanup on reset and unmount, including a
+ *   microphone granted after the component unmounted
+ *
+ * @param {Object} [options] - Recorder options
+ * @param {number} [options.maxSeconds=5] - Longest clip before recording stops by itself
+ * @returns {Object} Recorder state and controls
+ *
+ * @example
+ * const recorder = useAudioRecorder({ maxSeconds: 4 })
+ * recorder.start()
+ */
+export const useAudioRecorder = ({ maxSeconds = 5 } = {}) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[string, Function]} Recorder status: 'idle' | 'requesting' | 'recording' | 'stopped' */
+  const [status, setStatus] = useState('idle')
+
+  /** @type {[{blob: Blob, url: string}|null, Function]} Last recorded clip */
+  const [recording, setRecording] = useState(null)
+
+  /** @type {[string|null, Function]} Why recording failed */
+  const [error, setError] = useState(null)
+
+  // ===== REFERENCES =====
+
+  const recorderRef = useRef(null)
+  const streamRef = useRef(null)
+  const timerRef = useRef(null)
+
+  /** @type {import('react').MutableRefObject<boolean>} Whether the component is still mounted */
+  const isMountedRef = useRef(false)
+
+  // ===== HELPERS =====
+
+  /**
+   * Releases the microphone and the auto-stop timer
+   */
+  const releaseMicrophone = useCallback(() => {
+    clearTimeout(timerRef.current)
+    streamRef.current?.getTracks().forEach(track => track.stop())
+    streamRef.current = null
+  }, [])
+
+  // ===== EFFECTS =====
+
+  /**
+   * Frees the previous clip's object URL when it is replaced
+   */
+  useEffect(() => {
+    if (!recording) return
+    return () => URL.revokeObjectURL(recording.url)
+  }, [recording])
+
+  /**
+   * Stops any recording in progress when the component unmounts
+   */
+  useEffect(() => {
+    isMountedRef.current = true
+    return () => {
+      isMountedRef.current = false
+      if (recorderRef.current?.state === 'recording') {
+        recorderRef.current.onstop = null
+        recorderRef.current.stop()
+      }
+      releaseMicrophone()
+    }
+  }, [releaseMicrophone])
+
+  // ===== CONTROLS =====
+
+  /**
+   * Stops the recording; the clip becomes available once it is encoded
+   */
+  const stop = useCallback(() => {
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop()
+  }, [])
+
+  /**
+   * Asks for the microphone and starts recording a new clip
+   */
+  const start = useCallback(async () => {
+    if (!RECORDING_SUPPORTED) {
+      setError('Recording is not supported in this browser.')
+      return
+    }
+
+    setError(null)
+    setStatus('requesting')
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+
+      // The panel may have closed while the permission prompt was open
+      if (!isMountedRef.current) {
+        stream.getTracks().forEach(track => track.stop())
+        return
+      }
+      streamRef.current = stream
+
+      const recorder = new MediaRecorder(stream)
+      const chunks = []
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data)
+      }
+      recorder.onstop = () => {
+        releaseMicrophone()
+        const blob = new Blob(chunks, { type: recorder.mimeType })
+        setRecording({ blob, url: URL.createObjectURL(blob) })
+        setStatus('stopped')
+      }
+
+      recorderRef.current = recorder
+      recorder.start()
+      setStatus('recording')
+      timerRef.current = setTimeout(() => recorder.state === 'recording' && recorder.stop(), maxSeconds * 1000)
+    } catch (recordError) {
+      if (!isMountedRef.current) return
+      releaseMicrophone()
+      setStatus('idle')
+      setError(recordError.name === 'NotAllowedError'
+        ? 'Microphone access was blocked. Allow it in the browser settings to record.'
+        : 'The microphone could not be started.')
+    }
+  }, [maxSeconds, releaseMicrophone])
+
+  /**
+   * Discards the recorded clip
+   */
+  const reset = useCallback(() => {
+    setRecording(null)
+    setStatus('idle')
+    setError(null)
+  }, [])
+
+  return {
+    isSupported: RECORDING_SUPPORTED,
+    status,
+    isRecording: status === 'recording',
+    recording,
+    error,
+    start,
+    stop,
+    reset
+  }
+}
@@ -0,0 +1,189 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import {
+  createAssignment as buildAssignment,
+  getStudentKey,
+  verifyResultSubmission
+} from '../lib/classroom'
+import { getClassroomStorageKey } from '../lib/profiles'
+import { useProfiles } from './useProfiles'
+
+/**
+ * Classroom Store
+ *
+ * Class mode data kept on this device for the active profile: the
+ * assignments an instructor has created with their roster and the results
+ * received, and the assignments a student has joined. Student results
+ * themselves come from the progress store's session log (see lib/classroom).
+ *
+ * Features:
+ * - Create and delete assignments (instructor)
+ * - Class roster imported from a list or CSV
+ * - Result import with signature check, keeping each student's latest result
+ * - Join and leave assignments (student)
+ * - Separate class data for each profile
+ *
+ * @version 1.0
+ * @persist taekwondo-classroom (suffixed with the profile id for other profiles)
+ */
+export const useClassroom = create(
+  persist(
+    (set, get) => ({
+      // ===== STATE DEFINITIONS =====
+
+      /** @type {Array<import('../lib/classroom').Assignment>} Assignments created on this device */
+      assignments: [],
+
+      /** @type {Array<string>} Student names in the class */
+      roster: [],
+
+      /** @type {Object<string, Array<import('../lib/classroom').ImportedResult>>} Results received, by assignment id */
+      submissions: {},
+
+      /** @type {Array<import('../lib/classroom').Assignment>} Assignments joined as a student */
+      joinedAssignments: [],
+
+      // ===== INSTRUCTOR ACTIONS =====
+
+      /**
+       * Creates an assignment
+       *
+       * @param {Object} details - Title, quiz ids and optional due date
+       * @returns {import('../lib/classroom').Assignment} New assignment
+       */
+      createAssignment: (details) => {
+        const assignment = buildAssignment(details)
+        set(state => ({ assignments: [assignment, ...state.assignments] }))
+        return assignment
+      },
+
+      /**
+       * Deletes an assignment and the results received for it
+       *
+       * @param {string} assignmentId - Assignment to delete
+       * @returns {void}
+       */
+      deleteAssignment: (assignmentId) => {
+        set(state => {
+          const { [assignmentId]: _removed, ...submissions } = state.submissions
+          return {
+            assignments: state.assignments.filter(assignment => assignment.id !== assignmentId),
+            submissions
+          }
+        })
+      },
+
+      /**
+       * Replaces the class roster
+       *
+       * @param {Array<string>} names - Student names
+       * @returns {void}
+       */
+      setRoster: (names) => {
+        set({ roster: names })
+      },
+
+      /**
+       * Imports a student's result, checking its signature. A newer result
+       * from the same student replaces the older one.
+       *
+       * @param {import('../lib/classroom').ResultSubmission} submission - Parsed result
+       * @returns {Promise<{status: 'added'|'updated'|'older'|'unknown-assignment', verified: boolean}>} Outcome
+       */
+      importResult: async (submission) => {
+        const assignment = get().assignments.find(item => item.id === submission.assignmentId)
+        if (!assignment) return { status: 'unknown-assignment', verified: false }
+
+        const verified = await verifyResultSubmission(submission, assignment)
+        const studentKey = getStudentKey(submission.student)
+        const existing = (get().submissions[assignment.id] || [])
+        const previous = existing.find(entry => getStudentKey(entry.submission.student) === studentKey)
+
+        if (previous && previous.submission.submittedAt > submission.submittedAt) {
+          return { status: 'older', verified }
+        }
+
+        const entry = { submission, verified, importedAt: Date.now() }
+        set(state => ({
+          submissions: {
+            ...state.submissions,
+            [assignment.id]: [
+              ...existing.filter(item => getStudentKey(item.submission.student) !== studentKey),
+              entry
+            ]
+          }
+        }))
+        return { status: previous ? 'updated' : 'added', verified }
+      },
+
+      // ===== STUDENT ACTIONS =====
+
+      /**
+       * Joins an assignment, or refreshes it when already joined
+       *
+       * @param {import('../lib/classroom').Assignment} assignment - Parsed assignment
+       * @returns {boolean} Whether it was newly joined
+       */
+      joinAssignment: (assignment) => {
+        const alreadyJoined = get().joinedAssignments.some(item => item.id === assignment.id)
+        set(state => ({
+          joinedAssignments: [assignment, ...state.joinedAssignments.filter(item => item.id !== assignment.id)]
+        }))
+        return !alreadyJoined
+      },
+
+      /**
+       * Leaves an assignment
+       *
+       * @param {string} assignmentId - Assignment to leave
+       * @returns {void}
+       */
+      leaveAssignment: (assignmentId) => {
+        set(state => ({
+          joinedAssignments: state.joinedAssignments.filter(item => item.id !== assignmentId)
+        }))
+      }
+    }),
+    {
+      // ===== PERSISTENCE CONFIGURATION =====
+
+      // Per profile: "taekwondo-classroom" for the first profile, suffixed for others
+      name: getClassroomStorageKey(useProfiles.getState().activeProfileId),
+      version: 1,
+    }
+  )
+)
+
+/**
+ * Loads a profile's class data into the store and points persistence at
+ * that profile's storage key, reading before switching so the other
+ * profile's assignments and results are never written over.
+ *
+ * @param {string} profileId - Profile to load
+ * @returns {void}
+ */
+const loadProfileClassroom = (profileId) => {
+  const storageKey = getClassroomStorageKey(profileId)
+  let storedState = {}
+
+  try {
+    storedState = JSON.parse(localStorage.getItem(storageKey))?.state || {}
+  } catch (error) {
+    console.error('Could not read profile class data:', error)
+  }
+
+  useClassroom.persist.setOptions({ name: storageKey })
+  useClassroom.setState({
+    assignments: storedState.assignments || [],
+    roster: storedState.roster || [],
+    submissions: storedState.submissions || {},
+    joinedAssignments: storedState.joinedAssignments || []
+  })
+}
+
+// Swap class data whenever another profile becomes active
+useProfiles.subscribe((state, previousState) => {
+  if (state.activeProfileId !== previousState.activeProfileId) {
+    loadProfileClassroom(state.activeProfileId)
+  }
+})
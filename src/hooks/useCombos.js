@@ -0,0 +1,95 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { buildCombo } from '../lib/combos'
+import { getComboStorageKey } from '../lib/profiles'
+import { useProfiles } from './useProfiles'
+
+/**
+ * Combinations Store
+ *
+ * Technique combinations built in the combination builder, kept on this
+ * device for the active profile so they can be run again as drills.
+ *
+ * Features:
+ * - Save new combinations and edits to existing ones
+ * - Delete combinations
+ * - Most recently saved combination listed first
+ * - Separate combinations for each profile
+ *
+ * @version 1.0
+ * @persist taekwondo-combos (suffixed with the profile id for other profiles)
+ */
+export const useCombos = create(
+  persist(
+    (set, get) => ({
+      // ===== STATE DEFINITIONS =====
+
+      /** @type {Array<import('../lib/combos').Combo>} Saved combinations, most recently saved first */
+      combos: [],
+
+      // ===== ACTIONS =====
+
+      /**
+       * Saves a combination, replacing the saved version when editing
+       *
+       * @param {{name: string, moves: Array<import('../lib/combos').ComboMove>}} details - Name and moves
+       * @param {string|null} [comboId] - Combination being edited, null for a new one
+       * @returns {import('../lib/combos').Combo} Saved combination
+       */
+      saveCombo: (details, comboId = null) => {
+        const existing = comboId ? get().combos.find(combo => combo.id === comboId) : null
+        const combo = buildCombo(details, existing)
+        set(state => ({
+          combos: [combo, ...state.combos.filter(item => item.id !== combo.id)]
+        }))
+        return combo
+      },
+
+      /**
+       * Deletes a combination
+       *
+       * @param {string} comboId - Combination to delete
+       * @returns {void}
+       */
+      deleteCombo: (comboId) => {
+        set(state => ({ combos: state.combos.filter(combo => combo.id !== comboId) }))
+      }
+    }),
+    {
+      // ===== PERSISTENCE CONFIGURATION =====
+
+      // Per profile: "taekwondo-combos" for the first profile, suffixed for others
+      name: getComboStorageKey(useProfiles.getState().activeProfileId),
+      version: 1,
+    }
+  )
+)
+
+/**
+ * Loads a profile's saved combinations into the store and points
+ * persistence at that profile's storage key, reading before switching so
+ * the other profile's combinations are never written over.
+ *
+ * @param {string} profileId - Profile to load
+ * @returns {void}
+ */
+const loadProfileCombos = (profileId) => {
+  const storageKey = getComboStorageKey(profileId)
+  let storedCombos = []
+
+  try {
+    storedCombos = JSON.parse(localStorage.getItem(storageKey))?.state?.combos || []
+  } catch (error) {
+    console.error('Could not read profile combinations:', error)
+  }
+
+  useCombos.persist.setOptions({ name: storageKey })
+  useCombos.setState({ combos: storedCombos })
+}
+
+// Swap combinations whenever another profile becomes active
+useProfiles.subscribe((state, previousState) => {
+  if (state.activeProfileId !== previousState.activeProfileId) {
+    loadProfileCombos(state.activeProfileId)
+  }
+})
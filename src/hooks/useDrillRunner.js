@@ -0,0 +1,161 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+
+/**
+ * useDrillRunner Custom Hook
+ *
+ * Steps through a list of drill steps on a fixed tempo, announcing each
+ * one as it becomes active. Handles multiple sets, pause/resume, skipping
+ * and repeating the current set.
+ *
+ * Features:
+ * - Tempo-driven step advancement (seconds per movement)
+ * - Multi-set drills with automatic set progression
+ * - Pause, resume, skip and repeat-set controls
+ * - Announcement callback fired once per active step
+ *
+ * @param {Array<Object>} steps - Drill steps to run
+ * @param {Object} options - Runner options
+ * @param {number} options.tempo - Seconds each step stays active
+ * @param {number} options.sets - Number of times to run the full list
+ * @param {Function} [options.onStep] - Called with (step, setNumber) when a step becomes active
+ * @returns {Object} Runner state and controls
+ *
+ * @example
+ * const runner = useDrillRunner(steps, { tempo: 3, sets: 2, onStep: announce })
+ * runner.start()
+ */
+export const useDrillRunner = (steps, { tempo, sets, onStep }) => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[string, Function]} Runner status: 'idle' | 'running' | 'paused' | 'finished' */
+  const [status, setStatus] = useState('idle')
+
+  /** @type {[number, Function]} Index of the active step within the set */
+  const [stepIndex, setStepIndex] = useState(0)
+
+  /** @type {[number, Function]} 1-based number of the active set */
+  const [currentSet, setCurrentSet] = useState(1)
+
+  /** @type {[number, Function]} Bumped by repeatSet so restarting on the first step still re-announces it and restarts the beat */
+  const [restartCount, setRestartCount] = useState(0)
+
+  // ===== REFERENCES =====
+
+  /** Latest announcement callback, kept in a ref so the timer does not reset when it changes */
+  const onStepRef = useRef(onStep)
+
+  useEffect(() => {
+    onStepRef.current = onStep
+  }, [onStep])
+
+  // ===== EFFECTS =====
+
+  /**
+   * Announces the active step whenever it changes (or the set restarts) while running
+   */
+  useEffect(() => {
+    if (status === 'running' && steps[stepIndex]) {
+      onStepRef.current?.(steps[stepIndex], currentSet)
+    }
+  }, [status, stepIndex, currentSet, steps, restartCount])
+
+  /**
+   * Advances to the next step (or set) after one beat of the tempo
+   */
+  useEffect(() => {
+    if (status !== 'running') return
+
+    const timer = setTimeout(() => {
+      if (stepIndex < steps.length - 1) {
+        setStepIndex(stepIndex + 1)
+      } else if (currentSet < sets) {
+        setCurrentSet(currentSet + 1)
+        setStepIndex(0)
+      } else {
+        setStatus('finished')
+      }
+    }, tempo * 1000)
+
+    return () => clearTimeout(timer)
+  }, [status, stepIndex, currentSet, steps.length, sets, tempo, restartCount])
+
+  /**
+   * Returns to idle whenever the drill itself changes
+   */
+  useEffect(() => {
+    setStatus('idle')
+    setStepIndex(0)
+    setCurrentSet(1)
+  }, [steps])
+
+  // ===== CONTROLS =====
+
+  /**
+   * Starts the drill from the first step of the first set
+   */
+  const start = useCallback(() => {
+    if (steps.length === 0) return
+    setStepIndex(0)
+    setCurrentSet(1)
+    setStatus('running')
+  }, [steps.length])
+
+  /**
+   * Pauses on the active step
+   */
+  const pause = useCallback(() => {
+    setStatus(prev => (prev === 'running' ? 'paused' : prev))
+  }, [])
+
+  /**
+   * Resumes from the active step with a fresh beat
+   */
+  const resume = useCallback(() => {
+    setStatus(prev => (prev === 'paused' ? 'running' : prev))
+  }, [])
+
+  /**
+   * Skips straight to the next step, rolling over into the next set
+   */
+  const skip = useCallback(() => {
+    if (stepIndex < steps.length - 1) {
+      setStepIndex(stepIndex + 1)
+    } else if (currentSet < sets) {
+      setCurrentSet(currentSet + 1)
+      setStepIndex(0)
+    } else {
+      setStatus('finished')
+    }
+  }, [stepIndex, steps.length, currentSet, sets])
+
+  /**
+   * Restarts the current set from its first step
+   */
+  const repeatSet = useCallback(() => {
+    setStepIndex(0)
+    setRestartCount(count => count + 1)
+    setStatus(prev => (prev === 'finished' || prev === 'idle' ? 'running' : prev))
+  }, [])
+
+  /**
+   * Stops the drill and returns to the idle state
+   */
+  const reset = useCallback(() => {
+    setStatus('idle')
+    setStepIndex(0)
+    setCurrentSet(1)
+  }, [])
+
+  return {
+    status,
+    stepIndex,
+    currentSet,
+    currentStep: steps[stepIndex] || null,
+    start,
+    pause,
+    resume,
+    skip,
+    repeatSet,
+    reset
+  }
+}
@@ -0,0 +1,44 @@
+import { create } from 'zustand'
+
+/**
+ * Entity Preview Store
+ *
+ * Tracks which linked term or technique is open in the shared preview
+ * modal. Any component can open a preview; EntityPreviewModal (rendered
+ * once in App) displays it. Previews can be opened from inside a preview,
+ * so the store keeps a history to step back through.
+ *
+ * Features:
+ * - Open a term or technique entity from anywhere in the app
+ * - Back navigation through previews opened from other previews
+ * - Not persisted: previews close on page reload
+ */
+export const useEntityPreview = create((set, get) => ({
+  // ===== STATE DEFINITIONS =====
+
+  /** @type {Array<import('../lib/entityLinks').Entity>} Open entities, most recent last */
+  stack: [],
+
+  // ===== ACTIONS =====
+
+  /**
+   * Opens an entity preview on top of any open preview
+   * @param {import('../lib/entityLinks').Entity} entity - Term or technique entity
+   */
+  openEntity: (entity) => {
+    if (!entity) return
+    const { stack } = get()
+    if (stack[stack.length - 1]?.id === entity.id) return
+    set({ stack: [...stack, entity] })
+  },
+
+  /**
+   * Returns to the previously opened preview
+   */
+  goBack: () => set(state => ({ stack: state.stack.slice(0, -1) })),
+
+  /**
+   * Closes every open preview
+   */
+  closeEntity: () => set({ stack: [] })
+}))
@@ -1,6 +1,54 @@
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
 import achievementsData from '../data/achievements/achievements.json'
+import { parseCondition, evaluateCondition } from '../lib/conditionEngine'
+import { createSessionRecord, appendSession } from '../lib/sessionLog'
+import { scheduleReview, resolveTermId, QUALITY_CORRECT, QUALITY_INCORRECT } from '../lib/srs'
+import { useProfiles } from './useProfiles'
+import { useCombos } from './useCombos'
+import { getProgressStorageKey } from '../lib/profiles'
+import { getGames, resolveGameTypeId } from '../lib/gameRegistry'
+import {
+  createEmptyProgress,
+  normalizeGamesCompleted,
+  pickProgress,
+  mergeProgress,
+  mergeCombos,
+  validateBackup,
+  loadSnapshots,
+  saveSnapshot
+} from '../lib/progressBackup'
+
+/** @type {Map<string, import('../lib/conditionEngine').ConditionNode>} Parsed achievement conditions by source */
+const parsedConditions = new Map()
+
+/**
+ * Parses an achievement condition once and reuses the tree
+ * @param {string} condition - Condition in the conditionEngine syntax
+ * @returns {import('../lib/conditionEngine').ConditionNode} Parsed condition
+ */
+const getParsedCondition = (condition) => {
+  if (!parsedConditions.has(condition)) {
+    parsedConditions.set(condition, parseCondition(condition))
+  }
+  return parsedConditions.get(condition)
+}
+
+/**
+ * Upgrades saved progress from an older store version. Version 2 counts
+ * games under their registered id, so counts saved under an alias are
+ * folded into it.
+ * 
+ * @param {Object} persistedState - Saved progress
+ * @param {number} version - Store version it was saved with
+ * @returns {Object} Progress in the current shape
+ */
+const migrateProgress = (persistedState, version) => {
+  if (version < 2 && persistedState?.gamesCompleted) {
+    return { ...persistedState, gamesCompleted: normalizeGamesCompleted(persistedState.gamesCompleted) }
+  }
+  return persistedState
+}
 
 /**
  * Global Progress Store
@@ -13,7 +61,14 @@ import achievementsData from '../data/achievements/achievements.json'
  * - Real-time achievement evaluation and unlocking
  * - Multi-category progress monitoring
  * - Game completion statistics and analytics
- * - Secure condition evaluation with error handling
+ * - Per-game session log for the analytics dashboard
+ * - Per-term spaced repetition scheduling for terminology review
+ * - Current belt and grading syllabus checklist
+ * - Backup import (merge or replace) with automatic snapshots before
+ *   anything is overwritten
+ * - One saved progress per local profile, swapped when the active profile
+ *   changes (see useProfiles)
+ * - Declarative achievement conditions evaluated without eval (see lib/conditionEngine)
  * 
  * @version 1.0
  * @persist taekwondo-progress
@@ -29,15 +84,8 @@ export const useGlobalProgress = create(
       /** @type {number} Cumulative points earned from all completed games */
       totalPoints: 0,
       
-      /** @type {Object} Games completed count by game type */
-      gamesCompleted: {
-        mcq: 0,
-        wordsearch: 0, 
-        translation: 0,
-        crossword: 0,
-        flashcards: 0,
-        matching: 0
-      },
+      /** @type {Object<string, number>} Games completed by registered game id (absent until played) */
+      gamesCompleted: {},
       
       /** @type {number} Total time spent playing games (in seconds) */
       timePlayed: 0,
@@ -53,6 +101,21 @@ export const useGlobalProgress = create(
         history: { games: 0, points: 0 }
       },
 
+      /** @type {Object<string, import('../lib/srs').ReviewRecord>} SM-2 review records keyed by term id */
+      termReviews: {},
+
+      /** @type {string|null} Belt id the student currently holds (see lib/belts) */
+      currentBelt: null,
+
+      /** @type {Object<string, boolean>} Ticked grading syllabus items keyed by syllabus item key */
+      syllabusChecklist: {},
+
+      /** @type {Object<string, number>} When each technique was marked as studied, keyed by technique id ("kicks/front-snap-kick") */
+      studiedTechniques: {},
+
+      /** @type {Array<import('../lib/sessionLog').SessionRecord>} Completed games, oldest first */
+      sessionLog: [],
+
       // ===== ACTION METHODS =====
 
       /**
@@ -64,24 +127,28 @@ export const useGlobalProgress = create(
        * @param {string} gameResults.category - Learning category of the game
        * @param {number} gameResults.score - Points earned from the game
        * @param {number} gameResults.timeUsed - Time taken to complete game (seconds)
+       * @param {string} [gameResults.quizId] - Quiz played, for the session log
+       * @param {string} [gameResults.quizTitle] - Quiz title, for the session log
+       * @param {string} [gameResults.difficulty] - Quiz difficulty, for the session log
        * @returns {Object} Object containing new progress state and unlocked achievements
        */
       recordGameCompletion: (gameResults) => {
         const currentState = get()
+
+        /** @type {{count: number}} Registered games, for conditions like "play every game type" */
+        const games = { count: getGames().length }
         
         /**
-         * Safely evaluates achievement conditions using Function constructor
-         * @param {string} condition - JavaScript condition string to evaluate
+         * Evaluates an achievement condition with the condition engine
+         * (no code is executed from the data file)
+         * @param {string} condition - Condition in the conditionEngine syntax
          * @param {Object} progress - Current progress state for evaluation
          * @param {Object} gameResults - Game results for condition evaluation
          * @returns {boolean} Whether condition is met
          */
-        const evaluateCondition = (condition, progress, gameResults = {}) => {
+        const checkCondition = (condition, progress, gameResults = {}) => {
           try {
-            return new Function('progress', 'gameResults', `return ${condition}`)(
-              progress, 
-              gameResults
-            )
+            return evaluateCondition(getParsedCondition(condition), { progress, gameResults, games })
           } catch (error) {
             console.error('Error evaluating achievement condition:', error)
             return false
@@ -105,9 +172,9 @@ export const useGlobalProgress = create(
             
             // Evaluate condition based on type
             if (achievement.conditionType === 'progress') {
-              conditionMet = evaluateCondition(achievement.condition, progress)
+              conditionMet = checkCondition(achievement.condition, progress)
             } else if (achievement.conditionType === 'game') {
-              conditionMet = evaluateCondition(achievement.condition, progress, gameResults)
+              conditionMet = checkCondition(achievement.condition, progress, gameResults)
             }
             
             // Unlock achievement if condition is met
@@ -122,6 +189,9 @@ export const useGlobalProgress = create(
 
         // ===== PROGRESS CALCULATION =====
 
+        /** @type {string} Registered game id, so aliases count towards the same game */
+        const gameId = resolveGameTypeId(gameResults.gameType) || gameResults.gameType
+
         /** @type {Object} Updated progress state with new game results */
         const newProgress = {
           totalGamesPlayed: currentState.totalGamesPlayed + 1,
@@ -129,7 +199,7 @@ export const useGlobalProgress = create(
           timePlayed: currentState.timePlayed + (gameResults.timeUsed || 0),
           gamesCompleted: {
             ...currentState.gamesCompleted,
-            [gameResults.gameType]: (currentState.gamesCompleted[gameResults.gameType] || 0) + 1
+            [gameId]: (currentState.gamesCompleted[gameId] || 0) + 1
           },
           categoryProgress: {
             ...currentState.categoryProgress,
@@ -138,7 +208,8 @@ export const useGlobalProgress = create(
               points: (currentState.categoryProgress[gameResults.category]?.points || 0) + (gameResults.score || 0)
             }
           },
-          achievements: [...currentState.achievements]
+          achievements: [...currentState.achievements],
+          sessionLog: appendSession(currentState.sessionLog, createSessionRecord(gameResults))
         }
 
         console.log('📊 New progress calculated:', newProgress)
@@ -166,41 +237,184 @@ export const useGlobalProgress = create(
       },
 
       /**
-       * Resets all progress data to initial state
-       * Clears achievements, game history, and category progress
+       * Records per-item answers from a completed game against the spaced
+       * repetition schedule. Items that do not resolve to a terminology id
+       * are ignored.
+       * 
+       * @param {Array<{termId?: string, korean?: string, romanized?: string, correct: boolean}>} itemResults - Per-item answers
+       * @returns {number} Number of terms whose schedule was updated
+       */
+      recordTermReviews: (itemResults = []) => {
+        const now = Date.now()
+        const termReviews = { ...get().termReviews }
+        let updated = 0
+
+        itemResults.forEach(item => {
+          const termId = resolveTermId(item)
+          if (!termId) return
+
+          termReviews[termId] = scheduleReview(
+            termReviews[termId],
+            item.correct ? QUALITY_CORRECT : QUALITY_INCORRECT,
+            now
+          )
+          updated++
+        })
+
+        if (updated > 0) {
+          set({ termReviews })
+        }
+
+        return updated
+      },
+
+      /**
+       * Sets the belt the student currently holds
+       * 
+       * @param {string|null} beltId - Belt id from lib/belts, or null to clear
+       * @returns {void}
+       */
+      setCurrentBelt: (beltId) => {
+        set({ currentBelt: beltId })
+      },
+
+      /**
+       * Ticks or unticks a grading syllabus item
+       * 
+       * @param {string} itemKey - Syllabus item key (e.g. "pattern:chon-ji")
+       * @returns {void}
+       */
+      toggleSyllabusItem: (itemKey) => {
+        const syllabusChecklist = { ...get().syllabusChecklist }
+
+        if (syllabusChecklist[itemKey]) {
+          delete syllabusChecklist[itemKey]
+        } else {
+          syllabusChecklist[itemKey] = true
+        }
+
+        set({ syllabusChecklist })
+      },
+
+      /**
+       * Marks a technique as studied, or clears the mark
        * 
+       * @param {string} techniqueId - Technique entity id from lib/entityLinks
        * @returns {void}
        */
+      toggleTechniqueStudied: (techniqueId) => {
+        const studiedTechniques = { ...get().studiedTechniques }
+
+        if (studiedTechniques[techniqueId]) {
+          delete studiedTechniques[techniqueId]
+        } else {
+          studiedTechniques[techniqueId] = Date.now()
+        }
+
+        set({ studiedTechniques })
+      },
+
+      /**
+       * Imports validated backup progress and combinations, either combined
+       * with the current ones or replacing them. A snapshot of the current
+       * progress and combinations is saved first so the import can be undone;
+       * nothing is imported when the snapshot cannot be saved.
+       * 
+       * @param {import('../lib/progressBackup').ProgressData} progress - Progress from validateBackup
+       * @param {'merge'|'replace'} mode - How to combine with the current progress
+       * @param {Array<import('../lib/combos').Combo>|null} combos - Combinations from validateBackup, null to keep the current ones
+       * @returns {boolean} Whether the backup was imported
+       */
+      importProgress: (progress, mode, combos) => {
+        const currentState = get()
+        const currentCombos = useCombos.getState().combos
+        const snapshot = saveSnapshot(useProfiles.getState().activeProfileId, currentState, currentCombos, mode === 'merge' ? 'Before merging a backup' : 'Before replacing with a backup')
+        if (!snapshot) return false
+
+        set(mode === 'merge' ? mergeProgress(pickProgress(currentState), progress) : progress)
+        if (combos) {
+          useCombos.setState({ combos: mode === 'merge' ? mergeCombos(currentCombos, combos) : combos })
+        }
+        console.log(`📥 Progress imported (${mode})`)
+        return true
+      },
+
+      /**
+       * Restores progress and combinations from an automatic snapshot,
+       * snapshotting the current ones first
+       * 
+       * @param {string} snapshotId - Snapshot id from loadSnapshots
+       * @returns {boolean} Whether the snapshot was found and restored (false
+       * when the current progress could not be snapshotted first)
+       */
+      restoreSnapshot: (snapshotId) => {
+        const { activeProfileId } = useProfiles.getState()
+        const snapshot = loadSnapshots(activeProfileId).find(item => item.id === snapshotId)
+        const validation = snapshot ? validateBackup(snapshot.backup) : null
+        if (!validation?.valid) return false
+
+        if (!saveSnapshot(activeProfileId, get(), useCombos.getState().combos, 'Before restoring a snapshot')) return false
+        set(validation.progress)
+        if (validation.combos) useCombos.setState({ combos: validation.combos })
+        return true
+      },
+
+      /**
+       * Resets all progress data to initial state
+       * Clears achievements, game history, category progress, review schedule,
+       * session log, syllabus checklist and studied techniques. The current belt is kept. A snapshot is saved
+       * first so the reset can be undone; nothing is reset when it cannot be saved.
+       * 
+       * @returns {boolean} Whether progress was reset
+       */
       resetProgress: () => {
-        set({
-          totalGamesPlayed: 0,
-          totalPoints: 0,
-          gamesCompleted: {
-            mcq: 0,
-            wordsearch: 0,
-            translation: 0, 
-            crossword: 0,
-            flashcards: 0,
-            matching: 0
-          },
-          timePlayed: 0,
-          achievements: [],
-          categoryProgress: {
-            terminology: { games: 0, points: 0 },
-            patterns: { games: 0, points: 0 },
-            techniques: { games: 0, points: 0 },
-            history: { games: 0, points: 0 }
-          }
-        })
+        const currentState = get()
+        const snapshot = saveSnapshot(useProfiles.getState().activeProfileId, currentState, useCombos.getState().combos, 'Before reset')
+        if (!snapshot) return false
+
+        set({ ...createEmptyProgress(), currentBelt: currentState.currentBelt })
         
         console.log('🔄 Progress reset to initial state')
+        return true
       }
     }),
     {
       // ===== PERSISTENCE CONFIGURATION =====
       
-      name: 'taekwondo-progress',
-      version: 1,
+      // Per profile: "taekwondo-progress" for the first profile, suffixed for others
+      name: getProgressStorageKey(useProfiles.getState().activeProfileId),
+      version: 2,
+      migrate: migrateProgress,
     }
   )
-)
\ No newline at end of file
+)
+
+/**
+ * Loads a profile's saved progress into the store and points persistence at
+ * that profile's storage key. The stored data is read before the key is
+ * switched so the other profile's progress is never written over.
+ * 
+ * @param {string} profileId - Profile to load
+ * @returns {void}
+ */
+const loadProfileProgress = (profileId) => {
+  const storageKey = getProgressStorageKey(profileId)
+  let storedProgress = {}
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey))
+    storedProgress = migrateProgress(stored?.state || {}, stored?.version ?? 0)
+  } catch (error) {
+    console.error('Could not read profile progress:', error)
+  }
+
+  useGlobalProgress.persist.setOptions({ name: storageKey })
+  useGlobalProgress.setState({ ...createEmptyProgress(), ...storedProgress })
+}
+
+// Swap progress whenever another profile becomes active
+useProfiles.subscribe((state, previousState) => {
+  if (state.activeProfileId !== previousState.activeProfileId) {
+    loadProfileProgress(state.activeProfileId)
+  }
+})
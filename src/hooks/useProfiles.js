@@ -0,0 +1,174 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import {
+  DEFAULT_PROFILE_ID,
+  createProfileId,
+  normalizeProfileName,
+  createPinHash,
+  getProgressStorageKey,
+  getSnapshotStorageKey,
+  getComboStorageKey,
+  getClassroomStorageKey
+} from '../lib/profiles'
+
+/**
+ * Profiles Store
+ *
+ * Student profiles on a shared device and which one is active. Each
+ * profile's progress is kept by useGlobalProgress under the profile's own
+ * storage key (see lib/profiles); this store only holds the list, so
+ * switching profiles here makes the progress store load the other
+ * profile's data.
+ *
+ * Features:
+ * - Create, rename and delete profiles
+ * - Optional PIN per profile (hashed, see lib/profiles)
+ * - Per-profile theme preference
+ * - Active profile remembered between visits
+ *
+ * @version 1.0
+ * @persist taekwondo-profiles
+ */
+export const useProfiles = create(
+  persist(
+    (set, get) => ({
+      // ===== STATE DEFINITIONS =====
+
+      /** @type {Array<import('../lib/profiles').Profile>} Profiles on this device */
+      profiles: [
+        { id: DEFAULT_PROFILE_ID, name: 'Student', pinHash: null, pinSalt: null, theme: null, createdAt: 0 }
+      ],
+
+      /** @type {string} Id of the profile in use */
+      activeProfileId: DEFAULT_PROFILE_ID,
+
+      // ===== ACTION METHODS =====
+
+      /**
+       * Creates a profile and switches to it
+       *
+       * @param {string} name - Profile name
+       * @param {string} [pin] - Optional PIN (see PIN_PATTERN)
+       * @returns {Promise<string|null>} New profile id, or null when the name is empty
+       */
+      createProfile: async (name, pin) => {
+        const profileName = normalizeProfileName(name)
+        if (!profileName) return null
+
+        const pinFields = pin ? await createPinHash(pin) : { pinHash: null, pinSalt: null }
+        const profile = {
+          id: createProfileId(),
+          name: profileName,
+          ...pinFields,
+          theme: null,
+          createdAt: Date.now()
+        }
+
+        set(state => ({ profiles: [...state.profiles, profile], activeProfileId: profile.id }))
+        return profile.id
+      },
+
+      /**
+       * Renames a profile
+       *
+       * @param {string} profileId - Profile to rename
+       * @param {string} name - New name
+       * @returns {void}
+       */
+      renameProfile: (profileId, name) => {
+        const profileName = normalizeProfileName(name)
+        if (!profileName) return
+
+        set(state => ({
+          profiles: state.profiles.map(profile => (
+            profile.id === profileId ? { ...profile, name: profileName } : profile
+          ))
+        }))
+      },
+
+      /**
+       * Sets or removes a profile's PIN
+       *
+       * @param {string} profileId - Profile to change
+       * @param {string|null} pin - New PIN, or null to remove it
+       * @returns {Promise<void>}
+       */
+      setProfilePin: async (profileId, pin) => {
+        const pinFields = pin ? await createPinHash(pin) : { pinHash: null, pinSalt: null }
+
+        set(state => ({
+          profiles: state.profiles.map(profile => (
+            profile.id === profileId ? { ...profile, ...pinFields } : profile
+          ))
+        }))
+      },
+
+      /**
+       * Stores a profile's theme preference
+       *
+       * @param {string} profileId - Profile to change
+       * @param {'light'|'dark'} theme - Theme to remember
+       * @returns {void}
+       */
+      setProfileTheme: (profileId, theme) => {
+        set(state => ({
+          profiles: state.profiles.map(profile => (
+            profile.id === profileId ? { ...profile, theme } : profile
+          ))
+        }))
+      },
+
+      /**
+       * Makes a profile the active one. PIN checks happen in the UI before
+       * this is called.
+       *
+       * @param {string} profileId - Profile to switch to
+       * @returns {void}
+       */
+      switchProfile: (profileId) => {
+        if (get().profiles.some(profile => profile.id === profileId)) {
+          set({ activeProfileId: profileId })
+        }
+      },
+
+      /**
+       * Deletes a profile with its saved progress and combinations. The last
+       * profile cannot be deleted; deleting the active profile switches to the
+       * first remaining one.
+       *
+       * @param {string} profileId - Profile to delete
+       * @returns {boolean} Whether the profile was deleted
+       */
+      deleteProfile: (profileId) => {
+        const { profiles, activeProfileId } = get()
+        const remaining = profiles.filter(profile => profile.id !== profileId)
+        if (remaining.length === profiles.length || remaining.length === 0) return false
+
+        if (activeProfileId === profileId) {
+          set({ activeProfileId: remaining[0].id })
+        }
+        set({ profiles: remaining })
+
+        localStorage.removeItem(getProgressStorageKey(profileId))
+        localStorage.removeItem(getSnapshotStorageKey(profileId))
+        localStorage.removeItem(getComboStorageKey(profileId))
+        localStorage.removeItem(getClassroomStorageKey(profileId))
+        return true
+      }
+    }),
+    {
+      // ===== PERSISTENCE CONFIGURATION =====
+
+      name: 'taekwondo-profiles',
+      version: 1,
+    }
+  )
+)
+
+/**
+ * Selects the active profile
+ * @param {Object} state - Profiles store state
+ * @returns {import('../lib/profiles').Profile} Active profile
+ */
+export const selectActiveProfile = (state) =>
+  state.profiles.find(profile => profile.id === state.activeProfileId) || state.profiles[0]
@@ -10,7 +10,7 @@ import { useLocation } from 'react-router-dom'
  * Features:
  * - Multi-target scroll support (top, elements, selectors, coordinates)
  * - Double-scroll technique for maximum reliability
- * - Automatic scroll on route changes
+ * - Automatic scroll on route changes (skipped for in-page navigations)
  * - Comprehensive error handling and fallbacks
  * - Accessibility-compliant scroll behavior
  * 
@@ -142,10 +142,16 @@ export const useScrollTo = () => {
 
   /**
    * Handles automatic scrolling on route changes
-   * Respects anchor links and provides smooth transitions
+   * Respects anchor links and provides smooth transitions. Navigations
+   * inside a page (opening a pattern, technique or term from its list)
+   * pass `preserveScroll` in router state to stay where the user is.
    */
+  const preserveScroll = Boolean(location.state?.preserveScroll)
+
   useEffect(() => {
     const handleRouteScroll = () => {
+      if (preserveScroll) return
+
       // Check for anchor links in URL
       const hash = location.hash
       
@@ -161,7 +167,7 @@ export const useScrollTo = () => {
     }
 
     handleRouteScroll()
-  }, [location.pathname, location.hash, scrollTo])
+  }, [location.pathname, location.hash, preserveScroll, scrollTo])
 
   // ===== CLEANUP =====
 
@@ -0,0 +1,116 @@
+import { parseCondition, getConditionPaths } from './conditionEngine'
+
+/**
+ * Achievement Data Validator
+ *
+ * Schema checks for achievements.json, run by the Vite build (see
+ * vite.config.js) so a bad condition fails the build instead of silently
+ * never unlocking. Like patternValidator, the module takes parsed data
+ * rather than importing JSON, so it runs in the browser and in Node.
+ *
+ * @typedef {Object} Achievement
+ * @property {string} id - Unique achievement id
+ * @property {string} name - Display name
+ * @property {string} description - What the student has to do
+ * @property {string} icon - Emoji shown on the badge
+ * @property {string} [color] - Badge colour name
+ * @property {'progress'|'game'} conditionType - When the condition is checked
+ * @property {string} condition - Condition in the conditionEngine syntax
+ *
+ * @typedef {Object} AchievementIssue
+ * @property {'error'|'warning'} level - Issue severity
+ * @property {string} achievementId - Achievement the issue belongs to
+ * @property {string} message - Description of the problem
+ */
+
+// ===== SCHEMA =====
+
+/**
+ * Context roots each condition type may read. Progress conditions see
+ * the progress totals and the registered games (games.count); game
+ * conditions also see the finished game.
+ * @type {Object<string, Array<string>>}
+ */
+export const CONDITION_CONTEXT_ROOTS = {
+  progress: ['progress', 'games'],
+  game: ['progress', 'games', 'gameResults']
+}
+
+/**
+ * Fields every achievement must have
+ * @type {Array<string>}
+ */
+export const REQUIRED_ACHIEVEMENT_FIELDS = ['id', 'name', 'description', 'icon', 'conditionType', 'condition']
+
+// ===== VALIDATION =====
+
+/**
+ * Validates one achievement
+ * @param {Achievement} achievement - Achievement to check
+ * @returns {Array<{level: string, message: string}>} Issues found
+ */
+export const validateAchievement = (achievement) => {
+  const issues = []
+  const error = message => issues.push({ level: 'error', message })
+
+  REQUIRED_ACHIEVEMENT_FIELDS.forEach(field => {
+    if (typeof achievement[field] !== 'string' || achievement[field] === '') {
+      error(`missing required field "${field}"`)
+    }
+  })
+
+  const roots = CONDITION_CONTEXT_ROOTS[achievement.conditionType]
+  if (achievement.conditionType && !roots) {
+    error(`invalid conditionType "${achievement.conditionType}" (expected ${Object.keys(CONDITION_CONTEXT_ROOTS).join(', ')})`)
+  }
+
+  if (typeof achievement.condition === 'string' && achievement.condition) {
+    try {
+      const condition = parseCondition(achievement.condition)
+      getConditionPaths(condition).forEach(path => {
+        if (roots && !roots.includes(path[0])) {
+          error(`condition reads "${path.join('.')}" but ${achievement.conditionType} conditions can only read ${roots.join(', ')}`)
+        }
+      })
+    } catch (parseError) {
+      error(`condition does not parse: ${parseError.message}`)
+    }
+  }
+
+  return issues
+}
+
+/**
+ * Validates every achievement and checks ids are unique
+ * @param {Object} achievementsData - Parsed achievements.json
+ * @returns {Array<AchievementIssue>} All issues, file order
+ */
+export const validateAchievements = (achievementsData) => {
+  const seenIds = new Set()
+
+  return achievementsData.achievements.flatMap((achievement, index) => {
+    const achievementId = achievement.id || `#${index + 1}`
+    const issues = validateAchievement(achievement).map(issue => ({ ...issue, achievementId }))
+
+    if (achievement.id && seenIds.has(achievement.id)) {
+      issues.push({ level: 'error', achievementId, message: 'duplicate id' })
+    }
+    seenIds.add(achievement.id)
+
+    return issues
+  })
+}
+
+/**
+ * Formats issues as a plain-text report, one line per issue
+ * @param {Array<AchievementIssue>} issues - Issues from validateAchievements
+ * @returns {string} Report text
+ */
+export const formatAchievementReport = (issues) => {
+  const errors = issues.filter(issue => issue.level === 'error').length
+
+  return [
+    `Achievement data: ${errors} error(s), ${issues.length - errors} warning(s)`,
+    ...issues.map(issue => `  ${issue.level === 'error' ? '✖' : '⚠'} ${issue.achievementId}: ${issue.message}`)
+  ].join('\n')
+}
@@ -0,0 +1,65 @@
+/**
+ * Answer Matching
+ *
+ * Lenient comparison of typed answers, shared by the games where the
+ * student types rather than picks: capitalisation, punctuation, leading
+ * articles, British/American spellings and simple plurals are forgiven.
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {Object<string, string>} British spellings and their American forms */
+const SPELLING_VARIATIONS = {
+  'colour': 'color',
+  'favourite': 'favorite',
+  'centre': 'center',
+  'honour': 'honor',
+  'defence': 'defense'
+}
+
+// ===== MATCHING =====
+
+/**
+ * Normalizes an answer for comparison: lowercase, trimmed, no punctuation
+ * @param {string} answer - Answer to normalize
+ * @returns {string} Normalized answer
+ */
+export const normalizeAnswer = (answer) =>
+  answer.toLowerCase().trim().replace(/[.,/#!$%^&*;:{}=\-_`~()]/g, "")
+
+/**
+ * Checks a typed answer with the lenient matching rules
+ * @param {string} userAnswer - What the student typed
+ * @param {string} correctAnswer - Expected answer
+ * @param {Object} [options] - Matching options
+ * @param {boolean} [options.ignoreSpaces] - Treat "gunnun seogi" and "gunnunseogi" as equal (romanized Korean)
+ * @returns {boolean} Whether the answer counts as correct
+ */
+export const isAnswerCorrect = (userAnswer, correctAnswer, { ignoreSpaces = false } = {}) => {
+  const normalizedUser = normalizeAnswer(userAnswer)
+  const normalizedCorrect = normalizeAnswer(correctAnswer)
+
+  // Exact match
+  if (normalizedUser === normalizedCorrect) return true
+
+  // Spacing differences in romanized Korean
+  if (ignoreSpaces && normalizedUser.replace(/\s+/g, '') === normalizedCorrect.replace(/\s+/g, '')) return true
+
+  // Allow minor spelling variations
+  if (SPELLING_VARIATIONS[normalizedUser] === normalizedCorrect ||
+      SPELLING_VARIATIONS[normalizedCorrect] === normalizedUser) {
+    return true
+  }
+
+  // Allow answers without articles for simplicity
+  const withoutArticles = (str) => str.replace(/^(a|an|the)\s+/i, '')
+  if (withoutArticles(normalizedUser) === withoutArticles(normalizedCorrect)) {
+    return true
+  }
+
+  // Allow plural/singular variations for simple cases
+  return (normalizedUser + 's' === normalizedCorrect) ||
+    (normalizedUser === normalizedCorrect + 's') ||
+    (normalizedUser + 'es' === normalizedCorrect) ||
+    (normalizedUser === normalizedCorrect + 'es')
+}
@@ -0,0 +1,78 @@
+/**
+ * Belt Ladder
+ *
+ * Canonical ITF coloured belt order shared by every feature that needs to
+ * compare belts. The data files spell belts differently ("White-Yellow" in
+ * TerminologyData.json, "White with Yellow Stripe" in Patterns.json and
+ * "White Belt with Yellow Stripe" in the techniques files); getBeltIndex
+ * maps all of them onto this ladder.
+ *
+ * @typedef {Object} BeltLevel
+ * @property {string} id - Kebab-case belt id (e.g. "white-yellow")
+ * @property {string} name - Display name (e.g. "White with Yellow Stripe")
+ * @property {string} grade - Grade held while wearing the belt (e.g. "9th Kup")
+ */
+
+/**
+ * Belt levels from beginner to black belt
+ * @type {Array<BeltLevel>}
+ */
+export const BELT_LEVELS = [
+  { id: 'white', name: 'White', grade: '10th Kup' },
+  { id: 'white-yellow', name: 'White with Yellow Stripe', grade: '9th Kup' },
+  { id: 'yellow', name: 'Yellow', grade: '8th Kup' },
+  { id: 'yellow-green', name: 'Yellow with Green Stripe', grade: '7th Kup' },
+  { id: 'green', name: 'Green', grade: '6th Kup' },
+  { id: 'green-blue', name: 'Green with Blue Stripe', grade: '5th Kup' },
+  { id: 'blue', name: 'Blue', grade: '4th Kup' },
+  { id: 'blue-red', name: 'Blue with Red Stripe', grade: '3rd Kup' },
+  { id: 'red', name: 'Red', grade: '2nd Kup' },
+  { id: 'red-black', name: 'Red with Black Stripe', grade: '1st Kup' },
+  { id: 'black', name: 'Black', grade: '1st Dan' }
+]
+
+/**
+ * Converts any belt label used in the data files to a belt id
+ * @param {string} label - Belt label such as "Yellow Belt with Green Stripe"
+ * @returns {string|null} Belt id or null when the label is not recognised
+ */
+export const toBeltId = (label) => {
+  if (!label) return null
+
+  const colours = label
+    .toLowerCase()
+    .replace(/\b(belt|stripe|with)\b/g, ' ')
+    .split(/[\s-]+/)
+    .filter(Boolean)
+
+  const id = colours.join('-')
+  return BELT_LEVELS.some(belt => belt.id === id) ? id : null
+}
+
+/**
+ * Gets a belt's position on the ladder
+ * @param {string} label - Belt id or any belt label used in the data files
+ * @returns {number} Zero-based index, or -1 when the belt is not recognised
+ */
+export const getBeltIndex = (label) => {
+  const id = toBeltId(label)
+  return BELT_LEVELS.findIndex(belt => belt.id === id)
+}
+
+/**
+ * Gets the belt level object for a label
+ * @param {string} label - Belt id or any belt label used in the data files
+ * @returns {BeltLevel|null} Belt level or null when not recognised
+ */
+export const getBelt = (label) => BELT_LEVELS[getBeltIndex(label)] || null
+
+/**
+ * Belt bands covered by each quiz difficulty, matching the difficulty
+ * names in QuizCategories.json
+ * @type {Object<string, {from: number, to: number}>}
+ */
+export const DIFFICULTY_BELT_RANGES = {
+  easy: { from: 0, to: 3 },
+  medium: { from: 4, to: 7 },
+  hard: { from: 8, to: 10 }
+}
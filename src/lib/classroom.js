@@ -0,0 +1,477 @@
+/**
+ * Class Mode
+ *
+ * Assignments and result collection for instructors without a server.
+ * An instructor creates an assignment (a set of built-in quiz ids) and
+ * shares it as a file, code or link. Students join it, play the quizzes as
+ * usual and produce a signed result (file, code or QR link) built from
+ * their session log. The instructor imports those results into a roster.
+ *
+ * Files hold the readable objects below. Codes and links carry the same
+ * data as a compact array, with result quizzes referred to by their
+ * position in the assignment, so that QR codes stay small enough to scan.
+ *
+ * Results are signed with HMAC-SHA256 using a key that travels inside the
+ * assignment. The signature shows that a result was produced by the guide
+ * for that assignment and was not edited by hand afterwards; since every
+ * student holds the key it does not stop a determined student forging a
+ * result, so it is a check against accidents and casual edits, not proof.
+ *
+ * @typedef {Object} Assignment
+ * @property {string} format - Always ASSIGNMENT_FORMAT
+ * @property {number} version - Format version
+ * @property {string} id - Unique assignment id
+ * @property {string} title - Title shown to students
+ * @property {Array<string>} quizIds - Built-in quizzes to complete
+ * @property {string|null} dueDate - Due date as YYYY-MM-DD, or null
+ * @property {number} createdAt - Creation timestamp in ms; earlier games don't count
+ * @property {string} key - Hex signing key shared with students
+ *
+ * @typedef {Object} QuizResult
+ * @property {string} quizId - Quiz played
+ * @property {number} score - Points of the best attempt
+ * @property {number} totalPossiblePoints - Points available
+ * @property {number} accuracy - Accuracy percentage of the best attempt
+ * @property {number} attempts - Attempts since the assignment was created
+ * @property {number} completedAt - Timestamp (ms) of the best attempt
+ *
+ * @typedef {Object} ResultSubmission
+ * @property {string} format - Always RESULT_FORMAT
+ * @property {number} version - Format version
+ * @property {string} assignmentId - Assignment the results are for
+ * @property {string} student - Student name as typed
+ * @property {number} submittedAt - Timestamp (ms) the result was produced
+ * @property {Array<QuizResult>} results - Best result per completed quiz
+ * @property {string} signature - Hex HMAC-SHA256 of the signed content
+ *
+ * @typedef {Object} ImportedResult
+ * @property {ResultSubmission} submission - Submission as received
+ * @property {boolean} verified - Whether the signature matched the assignment key
+ * @property {number} importedAt - Timestamp (ms) of the import
+ *
+ * @typedef {Object} RosterRow
+ * @property {string} student - Student name
+ * @property {boolean} onRoster - Whether the name is on the imported roster
+ * @property {ImportedResult|null} imported - Latest result received, if any
+ * @property {Object<string, QuizResult>} results - Results by quiz id
+ * @property {number} completed - Assignment quizzes completed
+ * @property {number|null} averageAccuracy - Mean accuracy over completed quizzes
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {string} Marks an assignment file or code */
+export const ASSIGNMENT_FORMAT = 'itf-taekwondo-guide-assignment'
+
+/** @type {string} Marks a result file or code */
+export const RESULT_FORMAT = 'itf-taekwondo-guide-result'
+
+/** @type {number} Current assignment and result format version */
+export const CLASSROOM_VERSION = 1
+
+/** @type {string} First entry of a compact assignment code */
+const ASSIGNMENT_CODE_TAG = 'a'
+
+/** @type {string} First entry of a compact result code */
+const RESULT_CODE_TAG = 'r'
+
+/** @type {number} Longest assignment title kept */
+const MAX_TITLE_LENGTH = 60
+
+// ===== HELPERS =====
+
+/**
+ * Checks for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a non-null, non-array object
+ */
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+/**
+ * Converts bytes to a hex string
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Lowercase hex
+ */
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+
+/**
+ * Encodes an object as URL-safe base64 of its JSON
+ * @param {Object} value - Object to encode
+ * @returns {string} Code usable in a URL path
+ */
+const encodePayload = (value) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(value))
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * Reads pasted text as JSON, a bare code or a link ending in a code
+ * @param {string} text - File contents, code or link
+ * @returns {*} Decoded value, or null when it cannot be read
+ */
+const decodePayload = (text) => {
+  const input = (text || '').trim()
+  if (!input) return null
+
+  try {
+    if (input.startsWith('{')) return JSON.parse(input)
+
+    const code = input.split(/[/?#=]/).filter(Boolean).pop()
+    const base64 = code.replace(/-/g, '+').replace(/_/g, '/')
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='))
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Key used to match student names regardless of case and spacing
+ * @param {string} name - Student name
+ * @returns {string} Comparison key
+ */
+export const getStudentKey = (name = '') => name.trim().replace(/\s+/g, ' ').toLowerCase()
+
+/**
+ * Builds a file name safe slug from a title
+ * @param {string} text - Title or name
+ * @returns {string} Slug
+ */
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'class'
+
+// ===== ASSIGNMENTS =====
+
+/**
+ * Creates an assignment with a fresh signing key
+ * @param {Object} details - Assignment details
+ * @param {string} details.title - Title shown to students
+ * @param {Array<string>} details.quizIds - Quizzes to complete
+ * @param {string|null} [details.dueDate] - Due date as YYYY-MM-DD
+ * @param {number} [now] - Creation timestamp in ms
+ * @returns {Assignment} New assignment
+ */
+export const createAssignment = ({ title, quizIds, dueDate = null }, now = Date.now()) => ({
+  format: ASSIGNMENT_FORMAT,
+  version: CLASSROOM_VERSION,
+  id: `assignment-${now.toString(36)}${toHex(crypto.getRandomValues(new Uint8Array(2)))}`,
+  title: title.trim().slice(0, MAX_TITLE_LENGTH),
+  quizIds: [...new Set(quizIds)],
+  dueDate: dueDate || null,
+  createdAt: now,
+  key: toHex(crypto.getRandomValues(new Uint8Array(16)))
+})
+
+/**
+ * Code that students paste or open as a link to join an assignment
+ * @param {Assignment} assignment - Assignment to share
+ * @returns {string} Assignment code
+ */
+export const getAssignmentCode = ({ version, id, title, quizIds, dueDate, createdAt, key }) =>
+  encodePayload([ASSIGNMENT_CODE_TAG, version, id, title, quizIds, dueDate, createdAt, key])
+
+/**
+ * Expands a compact assignment code back into an assignment object
+ * @param {*} value - Decoded code or file contents
+ * @returns {*} Assignment object, or the value unchanged when it is not a code
+ */
+const expandAssignmentCode = (value) => {
+  if (!Array.isArray(value) || value[0] !== ASSIGNMENT_CODE_TAG) return value
+  const [, version, id, title, quizIds, dueDate, createdAt, key] = value
+  return { format: ASSIGNMENT_FORMAT, version, id, title, quizIds, dueDate, createdAt, key }
+}
+
+/**
+ * Download name for an assignment file
+ * @param {Assignment} assignment - Assignment
+ * @returns {string} File name
+ */
+export const getAssignmentFileName = (assignment) => `assignment-${slugify(assignment.title)}.json`
+
+/**
+ * Validates an assignment from a file, code or link
+ * @param {string} text - File contents, code or link
+ * @returns {{valid: boolean, errors: Array<string>, assignment: Assignment|null}} Validation result
+ */
+export const parseAssignment = (text) => {
+  const value = expandAssignmentCode(decodePayload(text))
+  const errors = []
+
+  if (!isObject(value) || value.format !== ASSIGNMENT_FORMAT) {
+    errors.push('This is not an assignment from this guide.')
+  } else if (!Number.isInteger(value.version) || value.version > CLASSROOM_VERSION) {
+    errors.push('The assignment was made by a newer version of the guide. Update the app and try again.')
+  } else {
+    if (typeof value.id !== 'string' || !value.id) errors.push('The assignment has no id.')
+    if (typeof value.title !== 'string' || !value.title.trim()) errors.push('The assignment has no title.')
+    if (!Array.isArray(value.quizIds) || value.quizIds.length === 0 || !value.quizIds.every(id => typeof id === 'string')) {
+      errors.push('The assignment has no quizzes.')
+    }
+    if (value.dueDate !== null && !/^\d{4}-\d{2}-\d{2}$/.test(value.dueDate)) errors.push('The due date is not valid.')
+    if (!Number.isFinite(value.createdAt)) errors.push('The assignment has no creation date.')
+    if (typeof value.key !== 'string' || !/^[0-9a-f]{32}$/.test(value.key)) errors.push('The assignment is missing its signing key.')
+  }
+
+  return { valid: errors.length === 0, errors, assignment: errors.length === 0 ? value : null }
+}
+
+// ===== RESULTS =====
+
+/**
+ * Best attempt per assignment quiz, from games played since the assignment
+ * was created
+ * @param {Assignment} assignment - Assignment
+ * @param {Array<import('./sessionLog').SessionRecord>} sessionLog - Student's session log
+ * @returns {Array<QuizResult>} Results in assignment order, only for quizzes played
+ */
+export const collectAssignmentResults = (assignment, sessionLog) =>
+  assignment.quizIds.flatMap(quizId => {
+    const attempts = sessionLog.filter(record => record.quizId === quizId && record.completedAt >= assignment.createdAt)
+    if (attempts.length === 0) return []
+
+    const best = attempts.reduce((top, record) => (
+      record.accuracy > top.accuracy || (record.accuracy === top.accuracy && record.score > top.score) ? record : top
+    ))
+    return [{
+      quizId,
+      score: best.score,
+      totalPossiblePoints: best.totalPossiblePoints,
+      accuracy: best.accuracy,
+      attempts: attempts.length,
+      completedAt: best.completedAt
+    }]
+  })
+
+/**
+ * The exact text covered by a result's signature
+ * @param {ResultSubmission} submission - Result (signature ignored)
+ * @returns {string} Signed content
+ */
+const getSignedContent = ({ assignmentId, student, submittedAt, results }) => JSON.stringify([
+  assignmentId,
+  student,
+  submittedAt,
+  results.map(result => [result.quizId, result.score, result.totalPossiblePoints, result.accuracy, result.attempts, result.completedAt])
+])
+
+/**
+ * HMAC-SHA256 signature of a result
+ * @param {ResultSubmission} submission - Result to sign
+ * @param {string} key - Hex assignment key
+ * @returns {Promise<string>} Hex signature
+ */
+const signSubmission = async (submission, key) => {
+  const keyBytes = Uint8Array.from(key.match(/../g), pair => parseInt(pair, 16))
+  const cryptoKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  const signature = await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(getSignedContent(submission)))
+  return toHex(new Uint8Array(signature))
+}
+
+/**
+ * Builds a signed result for the instructor
+ * @param {Assignment} assignment - Assignment completed
+ * @param {string} student - Student name
+ * @param {Array<QuizResult>} results - Results from collectAssignmentResults
+ * @param {number} [now] - Submission timestamp in ms
+ * @returns {Promise<ResultSubmission>} Signed result
+ */
+export const createResultSubmission = async (assignment, student, results, now = Date.now()) => {
+  const submission = {
+    format: RESULT_FORMAT,
+    version: CLASSROOM_VERSION,
+    assignmentId: assignment.id,
+    student: student.trim().replace(/\s+/g, ' '),
+    submittedAt: now,
+    results
+  }
+  return { ...submission, signature: await signSubmission(submission, assignment.key) }
+}
+
+/**
+ * Code for a result, used in the result link and QR code
+ * @param {ResultSubmission} submission - Signed result
+ * @param {Assignment} assignment - Assignment the result is for
+ * @returns {string} Result code
+ */
+export const getResultCode = (submission, assignment) => encodePayload([
+  RESULT_CODE_TAG,
+  submission.version,
+  submission.assignmentId,
+  submission.student,
+  submission.submittedAt,
+  submission.results.map(result => [
+    assignment.quizIds.indexOf(result.quizId),
+    result.score,
+    result.totalPossiblePoints,
+    result.accuracy,
+    result.attempts,
+    result.completedAt
+  ]),
+  submission.signature
+])
+
+/**
+ * Expands a compact result code back into a result object
+ * @param {*} value - Decoded code or file contents
+ * @param {Array<Assignment>} assignments - Assignments known on this device
+ * @returns {*} Result object, the value unchanged when it is not a code, or
+ *   null when the code's assignment is unknown
+ */
+const expandResultCode = (value, assignments) => {
+  if (!Array.isArray(value) || value[0] !== RESULT_CODE_TAG) return value
+
+  const [, version, assignmentId, student, submittedAt, results, signature] = value
+  const assignment = assignments.find(item => item.id === assignmentId)
+  if (!assignment) return null
+
+  return {
+    format: RESULT_FORMAT,
+    version,
+    assignmentId,
+    student,
+    submittedAt,
+    results: Array.isArray(results)
+      ? results.map(result => (Array.isArray(result)
+        ? {
+          quizId: assignment.quizIds[result[0]],
+          score: result[1],
+          totalPossiblePoints: result[2],
+          accuracy: result[3],
+          attempts: result[4],
+          completedAt: result[5]
+        }
+        : null))
+      : null,
+    signature
+  }
+}
+
+/**
+ * Download name for a result file
+ * @param {ResultSubmission} submission - Signed result
+ * @returns {string} File name
+ */
+export const getResultFileName = (submission) => `result-${slugify(submission.student)}.json`
+
+/**
+ * Validates the structure of a result from a file, code or link. Codes
+ * can only be read on the device holding their assignment.
+ * @param {string} text - File contents, code or link
+ * @param {Array<Assignment>} assignments - Assignments known on this device
+ * @returns {{valid: boolean, errors: Array<string>, submission: ResultSubmission|null}} Validation result
+ */
+export const parseResultSubmission = (text, assignments) => {
+  const decoded = decodePayload(text)
+  const value = expandResultCode(decoded, assignments)
+  const errors = []
+
+  const isResult = (result) => isObject(result) &&
+    typeof result.quizId === 'string' &&
+    ['score', 'totalPossiblePoints', 'accuracy', 'attempts', 'completedAt'].every(field => Number.isFinite(result[field]))
+
+  if (decoded !== null && value === null) {
+    errors.push('This result is for an assignment that was not created on this device.')
+  } else if (!isObject(value) || value.format !== RESULT_FORMAT) {
+    errors.push('This is not a class result from this guide.')
+  } else if (!Number.isInteger(value.version) || value.version > CLASSROOM_VERSION) {
+    errors.push('The result was made by a newer version of the guide. Update the app and try again.')
+  } else {
+    if (typeof value.assignmentId !== 'string') errors.push('The result does not name its assignment.')
+    if (typeof value.student !== 'string' || !value.student.trim()) errors.push('The result has no student name.')
+    if (!Number.isFinite(value.submittedAt)) errors.push('The result has no date.')
+    if (!Array.isArray(value.results) || !value.results.every(isResult)) errors.push('The quiz results are not readable.')
+    if (typeof value.signature !== 'string') errors.push('The result is not signed.')
+  }
+
+  return { valid: errors.length === 0, errors, submission: errors.length === 0 ? value : null }
+}
+
+/**
+ * Checks a result's signature against the assignment key
+ * @param {ResultSubmission} submission - Result received
+ * @param {Assignment} assignment - Assignment it claims to be for
+ * @returns {Promise<boolean>} Whether the signature matches
+ */
+export const verifyResultSubmission = async (submission, assignment) =>
+  submission.assignmentId === assignment.id &&
+  (await signSubmission(submission, assignment.key)) === submission.signature
+
+// ===== ROSTER =====
+
+/**
+ * Reads student names from pasted text or a CSV file. The first column of
+ * each line is the name; a "name" or "student" header line is skipped.
+ * @param {string} text - One name per line, or CSV
+ * @returns {Array<string>} Unique names in order
+ */
+export const parseRoster = (text) => {
+  const seen = new Set()
+  return (text || '')
+    .split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/)[0].replace(/^"|"$/g, '').trim().replace(/\s+/g, ' '))
+    .filter(name => {
+      const key = getStudentKey(name)
+      if (!key || key === 'name' || key === 'student' || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+/**
+ * Rows of the results table: roster students first, then anyone who sent
+ * a result without being on the roster
+ * @param {Array<string>} roster - Student names
+ * @param {Array<ImportedResult>} imported - Results received for the assignment
+ * @param {Assignment} assignment - Assignment
+ * @returns {Array<RosterRow>} Table rows
+ */
+export const buildRosterRows = (roster, imported, assignment) => {
+  const byStudent = new Map(imported.map(entry => [getStudentKey(entry.submission.student), entry]))
+  const rosterKeys = new Set(roster.map(getStudentKey))
+
+  const buildRow = (student, onRoster) => {
+    const entry = byStudent.get(getStudentKey(student)) || null
+    const results = Object.fromEntries(
+      (entry?.submission.results || [])
+        .filter(result => assignment.quizIds.includes(result.quizId))
+        .map(result => [result.quizId, result])
+    )
+    const accuracies = Object.values(results).map(result => result.accuracy)
+
+    return {
+      student,
+      onRoster,
+      imported: entry,
+      results,
+      completed: accuracies.length,
+      averageAccuracy: accuracies.length > 0
+        ? Math.round(accuracies.reduce((sum, accuracy) => sum + accuracy, 0) / accuracies.length)
+        : null
+    }
+  }
+
+  return [
+    ...roster.map(student => buildRow(student, true)),
+    ...imported
+      .filter(entry => !rosterKeys.has(getStudentKey(entry.submission.student)))
+      .map(entry => buildRow(entry.submission.student, false))
+  ]
+}
+
+// ===== FILES =====
+
+/**
+ * Downloads a value as a pretty-printed JSON file
+ * @param {Object} value - Assignment or result
+ * @param {string} fileName - Download name
+ */
+export const downloadJsonFile = (value, fileName) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,133 @@
+import { getTechniqueEntity } from './entityLinks'
+
+/**
+ * Technique Combinations
+ *
+ * Helpers for the combination builder. A combination is a named sequence
+ * of techniques from the technique data (stances, blocks, strikes, kicks
+ * and so on) that a student saves on the device (see hooks/useCombos)
+ * and runs as a called-out drill (see buildComboDrill in lib/drill).
+ *
+ * Moves refer to techniques by entity id, so a combination keeps working
+ * when technique text is edited; moves whose technique no longer exists
+ * are skipped.
+ *
+ * @typedef {Object} ComboMove
+ * @property {string} id - Key of the move, stable while the combination is reordered
+ * @property {string} techniqueId - Technique entity id ("<categoryId>/<slug>")
+ *
+ * @typedef {Object} Combo
+ * @property {string} id - Unique combination id
+ * @property {string} name - Name given by the student
+ * @property {Array<ComboMove>} moves - Moves in the order they are performed
+ * @property {number} createdAt - Creation timestamp in ms
+ * @property {number} updatedAt - Last save timestamp in ms
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {number} Most moves in one combination */
+export const MAX_COMBO_MOVES = 16
+
+/** @type {number} Longest combination name */
+export const MAX_COMBO_NAME_LENGTH = 40
+
+/**
+ * Example combinations offered as a starting point, limited to
+ * techniques that exist in the data
+ * @type {Array<{name: string, techniqueIds: Array<string>}>}
+ */
+export const COMBO_TEMPLATES = [
+  { name: 'Block and counter', techniqueIds: ['stances/walking-stance', 'blocks/low-outer-forearm-block', 'punches/obverse-punch'] },
+  { name: 'L-stance defence', techniqueIds: ['stances/l-stance', 'blocks/knife-hand-guarding-block', 'strikes/inward-knife-hand-strike'] },
+  { name: 'Block, kick, punch', techniqueIds: ['stances/walking-stance', 'blocks/middle-inner-forearm-block', 'kicks/front-snap-kick', 'punches/reverse-punch'] },
+  { name: 'Kicking chain', techniqueIds: ['kicks/front-snap-kick', 'kicks/turning-kick', 'kicks/side-piercing-kick'] }
+]
+  .map(template => ({ ...template, techniqueIds: template.techniqueIds.filter(getTechniqueEntity) }))
+  .filter(template => template.techniqueIds.length > 1)
+
+// ===== CREATION =====
+
+/**
+ * Makes a short random id with a prefix
+ * @param {string} prefix - Id prefix
+ * @param {number} [now] - Timestamp in ms
+ * @returns {string} New id
+ */
+const createId = (prefix, now = Date.now()) => `${prefix}-${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`
+
+/**
+ * Creates a move for a technique
+ * @param {string} techniqueId - Technique entity id
+ * @returns {ComboMove} New move
+ */
+export const createComboMove = (techniqueId) => ({ id: createId('move'), techniqueId })
+
+/**
+ * Creates a combination, or updates one when an existing combination is passed
+ * @param {Object} details - Combination details
+ * @param {string} details.name - Name given by the student
+ * @param {Array<ComboMove>} details.moves - Moves in order
+ * @param {Combo} [existing] - Combination being edited
+ * @param {number} [now] - Save timestamp in ms
+ * @returns {Combo} Saved combination
+ */
+export const buildCombo = ({ name, moves }, existing = null, now = Date.now()) => ({
+  id: existing?.id || createId('combo', now),
+  name: name.trim().slice(0, MAX_COMBO_NAME_LENGTH),
+  moves: moves.slice(0, MAX_COMBO_MOVES),
+  createdAt: existing?.createdAt || now,
+  updatedAt: now
+})
+
+/**
+ * Checks a combination can be saved
+ * @param {{name: string, moves: Array<ComboMove>}} details - Combination details
+ * @returns {Array<string>} Problems to show the student (empty when valid)
+ */
+export const validateCombo = ({ name, moves }) => {
+  const problems = []
+  if (!name.trim()) problems.push('Give the combination a name.')
+  if (moves.length < 2) problems.push('Add at least two moves.')
+  if (moves.length > MAX_COMBO_MOVES) problems.push(`A combination can have at most ${MAX_COMBO_MOVES} moves.`)
+  return problems
+}
+
+// ===== EDITING =====
+
+/**
+ * Moves one item of a list to a new position
+ * @template T
+ * @param {Array<T>} items - List to reorder
+ * @param {number} fromIndex - Current position of the item
+ * @param {number} toIndex - Position it should end up at
+ * @returns {Array<T>} Reordered copy, or the same list when nothing moves
+ */
+export const reorderMoves = (items, fromIndex, toIndex) => {
+  if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0 || fromIndex >= items.length || toIndex >= items.length) {
+    return items
+  }
+  const next = [...items]
+  const [moved] = next.splice(fromIndex, 1)
+  next.splice(toIndex, 0, moved)
+  return next
+}
+
+// ===== DESCRIPTION =====
+
+/**
+ * Technique entities of a combination's moves, skipping any that no longer exist
+ * @param {Combo} combo - Combination
+ * @returns {Array<{move: ComboMove, entity: import('./entityLinks').TechniqueEntity}>} Moves with their techniques
+ */
+export const getComboTechniques = (combo) => combo.moves
+  .map(move => ({ move, entity: getTechniqueEntity(move.techniqueId) }))
+  .filter(({ entity }) => entity)
+
+/**
+ * Summarises a combination as its technique names in order
+ * @param {Combo} combo - Combination
+ * @returns {string} Summary (e.g. "Walking Stance → Low Block → Obverse Punch")
+ */
+export const describeCombo = (combo) =>
+  getComboTechniques(combo).map(({ entity }) => entity.technique.english).join(' → ')
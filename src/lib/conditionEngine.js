@@ -0,0 +1,305 @@
+/**
+ * Condition Engine
+ *
+ * A small declarative language for rules such as achievement unlocks,
+ * parsed and evaluated without eval or new Function, so data files can
+ * describe conditions but never run code. The module is free of JSON
+ * imports so it can also run in the Vite build (see vite.config.js).
+ *
+ * Syntax:
+ * - Field paths into the context: progress.totalPoints, gameResults.timeUsed,
+ *   games.count
+ * - Literals: numbers, 'strings' or "strings", true, false, null
+ * - Comparisons: >= <= > < == !=
+ * - Logic: and, or, not, with parentheses for grouping
+ * - Counts over lists and maps: count(progress.achievements) counts every
+ *   entry; count(progress.gamesCompleted > 0) counts entries that pass
+ * - A path on its own is true when its value is truthy
+ *
+ * Example: count(progress.gamesCompleted > 0) >= 6 and progress.totalPoints >= 500
+ *
+ * @typedef {Object} ConditionNode
+ * @property {'literal'|'path'|'count'|'compare'|'and'|'or'|'not'} type - Node type
+ * @property {*} [value] - Literal value
+ * @property {Array<string>} [path] - Field path segments (path and count nodes)
+ * @property {{operator: string, value: *}|null} [filter] - Entry filter (count nodes)
+ * @property {string} [operator] - Comparison operator (compare nodes)
+ * @property {ConditionNode} [left] - Left operand (compare nodes)
+ * @property {ConditionNode} [right] - Right operand (compare nodes)
+ * @property {Array<ConditionNode>} [conditions] - Operands (and/or nodes)
+ * @property {ConditionNode} [condition] - Negated condition (not nodes)
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {Array<string>} Comparison operators, longest first for tokenizing */
+export const COMPARISON_OPERATORS = ['>=', '<=', '==', '!=', '>', '<']
+
+/** @type {Object<string, *>} Keywords that are literal values */
+const LITERAL_KEYWORDS = { true: true, false: false, null: null }
+
+/** @type {Array<string>} Words that cannot start a field path */
+const RESERVED_WORDS = ['and', 'or', 'not', 'count', ...Object.keys(LITERAL_KEYWORDS)]
+
+// ===== TOKENIZER =====
+
+/**
+ * Splits a condition into tokens
+ * @param {string} source - Condition text
+ * @returns {Array<{kind: string, value: *, position: number}>} Tokens
+ */
+const tokenize = (source) => {
+  const tokens = []
+  let position = 0
+
+  while (position < source.length) {
+    const rest = source.slice(position)
+    const whitespace = rest.match(/^\s+/)
+    if (whitespace) {
+      position += whitespace[0].length
+      continue
+    }
+
+    const number = rest.match(/^-?\d+(\.\d+)?/)
+    const string = rest.match(/^'([^']*)'|^"([^"]*)"/)
+    const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/)
+    const operator = COMPARISON_OPERATORS.find(op => rest.startsWith(op))
+
+    if (number) {
+      tokens.push({ kind: 'number', value: Number(number[0]), position })
+      position += number[0].length
+    } else if (string) {
+      tokens.push({ kind: 'string', value: string[1] ?? string[2], position })
+      position += string[0].length
+    } else if (word) {
+      tokens.push({ kind: 'word', value: word[0], position })
+      position += word[0].length
+    } else if (operator) {
+      tokens.push({ kind: 'operator', value: operator, position })
+      position += operator.length
+    } else if ('.(),'.includes(rest[0])) {
+      tokens.push({ kind: 'punctuation', value: rest[0], position })
+      position += 1
+    } else {
+      throw new Error(`Unexpected character "${rest[0]}" at position ${position}`)
+    }
+  }
+
+  return tokens
+}
+
+// ===== PARSER =====
+
+/**
+ * Parses a condition into a syntax tree
+ * @param {string} source - Condition text
+ * @returns {ConditionNode} Parsed condition
+ * @throws {Error} When the condition is not valid syntax
+ */
+export const parseCondition = (source) => {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Condition must be a non-empty string')
+  }
+
+  const tokens = tokenize(source)
+  let index = 0
+
+  const peek = () => tokens[index]
+  const isWord = (value) => peek()?.kind === 'word' && peek().value === value
+  const isPunctuation = (value) => peek()?.kind === 'punctuation' && peek().value === value
+  const describe = (token) => (token ? `"${token.value}" at position ${token.position}` : 'end of condition')
+
+  const expectPunctuation = (value) => {
+    if (!isPunctuation(value)) throw new Error(`Expected "${value}" but found ${describe(peek())}`)
+    index++
+  }
+
+  const parseFieldName = (isFirst) => {
+    const token = peek()
+    if (token?.kind !== 'word' || (isFirst && RESERVED_WORDS.includes(token.value))) {
+      throw new Error(`Expected a field name but found ${describe(token)}`)
+    }
+    index++
+    return token.value
+  }
+
+  const parsePath = () => {
+    const path = [parseFieldName(true)]
+    while (isPunctuation('.')) {
+      index++
+      path.push(parseFieldName(false))
+    }
+    return path
+  }
+
+  const parseLiteral = () => {
+    const token = peek()
+    if (token?.kind === 'number' || token?.kind === 'string') {
+      index++
+      return { type: 'literal', value: token.value }
+    }
+    if (token?.kind === 'word' && token.value in LITERAL_KEYWORDS) {
+      index++
+      return { type: 'literal', value: LITERAL_KEYWORDS[token.value] }
+    }
+    return null
+  }
+
+  const parseCount = () => {
+    index++
+    expectPunctuation('(')
+    const path = parsePath()
+    let filter = null
+
+    if (peek()?.kind === 'operator') {
+      const operator = tokens[index++].value
+      const literal = parseLiteral()
+      if (!literal) throw new Error(`Expected a value after "${operator}" but found ${describe(peek())}`)
+      filter = { operator, value: literal.value }
+    }
+
+    expectPunctuation(')')
+    return { type: 'count', path, filter }
+  }
+
+  const parseOperand = () => {
+    if (isPunctuation('(')) {
+      index++
+      const inner = parseOr()
+      expectPunctuation(')')
+      return inner
+    }
+    if (isWord('count') && tokens[index + 1]?.value === '(') return parseCount()
+    return parseLiteral() || { type: 'path', path: parsePath() }
+  }
+
+  const parseComparison = () => {
+    const left = parseOperand()
+    if (peek()?.kind !== 'operator') return left
+
+    const operator = tokens[index++].value
+    return { type: 'compare', operator, left, right: parseOperand() }
+  }
+
+  const parseNot = () => {
+    if (isWord('not')) {
+      index++
+      return { type: 'not', condition: parseNot() }
+    }
+    return parseComparison()
+  }
+
+  const parseChain = (keyword, parseNext) => () => {
+    const conditions = [parseNext()]
+    while (isWord(keyword)) {
+      index++
+      conditions.push(parseNext())
+    }
+    return conditions.length === 1 ? conditions[0] : { type: keyword, conditions }
+  }
+
+  const parseAnd = parseChain('and', parseNot)
+  const parseOr = parseChain('or', parseAnd)
+
+  const tree = parseOr()
+  if (index < tokens.length) throw new Error(`Unexpected ${describe(peek())}`)
+  return tree
+}
+
+// ===== EVALUATION =====
+
+/**
+ * Reads a field path from the context, following own properties only
+ * @param {Object} context - Values the condition can read
+ * @param {Array<string>} path - Field path segments
+ * @returns {*} Value at the path, or undefined when missing
+ */
+const resolvePath = (context, path) =>
+  path.reduce((value, segment) => (
+    value !== null && typeof value === 'object' && Object.hasOwn(value, segment) ? value[segment] : undefined
+  ), context)
+
+/**
+ * Compares two values; ordering comparisons only hold between numbers
+ * @param {*} left - Left value
+ * @param {string} operator - Comparison operator
+ * @param {*} right - Right value
+ * @returns {boolean} Comparison result
+ */
+const compare = (left, operator, right) => {
+  if (operator === '==') return left === right
+  if (operator === '!=') return left !== right
+  if (typeof left !== 'number' || typeof right !== 'number') return false
+
+  switch (operator) {
+    case '>=': return left >= right
+    case '<=': return left <= right
+    case '>': return left > right
+    case '<': return left < right
+    default: return false
+  }
+}
+
+/**
+ * Computes the value of a node
+ * @param {ConditionNode} node - Node to evaluate
+ * @param {Object} context - Values the condition can read
+ * @returns {*} Node value
+ */
+const evaluateNode = (node, context) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value
+    case 'path':
+      return resolvePath(context, node.path)
+    case 'count': {
+      const collection = resolvePath(context, node.path)
+      const entries = Array.isArray(collection)
+        ? collection
+        : collection !== null && typeof collection === 'object' ? Object.values(collection) : []
+      return node.filter
+        ? entries.filter(entry => compare(entry, node.filter.operator, node.filter.value)).length
+        : entries.length
+    }
+    case 'compare':
+      return compare(evaluateNode(node.left, context), node.operator, evaluateNode(node.right, context))
+    case 'and':
+      return node.conditions.every(condition => Boolean(evaluateNode(condition, context)))
+    case 'or':
+      return node.conditions.some(condition => Boolean(evaluateNode(condition, context)))
+    case 'not':
+      return !evaluateNode(node.condition, context)
+    default:
+      return undefined
+  }
+}
+
+/**
+ * Evaluates a parsed condition against a context
+ * @param {ConditionNode} condition - Parsed condition
+ * @param {Object} context - Values the condition can read (e.g. { progress, gameResults })
+ * @returns {boolean} Whether the condition holds
+ */
+export const evaluateCondition = (condition, context) => Boolean(evaluateNode(condition, context))
+
+/**
+ * Lists every field path a condition reads
+ * @param {ConditionNode} node - Parsed condition
+ * @returns {Array<Array<string>>} Field paths
+ */
+export const getConditionPaths = (node) => {
+  switch (node.type) {
+    case 'path':
+    case 'count':
+      return [node.path]
+    case 'compare':
+      return [...getConditionPaths(node.left), ...getConditionPaths(node.right)]
+    case 'and':
+    case 'or':
+      return node.conditions.flatMap(getConditionPaths)
+    case 'not':
+      return getConditionPaths(node.condition)
+    default:
+      return []
+  }
+}
@@ -0,0 +1,123 @@
+import terminologyData from '../data/terminology/TerminologyData.json'
+import { getTechniqueCategory } from './techniques'
+import { findTechniqueEntity, getTermForTechnique } from './entityLinks'
+import { getComboTechniques } from './combos'
+
+/**
+ * Drill Builders
+ *
+ * Pure helpers that turn pattern and technique data into a flat list of
+ * drill steps the drill runner can step through on a tempo.
+ *
+ * @typedef {Object} DrillStep
+ * @property {string} id - Stable key for the step
+ * @property {number} count - 1-based movement number within the set
+ * @property {string} title - Headline shown on screen (stance or technique)
+ * @property {string} [subtitle] - Secondary name (Korean or English)
+ * @property {string} call - Text spoken when the step is announced
+ * @property {Array<string>} [details] - Supporting cues for the movement
+ * @property {string} [sound] - Recorded Korean command for the movement, when there is one
+ */
+
+// ===== COUNTING =====
+
+/**
+ * Korean counting terms one to ten, taken from the terminology dictionary
+ * so the drill uses the same spellings and audio as the rest of the site
+ * @type {Array<{id: string, romanized: string, sound: string}>}
+ */
+export const KOREAN_COUNTS = ['hana', 'dul', 'set', 'net', 'daseot', 'yeoseot', 'ilgop', 'yeodeol', 'ahop', 'yeol']
+  .map(id => terminologyData.terms.find(term => term.id === id))
+  .filter(Boolean)
+
+/**
+ * Gets the Korean count called for a movement number. Counts above ten
+ * cycle back to hana, the same way instructors count long patterns in class.
+ * @param {number} count - 1-based movement number
+ * @returns {{id: string, romanized: string, sound: string}|null} Count term
+ */
+export const getKoreanCount = (count) => {
+  if (!count || KOREAN_COUNTS.length === 0) return null
+  return KOREAN_COUNTS[(count - 1) % KOREAN_COUNTS.length]
+}
+
+// ===== COMMANDS =====
+
+/**
+ * "Baro" (return), called when a drill finishes
+ * @type {{id: string, romanized: string, sound: string}|undefined}
+ */
+export const RETURN_COMMAND = terminologyData.terms.find(term => term.id === 'baro')
+
+/**
+ * Gets the recorded Korean name of a technique, called as its command
+ * @param {string} [techniqueId] - Technique entity id
+ * @returns {string|undefined} Audio path
+ */
+const getCommandSound = (techniqueId) =>
+  techniqueId ? getTermForTechnique(techniqueId)?.term.sound || undefined : undefined
+
+// ===== BUILDERS =====
+
+/**
+ * Builds drill steps from a pattern's movements array
+ * @param {Object} pattern - Pattern object from Patterns.json
+ * @returns {Array<DrillStep>} Drill steps, empty if the pattern has no movements
+ */
+export const buildPatternDrill = (pattern) => {
+  if (!pattern?.movements?.length) return []
+
+  return pattern.movements.map((movement, index) => ({
+    id: `${pattern.id}-${index + 1}`,
+    count: index + 1,
+    title: movement.stance || 'Ready Stance',
+    subtitle: pattern.name,
+    call: movement.description,
+    details: movement.steps || []
+  }))
+}
+
+/**
+ * Builds drill steps from one technique category, optionally limited to
+ * a set of belt levels
+ * @param {string} categoryId - Category id from lib/techniques
+ * @param {Array<string>} [belts] - Belt names to include (all when empty)
+ * @returns {Array<DrillStep>} Drill steps in belt order
+ */
+export const buildTechniqueDrill = (categoryId, belts = []) => {
+  const category = getTechniqueCategory(categoryId)
+  if (!category) return []
+
+  const techniques = category.data.beltLevels
+    .filter(level => belts.length === 0 || belts.includes(level.belt))
+    .flatMap(level => level.techniques)
+
+  return techniques.map((technique, index) => ({
+    id: `${categoryId}-${index + 1}`,
+    count: index + 1,
+    title: technique.english,
+    subtitle: technique.korean,
+    call: technique.english,
+    details: technique.steps || [],
+    sound: getCommandSound(findTechniqueEntity(technique)?.id)
+  }))
+}
+
+/**
+ * Builds drill steps from a saved combination, one step per move
+ * @param {import('./combos').Combo} [combo] - Combination to run
+ * @returns {Array<DrillStep>} Drill steps in combination order
+ */
+export const buildComboDrill = (combo) => {
+  if (!combo?.moves?.length) return []
+
+  return getComboTechniques(combo).map(({ move, entity }, index) => ({
+    id: `${combo.id}-${move.id}`,
+    count: index + 1,
+    title: entity.technique.english,
+    subtitle: entity.technique.korean,
+    call: entity.technique.english,
+    details: entity.technique.steps || [],
+    sound: getCommandSound(entity.id)
+  }))
+}
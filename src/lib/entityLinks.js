@@ -0,0 +1,251 @@
+import terminologyData from '../data/terminology/TerminologyData.json'
+import patternData from '../data/patterns/Patterns.json'
+import { TECHNIQUE_CATEGORIES } from './techniques'
+
+/**
+ * Entity Linking
+ *
+ * Resolves names used across the guide ("Walking Stance", "low block",
+ * "Gunnun Seogi") to terminology terms and techniques so pattern
+ * movements, technique steps and dictionary rows can link to each other.
+ *
+ * @typedef {Object} TermEntity
+ * @property {'term'} type - Entity type
+ * @property {string} id - Term id from TerminologyData.json
+ * @property {Object} term - The term object
+ *
+ * @typedef {Object} TechniqueEntity
+ * @property {'technique'} type - Entity type
+ * @property {string} id - "<categoryId>/<slug>" (e.g. "stances/walking-stance")
+ * @property {string} categoryId - Technique category id (see lib/techniques)
+ * @property {string} categoryName - Technique category display name
+ * @property {string} belt - Belt level the technique is listed under
+ * @property {string} slug - Technique slug within the category
+ * @property {Object} technique - The technique object
+ *
+ * @typedef {TermEntity|TechniqueEntity} Entity
+ *
+ * @typedef {Object} LinkTarget
+ * @property {TermEntity|null} term - Matching dictionary term
+ * @property {TechniqueEntity|null} technique - Matching technique
+ *
+ * @typedef {Object} TextSegment
+ * @property {string} text - Segment text
+ * @property {LinkTarget} [link] - Set when the segment names a known entity
+ */
+
+// ===== NORMALIZATION =====
+
+/**
+ * Normalizes a name for lookup
+ * @param {string} text - Name to normalize
+ * @returns {string} Lowercase words separated by single spaces
+ */
+export const normalizeName = (text = '') =>
+  text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+/**
+ * Builds a URL-safe slug from a technique name
+ * @param {string} text - Technique English name
+ * @returns {string} Slug (e.g. "knife-hand-guarding-block")
+ */
+export const slugifyName = (text = '') => normalizeName(text).replace(/ /g, '-')
+
+// ===== ENTITY INDEX =====
+
+/**
+ * Every technique as an entity
+ * @type {Array<TechniqueEntity>}
+ */
+export const TECHNIQUE_ENTITIES = TECHNIQUE_CATEGORIES.flatMap(category =>
+  category.data.beltLevels.flatMap(level =>
+    level.techniques.map(technique => ({
+      type: 'technique',
+      id: `${category.id}/${slugifyName(technique.english)}`,
+      categoryId: category.id,
+      categoryName: category.name,
+      belt: level.belt,
+      slug: slugifyName(technique.english),
+      technique
+    }))
+  )
+)
+
+/**
+ * Every terminology term as an entity
+ * @type {Array<TermEntity>}
+ */
+export const TERM_ENTITIES = terminologyData.terms.map(term => ({
+  type: 'term',
+  id: term.id,
+  term
+}))
+
+/**
+ * Term categories whose English names are linked inside free text. Short
+ * words from other categories ("One", "Side", "Bow") would link too eagerly.
+ * @type {Array<string>}
+ */
+const LINKABLE_TERM_CATEGORIES = ['Stances', 'Blocks', 'Strikes & Punches', 'Kicks', 'Thrusts', 'Patterns & Forms']
+
+/**
+ * Phrases used in pattern movements that are spelt differently from the
+ * dictionary and technique names they refer to
+ * @type {Object<string, {termId?: string, techniqueId?: string}>}
+ */
+const NAME_ALIASES = {
+  'ready stance': { termId: 'junbi' },
+  'low block': { termId: 'arae-makgi', techniqueId: 'blocks/low-outer-forearm-block' },
+  'outward low block': { termId: 'arae-makgi', techniqueId: 'blocks/low-outer-forearm-block' },
+  'middle block': { termId: 'momtong-makgi', techniqueId: 'blocks/middle-inner-forearm-block' },
+  'inner forearm middle block': { termId: 'momtong-makgi', techniqueId: 'blocks/middle-inner-forearm-block' },
+  'punch': { termId: 'jireugi', techniqueId: 'punches/forefist-punch' },
+  'middle punch': { termId: 'jireugi', techniqueId: 'punches/forefist-punch' },
+  'high punch': { termId: 'jireugi', techniqueId: 'punches/forefist-punch' },
+  'high section punch': { termId: 'jireugi', techniqueId: 'punches/forefist-punch' }
+}
+
+/**
+ * Finds a term entity by id
+ * @param {string} termId - Term id
+ * @returns {TermEntity|null} Term entity
+ */
+export const getTermEntity = (termId) => TERM_ENTITIES.find(entity => entity.id === termId) || null
+
+/**
+ * Finds a technique entity by id
+ * @param {string} techniqueId - "<categoryId>/<slug>"
+ * @returns {TechniqueEntity|null} Technique entity
+ */
+export const getTechniqueEntity = (techniqueId) =>
+  TECHNIQUE_ENTITIES.find(entity => entity.id === techniqueId) || null
+
+/**
+ * Finds the entity for a technique object loaded from the technique data
+ * @param {Object} technique - Technique object
+ * @returns {TechniqueEntity|null} Technique entity
+ */
+export const findTechniqueEntity = (technique) =>
+  TECHNIQUE_ENTITIES.find(entity => entity.technique === technique) ||
+  TECHNIQUE_ENTITIES.find(entity => entity.technique.english === technique?.english) ||
+  null
+
+/**
+ * Lookup of normalized names to link targets, built once
+ * @type {Map<string, LinkTarget>}
+ */
+const NAME_INDEX = (() => {
+  const index = new Map()
+
+  /**
+   * Adds a name to the index without overwriting an existing half of the target
+   * @param {string} name - Name to index
+   * @param {Object} target - Partial link target
+   */
+  const addName = (name, target) => {
+    const key = normalizeName(name)
+    if (!key) return
+    const existing = index.get(key) || { term: null, technique: null }
+    index.set(key, {
+      term: existing.term || target.term || null,
+      technique: existing.technique || target.technique || null
+    })
+  }
+
+  Object.entries(NAME_ALIASES).forEach(([name, { termId, techniqueId }]) => {
+    addName(name, { term: getTermEntity(termId), technique: getTechniqueEntity(techniqueId) })
+  })
+
+  TECHNIQUE_ENTITIES.forEach(entity => {
+    addName(entity.technique.english, { technique: entity })
+    addName(entity.technique.korean, { technique: entity })
+  })
+
+  TERM_ENTITIES.forEach(entity => {
+    addName(entity.term.englishName, { term: entity })
+    addName(entity.term.romanized, { term: entity })
+  })
+
+  return index
+})()
+
+/**
+ * Matches any linkable name inside free text. Names are tried longest first
+ * and words may be separated by spaces, hyphens or slashes.
+ * @type {RegExp}
+ */
+const LINKABLE_NAME_PATTERN = new RegExp(
+  `\\b(${[
+    ...Object.keys(NAME_ALIASES),
+    ...TECHNIQUE_ENTITIES.map(entity => normalizeName(entity.technique.english)),
+    ...TERM_ENTITIES
+      .filter(entity => LINKABLE_TERM_CATEGORIES.includes(entity.term.category))
+      .map(entity => normalizeName(entity.term.englishName))
+  ]
+    .filter((name, index, names) => name && names.indexOf(name) === index)
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.split(' ').join('[^a-z0-9]+'))
+    .join('|')})\\b`,
+  'gi'
+)
+
+// ===== RESOLUTION =====
+
+/**
+ * Resolves a name to its term and technique
+ * @param {string} name - English, romanized or alias name
+ * @returns {LinkTarget|null} Link target, or null when nothing matches
+ */
+export const resolveName = (name) => NAME_INDEX.get(normalizeName(name)) || null
+
+/**
+ * Finds the technique a dictionary term names, through a shared name or alias
+ * @param {string} termId - Term id
+ * @returns {TechniqueEntity|null} Related technique
+ */
+export const getTechniqueForTerm = (termId) =>
+  [...NAME_INDEX.values()].find(target => target.term?.id === termId && target.technique)?.technique || null
+
+/**
+ * Finds the dictionary term for a technique, through a shared name or alias
+ * @param {string} techniqueId - "<categoryId>/<slug>"
+ * @returns {TermEntity|null} Related term
+ */
+export const getTermForTechnique = (techniqueId) =>
+  [...NAME_INDEX.values()].find(target => target.technique?.id === techniqueId && target.term)?.term || null
+
+/**
+ * Lists the patterns whose movements use a term
+ * @param {string} termId - Term id
+ * @returns {Array<{patternId: string, patternName: string, counts: Array<number>}>} Patterns with the movement numbers using the term
+ */
+export const getPatternsUsingTerm = (termId) =>
+  patternData.patterns
+    .map(pattern => ({
+      patternId: pattern.id,
+      patternName: pattern.name,
+      counts: (pattern.movements || [])
+        .filter(movement => movement.terms?.includes(termId))
+        .map(movement => movement.count)
+    }))
+    .filter(usage => usage.counts.length > 0)
+
+/**
+ * Splits free text into plain and linked segments. Known names are matched
+ * case-insensitively on word boundaries, longest name first.
+ * @param {string} text - Text to link (e.g. a movement description)
+ * @returns {Array<TextSegment>} Segments in order
+ */
+export const linkText = (text = '') => {
+  const segments = []
+  let plainStart = 0
+
+  for (const match of text.matchAll(LINKABLE_NAME_PATTERN)) {
+    if (match.index > plainStart) segments.push({ text: text.slice(plainStart, match.index) })
+    segments.push({ text: match[0], link: resolveName(match[0]) })
+    plainStart = match.index + match[0].length
+  }
+
+  if (plainStart < text.length) segments.push({ text: text.slice(plainStart) })
+  return segments
+}
@@ -0,0 +1,215 @@
+/**
+ * Stance Footprints
+ *
+ * Top-down geometry behind the stance footprint diagrams. Stances in
+ * data/techniques/stance.json carry a footprint measured in shoulder
+ * widths, the unit the syllabus uses for stance size, so every stance
+ * can be drawn to the same scale and two stances can be laid over each
+ * other.
+ *
+ * Distances are between the centres of the feet. Toe angles are degrees
+ * from pointing straight ahead, positive turning the toes outwards (away
+ * from the other foot) and negative turning them inwards. Diagrams are
+ * drawn with the left foot forward, seen from above with the front at
+ * the top.
+ *
+ * Like stickFigure, the module has no JSON imports so techniqueValidator
+ * can check footprints during the build.
+ *
+ * @typedef {'flat'|'ball'|'raised'} FootContact - Whole sole down, heel up, or foot off the floor
+ *
+ * @typedef {Object} Footprint
+ * @property {number} length - Front-to-back distance between the feet
+ * @property {number} width - Side-to-side distance between the feet, negative when the legs cross
+ * @property {{front: number, rear: number}} weight - Percentage of body weight on each foot
+ * @property {{front: number, rear: number}} toeAngles - Turn of each foot from straight ahead
+ * @property {{front?: FootContact, rear?: FootContact}} [contact] - How each foot meets the floor, flat when omitted
+ *
+ * @typedef {Object} FootPlacement
+ * @property {'front'|'rear'} foot - Which foot
+ * @property {'left'|'right'} side - Which side of the body
+ * @property {number} x - Centre in shoulder widths to the right of the stance centre
+ * @property {number} y - Centre in shoulder widths ahead of the stance centre
+ * @property {number} angle - Clockwise turn of the toes seen from above, in degrees
+ * @property {number} weight - Percentage of body weight on the foot
+ * @property {FootContact} contact - How the foot meets the floor
+ *
+ * @typedef {Object} FootprintMeasure
+ * @property {string} label - Measurement name (e.g. "Weight")
+ * @property {Array<string|null>} values - Formatted value per footprint, null without one
+ * @property {boolean} different - Whether the footprints disagree
+ */
+
+// ===== CONSTANTS =====
+
+/**
+ * Size of one foot in shoulder widths
+ * @type {{length: number, width: number}}
+ */
+export const FOOT_SIZE = { length: 0.65, width: 0.25 }
+
+/**
+ * Area every diagram shows, in shoulder widths either side of the stance
+ * centre. Fixed so that all diagrams share one scale.
+ * @type {{x: number, y: number}}
+ */
+export const DIAGRAM_EXTENT = { x: 1.4, y: 1.5 }
+
+/** @type {Array<FootContact>} Allowed contact values */
+export const FOOT_CONTACTS = ['flat', 'ball', 'raised']
+
+/** @type {Array<'front'|'rear'>} The two feet of a footprint */
+const FEET = ['front', 'rear']
+
+/**
+ * Accepted range of each measurement
+ * @type {Object<string, [number, number]>}
+ */
+const LIMITS = {
+  length: [0, 2.5],
+  width: [-1, 2.5],
+  toeAngle: [-90, 90]
+}
+
+/**
+ * How each contact reads in a description
+ * @type {Object<FootContact, string>}
+ */
+const CONTACT_DESCRIPTIONS = {
+  ball: 'heel raised',
+  raised: 'foot off the floor'
+}
+
+// ===== GEOMETRY =====
+
+/**
+ * Places both feet of a stance, left foot forward
+ * @param {Footprint} footprint - Stance footprint
+ * @returns {Array<FootPlacement>} Rear foot then front foot
+ */
+export const getFootPlacements = (footprint) => FEET.slice().reverse().map(foot => {
+  const isFront = foot === 'front'
+  const side = isFront ? 'left' : 'right'
+  const toeAngle = footprint.toeAngles[foot]
+
+  return {
+    foot,
+    side,
+    x: (isFront ? -1 : 1) * footprint.width / 2,
+    y: (isFront ? 1 : -1) * footprint.length / 2,
+    // Outwards is anticlockwise for the left foot, clockwise for the right
+    angle: side === 'left' ? -toeAngle : toeAngle,
+    weight: footprint.weight[foot],
+    contact: footprint.contact?.[foot] || 'flat'
+  }
+})
+
+// ===== DESCRIPTION =====
+
+/**
+ * Formats a distance in shoulder widths
+ * @param {number} value - Distance
+ * @returns {string} Readable distance
+ */
+export const formatShoulderWidths = (value) => {
+  const size = Math.abs(value)
+  const text = `${size} shoulder width${size === 1 ? '' : 's'}`
+  return value < 0 ? `${text}, crossed` : text
+}
+
+/**
+ * Formats a toe angle
+ * @param {number} angle - Degrees from straight ahead
+ * @returns {string} Readable angle
+ */
+export const formatToeAngle = (angle) => {
+  if (angle === 0) return 'straight ahead'
+  return `${Math.abs(angle)}° ${angle > 0 ? 'outwards' : 'inwards'}`
+}
+
+/**
+ * Describes which feet are not flat on the floor
+ * @param {Footprint} footprint - Stance footprint
+ * @returns {string} Readable footwork
+ */
+const formatContact = (footprint) => {
+  const notes = FEET
+    .filter(foot => CONTACT_DESCRIPTIONS[footprint.contact?.[foot]])
+    .map(foot => `${foot} ${CONTACT_DESCRIPTIONS[footprint.contact[foot]]}`)
+  return notes.length ? notes.join(', ').replace(/^./, letter => letter.toUpperCase()) : 'Both feet flat'
+}
+
+/**
+ * Measurements listed beside a diagram and compared between stances
+ * @type {Array<{label: string, format: function(Footprint): string}>}
+ */
+export const FOOTPRINT_MEASURES = [
+  { label: 'Length', format: footprint => formatShoulderWidths(footprint.length) },
+  { label: 'Width', format: footprint => formatShoulderWidths(footprint.width) },
+  { label: 'Weight', format: footprint => `${footprint.weight.front}% front, ${footprint.weight.rear}% rear` },
+  { label: 'Front toes', format: footprint => formatToeAngle(footprint.toeAngles.front) },
+  { label: 'Rear toes', format: footprint => formatToeAngle(footprint.toeAngles.rear) },
+  { label: 'Feet', format: formatContact }
+]
+
+/**
+ * Lines up the measurements of several footprints and marks the ones that differ
+ * @param {Array<Footprint|null|undefined>} footprints - Footprints to compare; gaps are allowed
+ * @returns {Array<FootprintMeasure>} One entry per measurement
+ */
+export const compareFootprints = (footprints) => FOOTPRINT_MEASURES.map(({ label, format }) => {
+  const values = footprints.map(footprint => footprint ? format(footprint) : null)
+  const present = values.filter(value => value !== null)
+
+  return { label, values, different: new Set(present).size > 1 }
+})
+
+// ===== VALIDATION =====
+
+/**
+ * Checks a number falls within a measurement's range
+ * @param {*} value - Value to check
+ * @param {[number, number]} range - Inclusive minimum and maximum
+ * @returns {boolean} Whether the value is usable
+ */
+const inRange = (value, [min, max]) => Number.isFinite(value) && value >= min && value <= max
+
+/**
+ * Validates a footprint, for the build-time technique data check
+ * @param {Footprint} footprint - Footprint from a technique entry
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export const validateFootprint = (footprint) => {
+  if (!footprint || typeof footprint !== 'object') return ['"footprint" must be an object']
+  const problems = []
+
+  if (!inRange(footprint.length, LIMITS.length)) {
+    problems.push(`footprint "length" must be ${LIMITS.length[0]}-${LIMITS.length[1]} shoulder widths`)
+  }
+  if (!inRange(footprint.width, LIMITS.width)) {
+    problems.push(`footprint "width" must be ${LIMITS.width[0]}-${LIMITS.width[1]} shoulder widths`)
+  }
+
+  const { weight, toeAngles, contact } = footprint
+  if (!weight || !FEET.every(foot => inRange(weight[foot], [0, 100]))) {
+    problems.push('footprint "weight" needs front and rear percentages')
+  } else if (weight.front + weight.rear !== 100) {
+    problems.push(`footprint weight adds up to ${weight.front + weight.rear}%, not 100%`)
+  }
+  if (!toeAngles || !FEET.every(foot => inRange(toeAngles[foot], LIMITS.toeAngle))) {
+    problems.push(`footprint "toeAngles" needs front and rear angles of ${LIMITS.toeAngle[0]} to ${LIMITS.toeAngle[1]} degrees`)
+  }
+  if (contact !== undefined && (contact === null || typeof contact !== 'object' || Array.isArray(contact))) {
+    problems.push('footprint "contact" must be an object of front and rear contacts')
+  } else if (contact !== undefined) {
+    Object.entries(contact).forEach(([foot, value]) => {
+      if (!FEET.includes(foot)) problems.push(`footprint contact for unknown foot "${foot}"`)
+      else if (!FOOT_CONTACTS.includes(value)) problems.push(`footprint contact "${value}" must be one of ${FOOT_CONTACTS.join(', ')}`)
+    })
+    FEET.forEach(foot => {
+      if (contact[foot] === 'raised' && weight?.[foot] > 0) problems.push(`a raised ${foot} foot cannot carry weight`)
+    })
+  }
+
+  return problems
+}
@@ -0,0 +1,161 @@
+/**
+ * Game Registry
+ *
+ * The quiz game types the app can play. Each game registers its id, any
+ * alias ids older data still uses, the quiz fields it needs, the result
+ * fields it reports and the component that plays it. The quiz hub, game
+ * type filters, progress counts and achievements read the registry, so a
+ * new game only needs to be registered (see components/QuizPage/games).
+ *
+ * Schemas map field names to a type: 'string', 'number', 'boolean',
+ * 'array' or 'object', with a trailing '?' for optional fields.
+ *
+ * @typedef {Object<string, string>} FieldSchema
+ *
+ * @typedef {Object} GameDefinition
+ * @property {string} id - Canonical game type id stored on results and progress
+ * @property {Array<string>} [aliases] - Other ids that mean this game in quiz data
+ * @property {string} name - Display name
+ * @property {string} description - One-line description for the game type picker
+ * @property {string} icon - Emoji shown with the name
+ * @property {string} color - Accent colour name
+ * @property {FieldSchema} dataSchema - Quiz fields the game reads, on top of BASE_QUIZ_SCHEMA
+ * @property {FieldSchema} resultSchema - Result fields the game reports, on top of BASE_RESULT_SCHEMA
+ * @property {Function} component - React component taking {quiz, onComplete}
+ */
+
+// ===== SCHEMAS =====
+
+/** @type {FieldSchema} Fields every quiz has, whatever its game */
+export const BASE_QUIZ_SCHEMA = {
+  id: 'string',
+  title: 'string',
+  category: 'string',
+  gameType: 'string',
+  timeLimit: 'number',
+  points: 'number'
+}
+
+/** @type {FieldSchema} Fields every game reports when it finishes */
+export const BASE_RESULT_SCHEMA = {
+  score: 'number',
+  timeUsed: 'number',
+  perfectScore: 'boolean',
+  totalPossiblePoints: 'number',
+  itemResults: 'array?'
+}
+
+/** @type {Array<string>} Fields a registration must provide */
+const REQUIRED_DEFINITION_FIELDS = ['id', 'name', 'description', 'icon', 'color']
+
+// ===== REGISTRY STATE =====
+
+/** @type {Map<string, GameDefinition>} Registered games by id, in registration order */
+const games = new Map()
+
+/** @type {Map<string, string>} Canonical id for every id and alias */
+const gameIds = new Map()
+
+// ===== HELPERS =====
+
+/**
+ * Checks a value against a schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type without the optional marker
+ * @returns {boolean} Whether the value has that type
+ */
+const hasType = (value, type) => {
+  switch (type) {
+    case 'array': return Array.isArray(value)
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value)
+    case 'number': return Number.isFinite(value)
+    default: return typeof value === type
+  }
+}
+
+/**
+ * Validates an object against a schema
+ * @param {Object} value - Object to check
+ * @param {FieldSchema} schema - Expected fields
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export const validateFields = (value, schema) => {
+  if (typeof value !== 'object' || value === null) return ['Expected an object.']
+
+  return Object.entries(schema).flatMap(([field, spec]) => {
+    const optional = spec.endsWith('?')
+    const type = optional ? spec.slice(0, -1) : spec
+    if (value[field] === undefined) return optional ? [] : [`"${field}" is missing.`]
+    return hasType(value[field], type) ? [] : [`"${field}" should be of type ${type}.`]
+  })
+}
+
+// ===== REGISTRATION =====
+
+/**
+ * Registers a game type
+ * @param {GameDefinition} definition - Game to register
+ * @returns {GameDefinition} The registered definition
+ * @throws {Error} When a field is missing or the id or an alias is already taken
+ */
+export const registerGame = (definition) => {
+  const missing = REQUIRED_DEFINITION_FIELDS.filter(field => typeof definition[field] !== 'string' || !definition[field])
+  if (missing.length > 0) throw new Error(`Game registration is missing: ${missing.join(', ')}`)
+  if (typeof definition.component !== 'function') throw new Error(`Game "${definition.id}" has no component`)
+
+  const ids = [definition.id, ...(definition.aliases || [])]
+  const taken = ids.find(id => gameIds.has(id))
+  if (taken) throw new Error(`Game id "${taken}" is already registered to "${gameIds.get(taken)}"`)
+
+  const game = { aliases: [], dataSchema: {}, resultSchema: {}, ...definition }
+  games.set(game.id, game)
+  ids.forEach(id => gameIds.set(id, game.id))
+  return game
+}
+
+// ===== LOOKUP =====
+
+/**
+ * Canonical id for a game type id or alias
+ * @param {string} gameType - Id or alias from quiz data
+ * @returns {string|null} Registered id, or null when unknown
+ */
+export const resolveGameTypeId = (gameType) => gameIds.get(gameType) || null
+
+/**
+ * Finds a game by id or alias
+ * @param {string} gameType - Id or alias
+ * @returns {GameDefinition|null} Game, or null when unknown
+ */
+export const getGame = (gameType) => games.get(resolveGameTypeId(gameType)) || null
+
+/**
+ * Every registered game, in registration order
+ * @returns {Array<GameDefinition>} Games
+ */
+export const getGames = () => [...games.values()]
+
+// ===== VALIDATION =====
+
+/**
+ * Checks that a quiz has what its game needs to play it
+ * @param {Object} quiz - Quiz to check
+ * @returns {Array<string>} Problems found (empty when playable)
+ */
+export const validateQuizData = (quiz) => {
+  const game = getGame(quiz?.gameType)
+  if (!game) return [`Unknown game type "${quiz?.gameType}".`]
+  return validateFields(quiz, { ...BASE_QUIZ_SCHEMA, ...game.dataSchema })
+}
+
+/**
+ * Checks that a finished game reported the results it promised
+ * @param {string} gameType - Game id or alias
+ * @param {Object} results - Results passed to onComplete
+ * @returns {Array<string>} Problems found (empty when complete)
+ */
+export const validateGameResults = (gameType, results) => {
+  const game = getGame(gameType)
+  if (!game) return [`Unknown game type "${gameType}".`]
+  return validateFields(results, { ...BASE_RESULT_SCHEMA, ...game.resultSchema })
+}
@@ -0,0 +1,223 @@
+/**
+ * Korean-aware Search
+ *
+ * Matching rules for searching Korean terminology in English, romanized
+ * Korean or Hangul. Romanized words are compared through a phonetic key
+ * that folds McCune-Reischauer, Revised Romanization and the spellings used
+ * in ITF books onto one form ("charyot", "charyeot" and "ch'aryŏt" share a
+ * key, as do "jirugi" and "jireugi"); small typos are tolerated by edit
+ * distance; Hangul is decomposed into jamo so half-typed syllables ("거",
+ * "건ㄴ") still match.
+ *
+ * @typedef {Object} SearchFieldDefinition
+ * @property {Function} get - Returns the field text for an item
+ * @property {number} [weight=1] - How much a match in this field counts
+ *
+ * @typedef {Object} ItemMatch
+ * @property {*} item - Matching item
+ * @property {number} score - Relevance, higher is better
+ */
+
+// ===== HANGUL =====
+
+/** @type {number} First precomposed Hangul syllable (가) */
+const HANGUL_BASE = 0xac00
+
+/** @type {number} Last precomposed Hangul syllable (힣) */
+const HANGUL_LAST = 0xd7a3
+
+/** @type {Array<string>} Initial consonants in Unicode order */
+const INITIAL_JAMO = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ']
+
+/** @type {Array<string>} Vowels in Unicode order, compound vowels split */
+const MEDIAL_JAMO = ['ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅗㅏ', 'ㅗㅐ', 'ㅗㅣ', 'ㅛ', 'ㅜ', 'ㅜㅓ', 'ㅜㅔ', 'ㅜㅣ', 'ㅠ', 'ㅡ', 'ㅡㅣ', 'ㅣ']
+
+/** @type {Array<string>} Final consonants in Unicode order, clusters split */
+const FINAL_JAMO = ['', 'ㄱ', 'ㄲ', 'ㄱㅅ', 'ㄴ', 'ㄴㅈ', 'ㄴㅎ', 'ㄷ', 'ㄹ', 'ㄹㄱ', 'ㄹㅁ', 'ㄹㅂ', 'ㄹㅅ', 'ㄹㅌ', 'ㄹㅍ', 'ㄹㅎ', 'ㅁ', 'ㅂ', 'ㅂㅅ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ']
+
+/**
+ * Splits Hangul syllables into their jamo; other characters pass through
+ * @param {string} text - Text to decompose
+ * @returns {string} Text with every syllable replaced by its jamo (건 → ㄱㅓㄴ)
+ */
+export const decomposeHangul = (text = '') =>
+  Array.from(text, char => {
+    const code = char.charCodeAt(0)
+    if (code < HANGUL_BASE || code > HANGUL_LAST) return char
+
+    const offset = code - HANGUL_BASE
+    return INITIAL_JAMO[Math.floor(offset / 588)] +
+      MEDIAL_JAMO[Math.floor((offset % 588) / 28)] +
+      FINAL_JAMO[offset % 28]
+  }).join('')
+
+/**
+ * Checks whether text contains Hangul syllables or jamo
+ * @param {string} text - Text to check
+ * @returns {boolean} Whether any Korean script is present
+ */
+export const containsHangul = (text = '') => /[ᄀ-ᇿ㄰-㆏가-힣]/.test(text)
+
+// ===== ROMANIZATION =====
+
+/**
+ * Rewrites applied in order to build a phonetic key. Vowels are folded
+ * first (ŏ/eo → o, ŭ/eu → u), then voiced/unvoiced consonant pairs, which
+ * the systems spell differently at the start of words (k/g, t/d, p/b, ch/j).
+ * @type {Array<[RegExp, string]>}
+ */
+const ROMANIZATION_RULES = [
+  [/[ŏǒ]/g, 'o'],
+  [/[ŭǔ]/g, 'u'],
+  [/['`’-]/g, ''],
+  [/eo/g, 'o'],
+  [/eu/g, 'u'],
+  [/oo/g, 'u'],
+  [/ee/g, 'i'],
+  [/wo/g, 'o'],
+  [/shi/g, 'si'],
+  [/ch/g, 'j'],
+  [/k/g, 'g'],
+  [/t/g, 'd'],
+  [/p/g, 'b'],
+  [/l/g, 'r'],
+  [/([a-z])\1+/g, '$1']
+]
+
+/**
+ * Builds the phonetic key of a romanized word so spelling variants compare equal
+ * @param {string} word - Romanized word
+ * @returns {string} Phonetic key (e.g. "charyeot" → "jaryod")
+ */
+export const romanizationKey = (word = '') =>
+  ROMANIZATION_RULES.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), word.toLowerCase())
+
+// ===== EDIT DISTANCE =====
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits between the strings
+ */
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)])
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return rows[a.length][b.length]
+}
+
+/**
+ * Typos tolerated for a query word of the given length
+ * @param {number} length - Query word length
+ * @returns {number} Maximum edit distance
+ */
+const allowedTypos = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2)
+
+// ===== MATCHING =====
+
+/**
+ * Splits text into lowercase words, keeping Hangul
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+export const tokenize = (text = '') =>
+  text.toLowerCase().split(/[^a-z0-9ŏŭǒǔ'’ᄀ-ᇿ㄰-㆏가-힣]+/).filter(Boolean)
+
+/**
+ * Scores one query word against a piece of text
+ * @param {string} token - Lowercase query word
+ * @param {string} text - Text to match against
+ * @returns {number} 0 for no match up to 1 for an exact word match
+ */
+export const matchToken = (token, text = '') => {
+  const words = tokenize(text)
+
+  if (containsHangul(token)) {
+    const jamo = decomposeHangul(token)
+    let best = 0
+    for (const word of words) {
+      const wordJamo = decomposeHangul(word)
+      if (wordJamo === jamo) return 1
+      if (wordJamo.startsWith(jamo)) best = Math.max(best, 0.9)
+      else if (wordJamo.includes(jamo)) best = Math.max(best, 0.6)
+    }
+    return best
+  }
+
+  const key = romanizationKey(token)
+  const typos = allowedTypos(key.length)
+  let best = 0
+
+  for (const word of words) {
+    if (word === token) return 1
+    const wordKey = romanizationKey(word)
+
+    if (wordKey === key) best = Math.max(best, 0.95)
+    else if (word.startsWith(token)) best = Math.max(best, 0.85)
+    else if (wordKey.startsWith(key)) best = Math.max(best, 0.8)
+    else if (key.length >= 3 && (word.includes(token) || wordKey.includes(key))) best = Math.max(best, 0.4)
+    else if (typos > 0) {
+      const distance = Math.min(
+        editDistance(key, wordKey),
+        editDistance(key, wordKey.slice(0, key.length))
+      )
+      if (distance <= typos) best = Math.max(best, 0.7 - distance * 0.15)
+    }
+  }
+
+  return best
+}
+
+/**
+ * Scores a whole query against a set of weighted fields. Every query word
+ * must match at least one field; each word counts its best weighted match,
+ * and a field that is exactly the query (in any spelling) adds a bonus.
+ * @param {string} query - What the user typed
+ * @param {Array<{text: string, weight: number}>} fields - Field texts and weights
+ * @returns {number} Score, 0 when the query does not match
+ */
+export const scoreQuery = (query, fields) => {
+  const tokens = tokenize(query)
+  if (tokens.length === 0) return 0
+
+  let score = 0
+  for (const token of tokens) {
+    const best = Math.max(...fields.map(field => matchToken(token, field.text) * field.weight))
+    if (best === 0) return 0
+    score += best
+  }
+
+  const queryKey = tokens.map(romanizationKey).join(' ')
+  const exactField = fields.find(field => tokenize(field.text).map(romanizationKey).join(' ') === queryKey)
+  return exactField ? score + exactField.weight : score
+}
+
+/**
+ * Filters and ranks items by a query
+ * @param {Array<*>} items - Items to search
+ * @param {string} query - What the user typed
+ * @param {Array<SearchFieldDefinition>} fields - Searchable fields
+ * @returns {Array<ItemMatch>} Matching items, best first (all items, unranked, for an empty query)
+ */
+export const searchItems = (items, query, fields) => {
+  if (tokenize(query).length === 0) return items.map(item => ({ item, score: 0 }))
+
+  return items
+    .map(item => ({
+      item,
+      score: scoreQuery(query, fields.map(field => ({ text: field.get(item) || '', weight: field.weight ?? 1 })))
+    }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+}
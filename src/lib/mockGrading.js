@@ -0,0 +1,211 @@
+import historyData from '../data/history/HistoryTimeline.json'
+import mcqData from '../data/quiz/MCQData.json'
+import { BELT_LEVELS, getBeltIndex } from './belts'
+import { buildContentPool, buildMcqQuestion, shuffle } from './quizGenerator'
+
+/**
+ * Mock Grading Builder
+ *
+ * Assembles a mixed multiple choice exam for a target kup grade. Content is
+ * drawn from everything learnt up to the belt below the target, with the
+ * newest material first, and each question is tagged with its exam section
+ * so the result can be broken down per section.
+ *
+ * @typedef {Object} GradingSection
+ * @property {string} id - Section id stored on each question
+ * @property {string} name - Section heading in the report
+ * @property {number} questionCount - Questions asked in this section
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {number} Overall percentage needed to pass */
+export const GRADING_PASS_MARK = 70
+
+/** @type {number} Seconds allowed per exam question */
+const SECONDS_PER_QUESTION = 25
+
+/**
+ * Exam sections in the order they are asked
+ * @type {Array<GradingSection>}
+ */
+export const GRADING_SECTIONS = [
+  { id: 'patterns', name: 'Patterns', questionCount: 4 },
+  { id: 'terminology', name: 'Terminology', questionCount: 6 },
+  { id: 'techniques', name: 'Technique Identification', questionCount: 5 },
+  { id: 'history', name: 'History & Theory', questionCount: 3 }
+]
+
+/**
+ * Belts a student can take a mock grading for (every belt above white)
+ * @type {Array<import('./belts').BeltLevel>}
+ */
+export const GRADING_TARGETS = BELT_LEVELS.slice(1)
+
+// ===== SECTION BUILDERS =====
+
+/**
+ * Picks exam items, newest belt first and shuffled within each belt
+ * @param {Array<import('./quizGenerator').ContentItem>} pool - Items learnt so far
+ * @param {number} count - Number of items wanted
+ * @returns {Array<import('./quizGenerator').ContentItem>} Selected items (repeats when the pool is small)
+ */
+const pickNewestFirst = (pool, count) => {
+  if (pool.length === 0) return []
+
+  const ordered = shuffle(pool).sort((a, b) => b.beltIndex - a.beltIndex)
+  return Array.from({ length: count }, (_, index) => ordered[index % ordered.length])
+}
+
+/**
+ * Builds pattern questions alternating meaning and move count
+ * @param {string} beltId - Belt the student currently holds
+ * @param {number} count - Number of questions
+ * @returns {Array<Object>} MCQ questions
+ */
+const buildPatternQuestions = (beltId, count) => {
+  const allPatterns = buildContentPool('patterns')
+  const items = pickNewestFirst(buildContentPool('patterns', { belt: beltId }), Math.ceil(count / 2))
+
+  return items
+    .flatMap(item => [
+      buildMcqQuestion(item, 'meaning', allPatterns),
+      buildMcqQuestion(item, 'moveCount', allPatterns)
+    ])
+    .slice(0, count)
+}
+
+/**
+ * Builds terminology recall questions in both directions
+ * @param {string} beltId - Belt the student currently holds
+ * @param {number} count - Number of questions
+ * @returns {Array<Object>} MCQ questions
+ */
+const buildTerminologyQuestions = (beltId, count) => {
+  const allTerms = buildContentPool('terminology')
+  const items = pickNewestFirst(buildContentPool('terminology', { belt: beltId }), count)
+
+  return items.map((item, index) =>
+    buildMcqQuestion(item, index % 2 === 0 ? 'meaning' : 'korean', allTerms)
+  )
+}
+
+/**
+ * Builds technique identification questions from descriptions and names
+ * @param {string} beltId - Belt the student currently holds
+ * @param {number} count - Number of questions
+ * @returns {Array<Object>} MCQ questions
+ */
+const buildTechniqueQuestions = (beltId, count) => {
+  const allTechniques = buildContentPool('techniques')
+  const items = pickNewestFirst(buildContentPool('techniques', { belt: beltId }), count)
+
+  return items.map((item, index) =>
+    buildMcqQuestion(item, index % 2 === 0 ? 'description' : 'meaning', allTechniques)
+  )
+}
+
+/**
+ * Builds history questions from the timeline and the hand-written history quizzes
+ * @param {number} count - Number of questions
+ * @returns {Array<Object>} MCQ questions
+ */
+const buildHistoryQuestions = (count) => {
+  const years = [...new Set(historyData.timeline.map(event => event.year))]
+
+  const timelineQuestions = historyData.timeline.map(event => ({
+    id: event.id,
+    question: `When did this happen: ${event.title}?`,
+    correctAnswer: event.year,
+    options: shuffle([event.year, ...shuffle(years.filter(year => year !== event.year)).slice(0, 3)]),
+    explanation: event.description
+  }))
+
+  const theoryQuestions = mcqData.quizzes
+    .filter(quiz => quiz.category === 'history')
+    .flatMap(quiz => quiz.questions)
+
+  return shuffle([...timelineQuestions, ...theoryQuestions]).slice(0, count)
+}
+
+// ===== EXAM =====
+
+/**
+ * Builds a mock grading exam for a target belt
+ * @param {string} targetBeltId - Belt being graded for (e.g. "yellow")
+ * @returns {Object|null} MCQ quiz with a mockGrading block, or null for an invalid target
+ */
+export const buildMockGrading = (targetBeltId) => {
+  const targetIndex = getBeltIndex(targetBeltId)
+  if (targetIndex < 1) return null
+
+  const target = BELT_LEVELS[targetIndex]
+  const currentBeltId = BELT_LEVELS[targetIndex - 1].id
+
+  const sectionBuilders = {
+    patterns: count => buildPatternQuestions(currentBeltId, count),
+    terminology: count => buildTerminologyQuestions(currentBeltId, count),
+    techniques: count => buildTechniqueQuestions(currentBeltId, count),
+    history: count => buildHistoryQuestions(count)
+  }
+
+  // Question ids are re-numbered per section since one item can be asked twice
+  const questions = GRADING_SECTIONS.flatMap(section =>
+    sectionBuilders[section.id](section.questionCount).map((question, index) => ({
+      ...question,
+      id: `${section.id}-${index + 1}`,
+      section: section.id
+    }))
+  )
+
+  return {
+    id: `mock-grading-${target.id}`,
+    title: `Mock Grading: ${target.grade}`,
+    category: 'grading',
+    difficulty: 'mixed',
+    gameType: 'mcq',
+    description: `Mixed exam for ${target.name} belt. Pass mark ${GRADING_PASS_MARK}%.`,
+    timeLimit: questions.length * SECONDS_PER_QUESTION,
+    points: questions.length * 10,
+    questionCount: questions.length,
+    questions,
+    mockGrading: {
+      targetBelt: target.id,
+      passMark: GRADING_PASS_MARK,
+      sections: GRADING_SECTIONS.map(({ id, name }) => ({ id, name }))
+    }
+  }
+}
+
+/**
+ * Scores a finished mock grading per section
+ * @param {Object} quiz - Mock grading quiz from buildMockGrading
+ * @param {Array<{id: string, correct: boolean}>} itemResults - Per-question results from the game
+ * @returns {{sections: Array<{id: string, name: string, correct: number, total: number, percent: number}>, percent: number, passed: boolean}}
+ *   Section breakdown, overall percentage and pass/fail
+ */
+export const scoreMockGrading = (quiz, itemResults = []) => {
+  const resultsById = Object.fromEntries(itemResults.map(result => [result.id, result.correct]))
+
+  const sections = quiz.mockGrading.sections.map(section => {
+    const sectionQuestions = quiz.questions.filter(question => question.section === section.id)
+    const correct = sectionQuestions.filter(question => resultsById[question.id]).length
+    const total = sectionQuestions.length
+
+    return {
+      ...section,
+      correct,
+      total,
+      percent: total > 0 ? Math.round((correct / total) * 100) : 0
+    }
+  })
+
+  const totalCorrect = sections.reduce((sum, section) => sum + section.correct, 0)
+  const percent = quiz.questions.length > 0 ? Math.round((totalCorrect / quiz.questions.length) * 100) : 0
+
+  return {
+    sections,
+    percent,
+    passed: percent >= quiz.mockGrading.passMark
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Pattern Diagram Layout
+ *
+ * Turns a pattern's shape character and movement list into coordinates for
+ * the top-down floor plan. Coordinates use a unit square from -1 to 1 with
+ * D at the top, C at the bottom, B on the left and A on the right, the way
+ * the ITF encyclopedia draws pattern diagrams.
+ *
+ * @typedef {Object} DiagramStep
+ * @property {number} index - Zero-based movement index
+ * @property {number} x - Horizontal position (-1 to 1, B to A)
+ * @property {number} y - Vertical position (-1 to 1, D to C)
+ * @property {string} facing - Direction faced after the movement (A, B, C or D)
+ */
+
+// ===== CONSTANTS =====
+
+/**
+ * Unit vector for each pattern direction
+ * @type {Object<string, {x: number, y: number}>}
+ */
+export const DIRECTION_VECTORS = {
+  D: { x: 0, y: -1 },
+  C: { x: 0, y: 1 },
+  A: { x: 1, y: 0 },
+  B: { x: -1, y: 0 }
+}
+
+/**
+ * Rotation in degrees for an arrow pointing along +x to face each direction
+ * @type {Object<string, number>}
+ */
+export const DIRECTION_ANGLES = { A: 0, C: 90, B: 180, D: -90 }
+
+/** @type {number} Distance covered by one stepping movement */
+const STEP_SIZE = 0.5
+
+/**
+ * Floor lines and starting point for each pattern shape character.
+ * Segments are [x1, y1, x2, y2] in diagram units.
+ * @type {Object<string, {segments: Array<Array<number>>, start: Array<number>}>}
+ */
+export const PATTERN_SHAPES = {
+  '+': { segments: [[-1, 0, 1, 0], [0, -1, 0, 1]], start: [0, 0] },
+  '十': { segments: [[-1, 0, 1, 0], [0, -1, 0, 1]], start: [0, 0] },
+  '工': { segments: [[-1, -1, 1, -1], [0, -1, 0, 1], [-1, 1, 1, 1]], start: [0, 1] },
+  '士': { segments: [[-1, -0.3, 1, -0.3], [0, -1, 0, 1], [-0.6, 1, 0.6, 1]], start: [0, 1] },
+  '山': { segments: [[-1, 1, 1, 1], [-1, -0.4, -1, 1], [0, -1, 0, 1], [1, -0.4, 1, 1]], start: [0, 1] },
+  '王': { segments: [[-1, -1, 1, -1], [-1, 0, 1, 0], [-1, 1, 1, 1], [0, -1, 0, 1]], start: [0, 1] },
+  '一': { segments: [[-1, 0, 1, 0]], start: [0, 0] },
+  '丨': { segments: [[0, -1, 0, 1]], start: [0, 1] },
+  '卍': {
+    segments: [[-1, 0, 1, 0], [0, -1, 0, 1], [0, -1, 1, -1], [1, 0, 1, 1], [0, 1, -1, 1], [-1, 0, -1, -1]],
+    start: [0, 0]
+  }
+}
+
+// ===== PARSING =====
+
+/**
+ * Reads the direction a movement faces from its description
+ * (e.g. "Turn left to B", "stance toward D", "facing D"). Used for
+ * movements that do not have a structured direction yet.
+ * @param {string} description - Movement description
+ * @returns {string|null} A, B, C or D, or null when no direction is given
+ */
+export const parseMovementDirection = (description = '') => {
+  const match = description.match(/\b(?:to|toward|towards|facing)\s+([ABCD])\b/)
+  return match ? match[1] : null
+}
+
+/**
+ * Checks whether a movement travels across the floor. Ready stances and
+ * bringing the feet together are performed on the spot.
+ * @param {Object} movement - Movement from Patterns.json
+ * @returns {boolean} Whether the performer moves
+ */
+const isTravellingMovement = (movement) =>
+  !/ready/i.test(movement.stance || '') && !/^bring\b/i.test(movement.description || '')
+
+/**
+ * Keeps a coordinate inside the diagram
+ * @param {number} value - Coordinate
+ * @returns {number} Coordinate clamped to -1..1
+ */
+const clamp = (value) => Math.max(-1, Math.min(1, value))
+
+// ===== LAYOUT =====
+
+/**
+ * Gets the floor lines for a pattern, falling back to a cross
+ * @param {Object} pattern - Pattern from Patterns.json
+ * @returns {{segments: Array<Array<number>>, start: Array<number>}} Shape definition
+ */
+export const getPatternShape = (pattern) => PATTERN_SHAPES[pattern?.patternShape] || PATTERN_SHAPES['+']
+
+/**
+ * Walks the movement list to place a marker for every movement. Each
+ * travelling movement steps once towards the direction it faces; positions
+ * are clamped to the floor plan so the schematic stays on the lines.
+ * @param {Object} pattern - Pattern from Patterns.json
+ * @returns {Array<DiagramStep>} One step per movement
+ */
+export const buildDiagramSteps = (pattern) => {
+  const [startX, startY] = getPatternShape(pattern).start
+  let x = startX
+  let y = startY
+  let facing = 'D'
+
+  return (pattern?.movements || []).map((movement, index) => {
+    facing = movement.direction || parseMovementDirection(movement.description) || facing
+
+    if (isTravellingMovement(movement)) {
+      x = clamp(x + DIRECTION_VECTORS[facing].x * STEP_SIZE)
+      y = clamp(y + DIRECTION_VECTORS[facing].y * STEP_SIZE)
+    }
+
+    return { index, x, y, facing }
+  })
+}
@@ -0,0 +1,173 @@
+/**
+ * Pattern Data Validator
+ *
+ * Schema and checks for the structured movements in Patterns.json. The
+ * module is free of JSON imports so it can run both in the browser and in
+ * the Vite build (see vite.config.js); callers pass in the pattern, stance
+ * and terminology data.
+ *
+ * Issues come in two levels:
+ * - error: data the app cannot use (bad enum values, unknown stances or
+ *   term ids, more movements than moveCount). Errors fail the build.
+ * - warning: data that is valid but incomplete (movements still to be
+ *   written, structured fields not filled in yet).
+ *
+ * @typedef {Object} Movement
+ * @property {number} count - 1-based movement number, matching its position
+ * @property {string} stance - English stance name from stance.json
+ * @property {'left'|'right'|null} foot - Leading foot of the stance (null for ready stances)
+ * @property {string|null} hand - Hand (and kick) technique in English
+ * @property {'left'|'right'|'both'|null} handSide - Hand performing the technique
+ * @property {'low'|'middle'|'high'|null} level - Target level of the technique
+ * @property {'A'|'B'|'C'|'D'} direction - Direction moved or faced on the floor plan
+ * @property {'full'|'half'|'side'} facing - Body facing (full facing, half facing, side facing)
+ * @property {string} koreanName - Korean name of the movement, romanized
+ * @property {Array<string>} [terms] - TerminologyData.json ids the movement uses
+ * @property {string} description - Human-readable instruction
+ * @property {Array<string>} [steps] - Detailed step breakdown
+ *
+ * @typedef {Object} ValidationIssue
+ * @property {'error'|'warning'} level - Issue severity
+ * @property {string} patternId - Pattern the issue belongs to
+ * @property {number|null} movement - 1-based movement number, or null for pattern-level issues
+ * @property {string} message - Description of the problem
+ */
+
+// ===== SCHEMA =====
+
+/**
+ * Allowed values for the enumerated movement fields (null means "not applicable")
+ * @type {Object<string, Array<string|null>>}
+ */
+export const MOVEMENT_ENUMS = {
+  foot: ['left', 'right', null],
+  handSide: ['left', 'right', 'both', null],
+  level: ['low', 'middle', 'high', null],
+  direction: ['A', 'B', 'C', 'D'],
+  facing: ['full', 'half', 'side']
+}
+
+/**
+ * Fields every movement must have
+ * @type {Array<string>}
+ */
+export const REQUIRED_MOVEMENT_FIELDS = ['count', 'stance', 'description']
+
+/**
+ * Structured fields that should be filled in for complete data
+ * @type {Array<string>}
+ */
+export const STRUCTURED_MOVEMENT_FIELDS = ['foot', 'hand', 'handSide', 'level', 'direction', 'facing', 'koreanName']
+
+// ===== VALIDATION =====
+
+/**
+ * Validates one movement
+ * @param {Movement} movement - Movement to check
+ * @param {number} index - Zero-based position in the movements array
+ * @param {Object} context - Known names to check references against
+ * @param {Set<string>} context.stanceNames - English stance names from stance.json
+ * @param {Set<string>} context.termIds - Term ids from TerminologyData.json
+ * @returns {Array<{level: string, message: string}>} Issues found
+ */
+export const validateMovement = (movement, index, { stanceNames, termIds }) => {
+  const issues = []
+  const error = message => issues.push({ level: 'error', message })
+  const warning = message => issues.push({ level: 'warning', message })
+
+  REQUIRED_MOVEMENT_FIELDS.forEach(field => {
+    if (movement[field] === undefined || movement[field] === '') {
+      error(`missing required field "${field}"`)
+    }
+  })
+
+  if (movement.count !== undefined && movement.count !== index + 1) {
+    error(`count is ${movement.count} but the movement is number ${index + 1}`)
+  }
+
+  if (movement.stance && !stanceNames.has(movement.stance)) {
+    error(`unknown stance "${movement.stance}" (not in stance.json)`)
+  }
+
+  const missingFields = STRUCTURED_MOVEMENT_FIELDS.filter(field => !(field in movement))
+  if (missingFields.length > 0) {
+    warning(`structured fields not filled in: ${missingFields.join(', ')}`)
+  }
+
+  Object.entries(MOVEMENT_ENUMS).forEach(([field, allowed]) => {
+    if (field in movement && !allowed.includes(movement[field])) {
+      error(`invalid ${field} "${movement[field]}" (expected ${allowed.filter(Boolean).join(', ')})`)
+    }
+  })
+
+  ;(movement.terms || []).forEach(termId => {
+    if (!termIds.has(termId)) {
+      error(`term "${termId}" is not in TerminologyData.json`)
+    }
+  })
+
+  return issues
+}
+
+/**
+ * Validates every pattern's movements
+ * @param {Object} patternData - Parsed Patterns.json
+ * @param {Object} stanceData - Parsed stance.json
+ * @param {Object} terminologyData - Parsed TerminologyData.json
+ * @returns {Array<ValidationIssue>} All issues, pattern order
+ */
+export const validatePatterns = (patternData, stanceData, terminologyData) => {
+  const context = {
+    stanceNames: new Set(
+      stanceData.beltLevels.flatMap(level => level.techniques.map(technique => technique.english))
+    ),
+    termIds: new Set(terminologyData.terms.map(term => term.id))
+  }
+
+  return patternData.patterns.flatMap(pattern => {
+    const movements = pattern.movements || []
+    const issues = []
+
+    if (movements.length > pattern.moveCount) {
+      issues.push({
+        level: 'error',
+        patternId: pattern.id,
+        movement: null,
+        message: `${movements.length} movements listed but moveCount is ${pattern.moveCount}`
+      })
+    } else if (movements.length < pattern.moveCount) {
+      issues.push({
+        level: 'warning',
+        patternId: pattern.id,
+        movement: null,
+        message: `${movements.length}/${pattern.moveCount} movements written`
+      })
+    }
+
+    movements.forEach((movement, index) => {
+      validateMovement(movement, index, context).forEach(issue => {
+        issues.push({ ...issue, patternId: pattern.id, movement: index + 1 })
+      })
+    })
+
+    return issues
+  })
+}
+
+/**
+ * Formats issues as a plain-text report, one line per issue
+ * @param {Array<ValidationIssue>} issues - Issues from validatePatterns
+ * @returns {string} Report text
+ */
+export const formatValidationReport = (issues) => {
+  const errors = issues.filter(issue => issue.level === 'error').length
+  const lines = issues.map(issue => {
+    const location = issue.movement ? `${issue.patternId} #${issue.movement}` : issue.patternId
+    return `  ${issue.level === 'error' ? '✖' : '⚠'} ${location}: ${issue.message}`
+  })
+
+  return [
+    `Pattern data: ${errors} error(s), ${issues.length - errors} warning(s)`,
+    ...lines
+  ].join('\n')
+}
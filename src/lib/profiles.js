@@ -0,0 +1,133 @@
+/**
+ * Local Profiles
+ *
+ * Helpers for keeping several students' progress on one shared device.
+ * Each profile's progress, combinations and class data live under their own
+ * localStorage keys; the first profile keeps the original keys (such as
+ * "taekwondo-progress") so data saved before profiles existed carries over.
+ *
+ * PINs only stop classmates from opening each other's profile by accident
+ * on a shared tablet. They are stored as salted SHA-256 hashes, but
+ * anything in localStorage can be read by someone with the device, so they
+ * are not a security boundary.
+ *
+ * @typedef {Object} Profile
+ * @property {string} id - Unique profile id
+ * @property {string} name - Display name
+ * @property {string|null} pinHash - Salted SHA-256 of the PIN, or null without a PIN
+ * @property {string|null} pinSalt - Salt used for the PIN hash
+ * @property {'light'|'dark'|null} theme - Theme preference, null to follow the device
+ * @property {number} createdAt - Creation timestamp in ms
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {string} Id of the profile that owns progress saved before profiles existed */
+export const DEFAULT_PROFILE_ID = 'default'
+
+/** @type {string} localStorage key of the default profile's progress */
+const BASE_PROGRESS_KEY = 'taekwondo-progress'
+
+/** @type {string} localStorage key of the default profile's snapshots */
+const BASE_SNAPSHOT_KEY = 'taekwondo-progress-snapshots'
+
+/** @type {string} localStorage key of the default profile's technique combinations */
+const BASE_COMBO_KEY = 'taekwondo-combos'
+
+/** @type {string} localStorage key of the default profile's class mode data */
+const BASE_CLASSROOM_KEY = 'taekwondo-classroom'
+
+/** @type {number} Longest allowed profile name */
+export const MAX_PROFILE_NAME_LENGTH = 24
+
+/** @type {RegExp} Accepted PIN format: 4 to 6 digits */
+export const PIN_PATTERN = /^\d{4,6}$/
+
+// ===== STORAGE KEYS =====
+
+/**
+ * localStorage key holding a profile's progress
+ * @param {string} profileId - Profile id
+ * @returns {string} Storage key
+ */
+export const getProgressStorageKey = (profileId) =>
+  profileId === DEFAULT_PROFILE_ID ? BASE_PROGRESS_KEY : `${BASE_PROGRESS_KEY}-${profileId}`
+
+/**
+ * localStorage key holding a profile's automatic snapshots
+ * @param {string} profileId - Profile id
+ * @returns {string} Storage key
+ */
+export const getSnapshotStorageKey = (profileId) =>
+  profileId === DEFAULT_PROFILE_ID ? BASE_SNAPSHOT_KEY : `${BASE_SNAPSHOT_KEY}-${profileId}`
+
+/**
+ * localStorage key holding a profile's technique combinations
+ * @param {string} profileId - Profile id
+ * @returns {string} Storage key
+ */
+export const getComboStorageKey = (profileId) =>
+  profileId === DEFAULT_PROFILE_ID ? BASE_COMBO_KEY : `${BASE_COMBO_KEY}-${profileId}`
+
+/**
+ * localStorage key holding a profile's class mode assignments, roster and results
+ * @param {string} profileId - Profile id
+ * @returns {string} Storage key
+ */
+export const getClassroomStorageKey = (profileId) =>
+  profileId === DEFAULT_PROFILE_ID ? BASE_CLASSROOM_KEY : `${BASE_CLASSROOM_KEY}-${profileId}`
+
+// ===== PROFILES =====
+
+/**
+ * Creates a new profile id
+ * @returns {string} Profile id
+ */
+export const createProfileId = () => `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+
+/**
+ * Cleans a profile name typed by the user
+ * @param {string} name - Raw name
+ * @returns {string} Trimmed name within the length limit (empty when nothing usable was typed)
+ */
+export const normalizeProfileName = (name = '') => name.trim().replace(/\s+/g, ' ').slice(0, MAX_PROFILE_NAME_LENGTH)
+
+/**
+ * Initials shown in the profile badge
+ * @param {string} name - Profile name
+ * @returns {string} One or two uppercase letters
+ */
+export const getProfileInitials = (name = '') =>
+  name.split(' ').filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('') || '?'
+
+// ===== PINS =====
+
+/**
+ * Hashes a PIN with a salt
+ * @param {string} pin - PIN digits
+ * @param {string} salt - Per-profile salt
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+export const hashPin = async (pin, salt) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`))
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Creates the stored hash and salt for a new PIN
+ * @param {string} pin - PIN digits (see PIN_PATTERN)
+ * @returns {Promise<{pinHash: string, pinSalt: string}>} Values to store on the profile
+ */
+export const createPinHash = async (pin) => {
+  const pinSalt = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join('')
+  return { pinHash: await hashPin(pin, pinSalt), pinSalt }
+}
+
+/**
+ * Checks a PIN against a profile
+ * @param {Profile} profile - Profile to unlock
+ * @param {string} pin - PIN typed by the user
+ * @returns {Promise<boolean>} Whether the PIN matches (always true without a PIN)
+ */
+export const verifyPin = async (profile, pin) =>
+  !profile.pinHash || (await hashPin(pin, profile.pinSalt)) === profile.pinHash
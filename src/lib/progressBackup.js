@@ -0,0 +1,466 @@
+import achievementsData from '../data/achievements/achievements.json'
+import { BELT_LEVELS } from './belts'
+import { MAX_SESSION_RECORDS } from './sessionLog'
+import { getSnapshotStorageKey } from './profiles'
+import { resolveGameTypeId } from './gameRegistry'
+
+/**
+ * Progress Backup
+ *
+ * Export, validation, merging and local snapshots for the progress store
+ * (useGlobalProgress) and the technique combinations (useCombos). A backup
+ * is a versioned JSON document, so a file exported today can still be read
+ * after the store's shape changes: migrateBackup upgrades older versions
+ * before validation.
+ *
+ * Merging is for combining two devices: counts keep the larger value,
+ * unlocked achievements, ticked syllabus items and studied techniques are
+ * united, each term keeps its most recently reviewed record and session
+ * logs are combined by record id and combinations by combination id,
+ * keeping the most recently saved version. Merging the same backup twice
+ * therefore changes nothing.
+ *
+ * @typedef {Object} ProgressData
+ * @property {number} totalGamesPlayed - Total games played
+ * @property {number} totalPoints - Total points earned
+ * @property {Object<string, number>} gamesCompleted - Games completed by game type
+ * @property {number} timePlayed - Seconds spent playing
+ * @property {Array<string>} achievements - Unlocked achievement ids
+ * @property {Object<string, {games: number, points: number}>} categoryProgress - Progress by category
+ * @property {Object<string, import('./srs').ReviewRecord>} termReviews - Review records by term id
+ * @property {string|null} currentBelt - Current belt id
+ * @property {Object<string, boolean>} syllabusChecklist - Ticked syllabus items
+ * @property {Object<string, number>} studiedTechniques - When each technique was marked as studied
+ * @property {Array<import('./sessionLog').SessionRecord>} sessionLog - Completed games, oldest first
+ *
+ * @typedef {Object} ProgressBackup
+ * @property {string} format - Always BACKUP_FORMAT
+ * @property {number} version - Backup format version
+ * @property {string} exportedAt - ISO timestamp of the export
+ * @property {ProgressData} progress - Saved progress
+ * @property {Array<import('./combos').Combo>|null} combos - Saved technique combinations, null in backups made before version 2
+ *
+ * @typedef {Object} BackupValidation
+ * @property {boolean} valid - Whether the backup can be imported
+ * @property {Array<string>} errors - Problems that prevent importing
+ * @property {Array<string>} warnings - Problems that were fixed by dropping data
+ * @property {ProgressData|null} progress - Cleaned progress, null when invalid
+ * @property {Array<import('./combos').Combo>|null} combos - Cleaned combinations, null when the backup has none to restore
+ * @property {string|null} exportedAt - When the backup was made
+ *
+ * @typedef {Object} ProgressSnapshot
+ * @property {string} id - Unique snapshot id
+ * @property {string} reason - Why it was taken (e.g. "Before reset")
+ * @property {ProgressBackup} backup - Saved progress
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {string} Format marker that identifies a progress backup file */
+export const BACKUP_FORMAT = 'itf-taekwondo-guide-progress'
+
+/** @type {number} Current backup format version */
+export const BACKUP_VERSION = 2
+
+/** @type {number} Number of automatic snapshots kept */
+const MAX_SNAPSHOTS = 5
+
+/** @type {Array<string>} Numeric fields of a review record */
+const REVIEW_RECORD_FIELDS = ['repetitions', 'interval', 'easeFactor', 'dueDate', 'lastReviewed', 'correct', 'incorrect']
+
+/** @type {Set<string>} Achievement ids that exist */
+const ACHIEVEMENT_IDS = new Set(achievementsData.achievements.map(achievement => achievement.id))
+
+// ===== HELPERS =====
+
+/**
+ * Checks for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a non-null, non-array object
+ */
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+/**
+ * Checks for a finite, non-negative number
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a usable count
+ */
+const isCount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+/**
+ * Checks the fields the analytics rely on in a session record
+ * @param {*} record - Value to check
+ * @returns {boolean} Whether the record is usable
+ */
+const isSessionRecord = (record) =>
+  isObject(record) &&
+  typeof record.id === 'string' &&
+  isCount(record.completedAt) &&
+  typeof record.gameType === 'string' &&
+  isCount(record.score) &&
+  isCount(record.accuracy) &&
+  Array.isArray(record.items)
+
+/**
+ * Checks the fields the combination builder and drills rely on in a combination
+ * @param {*} combo - Value to check
+ * @returns {boolean} Whether the combination is usable
+ */
+const isCombo = (combo) =>
+  isObject(combo) &&
+  typeof combo.id === 'string' &&
+  typeof combo.name === 'string' &&
+  Array.isArray(combo.moves) &&
+  combo.moves.every(move => isObject(move) && typeof move.id === 'string' && typeof move.techniqueId === 'string') &&
+  isCount(combo.createdAt) &&
+  isCount(combo.updatedAt)
+
+/**
+ * Keeps the larger value of each key across two count maps
+ * @param {Object<string, number>} a - First map
+ * @param {Object<string, number>} b - Second map
+ * @returns {Object<string, number>} Combined map
+ */
+const maxByKey = (a, b) => {
+  const merged = { ...a }
+  Object.entries(b).forEach(([key, value]) => {
+    merged[key] = Math.max(merged[key] || 0, value)
+  })
+  return merged
+}
+
+/**
+ * Combines game counts kept under an alias id (e.g. "multipleChoice") with
+ * the registered id it stands for, so one game type is counted once
+ * @param {Object<string, number>} gamesCompleted - Games completed by game type
+ * @returns {Object<string, number>} Games completed by registered game id
+ */
+export const normalizeGamesCompleted = (gamesCompleted) => {
+  const normalized = {}
+  Object.entries(gamesCompleted).forEach(([gameType, count]) => {
+    const gameId = resolveGameTypeId(gameType) || gameType
+    normalized[gameId] = (normalized[gameId] || 0) + count
+  })
+  return normalized
+}
+
+/**
+ * Creates progress with nothing recorded
+ * @returns {ProgressData} Empty progress
+ */
+export const createEmptyProgress = () => ({
+  totalGamesPlayed: 0,
+  totalPoints: 0,
+  gamesCompleted: {},
+  timePlayed: 0,
+  achievements: [],
+  categoryProgress: {
+    terminology: { games: 0, points: 0 },
+    patterns: { games: 0, points: 0 },
+    techniques: { games: 0, points: 0 },
+    history: { games: 0, points: 0 }
+  },
+  termReviews: {},
+  currentBelt: null,
+  syllabusChecklist: {},
+  studiedTechniques: {},
+  sessionLog: []
+})
+
+/**
+ * Copies the progress fields out of the store state (leaving out actions)
+ * @param {Object} state - Progress store state
+ * @returns {ProgressData} Progress data
+ */
+export const pickProgress = (state) =>
+  Object.fromEntries(Object.keys(createEmptyProgress()).map(key => [key, state[key]]))
+
+// ===== EXPORT =====
+
+/**
+ * Wraps progress and combinations in a versioned backup document
+ * @param {Object} state - Progress store state
+ * @param {Array<import('./combos').Combo>} combos - Combinations store combinations
+ * @param {Date} [date] - Export time
+ * @returns {ProgressBackup} Backup document
+ */
+export const createBackup = (state, combos, date = new Date()) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: date.toISOString(),
+  progress: pickProgress(state),
+  combos
+})
+
+/**
+ * File name for a downloaded backup
+ * @param {Date} [date] - Export time
+ * @returns {string} File name such as "taekwondo-progress-2025-03-14.json"
+ */
+export const getBackupFileName = (date = new Date()) =>
+  `taekwondo-progress-${date.toISOString().slice(0, 10)}.json`
+
+// ===== IMPORT =====
+
+/**
+ * Upgrades an older backup document to the current version, one version
+ * step at a time; new versions add a step here.
+ * @param {Object} backup - Parsed backup document
+ * @returns {Object} Backup in the current format
+ */
+const migrateBackup = (backup) => {
+  let migrated = backup
+
+  // Version 2 added technique combinations. Version 1 backups carry none,
+  // which is not the same as carrying an empty list, so importing one must
+  // leave the combinations on the device alone.
+  if (migrated.version < 2) {
+    migrated = { ...migrated, version: 2, combos: null }
+  }
+
+  return migrated
+}
+
+/**
+ * Checks a parsed backup file and cleans what can be cleaned. Unknown
+ * achievements, belts and malformed review records are dropped with a
+ * warning; a wrong format, a newer version or missing counts are errors.
+ * @param {*} backup - Parsed JSON from the file
+ * @returns {BackupValidation} Validation result
+ */
+export const validateBackup = (backup) => {
+  const errors = []
+  const warnings = []
+  const invalid = () => ({ valid: false, errors, warnings, progress: null, combos: null, exportedAt: null })
+
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+    errors.push('This file is not a progress backup from this guide.')
+    return invalid()
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    errors.push('The backup has no valid version number.')
+    return invalid()
+  }
+  if (backup.version > BACKUP_VERSION) {
+    errors.push(`The backup was made by a newer version of the guide (format ${backup.version}). Update the app and try again.`)
+    return invalid()
+  }
+
+  const { progress: source, combos: sourceCombos, exportedAt } = migrateBackup(backup)
+  if (!isObject(source)) {
+    errors.push('The backup contains no progress.')
+    return invalid()
+  }
+
+  const progress = createEmptyProgress()
+
+  ;['totalGamesPlayed', 'totalPoints', 'timePlayed'].forEach(field => {
+    if (isCount(source[field])) progress[field] = source[field]
+    else errors.push(`"${field}" must be a non-negative number.`)
+  })
+
+  if (isObject(source.gamesCompleted)) {
+    Object.entries(source.gamesCompleted).forEach(([gameType, count]) => {
+      if (isCount(count)) progress.gamesCompleted[gameType] = count
+      else errors.push(`Games completed for "${gameType}" must be a non-negative number.`)
+    })
+    progress.gamesCompleted = normalizeGamesCompleted(progress.gamesCompleted)
+  } else {
+    errors.push('"gamesCompleted" is missing.')
+  }
+
+  if (isObject(source.categoryProgress)) {
+    Object.entries(source.categoryProgress).forEach(([category, data]) => {
+      if (isObject(data) && isCount(data.games) && isCount(data.points)) {
+        progress.categoryProgress[category] = { games: data.games, points: data.points }
+      } else {
+        errors.push(`Progress for category "${category}" must have games and points.`)
+      }
+    })
+  } else {
+    errors.push('"categoryProgress" is missing.')
+  }
+
+  if (Array.isArray(source.achievements)) {
+    const unknown = source.achievements.filter(id => !ACHIEVEMENT_IDS.has(id))
+    if (unknown.length > 0) warnings.push(`Skipped ${unknown.length} unknown achievement(s).`)
+    progress.achievements = [...new Set(source.achievements.filter(id => ACHIEVEMENT_IDS.has(id)))]
+  } else {
+    errors.push('"achievements" must be a list.')
+  }
+
+  if (isObject(source.termReviews)) {
+    let skipped = 0
+    Object.entries(source.termReviews).forEach(([termId, record]) => {
+      if (isObject(record) && REVIEW_RECORD_FIELDS.every(field => isCount(record[field]))) {
+        progress.termReviews[termId] = Object.fromEntries(REVIEW_RECORD_FIELDS.map(field => [field, record[field]]))
+      } else {
+        skipped++
+      }
+    })
+    if (skipped > 0) warnings.push(`Skipped ${skipped} malformed review record(s).`)
+  }
+
+  if (source.currentBelt != null) {
+    if (BELT_LEVELS.some(belt => belt.id === source.currentBelt)) progress.currentBelt = source.currentBelt
+    else warnings.push(`Skipped unknown belt "${source.currentBelt}".`)
+  }
+
+  if (isObject(source.syllabusChecklist)) {
+    Object.entries(source.syllabusChecklist).forEach(([itemKey, ticked]) => {
+      if (ticked === true) progress.syllabusChecklist[itemKey] = true
+    })
+  }
+
+  // Backups made before technique study marks existed simply have none
+  if (isObject(source.studiedTechniques)) {
+    Object.entries(source.studiedTechniques).forEach(([techniqueId, studiedAt]) => {
+      if (isCount(studiedAt) && studiedAt > 0) progress.studiedTechniques[techniqueId] = studiedAt
+    })
+  }
+
+  // Backups made before the session log existed simply have none
+  if (Array.isArray(source.sessionLog)) {
+    const records = source.sessionLog.filter(isSessionRecord)
+    if (records.length < source.sessionLog.length) {
+      warnings.push(`Skipped ${source.sessionLog.length - records.length} malformed session record(s).`)
+    }
+    progress.sessionLog = records.slice(-MAX_SESSION_RECORDS)
+  }
+
+  // Without a combinations list there is nothing to restore, so leave them untouched
+  const combos = Array.isArray(sourceCombos) ? sourceCombos.filter(isCombo) : null
+  if (Array.isArray(sourceCombos) && combos.length < sourceCombos.length) {
+    warnings.push(`Skipped ${sourceCombos.length - combos.length} malformed combination(s).`)
+  }
+
+  if (errors.length > 0) return invalid()
+
+  return {
+    valid: true,
+    errors,
+    warnings,
+    progress,
+    combos,
+    exportedAt: typeof exportedAt === 'string' ? exportedAt : null
+  }
+}
+
+/**
+ * Combines imported progress with the current progress
+ * @param {ProgressData} current - Progress already on this device
+ * @param {ProgressData} incoming - Validated imported progress
+ * @returns {ProgressData} Merged progress
+ */
+export const mergeProgress = (current, incoming) => {
+  const categoryProgress = { ...current.categoryProgress }
+  Object.entries(incoming.categoryProgress).forEach(([category, data]) => {
+    const existing = categoryProgress[category] || { games: 0, points: 0 }
+    categoryProgress[category] = {
+      games: Math.max(existing.games, data.games),
+      points: Math.max(existing.points, data.points)
+    }
+  })
+
+  const termReviews = { ...current.termReviews }
+  Object.entries(incoming.termReviews).forEach(([termId, record]) => {
+    if (!termReviews[termId] || record.lastReviewed > termReviews[termId].lastReviewed) {
+      termReviews[termId] = record
+    }
+  })
+
+  const sessionLog = [
+    ...new Map([...current.sessionLog, ...incoming.sessionLog].map(record => [record.id, record])).values()
+  ]
+    .sort((a, b) => a.completedAt - b.completedAt)
+    .slice(-MAX_SESSION_RECORDS)
+
+  return {
+    totalGamesPlayed: Math.max(current.totalGamesPlayed, incoming.totalGamesPlayed),
+    totalPoints: Math.max(current.totalPoints, incoming.totalPoints),
+    gamesCompleted: maxByKey(normalizeGamesCompleted(current.gamesCompleted), normalizeGamesCompleted(incoming.gamesCompleted)),
+    timePlayed: Math.max(current.timePlayed, incoming.timePlayed),
+    achievements: [...new Set([...current.achievements, ...incoming.achievements])],
+    categoryProgress,
+    termReviews,
+    currentBelt: current.currentBelt || incoming.currentBelt,
+    syllabusChecklist: { ...current.syllabusChecklist, ...incoming.syllabusChecklist },
+    studiedTechniques: { ...incoming.studiedTechniques, ...current.studiedTechniques },
+    sessionLog
+  }
+}
+
+/**
+ * Combines imported combinations with the combinations on this device,
+ * keeping the most recently saved version of each
+ * @param {Array<import('./combos').Combo>} current - Combinations already on this device
+ * @param {Array<import('./combos').Combo>} incoming - Validated imported combinations
+ * @returns {Array<import('./combos').Combo>} Merged combinations, most recently saved first
+ */
+export const mergeCombos = (current, incoming) => {
+  const combos = new Map(current.map(combo => [combo.id, combo]))
+  incoming.forEach(combo => {
+    if (!combos.has(combo.id) || combo.updatedAt > combos.get(combo.id).updatedAt) {
+      combos.set(combo.id, combo)
+    }
+  })
+  return [...combos.values()].sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+// ===== SNAPSHOTS =====
+
+/**
+ * Reads a profile's automatic snapshots
+ * @param {string} profileId - Profile the snapshots belong to
+ * @returns {Array<ProgressSnapshot>} Snapshots, newest first
+ */
+export const loadSnapshots = (profileId) => {
+  try {
+    const snapshots = JSON.parse(localStorage.getItem(getSnapshotStorageKey(profileId)) || '[]')
+    return Array.isArray(snapshots) ? snapshots : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Checks whether a storage error means localStorage is full
+ * @param {*} error - Error thrown by localStorage.setItem
+ * @returns {boolean} Whether the quota was exceeded
+ */
+const isQuotaError = (error) =>
+  error instanceof DOMException &&
+  (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED')
+
+/**
+ * Saves a snapshot of the current progress and combinations, dropping the
+ * oldest beyond the limit. When storage is full, older snapshots are dropped
+ * until the new one fits. Callers must not change progress when this returns
+ * null, since there would be nothing to undo the change with.
+ * @param {string} profileId - Profile the progress belongs to
+ * @param {Object} state - Progress store state
+ * @param {Array<import('./combos').Combo>} combos - Combinations store combinations
+ * @param {string} reason - Why the snapshot is taken
+ * @returns {ProgressSnapshot|null} Saved snapshot, or null when it could not be stored
+ */
+export const saveSnapshot = (profileId, state, combos, reason) => {
+  const backup = createBackup(state, combos)
+  // Random suffix keeps ids unique when two snapshots are taken in the same millisecond
+  const snapshot = { id: `snapshot-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, reason, backup }
+  const snapshots = [snapshot, ...loadSnapshots(profileId)].slice(0, MAX_SNAPSHOTS)
+
+  for (let keep = snapshots.length; keep > 0; keep--) {
+    try {
+      localStorage.setItem(getSnapshotStorageKey(profileId), JSON.stringify(snapshots.slice(0, keep)))
+      return snapshot
+    } catch (error) {
+      if (!isQuotaError(error)) {
+        console.error('Could not save progress snapshot:', error)
+        return null
+      }
+    }
+  }
+
+  console.error('Could not save progress snapshot: storage is full')
+  return null
+}
@@ -0,0 +1,309 @@
+/**
+ * Pronunciation Comparison
+ *
+ * Local signal analysis behind the "say it" practice: decodes the
+ * reference clip and the student's recording, then compares how long
+ * the spoken part lasts, the shape of its loudness (energy envelope) and
+ * the rise and fall of its pitch. Nothing leaves the device.
+ *
+ * The score is a rough guide, not speech recognition: it cannot tell
+ * which sounds were said, only whether the timing, stress and melody
+ * resemble the reference. Pitch is compared relative to each speaker's
+ * own median, so a child's voice can match an adult reference.
+ *
+ * @typedef {Object} RecordingAnalysis
+ * @property {number} duration - Whole clip length in seconds
+ * @property {number} activeDuration - Length of the spoken part (silence trimmed) in seconds
+ * @property {Array<number>} envelope - Loudness per frame of the spoken part, 0-1
+ * @property {Array<number|null>} pitch - Pitch per frame of the spoken part in Hz (null when unvoiced)
+ * @property {boolean} silent - Whether nothing louder than background noise was found
+ *
+ * @typedef {Object} PronunciationComparison
+ * @property {number} score - Overall similarity, 0-100
+ * @property {{duration: number, energy: number, pitch: number|null}} parts - Part scores, 0-100 (pitch is null when either clip has too little voiced sound)
+ * @property {Array<string>} tips - What to work on, most important first
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {number} Sample rate the analysis works at (recordings are downsampled to about this) */
+const ANALYSIS_RATE = 16000
+
+/** @type {number} Analysis window length in seconds */
+const FRAME_SECONDS = 0.04
+
+/** @type {number} Step between analysis windows in seconds */
+const HOP_SECONDS = 0.02
+
+/** @type {number} Frames quieter than this share of the loudest frame count as silence */
+const SILENCE_RATIO = 0.12
+
+/** @type {number} Loudness below which a whole clip counts as silent */
+const SILENT_RMS = 0.01
+
+/** @type {[number, number]} Voice pitch range searched, in Hz */
+const PITCH_RANGE = [75, 500]
+
+/** @type {number} Autocorrelation strength a frame needs to count as voiced */
+const VOICING_THRESHOLD = 0.5
+
+/** @type {number} Points both contours are resampled to before comparing */
+const CONTOUR_POINTS = 40
+
+/** @type {number} Average pitch difference (semitones) that scores zero */
+const PITCH_TOLERANCE = 6
+
+/** @type {{duration: number, energy: number, pitch: number}} Weight of each part in the overall score */
+export const SCORE_WEIGHTS = { duration: 0.25, energy: 0.4, pitch: 0.35 }
+
+/** @type {number} Part score below which a tip is given */
+const TIP_THRESHOLD = 70
+
+// ===== DECODING =====
+
+/**
+ * Decodes an audio file or recording to mono samples (browser only)
+ * @param {Blob|string} source - Recording blob or audio URL
+ * @returns {Promise<{samples: Float32Array, sampleRate: number}>} Mono samples
+ */
+export const decodeAudio = async (source) => {
+  const data = typeof source === 'string'
+    ? await (await fetch(source)).arrayBuffer()
+    : await source.arrayBuffer()
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext
+  const context = new AudioContextClass()
+  try {
+    const buffer = await context.decodeAudioData(data)
+    const samples = new Float32Array(buffer.length)
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const channelData = buffer.getChannelData(channel)
+      for (let i = 0; i < buffer.length; i++) samples[i] += channelData[i] / buffer.numberOfChannels
+    }
+    return { samples, sampleRate: buffer.sampleRate }
+  } finally {
+    context.close()
+  }
+}
+
+// ===== HELPERS =====
+
+/**
+ * Averages samples down to roughly ANALYSIS_RATE
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate of the input
+ * @returns {{samples: Float32Array, sampleRate: number}} Downsampled audio
+ */
+const downsample = (samples, sampleRate) => {
+  const factor = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE))
+  if (factor === 1) return { samples, sampleRate }
+
+  const output = new Float32Array(Math.floor(samples.length / factor))
+  for (let i = 0; i < output.length; i++) {
+    let sum = 0
+    for (let j = 0; j < factor; j++) sum += samples[i * factor + j]
+    output[i] = sum / factor
+  }
+  return { samples: output, sampleRate: sampleRate / factor }
+}
+
+/**
+ * Root mean square loudness of a window
+ * @param {Float32Array} frame - Window samples
+ * @returns {number} RMS loudness
+ */
+const getRms = (frame) => {
+  let sum = 0
+  for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i]
+  return Math.sqrt(sum / frame.length)
+}
+
+/**
+ * Estimates the pitch of a window by autocorrelation
+ * @param {Float32Array} frame - Window samples
+ * @param {number} sampleRate - Sample rate of the window
+ * @returns {number|null} Pitch in Hz, or null when the window is not voiced
+ */
+const getPitch = (frame, sampleRate) => {
+  const minLag = Math.floor(sampleRate / PITCH_RANGE[1])
+  const maxLag = Math.min(Math.ceil(sampleRate / PITCH_RANGE[0]), frame.length - 1)
+
+  let energy = 0
+  for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i]
+  if (energy === 0) return null
+
+  let bestLag = 0
+  let bestCorrelation = 0
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0
+    for (let i = 0; i + lag < frame.length; i++) sum += frame[i] * frame[i + lag]
+    const correlation = sum / energy
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation
+      bestLag = lag
+    }
+  }
+
+  return bestCorrelation >= VOICING_THRESHOLD ? sampleRate / bestLag : null
+}
+
+/**
+ * Linearly resamples a series to a fixed length (null gaps stay null)
+ * @param {Array<number|null>} values - Series to resample
+ * @param {number} length - Output length
+ * @returns {Array<number|null>} Resampled series
+ */
+const resample = (values, length) => Array.from({ length }, (_, index) => {
+  const position = values.length === 1 ? 0 : (index / (length - 1)) * (values.length - 1)
+  const lower = Math.floor(position)
+  const upper = Math.min(lower + 1, values.length - 1)
+  const a = values[lower]
+  const b = values[upper]
+  if (a === null || b === null) return position - lower < 0.5 ? a : b
+  return a + (b - a) * (position - lower)
+})
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Clamps a 0-1 similarity and turns it into a 0-100 score
+ * @param {number} value - Similarity
+ * @returns {number} Rounded score
+ */
+const toScore = (value) => Math.round(Math.min(1, Math.max(0, value)) * 100)
+
+// ===== ANALYSIS =====
+
+/**
+ * Peak level per bar for drawing a waveform
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} barCount - Number of bars
+ * @returns {Array<number>} Bar heights, 0-1 relative to the loudest bar
+ */
+export const getWaveformPeaks = (samples, barCount) => {
+  const size = Math.max(1, Math.floor(samples.length / barCount))
+  const peaks = Array.from({ length: barCount }, (_, bar) => {
+    let peak = 0
+    for (let i = bar * size; i < Math.min((bar + 1) * size, samples.length); i++) {
+      peak = Math.max(peak, Math.abs(samples[i]))
+    }
+    return peak
+  })
+  const loudest = Math.max(...peaks)
+  return loudest > 0 ? peaks.map(peak => peak / loudest) : peaks
+}
+
+/**
+ * Measures the duration, loudness envelope and pitch contour of a clip
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {RecordingAnalysis} Analysis of the spoken part
+ */
+export const analyseRecording = (samples, sampleRate) => {
+  const audio = downsample(samples, sampleRate)
+  const frameLength = Math.round(FRAME_SECONDS * audio.sampleRate)
+  const hopLength = Math.round(HOP_SECONDS * audio.sampleRate)
+
+  const frames = []
+  for (let start = 0; start + frameLength <= audio.samples.length; start += hopLength) {
+    frames.push(audio.samples.subarray(start, start + frameLength))
+  }
+
+  const loudness = frames.map(getRms)
+  const loudest = Math.max(0, ...loudness)
+  const duration = samples.length / sampleRate
+
+  if (loudest < SILENT_RMS) {
+    return { duration, activeDuration: 0, envelope: [], pitch: [], silent: true }
+  }
+
+  // Trim leading and trailing silence
+  const threshold = loudest * SILENCE_RATIO
+  const first = loudness.findIndex(value => value >= threshold)
+  const last = loudness.length - 1 - [...loudness].reverse().findIndex(value => value >= threshold)
+
+  const active = frames.slice(first, last + 1)
+  return {
+    duration,
+    activeDuration: (last - first) * HOP_SECONDS + FRAME_SECONDS,
+    envelope: loudness.slice(first, last + 1).map(value => value / loudest),
+    pitch: active.map((frame, index) =>
+      loudness[first + index] >= threshold ? getPitch(frame, audio.sampleRate) : null
+    ),
+    silent: false
+  }
+}
+
+// ===== COMPARISON =====
+
+/**
+ * Scores how closely an attempt follows the reference
+ * @param {RecordingAnalysis} reference - Analysis of the reference clip
+ * @param {RecordingAnalysis} attempt - Analysis of the student's recording
+ * @returns {PronunciationComparison} Overall and part scores with tips
+ */
+export const compareRecordings = (reference, attempt) => {
+  if (attempt.silent) {
+    return {
+      score: 0,
+      parts: { duration: 0, energy: 0, pitch: null },
+      tips: ['Nothing was heard. Check the microphone and speak a little louder.']
+    }
+  }
+
+  // Duration: ratio of the spoken lengths
+  const durationRatio = attempt.activeDuration / reference.activeDuration
+  const duration = toScore(Math.min(durationRatio, 1 / durationRatio))
+
+  // Energy: average gap between the loudness shapes over the same number of points
+  const referenceEnvelope = resample(reference.envelope, CONTOUR_POINTS)
+  const attemptEnvelope = resample(attempt.envelope, CONTOUR_POINTS)
+  const envelopeGap = referenceEnvelope.reduce((sum, value, index) => sum + Math.abs(value - attemptEnvelope[index]), 0) / CONTOUR_POINTS
+  const energy = toScore(1 - envelopeGap * 2)
+
+  // Pitch: semitones from each speaker's median, compared where both are voiced
+  const toSemitones = (contour) => {
+    const voiced = contour.filter(value => value !== null)
+    if (voiced.length < 3) return null
+    const centre = median(voiced)
+    return resample(contour.map(value => value === null ? null : 12 * Math.log2(value / centre)), CONTOUR_POINTS)
+  }
+  const referencePitch = toSemitones(reference.pitch)
+  const attemptPitch = toSemitones(attempt.pitch)
+  const pitchGaps = referencePitch && attemptPitch
+    ? referencePitch
+        .map((value, index) => value === null || attemptPitch[index] === null ? null : Math.abs(value - attemptPitch[index]))
+        .filter(gap => gap !== null)
+    : []
+  const pitch = pitchGaps.length >= 3
+    ? toScore(1 - pitchGaps.reduce((sum, gap) => sum + gap, 0) / pitchGaps.length / PITCH_TOLERANCE)
+    : null
+
+  // Overall: weighted average, leaving pitch out when it could not be measured
+  const weights = pitch === null ? { ...SCORE_WEIGHTS, pitch: 0 } : SCORE_WEIGHTS
+  const totalWeight = weights.duration + weights.energy + weights.pitch
+  const score = Math.round(
+    (duration * weights.duration + energy * weights.energy + (pitch || 0) * weights.pitch) / totalWeight
+  )
+
+  const tips = []
+  if (duration < TIP_THRESHOLD) {
+    tips.push(durationRatio < 1
+      ? 'Say it a little more slowly, closer to the reference length.'
+      : 'Say it a little more quickly, closer to the reference length.')
+  }
+  if (energy < TIP_THRESHOLD) tips.push('Stress the same syllables as the reference so the loudness follows the same shape.')
+  if (pitch !== null && pitch < TIP_THRESHOLD) tips.push('Follow the rise and fall of the reference voice.')
+  if (pitch === null) tips.push('Pitch could not be measured. Try a clearer, voiced recording in a quiet room.')
+
+  return { score, parts: { duration, energy, pitch }, tips }
+}
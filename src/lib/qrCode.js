@@ -0,0 +1,472 @@
+/**
+ * QR Code Encoder
+ *
+ * Minimal QR Code generator for showing short payloads (class assignment
+ * results) as a scannable code without a server or extra dependency.
+ * Encodes text as UTF-8 in byte mode with error correction level M and
+ * picks the smallest version (1–40) that fits.
+ *
+ * Follows ISO/IEC 18004: data codewords are split into Reed-Solomon blocks,
+ * interleaved, placed in the zig-zag order and masked with whichever of the
+ * eight masks scores the lowest penalty.
+ *
+ * @typedef {Object} QrCode
+ * @property {number} version - QR version (1–40)
+ * @property {number} size - Modules per side
+ * @property {Array<Array<boolean>>} modules - modules[y][x], true for dark
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {Array<number>} Error correction codewords per block at level M, by version */
+const ECC_CODEWORDS_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+]
+
+/** @type {Array<number>} Error correction blocks at level M, by version */
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+]
+
+/** @type {number} Format bits identifying error correction level M */
+const ECC_LEVEL_M_BITS = 0
+
+/** @type {Array<Function>} Mask conditions; a module is inverted when its mask returns true */
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+]
+
+// ===== BIT HELPERS =====
+
+/**
+ * Reads one bit of a number
+ * @param {number} value - Number to read
+ * @param {number} index - Bit index, 0 for the least significant
+ * @returns {boolean} Whether the bit is set
+ */
+const getBit = (value, index) => ((value >>> index) & 1) !== 0
+
+/**
+ * Appends the low bits of a value to a bit list, most significant first
+ * @param {Array<number>} bits - Bit list to extend
+ * @param {number} value - Value to append
+ * @param {number} length - Number of bits
+ */
+const appendBits = (bits, value, length) => {
+  for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1)
+}
+
+// ===== CAPACITY =====
+
+/**
+ * Number of modules available for data and error correction in a version
+ * @param {number} version - QR version
+ * @returns {number} Module count
+ */
+const getNumRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2
+    result -= (25 * numAlign - 10) * numAlign - 55
+    if (version >= 7) result -= 36
+  }
+  return result
+}
+
+/**
+ * Number of data codewords a version holds at level M
+ * @param {number} version - QR version
+ * @returns {number} Codeword count
+ */
+const getNumDataCodewords = (version) =>
+  Math.floor(getNumRawDataModules(version) / 8) -
+  ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version]
+
+/**
+ * Centre coordinates of the alignment patterns of a version
+ * @param {number} version - QR version
+ * @returns {Array<number>} Row/column positions
+ */
+const getAlignmentPositions = (version) => {
+  if (version === 1) return []
+
+  const size = version * 4 + 17
+  const numAlign = Math.floor(version / 7) + 2
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2
+  const positions = [6]
+  for (let position = size - 7; positions.length < numAlign; position -= step) {
+    positions.splice(1, 0, position)
+  }
+  return positions
+}
+
+// ===== REED-SOLOMON =====
+
+/**
+ * Multiplies two numbers in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - First factor
+ * @param {number} y - Second factor
+ * @returns {number} Product
+ */
+const multiplyGf = (x, y) => {
+  let product = 0
+  for (let i = 7; i >= 0; i--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d)
+    product ^= ((y >>> i) & 1) * x
+  }
+  return product
+}
+
+/**
+ * Generator polynomial for a number of error correction codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Coefficients, highest power first (leading 1 omitted)
+ */
+const getReedSolomonDivisor = (degree) => {
+  const divisor = new Array(degree).fill(0)
+  divisor[degree - 1] = 1
+
+  let root = 1
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = multiplyGf(divisor[j], root)
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1]
+    }
+    root = multiplyGf(root, 0x02)
+  }
+  return divisor
+}
+
+/**
+ * Error correction codewords for a block of data
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - Generator polynomial
+ * @returns {Array<number>} Error correction codewords
+ */
+export const getReedSolomonRemainder = (data, divisor) => {
+  const remainder = divisor.map(() => 0)
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift()
+    remainder.push(0)
+    divisor.forEach((coefficient, i) => {
+      remainder[i] ^= multiplyGf(coefficient, factor)
+    })
+  }
+  return remainder
+}
+
+/**
+ * Splits data into blocks, adds error correction and interleaves them
+ * @param {Array<number>} data - Data codewords for the version
+ * @param {number} version - QR version
+ * @returns {Array<number>} Final codeword sequence
+ */
+const addErrorCorrection = (data, version) => {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version]
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version]
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8)
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks)
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks)
+  const divisor = getReedSolomonDivisor(blockEccLength)
+
+  const blocks = []
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1))
+    offset += blockData.length
+    const ecc = getReedSolomonRemainder(blockData, divisor)
+    // Pad short blocks so every block has the same length while interleaving
+    if (i < numShortBlocks) blockData.push(0)
+    blocks.push([...blockData, ...ecc])
+  }
+
+  const result = []
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i])
+    })
+  }
+  return result
+}
+
+// ===== DATA ENCODING =====
+
+/**
+ * Builds the padded data codewords for a byte-mode payload
+ * @param {Uint8Array} bytes - Payload bytes
+ * @param {number} version - QR version
+ * @returns {Array<number>} Data codewords
+ */
+const encodeData = (bytes, version) => {
+  const capacityBits = getNumDataCodewords(version) * 8
+  const bits = []
+
+  appendBits(bits, 0b0100, 4)
+  appendBits(bits, bytes.length, version <= 9 ? 8 : 16)
+  bytes.forEach(byte => appendBits(bits, byte, 8))
+
+  appendBits(bits, 0, Math.min(4, capacityBits - bits.length))
+  appendBits(bits, 0, (8 - (bits.length % 8)) % 8)
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) appendBits(bits, pad, 8)
+
+  const codewords = []
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0))
+  }
+  return codewords
+}
+
+/**
+ * Smallest version whose level M capacity fits the payload
+ * @param {number} byteLength - Payload length in bytes
+ * @returns {number|null} Version, or null when the payload is too long
+ */
+const chooseVersion = (byteLength) => {
+  for (let version = 1; version <= 40; version++) {
+    const usedBits = 4 + (version <= 9 ? 8 : 16) + byteLength * 8
+    if (usedBits <= getNumDataCodewords(version) * 8) return version
+  }
+  return null
+}
+
+// ===== MATRIX =====
+
+/**
+ * Builds the module grid with every function pattern drawn
+ * @param {number} version - QR version
+ * @returns {{size: number, modules: Array<Array<boolean>>, isFunction: Array<Array<boolean>>}} Grid
+ */
+const createMatrix = (version) => {
+  const size = version * 4 + 17
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false))
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false))
+
+  const setFunctionModule = (x, y, isDark) => {
+    modules[y][x] = isDark
+    isFunction[y][x] = true
+  }
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(6, i, i % 2 === 0)
+    setFunctionModule(i, 6, i % 2 === 0)
+  }
+
+  // Finder patterns with their separators
+  const finderCentres = [[3, 3], [size - 4, 3], [3, size - 4]]
+  finderCentres.forEach(([centreX, centreY]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centreX + dx
+        const y = centreY + dy
+        const distance = Math.max(Math.abs(dx), Math.abs(dy))
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunctionModule(x, y, distance !== 2 && distance !== 4)
+      }
+    }
+  })
+
+  // Alignment patterns, skipping the three that would overlap finders
+  const alignment = getAlignmentPositions(version)
+  const last = alignment.length - 1
+  alignment.forEach((centreX, i) => {
+    alignment.forEach((centreY, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(centreX + dx, centreY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+        }
+      }
+    })
+  })
+
+  // Reserve the format areas (real bits are drawn once the mask is chosen)
+  drawFormatBits({ size, modules, isFunction }, 0)
+
+  // Version information
+  if (version >= 7) {
+    let remainder = version
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25)
+    const bits = (version << 12) | remainder
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3)
+      const b = Math.floor(i / 3)
+      setFunctionModule(a, b, getBit(bits, i))
+      setFunctionModule(b, a, getBit(bits, i))
+    }
+  }
+
+  return { size, modules, isFunction }
+}
+
+/**
+ * Draws both copies of the format information for a mask
+ * @param {{size: number, modules: Array<Array<boolean>>, isFunction: Array<Array<boolean>>}} matrix - Grid
+ * @param {number} mask - Mask number (0–7)
+ */
+const drawFormatBits = ({ size, modules, isFunction }, mask) => {
+  const data = (ECC_LEVEL_M_BITS << 3) | mask
+  let remainder = data
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537)
+  const bits = ((data << 10) | remainder) ^ 0x5412
+
+  const set = (x, y, isDark) => {
+    modules[y][x] = isDark
+    isFunction[y][x] = true
+  }
+
+  // First copy, around the top-left finder
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i))
+  set(8, 7, getBit(bits, 6))
+  set(8, 8, getBit(bits, 7))
+  set(7, 8, getBit(bits, 8))
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i))
+
+  // Second copy, split between the other two finders
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i))
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i))
+  set(8, size - 8, true)
+}
+
+/**
+ * Places codewords in the zig-zag order, skipping function modules
+ * @param {{size: number, modules: Array<Array<boolean>>, isFunction: Array<Array<boolean>>}} matrix - Grid
+ * @param {Array<number>} codewords - Final codewords
+ */
+const drawCodewords = ({ size, modules, isFunction }, codewords) => {
+  let bitIndex = 0
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // Skip the vertical timing column
+    if (right === 6) right = 5
+    const upward = ((right + 1) & 2) === 0
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical
+      for (let j = 0; j < 2; j++) {
+        const x = right - j
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7))
+          bitIndex++
+        }
+      }
+    }
+  }
+}
+
+/**
+ * XORs a mask onto every data module (applying it twice undoes it)
+ * @param {{size: number, modules: Array<Array<boolean>>, isFunction: Array<Array<boolean>>}} matrix - Grid
+ * @param {number} mask - Mask number (0–7)
+ */
+const applyMask = ({ size, modules, isFunction }, mask) => {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x]
+    }
+  }
+}
+
+/**
+ * Penalty score of a masked grid; lower scans more reliably
+ * @param {{size: number, modules: Array<Array<boolean>>}} matrix - Grid
+ * @returns {number} Penalty
+ */
+const getPenaltyScore = ({ size, modules }) => {
+  let penalty = 0
+  const finderLike = ['10111010000', '00001011101']
+
+  for (let line = 0; line < size; line++) {
+    const row = modules[line]
+    const column = modules.map(moduleRow => moduleRow[line])
+
+    ;[row, column].forEach(cells => {
+      // Runs of five or more modules of one colour
+      let runLength = 1
+      for (let i = 1; i <= size; i++) {
+        if (i < size && cells[i] === cells[i - 1]) {
+          runLength++
+        } else {
+          if (runLength >= 5) penalty += runLength - 2
+          runLength = 1
+        }
+      }
+
+      // Patterns that look like a finder
+      const text = cells.map(cell => (cell ? '1' : '0')).join('')
+      finderLike.forEach(pattern => {
+        for (let index = text.indexOf(pattern); index !== -1; index = text.indexOf(pattern, index + 1)) penalty += 40
+      })
+    })
+  }
+
+  // 2×2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const colour = modules[y][x]
+      if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) penalty += 3
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((sum, moduleRow) => sum + moduleRow.filter(Boolean).length, 0)
+  const total = size * size
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10
+
+  return penalty
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * Encodes text as a QR code
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {QrCode|null} QR code, or null when the text is too long for version 40
+ */
+export const encodeQrCode = (text) => {
+  const bytes = new TextEncoder().encode(text)
+  const version = chooseVersion(bytes.length)
+  if (!version) return null
+
+  const matrix = createMatrix(version)
+  drawCodewords(matrix, addErrorCorrection(encodeData(bytes, version), version))
+
+  let bestMask = 0
+  let bestPenalty = Infinity
+  MASKS.forEach((_, mask) => {
+    applyMask(matrix, mask)
+    drawFormatBits(matrix, mask)
+    const penalty = getPenaltyScore(matrix)
+    if (penalty < bestPenalty) {
+      bestMask = mask
+      bestPenalty = penalty
+    }
+    applyMask(matrix, mask)
+  })
+
+  applyMask(matrix, bestMask)
+  drawFormatBits(matrix, bestMask)
+
+  return { version, size: matrix.size, modules: matrix.modules }
+}
+
+/**
+ * SVG path data drawing every dark module as a 1×1 square
+ * @param {QrCode} qrCode - Encoded QR code
+ * @param {number} [border=4] - Quiet zone in modules
+ * @returns {string} Path "d" attribute
+ */
+export const getQrCodePath = (qrCode, border = 4) => {
+  const commands = []
+  qrCode.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) commands.push(`M${x + border},${y + border}h1v1h-1z`)
+    })
+  })
+  return commands.join('')
+}
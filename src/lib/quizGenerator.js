@@ -0,0 +1,402 @@
+import terminologyData from '../data/terminology/TerminologyData.json'
+import patternData from '../data/patterns/Patterns.json'
+import { TECHNIQUE_CATEGORIES } from './techniques'
+import { getBeltIndex, toBeltId, DIFFICULTY_BELT_RANGES } from './belts'
+
+/**
+ * Quiz Generator
+ *
+ * Builds quizzes on the fly from the canonical terminology, pattern and
+ * technique data instead of the hand-written files in src/data/quiz. Every
+ * generated quiz has the same shape as its hand-written counterpart, so it
+ * plays in the existing game components unchanged.
+ *
+ * @typedef {Object} ContentItem
+ * @property {string} id - Unique item id
+ * @property {string} [termId] - Terminology id, set for dictionary terms
+ * @property {string} english - English name or meaning
+ * @property {string} [korean] - Hangul, when the source has it
+ * @property {string} romanized - Romanized Korean (or pattern name)
+ * @property {string} [meaning] - Longer explanation
+ * @property {string} [audio] - Pronunciation audio path
+ * @property {string} group - Sub-group used to pick similar distractors
+ * @property {number} beltIndex - Position on the belt ladder (-1 when unknown)
+ * @property {number} [moveCount] - Number of movements (patterns only)
+ */
+
+// ===== CONSTANTS =====
+
+/**
+ * Game types each content category can generate. Pattern meanings are too
+ * long to type, multi-word technique names do not fit a letter grid, and
+ * only terminology has pronunciation audio to listen to.
+ * @type {Object<string, Array<string>>}
+ */
+export const GENERATOR_GAME_TYPES = {
+  terminology: ['mcq', 'matching', 'flashcards', 'translation', 'wordsearch', 'crossword', 'listening'],
+  patterns: ['mcq', 'matching', 'flashcards', 'wordsearch', 'crossword'],
+  techniques: ['mcq', 'matching', 'flashcards', 'translation']
+}
+
+/**
+ * Per-difficulty tuning for generated quizzes. Listening quizzes allow
+ * maxReplays extra plays of each clip and are answered by picking from
+ * options or, on hard, by typing.
+ * @type {Object<string, {secondsPerItem: number, optionCount: number, gridSize: number, maxReplays: number, answerMode: string}>}
+ */
+const DIFFICULTY_SETTINGS = {
+  easy: { secondsPerItem: 30, optionCount: 3, gridSize: 10, maxReplays: 5, answerMode: 'choice' },
+  medium: { secondsPerItem: 20, optionCount: 4, gridSize: 12, maxReplays: 2, answerMode: 'choice' },
+  hard: { secondsPerItem: 12, optionCount: 5, gridSize: 14, maxReplays: 1, answerMode: 'typed' }
+}
+
+/** @type {number} Points awarded per generated item */
+const POINTS_PER_ITEM = 10
+
+// ===== HELPERS =====
+
+/**
+ * Shuffles an array using the Fisher-Yates algorithm
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+export const shuffle = (items) => {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+/**
+ * Converts a romanized name to a letter-only puzzle word
+ * @param {string} text - Romanized text
+ * @returns {string} Uppercase A-Z word
+ */
+const toPuzzleWord = (text = '') => text.toUpperCase().replace(/[^A-Z]/g, '')
+
+/**
+ * Converts a terminology entry to a content item
+ * @param {Object} term - Term from TerminologyData.json
+ * @returns {ContentItem} Content item
+ */
+export const termToItem = (term) => ({
+  id: term.id,
+  termId: term.id,
+  english: term.englishName,
+  korean: term.koreanName,
+  romanized: term.romanized,
+  meaning: term.meaning,
+  audio: term.sound,
+  group: term.category,
+  beltIndex: getBeltIndex(term.beltLearnt)
+})
+
+// ===== CONTENT POOLS =====
+
+/**
+ * Builds every content item for a category before filtering
+ * @param {string} category - 'terminology' | 'patterns' | 'techniques'
+ * @returns {Array<ContentItem>} Content items
+ */
+const buildRawPool = (category) => {
+  switch (category) {
+    case 'terminology':
+      return terminologyData.terms.map(termToItem)
+
+    case 'patterns':
+      return patternData.patterns.map(pattern => ({
+        id: pattern.id,
+        english: pattern.meaning.split(' - ')[0],
+        romanized: pattern.name,
+        meaning: pattern.meaning,
+        group: pattern.beltRank.includes('Dan') ? 'dan' : 'kup',
+        beltIndex: getBeltIndex(pattern.beltColor),
+        moveCount: pattern.moveCount
+      }))
+
+    case 'techniques':
+      return TECHNIQUE_CATEGORIES.flatMap(({ data: file }) =>
+        file.beltLevels.flatMap(level =>
+          level.techniques.map(technique => ({
+            id: `${file.category.toLowerCase()}-${toPuzzleWord(technique.english).toLowerCase()}`,
+            english: technique.english,
+            romanized: technique.korean.trim(),
+            meaning: technique.description,
+            group: file.category,
+            beltIndex: getBeltIndex(level.belt)
+          }))
+        )
+      )
+
+    default:
+      return []
+  }
+}
+
+/**
+ * Builds the filtered content pool a quiz is drawn from
+ * @param {string} category - 'terminology' | 'patterns' | 'techniques'
+ * @param {Object} [filters] - Pool filters
+ * @param {string} [filters.belt] - Only include items learnt at or before this belt
+ * @param {string} [filters.difficulty] - Prefer items from this difficulty's belt band
+ * @param {string} [filters.group] - Only include items from one sub-group (e.g. a terminology category)
+ * @returns {Array<ContentItem>} Matching items, difficulty band first
+ */
+export const buildContentPool = (category, { belt, difficulty, group } = {}) => {
+  const maxBelt = belt ? getBeltIndex(belt) : DIFFICULTY_BELT_RANGES[difficulty]?.to ?? Infinity
+  const band = DIFFICULTY_BELT_RANGES[difficulty]
+
+  const seenAnswers = new Set()
+
+  const pool = buildRawPool(category).filter(item => {
+    const matchesBelt = item.beltIndex <= maxBelt
+    const matchesGroup = !group || item.group === group
+    if (!matchesBelt || !matchesGroup) return false
+
+    // Drop duplicate answers within the selection so options and pairs stay unambiguous
+    const key = item.english.toLowerCase()
+    if (seenAnswers.has(key)) return false
+    seenAnswers.add(key)
+    return true
+  })
+
+  if (!band) return pool
+
+  const inBand = item => item.beltIndex >= band.from && item.beltIndex <= band.to
+  return [...pool.filter(inBand), ...pool.filter(item => !inBand(item))]
+}
+
+// ===== QUIZ BUILDERS =====
+
+/**
+ * Picks wrong answers for a question, preferring items from the same group
+ * @param {ContentItem} item - Item the question is about
+ * @param {Array<ContentItem>} pool - Pool to draw distractors from
+ * @param {string} field - Item field the answer comes from
+ * @param {number} count - Number of distractors
+ * @returns {Array<string>} Distractor answers
+ */
+const pickDistractors = (item, pool, field, count) => {
+  const others = pool.filter(other => other.id !== item.id && other[field] && other[field] !== item[field])
+  const ordered = [
+    ...shuffle(others.filter(other => other.group === item.group)),
+    ...shuffle(others.filter(other => other.group !== item.group))
+  ]
+  return [...new Set(ordered.map(other => other[field]))].slice(0, count)
+}
+
+/**
+ * Multiple choice question templates
+ * - meaning: romanized name → English
+ * - korean: English → romanized name
+ * - moveCount: pattern name → number of movements
+ * - description: technique description → English name
+ * @type {Object<string, Function>}
+ */
+const MCQ_TEMPLATES = {
+  meaning: item => ({ question: `What does '${item.romanized}' mean?`, field: 'english' }),
+  korean: item => ({ question: `What is the Korean for '${item.english}'?`, field: 'romanized' }),
+  moveCount: item => ({ question: `How many movements are in ${item.romanized}?`, field: 'moveCount' }),
+  description: item => ({ question: `Which technique is this? "${item.meaning}"`, field: 'english' })
+}
+
+/**
+ * Builds one multiple choice question for an item
+ * @param {ContentItem} item - Item the question is about
+ * @param {string} template - Key of MCQ_TEMPLATES
+ * @param {Array<ContentItem>} pool - Pool to draw distractors from
+ * @param {number} [optionCount] - Number of answer options
+ * @returns {Object} MCQ question
+ */
+export const buildMcqQuestion = (item, template, pool, optionCount = DIFFICULTY_SETTINGS.medium.optionCount) => {
+  const { question, field } = MCQ_TEMPLATES[template](item)
+  const answer = String(item[field])
+  const distractors = pickDistractors(item, pool, field, optionCount - 1).map(String)
+
+  return {
+    id: item.id,
+    termId: item.termId,
+    question,
+    correctAnswer: answer,
+    options: shuffle([answer, ...distractors]),
+    explanation: item.korean
+      ? `${item.romanized} (${item.korean}): ${item.meaning || item.english}`
+      : `${item.romanized}: ${item.meaning || item.english}`,
+    audio: item.audio
+  }
+}
+
+/**
+ * Builds the game-specific body of a quiz from a list of items
+ * @param {string} gameType - Game type id
+ * @param {Array<ContentItem>} items - Items in the quiz
+ * @param {Object} [options] - Builder options
+ * @param {Array<ContentItem>} [options.pool] - Pool for MCQ distractors (defaults to items)
+ * @param {string} [options.difficulty] - Difficulty used for tuning
+ * @returns {Object} Game-specific quiz fields (questions, cards, pairs or grid)
+ */
+export const buildQuizBody = (gameType, items, { pool = items, difficulty = 'medium' } = {}) => {
+  const settings = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium
+
+  switch (gameType) {
+    case 'mcq':
+      return {
+        questionCount: items.length,
+        questions: items.map((item, index) => {
+          // Rotate templates so a quiz mixes question directions
+          const templates = item.moveCount ? ['meaning', 'korean', 'moveCount'] : ['meaning', 'korean']
+          return buildMcqQuestion(item, templates[index % templates.length], pool, settings.optionCount)
+        })
+      }
+
+    case 'flashcards':
+      return {
+        cards: items.map(item => ({
+          id: item.id,
+          termId: item.termId,
+          front: item.english,
+          back: item.korean || item.romanized,
+          romanized: item.korean ? item.romanized : undefined,
+          audio: item.audio,
+          meaning: item.meaning
+        }))
+      }
+
+    case 'matching':
+      return {
+        pairs: items.map(item => ({
+          id: item.id,
+          termId: item.termId,
+          korean: item.korean,
+          english: item.english,
+          romanized: item.romanized,
+          audio: item.audio
+        }))
+      }
+
+    case 'translation':
+      return {
+        questionCount: items.length,
+        questions: items.map(item => ({
+          id: item.id,
+          termId: item.termId,
+          english: item.english,
+          korean: item.korean,
+          romanized: item.romanized,
+          audio: item.audio
+        }))
+      }
+
+    case 'listening':
+      return {
+        questionCount: items.length,
+        answerMode: settings.answerMode,
+        maxReplays: settings.maxReplays,
+        questions: items.map(item => ({
+          id: item.id,
+          termId: item.termId,
+          audio: item.audio,
+          english: item.english,
+          korean: item.korean,
+          romanized: item.romanized,
+          options: shuffle([item.english, ...pickDistractors(item, pool, 'english', settings.optionCount - 1)])
+        }))
+      }
+
+    case 'wordsearch':
+    case 'crossword':
+      return {
+        grid: {
+          size: settings.gridSize,
+          words: items.map(item => ({
+            id: item.id,
+            word: toPuzzleWord(item.romanized),
+            clue: item.english
+          }))
+        }
+      }
+
+    default:
+      return {}
+  }
+}
+
+/**
+ * Checks whether an item can appear in a game type
+ * @param {ContentItem} item - Candidate item
+ * @param {string} gameType - Game type id
+ * @param {string} difficulty - Difficulty used for grid sizing
+ * @returns {boolean} Whether the item is usable
+ */
+const isItemUsable = (item, gameType, difficulty) => {
+  if (gameType === 'listening') return Boolean(item.audio)
+  if (gameType === 'wordsearch' || gameType === 'crossword') {
+    const settings = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium
+    const word = toPuzzleWord(item.romanized)
+    return word.length >= 2 && word.length <= settings.gridSize && !/\s/.test(item.romanized.trim())
+  }
+  return true
+}
+
+/**
+ * Builds the id of a generated quiz. The id holds every option the quiz
+ * was built from, so quizLinks can rebuild the same kind of quiz from a
+ * link and session logs keep different custom quizzes apart:
+ * custom-<category>-<gameType>-<difficulty>?size=10&belt=green&group=Kicks
+ * @param {Object} options - Same options as generateQuiz
+ * @returns {string} Quiz id
+ */
+export const getGeneratedQuizId = ({ category, gameType, difficulty = 'medium', belt, group, size = 10 }) => {
+  const params = new URLSearchParams({ size: String(size) })
+  if (belt) params.set('belt', toBeltId(belt) || belt)
+  if (group) params.set('group', group)
+  return `custom-${category}-${gameType}-${difficulty}?${params}`
+}
+
+/**
+ * Generates a complete quiz from the canonical data
+ * @param {Object} options - Generator options
+ * @param {string} options.category - 'terminology' | 'patterns' | 'techniques'
+ * @param {string} options.gameType - Game type id from GENERATOR_GAME_TYPES
+ * @param {string} [options.difficulty] - 'easy' | 'medium' | 'hard'
+ * @param {string} [options.belt] - Only include items learnt at or before this belt
+ * @param {string} [options.group] - Only include items from one sub-group
+ * @param {number} [options.size] - Number of items in the quiz
+ * @returns {Object|null} Quiz object, or null when no items match
+ */
+export const generateQuiz = ({ category, gameType, difficulty = 'medium', belt, group, size = 10 }) => {
+  const pool = buildContentPool(category, { belt, difficulty, group })
+    .filter(item => isItemUsable(item, gameType, difficulty))
+
+  if (pool.length === 0) return null
+
+  // Keep difficulty-band items first but shuffle within the selection
+  const items = shuffle(pool.slice(0, Math.max(size, 1) * 2)).slice(0, size)
+  const settings = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium
+  const categoryName = category.charAt(0).toUpperCase() + category.slice(1)
+
+  return {
+    id: getGeneratedQuizId({ category, gameType, difficulty, belt, group, size }),
+    title: `Custom ${categoryName} Quiz`,
+    category,
+    difficulty,
+    gameType,
+    generated: true,
+    description: `${items.length} items drawn from the ${category} data`,
+    timeLimit: items.length * settings.secondsPerItem,
+    points: items.length * POINTS_PER_ITEM,
+    ...buildQuizBody(gameType, items, { pool, difficulty })
+  }
+}
+
+/**
+ * Counts the items available for a generator configuration
+ * @param {Object} options - Same options as generateQuiz (size is ignored)
+ * @returns {number} Number of usable items
+ */
+export const countAvailableItems = ({ category, gameType, difficulty = 'medium', belt, group }) =>
+  buildContentPool(category, { belt, difficulty, group })
+    .filter(item => isItemUsable(item, gameType, difficulty))
+    .length
@@ -0,0 +1,64 @@
+import { getDueTerms, buildDailyReviewQuiz, DAILY_REVIEW_GAME_TYPES } from './srs'
+import { generateQuiz, GENERATOR_GAME_TYPES } from './quizGenerator'
+import { buildMockGrading } from './mockGrading'
+
+/**
+ * Quiz Links
+ *
+ * Turns a /quiz/:quizId URL back into a playable quiz. Built-in quizzes
+ * are looked up by id; generated quizzes are rebuilt from the parts encoded
+ * in their id, so a refreshed or shared link gives a fresh quiz of the
+ * same kind:
+ * - daily-review-<gameType>: today's due terms for the current learner
+ * - custom-<category>-<gameType>-<difficulty>?size=&belt=&group=: the same
+ *   generator options the student picked (see getGeneratedQuizId)
+ * - mock-grading-<beltId>: a new exam for the same target belt
+ */
+
+/**
+ * Path of the page that plays a quiz
+ * @param {string} quizId - Quiz id
+ * @returns {string} Route path
+ */
+export const getQuizPath = (quizId) => `/quiz/${encodeURIComponent(quizId)}`
+
+/**
+ * Finds or rebuilds the quiz for an id
+ * @param {string} quizId - Quiz id from the URL
+ * @param {Object} context - Data needed to rebuild quizzes
+ * @param {Array<Object>} context.quizzes - Built-in quizzes
+ * @param {Object} context.termReviews - SRS records, for the daily review
+ * @returns {Object|null} Quiz object, or null when the id is unknown or cannot be built
+ */
+export const resolveQuiz = (quizId, { quizzes, termReviews }) => {
+  const builtIn = quizzes.find(quiz => quiz.id === quizId)
+  if (builtIn) return builtIn
+
+  const dailyReview = quizId.match(/^daily-review-(\w+)$/)
+  if (dailyReview && DAILY_REVIEW_GAME_TYPES.includes(dailyReview[1])) {
+    const dueTerms = getDueTerms(termReviews)
+    return dueTerms.length > 0 ? buildDailyReviewQuiz(dailyReview[1], dueTerms) : null
+  }
+
+  const custom = quizId.match(/^custom-(\w+)-(\w+)-(\w+)(?:\?(.*))?$/)
+  if (custom) {
+    const [, category, gameType, difficulty, query = ''] = custom
+    if (!GENERATOR_GAME_TYPES[category]?.includes(gameType)) return null
+
+    const params = new URLSearchParams(query)
+    const size = Number.parseInt(params.get('size'), 10)
+    return generateQuiz({
+      category,
+      gameType,
+      difficulty,
+      belt: params.get('belt') || undefined,
+      group: params.get('group') || undefined,
+      size: size > 0 ? size : undefined
+    })
+  }
+
+  const mockGrading = quizId.match(/^mock-grading-([\w-]+)$/)
+  if (mockGrading) return buildMockGrading(mockGrading[1])
+
+  return null
+}
@@ -0,0 +1,69 @@
+/**
+ * Service Worker Registration
+ *
+ * Registers the offline worker built from src/sw.js (production builds
+ * only; the dev server has no worker) and reports the two moments the UI
+ * cares about: the first time everything is cached for offline use, and
+ * when a newer version has downloaded and is waiting to take over.
+ *
+ * @typedef {Object} ServiceWorkerCallbacks
+ * @property {Function} [onOfflineReady] - Called once the first install has cached the app
+ * @property {Function} [onUpdateReady] - Called with the waiting ServiceWorker of a new version
+ */
+
+/** @type {number} How often an open tab checks for a new version (1 hour) */
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+/**
+ * Calls back when an installing worker finishes installing
+ * @param {ServiceWorker} worker - Installing worker
+ * @param {ServiceWorkerCallbacks} callbacks - Status callbacks
+ */
+const trackInstall = (worker, { onOfflineReady, onUpdateReady }) => {
+  worker.addEventListener('statechange', () => {
+    if (worker.state !== 'installed') return
+
+    // With a controller this is an update; without one it is the first install
+    if (navigator.serviceWorker.controller) {
+      onUpdateReady?.(worker)
+    } else {
+      onOfflineReady?.()
+    }
+  })
+}
+
+/**
+ * Registers the service worker and wires up update detection
+ * @param {ServiceWorkerCallbacks} [callbacks] - Status callbacks
+ */
+export const registerServiceWorker = (callbacks = {}) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js')
+
+      // A version may already be waiting from an earlier visit
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        callbacks.onUpdateReady?.(registration.waiting)
+      }
+
+      registration.addEventListener('updatefound', () => {
+        if (registration.installing) trackInstall(registration.installing, callbacks)
+      })
+
+      setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL)
+    } catch (error) {
+      console.warn('Service worker registration failed:', error)
+    }
+  })
+}
+
+/**
+ * Activates a waiting worker and reloads once it controls the page
+ * @param {ServiceWorker} worker - Waiting worker of the new version
+ */
+export const activateUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true })
+  worker.postMessage({ type: 'SKIP_WAITING' })
+}
@@ -0,0 +1,165 @@
+import { resolveTermId } from './srs'
+
+/**
+ * Session Log
+ *
+ * One record per completed game, kept in the progress store alongside the
+ * running totals, and the analytics the progress dashboard draws from it:
+ * score trend, accuracy by category and game type, weakest terms and a
+ * practice-time heatmap. Records keep only what the analytics need so the
+ * log stays small in localStorage.
+ *
+ * @typedef {Object} SessionRecord
+ * @property {string} id - Unique record id
+ * @property {number} completedAt - Timestamp (ms) the game finished
+ * @property {string|null} quizId - Quiz that was played
+ * @property {string} quizTitle - Quiz title at the time it was played
+ * @property {string} gameType - Game type id
+ * @property {string} category - Quiz category id
+ * @property {string|null} difficulty - Quiz difficulty
+ * @property {number} score - Points earned
+ * @property {number} totalPossiblePoints - Points available
+ * @property {number} accuracy - Percentage (0-100) answered correctly or completed
+ * @property {number} timeUsed - Seconds taken
+ * @property {boolean} perfectScore - Whether the game was perfect
+ * @property {Array<{termId: string, correct: boolean}>} items - Answers for known terms
+ *
+ * @typedef {Object} AccuracyGroup
+ * @property {string} key - Category or game type id
+ * @property {number} sessions - Games played
+ * @property {number} accuracy - Average accuracy percentage
+ *
+ * @typedef {Object} TermStats
+ * @property {string} termId - Terminology id
+ * @property {number} attempts - Times answered
+ * @property {number} correct - Times answered correctly
+ * @property {number} accuracy - Percentage answered correctly
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {number} Most records kept; the oldest are dropped beyond this */
+export const MAX_SESSION_RECORDS = 500
+
+/** @type {Array<string>} Weekday labels in Date#getDay order */
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// ===== RECORDING =====
+
+/**
+ * Works out a game's accuracy from whichever metrics the game reports
+ * @param {Object} results - Standardized game results
+ * @returns {number} Percentage from 0 to 100
+ */
+const getResultAccuracy = (results) => {
+  if (Number.isFinite(results.accuracy)) return results.accuracy
+  if (Number.isFinite(results.completionRate)) return results.completionRate
+  return results.totalPossiblePoints > 0 ? (results.score / results.totalPossiblePoints) * 100 : 0
+}
+
+/**
+ * Builds the log record for a completed game
+ * @param {Object} results - Standardized game results plus quiz metadata
+ * @param {number} [now] - Completion timestamp in ms
+ * @returns {SessionRecord} Session record
+ */
+export const createSessionRecord = (results, now = Date.now()) => ({
+  id: `${now}-${results.quizId || results.gameType}`,
+  completedAt: now,
+  quizId: results.quizId || null,
+  quizTitle: results.quizTitle || '',
+  gameType: results.gameType,
+  category: results.category,
+  difficulty: results.difficulty || null,
+  score: results.score || 0,
+  totalPossiblePoints: results.totalPossiblePoints || 0,
+  accuracy: Math.round(Math.min(Math.max(getResultAccuracy(results), 0), 100)),
+  timeUsed: results.timeUsed || 0,
+  perfectScore: Boolean(results.perfectScore),
+  items: (results.itemResults || [])
+    .map(item => ({ termId: resolveTermId(item), correct: Boolean(item.correct) }))
+    .filter(item => item.termId)
+})
+
+/**
+ * Adds a record to the log, oldest first, within the size limit
+ * @param {Array<SessionRecord>} log - Current log
+ * @param {SessionRecord} record - New record
+ * @returns {Array<SessionRecord>} Updated log
+ */
+export const appendSession = (log, record) => [...log, record].slice(-MAX_SESSION_RECORDS)
+
+// ===== ANALYTICS =====
+
+/**
+ * Score percentage of each game in order, for the trend chart
+ * @param {Array<SessionRecord>} log - Session log
+ * @returns {Array<{completedAt: number, percent: number, title: string}>} Trend points
+ */
+export const getScoreTrend = (log) =>
+  log.map(record => ({
+    completedAt: record.completedAt,
+    percent: record.totalPossiblePoints > 0
+      ? Math.round(Math.min(record.score / record.totalPossiblePoints, 1) * 100)
+      : record.accuracy,
+    title: record.quizTitle
+  }))
+
+/**
+ * Average accuracy grouped by a record field
+ * @param {Array<SessionRecord>} log - Session log
+ * @param {'category'|'gameType'|'difficulty'} field - Field to group by
+ * @returns {Array<AccuracyGroup>} Groups, most played first
+ */
+export const getAccuracyBy = (log, field) => {
+  const groups = {}
+  log.forEach(record => {
+    const key = record[field] || 'unknown'
+    groups[key] = groups[key] || { key, sessions: 0, total: 0 }
+    groups[key].sessions++
+    groups[key].total += record.accuracy
+  })
+
+  return Object.values(groups)
+    .map(({ key, sessions, total }) => ({ key, sessions, accuracy: Math.round(total / sessions) }))
+    .sort((a, b) => b.sessions - a.sessions)
+}
+
+/**
+ * Terms answered wrong most often
+ * @param {Array<SessionRecord>} log - Session log
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=10] - Maximum terms returned
+ * @param {number} [options.minAttempts=2] - Attempts needed before a term is judged
+ * @returns {Array<TermStats>} Terms, lowest accuracy first
+ */
+export const getWeakestTerms = (log, { limit = 10, minAttempts = 2 } = {}) => {
+  const stats = {}
+  log.forEach(record => {
+    record.items.forEach(({ termId, correct }) => {
+      stats[termId] = stats[termId] || { termId, attempts: 0, correct: 0 }
+      stats[termId].attempts++
+      if (correct) stats[termId].correct++
+    })
+  })
+
+  return Object.values(stats)
+    .filter(term => term.attempts >= minAttempts && term.correct < term.attempts)
+    .map(term => ({ ...term, accuracy: Math.round((term.correct / term.attempts) * 100) }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts)
+    .slice(0, limit)
+}
+
+/**
+ * Games played by weekday and hour of day, in local time
+ * @param {Array<SessionRecord>} log - Session log
+ * @returns {Array<Array<number>>} 7 rows (Sunday first) of 24 hourly counts
+ */
+export const getPracticeHeatmap = (log) => {
+  const grid = WEEKDAY_LABELS.map(() => Array(24).fill(0))
+  log.forEach(record => {
+    const date = new Date(record.completedAt)
+    grid[date.getDay()][date.getHours()]++
+  })
+  return grid
+}
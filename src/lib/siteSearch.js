@@ -0,0 +1,221 @@
+import patternData from '../data/patterns/Patterns.json'
+import historyData from '../data/history/HistoryTimeline.json'
+import categoriesData from '../data/quiz/QuizCategories.json'
+import mcqData from '../data/quiz/MCQData.json'
+import wordSearchData from '../data/quiz/WordSearchData.json'
+import translationData from '../data/quiz/TranslationData.json'
+import crosswordData from '../data/quiz/CrosswordData.json'
+import flashcardData from '../data/quiz/FlashCardData.json'
+import matchingData from '../data/quiz/MatchingData.json'
+import listeningData from '../data/quiz/ListeningData.json'
+import { TECHNIQUE_ENTITIES, TERM_ENTITIES } from './entityLinks'
+import { scoreQuery, tokenize } from './koreanSearch'
+import { getQuizPath } from './quizLinks'
+
+/**
+ * Site Search
+ *
+ * One index over everything in the guide: terminology, patterns (with
+ * their movements), techniques from every category, history timeline
+ * events and the built-in quizzes. Results are scored per field with the
+ * Korean-aware matcher (see koreanSearch.js), so a match on a title ranks
+ * above a match buried in a description.
+ *
+ * @typedef {Object} SearchField
+ * @property {string} text - Searchable text
+ * @property {number} weight - How much a match in this field counts
+ *
+ * @typedef {Object} SearchTarget
+ * @property {string} path - Deep link to the item's page
+ * @property {Object} [state] - Router state telling the page which item to show
+ *
+ * @typedef {Object} SearchDocument
+ * @property {string} type - Result type id (see SEARCH_TYPES)
+ * @property {string} id - Unique id within the type
+ * @property {string} title - Result heading
+ * @property {string} subtitle - Secondary line
+ * @property {Array<SearchField>} fields - Fields that are matched against
+ * @property {SearchTarget} target - Where the result leads
+ *
+ * @typedef {Object} SearchResult
+ * @property {SearchDocument} document - Matching document
+ * @property {number} score - Relevance, higher is better
+ *
+ * @typedef {Object} SearchGroup
+ * @property {string} type - Result type id
+ * @property {string} label - Group heading
+ * @property {Array<SearchResult>} results - Results, best first
+ */
+
+// ===== CONSTANTS =====
+
+/**
+ * Result types in their default display order
+ * @type {Array<{id: string, label: string}>}
+ */
+export const SEARCH_TYPES = [
+  { id: 'term', label: 'Terminology' },
+  { id: 'pattern', label: 'Patterns' },
+  { id: 'technique', label: 'Techniques' },
+  { id: 'history', label: 'History' },
+  { id: 'quiz', label: 'Quizzes' }
+]
+
+/** @type {number} Field weight for names and titles */
+const WEIGHT_TITLE = 10
+
+/** @type {number} Field weight for alternative names (Korean, romanized) */
+const WEIGHT_NAME = 8
+
+/** @type {number} Field weight for short labels (category, belt, year) */
+const WEIGHT_LABEL = 4
+
+/** @type {number} Field weight for descriptions and body text */
+const WEIGHT_BODY = 1
+
+// ===== INDEX =====
+
+/**
+ * Looks up a quiz category's display name
+ * @param {string} categoryId - Quiz category id
+ * @returns {string} Category name
+ */
+const getQuizCategoryName = (categoryId) =>
+  categoriesData.quizCategories.find(category => category.id === categoryId)?.name || categoryId
+
+/**
+ * Builds every searchable document
+ * @returns {Array<SearchDocument>} Search index
+ */
+const buildIndex = () => [
+  ...TERM_ENTITIES.map(entity => ({
+    type: 'term',
+    id: entity.id,
+    title: entity.term.englishName,
+    subtitle: `${entity.term.romanized} · ${entity.term.koreanName}`,
+    fields: [
+      { text: entity.term.englishName, weight: WEIGHT_TITLE },
+      { text: entity.term.romanized, weight: WEIGHT_NAME },
+      { text: entity.term.koreanName, weight: WEIGHT_NAME },
+      { text: entity.term.category, weight: WEIGHT_LABEL },
+      { text: entity.term.meaning, weight: WEIGHT_BODY }
+    ],
+    target: { path: `/terminology/${entity.id}` }
+  })),
+
+  ...patternData.patterns.map(pattern => ({
+    type: 'pattern',
+    id: pattern.id,
+    title: pattern.name,
+    subtitle: `${pattern.moveCount} movements · ${pattern.beltColor}`,
+    fields: [
+      { text: pattern.name, weight: WEIGHT_TITLE },
+      { text: pattern.beltColor, weight: WEIGHT_LABEL },
+      { text: pattern.meaning, weight: WEIGHT_BODY },
+      ...(pattern.movements || []).map(movement => ({
+        text: [movement.description, movement.koreanName].filter(Boolean).join(' '),
+        weight: WEIGHT_BODY
+      }))
+    ],
+    target: { path: `/patterns/${pattern.id}` }
+  })),
+
+  ...TECHNIQUE_ENTITIES.map(entity => ({
+    type: 'technique',
+    id: entity.id,
+    title: entity.technique.english,
+    subtitle: `${entity.technique.korean} · ${entity.categoryName}`,
+    fields: [
+      { text: entity.technique.english, weight: WEIGHT_TITLE },
+      { text: entity.technique.korean, weight: WEIGHT_NAME },
+      { text: entity.categoryName, weight: WEIGHT_LABEL },
+      { text: entity.technique.description, weight: WEIGHT_BODY }
+    ],
+    target: { path: `/techniques/${entity.categoryId}/${entity.slug}` }
+  })),
+
+  ...historyData.timeline.map(event => ({
+    type: 'history',
+    id: event.id,
+    title: event.title,
+    subtitle: event.date,
+    fields: [
+      { text: event.title, weight: WEIGHT_TITLE },
+      { text: event.year, weight: WEIGHT_LABEL },
+      { text: event.description, weight: WEIGHT_BODY },
+      { text: event.detailed?.background || '', weight: WEIGHT_BODY },
+      { text: (event.detailed?.keyFigures || []).join(' '), weight: WEIGHT_BODY }
+    ],
+    target: { path: `/history#history-${event.id}`, state: { eventId: event.id } }
+  })),
+
+  ...[
+    ...mcqData.quizzes,
+    ...wordSearchData.quizzes,
+    ...translationData.quizzes,
+    ...crosswordData.quizzes,
+    ...flashcardData.quizzes,
+    ...matchingData.quizzes,
+    ...listeningData.quizzes
+  ].map(quiz => ({
+    type: 'quiz',
+    id: quiz.id,
+    title: quiz.title,
+    subtitle: `${getQuizCategoryName(quiz.category)} · ${quiz.difficulty}`,
+    fields: [
+      { text: quiz.title, weight: WEIGHT_TITLE },
+      { text: getQuizCategoryName(quiz.category), weight: WEIGHT_LABEL },
+      { text: quiz.description, weight: WEIGHT_BODY }
+    ],
+    target: { path: getQuizPath(quiz.id) }
+  }))
+]
+
+/** @type {Array<SearchDocument>|null} Index, built on first search */
+let searchIndex = null
+
+// ===== SCORING =====
+
+/**
+ * Scores a document against a query with the Korean-aware matcher, plus a
+ * bonus when the title starts with what was typed
+ * @param {SearchDocument} document - Document to score
+ * @param {string} query - What the user typed
+ * @returns {number} Score, 0 when the document does not match
+ */
+const scoreDocument = (document, query) => {
+  const score = scoreQuery(query, document.fields)
+  if (score === 0) return 0
+
+  const title = tokenize(document.title).join(' ')
+  return title.startsWith(tokenize(query).join(' ')) ? score + WEIGHT_TITLE : score
+}
+
+// ===== SEARCH =====
+
+/**
+ * Searches the whole site
+ * @param {string} query - What the user typed
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limitPerType=5] - Maximum results shown per group
+ * @returns {Array<SearchGroup>} Non-empty groups, best-matching group first
+ */
+export const searchSite = (query, { limitPerType = 5 } = {}) => {
+  if (tokenize(query).length === 0) return []
+
+  if (!searchIndex) searchIndex = buildIndex()
+
+  const scored = searchIndex
+    .map(document => ({ document, score: scoreDocument(document, query) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+
+  return SEARCH_TYPES
+    .map(type => ({
+      type: type.id,
+      label: type.label,
+      results: scored.filter(result => result.document.type === type.id).slice(0, limitPerType)
+    }))
+    .filter(group => group.results.length > 0)
+    .sort((a, b) => b.results[0].score - a.results[0].score)
+}
@@ -0,0 +1,182 @@
+import terminologyData from '../data/terminology/TerminologyData.json'
+import { buildQuizBody, termToItem } from './quizGenerator'
+
+/**
+ * Spaced Repetition Scheduler
+ *
+ * SM-2 based review scheduling for terminology. Each term id from
+ * TerminologyData.json gets a review record that tracks how well it is
+ * known and when it should next be reviewed.
+ *
+ * @typedef {Object} ReviewRecord
+ * @property {number} repetitions - Consecutive successful reviews
+ * @property {number} interval - Current review interval in days
+ * @property {number} easeFactor - SM-2 ease factor (minimum 1.3)
+ * @property {number} dueDate - Timestamp (ms) when the term is next due
+ * @property {number} lastReviewed - Timestamp (ms) of the last review
+ * @property {number} correct - Lifetime correct answers
+ * @property {number} incorrect - Lifetime incorrect answers
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {number} Milliseconds in one day */
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/** @type {number} Lowest ease factor SM-2 allows */
+const MIN_EASE_FACTOR = 1.3
+
+/** @type {number} SM-2 quality grade recorded for a correct answer */
+export const QUALITY_CORRECT = 4
+
+/** @type {number} SM-2 quality grade recorded for an incorrect answer */
+export const QUALITY_INCORRECT = 1
+
+/** @type {number} Maximum number of never-reviewed terms introduced per session */
+export const NEW_TERMS_PER_SESSION = 10
+
+// ===== SCHEDULING =====
+
+/**
+ * Creates a review record for a term that has never been reviewed
+ * @returns {ReviewRecord} Fresh review record, due immediately
+ */
+export const createReviewRecord = () => ({
+  repetitions: 0,
+  interval: 0,
+  easeFactor: 2.5,
+  dueDate: 0,
+  lastReviewed: 0,
+  correct: 0,
+  incorrect: 0
+})
+
+/**
+ * Applies one SM-2 review to a record
+ * @param {ReviewRecord|undefined} record - Existing record (a fresh one is used when missing)
+ * @param {number} quality - Recall quality from 0 (blackout) to 5 (perfect)
+ * @param {number} [now] - Review timestamp in ms
+ * @returns {ReviewRecord} Updated review record
+ */
+export const scheduleReview = (record, quality, now = Date.now()) => {
+  const current = { ...createReviewRecord(), ...record }
+  const passed = quality >= 3
+
+  let repetitions = 0
+  let interval = 1
+
+  if (passed) {
+    repetitions = current.repetitions + 1
+    if (repetitions === 1) interval = 1
+    else if (repetitions === 2) interval = 6
+    else interval = Math.round(current.interval * current.easeFactor)
+  }
+
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    current.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  )
+
+  return {
+    repetitions,
+    interval,
+    easeFactor,
+    dueDate: now + interval * DAY_MS,
+    lastReviewed: now,
+    correct: current.correct + (passed ? 1 : 0),
+    incorrect: current.incorrect + (passed ? 0 : 1)
+  }
+}
+
+/**
+ * Checks whether a term is due for review
+ * @param {ReviewRecord|undefined} record - Review record, missing for unseen terms
+ * @param {number} [now] - Current timestamp in ms
+ * @returns {boolean} Whether the term should be reviewed now
+ */
+export const isDue = (record, now = Date.now()) => !record || record.dueDate <= now
+
+/**
+ * Picks the terms due for review, most overdue first, followed by a
+ * limited number of never-reviewed terms
+ * @param {Object<string, ReviewRecord>} reviews - Review records keyed by term id
+ * @param {number} [now] - Current timestamp in ms
+ * @param {number} [newLimit] - Maximum number of unseen terms to include
+ * @returns {Array<Object>} Due term objects from TerminologyData.json
+ */
+export const getDueTerms = (reviews, now = Date.now(), newLimit = NEW_TERMS_PER_SESSION) => {
+  const seen = terminologyData.terms
+    .filter(term => reviews[term.id] && isDue(reviews[term.id], now))
+    .sort((a, b) => reviews[a.id].dueDate - reviews[b.id].dueDate)
+
+  const unseen = terminologyData.terms
+    .filter(term => !reviews[term.id])
+    .slice(0, newLimit)
+
+  return [...seen, ...unseen]
+}
+
+// ===== TERM RESOLUTION =====
+
+/**
+ * Normalizes text for loose term matching
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase text with separators removed
+ */
+const normalizeTermText = (text = '') => text.toLowerCase().replace(/[\s\-_']/g, '')
+
+/**
+ * Resolves the terminology id for a quiz item. Items built from the
+ * dictionary carry a termId; hand-written quiz items are matched on their
+ * Korean text or romanization.
+ * @param {Object} item - Quiz item (question, card or pair)
+ * @returns {string|null} Term id or null when the item is not a known term
+ */
+export const resolveTermId = (item) => {
+  if (!item) return null
+  if (item.termId) return item.termId
+
+  const korean = item.korean || item.back
+  const romanized = normalizeTermText(item.romanized)
+
+  const term = terminologyData.terms.find(t =>
+    (korean && t.koreanName === korean) ||
+    (romanized && normalizeTermText(t.romanized) === romanized)
+  )
+
+  return term ? term.id : null
+}
+
+// ===== DAILY REVIEW QUIZ =====
+
+/**
+ * Game types the daily review can be played in
+ * @type {Array<string>}
+ */
+export const DAILY_REVIEW_GAME_TYPES = ['flashcards', 'mcq', 'translation', 'listening']
+
+/**
+ * Builds a Daily Review quiz containing only the given due terms
+ * @param {string} gameType - One of DAILY_REVIEW_GAME_TYPES
+ * @param {Array<Object>} terms - Due terms from getDueTerms
+ * @returns {Object} Quiz object playable by QuizGame
+ */
+export const buildDailyReviewQuiz = (gameType, terms) => {
+  const baseQuiz = {
+    id: `daily-review-${gameType}`,
+    title: 'Daily Review',
+    category: 'terminology',
+    difficulty: 'mixed',
+    gameType,
+    description: `${terms.length} terms due for review today`,
+    timeLimit: terms.length * (gameType === 'translation' ? 30 : 20),
+    points: terms.length * 10
+  }
+
+  return {
+    ...baseQuiz,
+    ...buildQuizBody(gameType, terms.map(termToItem), {
+      pool: terminologyData.terms.map(termToItem)
+    })
+  }
+}
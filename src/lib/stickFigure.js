@@ -0,0 +1,313 @@
+/**
+ * Stick Figure Poses
+ *
+ * Joint-angle model behind the technique illustrations. A technique lists
+ * keyframes (usually start, chamber and end) of joint angles. Joints a
+ * keyframe gives itself are used as they are; the "legs" and "arms"
+ * presets are shorthand that fills in the joints it leaves out, so a
+ * technique can start from a common position and adjust single joints.
+ * Every joint must come from one or the other. Poses are turned into
+ * joint positions for a side-on figure facing right, and interpolated to
+ * animate from one keyframe to the next.
+ *
+ * Angles are in degrees, measured from the limb hanging straight down,
+ * positive towards the front (the way the figure faces). The torso is
+ * measured from upright, positive leaning forward; arms turn with it.
+ * Elbows add to the upper arm angle (positive folds the forearm forward
+ * and up); knees subtract from the thigh angle (positive folds the shin
+ * back). The front limbs are the ones nearer the viewer.
+ *
+ * The module has no JSON imports, so techniqueValidator can check
+ * keyframes during the build; unknown presets and missing joints fail it.
+ *
+ * @typedef {[number, number]} LimbAngles - [shoulder or hip, elbow or knee]
+ *
+ * @typedef {Object} Pose
+ * @property {number} torso - Forward lean of the torso
+ * @property {LimbAngles} frontArm - Lead arm
+ * @property {LimbAngles} backArm - Rear arm
+ * @property {LimbAngles} frontLeg - Lead (or kicking) leg
+ * @property {LimbAngles} backLeg - Rear (or supporting) leg
+ *
+ * @typedef {Object} Keyframe
+ * @property {string} label - Caption (e.g. "Chamber")
+ * @property {number} [torso] - Forward lean, 0 when neither given nor set by the leg preset
+ * @property {LimbAngles} [frontArm] - Lead arm, required without an arm preset
+ * @property {LimbAngles} [backArm] - Rear arm, required without an arm preset
+ * @property {LimbAngles} [frontLeg] - Lead leg, required without a leg preset
+ * @property {LimbAngles} [backLeg] - Rear leg, required without a leg preset
+ * @property {string} [legs] - Leg preset from POSE_PRESETS.legs for the leg joints not given
+ * @property {string} [arms] - Arm preset from POSE_PRESETS.arms for the arm joints not given
+ *
+ * @typedef {{x: number, y: number}} Point
+ *
+ * @typedef {Object} FigureJoints
+ * @property {Point} hip - Hip
+ * @property {Point} shoulder - Top of the torso
+ * @property {Point} head - Centre of the head
+ * @property {Object<string, Array<Point>>} limbs - Points along each limb, root first (legs end at the toes)
+ */
+
+// ===== CONSTANTS =====
+
+/**
+ * Segment lengths and figure placement in SVG units
+ * @type {Object<string, number>}
+ */
+export const FIGURE_DIMENSIONS = {
+  width: 200,
+  height: 190,
+  groundY: 180,
+  hipX: 100,
+  torso: 50,
+  neck: 6,
+  headRadius: 9,
+  upperArm: 28,
+  forearm: 26,
+  thigh: 40,
+  shin: 40,
+  foot: 11
+}
+
+/** @type {number} Ankles this close to the ground are drawn with a flat foot */
+const GROUND_TOLERANCE = 4
+
+/** @type {Array<string>} Limb keys of a pose */
+export const LIMBS = ['frontArm', 'backArm', 'frontLeg', 'backLeg']
+
+/**
+ * Named leg and arm positions that keyframes can use for the joints they
+ * do not give. Leg presets cover the stances and kicks, arm presets the
+ * hand techniques and guards.
+ * @type {{legs: Object<string, {frontLeg: LimbAngles, backLeg: LimbAngles, torso?: number}>, arms: Object<string, {frontArm: LimbAngles, backArm: LimbAngles}>}}
+ */
+export const POSE_PRESETS = {
+  legs: {
+    'attention': { frontLeg: [0, 0], backLeg: [0, 0] },
+    'parallel': { frontLeg: [4, 0], backLeg: [-4, 0] },
+    'sitting': { frontLeg: [38, 60], backLeg: [30, 62] },
+    'walking': { frontLeg: [35, 11], backLeg: [-30, 0] },
+    'l-stance': { frontLeg: [24, 6], backLeg: [2, 32] },
+    'fixed': { frontLeg: [24, 16], backLeg: [-14, 7] },
+    'rear-foot': { frontLeg: [26, 40], backLeg: [4, 33] },
+    'low': { frontLeg: [45, 15], backLeg: [-38, 0] },
+    'x-stance': { frontLeg: [24, 52], backLeg: [14, 48] },
+    'vertical': { frontLeg: [12, 0], backLeg: [-12, 0] },
+    'bending': { frontLeg: [70, 110], backLeg: [0, 6] },
+    'step': { frontLeg: [14, 30], backLeg: [-10, 9] },
+    'kick-chamber': { frontLeg: [95, 120], backLeg: [0, 8] },
+    'front-kick': { frontLeg: [90, 10], backLeg: [0, 8], torso: -8 },
+    'side-chamber': { frontLeg: [85, 130], backLeg: [2, 10], torso: -12 },
+    'side-kick': { frontLeg: [88, 0], backLeg: [8, 6], torso: -38 },
+    'turning-chamber': { frontLeg: [85, 115], backLeg: [4, 10], torso: -10 },
+    'turning-kick': { frontLeg: [92, 0], backLeg: [8, 6], torso: -24 },
+    'back-chamber': { frontLeg: [-20, 110], backLeg: [0, 10], torso: 20 },
+    'back-kick': { frontLeg: [-85, 0], backLeg: [-4, 10], torso: 45 },
+    'hook-kick': { frontLeg: [95, 75], backLeg: [8, 6], torso: -25 },
+    'high-raise': { frontLeg: [150, 0], backLeg: [0, 6], torso: -10 },
+    'downward-kick': { frontLeg: [70, 0], backLeg: [0, 6], torso: -5 },
+    'low-kick': { frontLeg: [45, 6], backLeg: [0, 10] }
+  },
+  arms: {
+    'sides': { frontArm: [6, 6], backArm: [-6, 6] },
+    'ready': { frontArm: [22, 40], backArm: [16, 46] },
+    'guard': { frontArm: [40, 90], backArm: [18, 110] },
+    'chamber': { frontArm: [-15, 90], backArm: [-15, 90] },
+    'punch': { frontArm: [88, 0], backArm: [-15, 90] },
+    'punch-high': { frontArm: [108, 0], backArm: [-15, 90] },
+    'twin-punch': { frontArm: [85, 0], backArm: [95, 0] },
+    'upset-punch': { frontArm: [20, 70], backArm: [25, 65] },
+    'cross-chamber': { frontArm: [95, 150], backArm: [80, 0] },
+    'low-block': { frontArm: [40, 0], backArm: [-15, 90] },
+    'middle-block': { frontArm: [55, 80], backArm: [-15, 90] },
+    'side-block': { frontArm: [70, 70], backArm: [-15, 90] },
+    'rising-block': { frontArm: [150, 30], backArm: [-15, 90] },
+    'guarding-block': { frontArm: [70, 65], backArm: [45, 120] },
+    'twin-block': { frontArm: [120, 50], backArm: [65, 85] },
+    'x-low': { frontArm: [38, 4], backArm: [42, 0] },
+    'x-high': { frontArm: [150, 20], backArm: [145, 28] },
+    'pressing': { frontArm: [45, 50], backArm: [-15, 90] },
+    'pushing': { frontArm: [85, 15], backArm: [70, 35] },
+    'hooking': { frontArm: [80, 60], backArm: [-15, 90] },
+    'u-shape': { frontArm: [100, 20], backArm: [55, 25] },
+    'w-shape': { frontArm: [110, 100], backArm: [100, 110] },
+    'knife-chamber': { frontArm: [150, 110], backArm: [85, 0] },
+    'knife-strike': { frontArm: [90, 4], backArm: [-15, 90] },
+    'inward-chamber': { frontArm: [145, 75], backArm: [85, 10] },
+    'back-fist': { frontArm: [105, 20], backArm: [-15, 90] },
+    'elbow-chamber': { frontArm: [20, 110], backArm: [-15, 90] },
+    'front-elbow': { frontArm: [85, 160], backArm: [-15, 90] },
+    'upper-elbow': { frontArm: [150, 170], backArm: [-15, 90] },
+    'side-elbow': { frontArm: [-80, 150], backArm: [60, 100] },
+    'twin-side-elbow': { frontArm: [-80, 150], backArm: [-85, 145] },
+    'downward-strike': { frontArm: [60, 20], backArm: [-15, 90] },
+    'fingertip': { frontArm: [88, 0], backArm: [45, 110] },
+    'fingertip-low': { frontArm: [60, 4], backArm: [45, 110] }
+  }
+}
+
+/**
+ * Pose shown when a technique has no keyframes
+ * @type {Array<Keyframe>}
+ */
+export const DEFAULT_KEYFRAMES = [{ label: 'Ready', legs: 'parallel', arms: 'ready' }]
+
+// ===== POSES =====
+
+/**
+ * Looks up a preset, warning about names that do not exist
+ * @param {'legs'|'arms'} group - Preset group
+ * @param {string} [name] - Preset name from the keyframe
+ * @returns {Object} Preset joints, empty when no preset is named or it is unknown
+ */
+const getPreset = (group, name) => {
+  if (!name) return {}
+  if (!POSE_PRESETS[group][name]) {
+    console.warn(`Unknown ${group} preset "${name}" in technique keyframe`)
+    return {}
+  }
+  return POSE_PRESETS[group][name]
+}
+
+/**
+ * Builds the full pose of a keyframe: its own joint angles first, then
+ * its presets. Joints missing from both (only possible in data that
+ * failed validation) stand in the ready position.
+ * @param {Keyframe} keyframe - Keyframe to resolve
+ * @returns {Pose} Pose with every joint set
+ */
+export const resolvePose = (keyframe) => {
+  const legs = getPreset('legs', keyframe.legs)
+  const arms = getPreset('arms', keyframe.arms)
+
+  return {
+    torso: keyframe.torso ?? legs.torso ?? 0,
+    frontArm: keyframe.frontArm || arms.frontArm || POSE_PRESETS.arms.ready.frontArm,
+    backArm: keyframe.backArm || arms.backArm || POSE_PRESETS.arms.ready.backArm,
+    frontLeg: keyframe.frontLeg || legs.frontLeg || POSE_PRESETS.legs.parallel.frontLeg,
+    backLeg: keyframe.backLeg || legs.backLeg || POSE_PRESETS.legs.parallel.backLeg
+  }
+}
+
+/**
+ * Blends two poses joint by joint
+ * @param {Pose} from - Pose at t = 0
+ * @param {Pose} to - Pose at t = 1
+ * @param {number} t - Blend amount, 0-1
+ * @returns {Pose} Blended pose
+ */
+export const interpolatePose = (from, to, t) => {
+  const mix = (a, b) => a + (b - a) * t
+  return {
+    torso: mix(from.torso, to.torso),
+    ...Object.fromEntries(LIMBS.map(limb => [limb, [mix(from[limb][0], to[limb][0]), mix(from[limb][1], to[limb][1])]]))
+  }
+}
+
+// ===== GEOMETRY =====
+
+/**
+ * Moves a point along an angle
+ * @param {Point} point - Start point
+ * @param {number} angle - Degrees from straight down, positive forward
+ * @param {number} length - Distance
+ * @returns {Point} End point
+ */
+const extend = (point, angle, length) => {
+  const radians = angle * Math.PI / 180
+  return { x: point.x + Math.sin(radians) * length, y: point.y + Math.cos(radians) * length }
+}
+
+/**
+ * Works out where every joint of a pose sits, with the lowest foot on
+ * the ground line
+ * @param {Pose} pose - Pose to place
+ * @returns {FigureJoints} Joint positions in SVG units
+ */
+export const getFigureJoints = (pose) => {
+  const d = FIGURE_DIMENSIONS
+  const hip = { x: d.hipX, y: 0 }
+
+  // The torso points up, so its angle is measured from 180 (straight up)
+  const shoulder = extend(hip, 180 - pose.torso, d.torso)
+  const head = extend(shoulder, 180 - pose.torso, d.neck + d.headRadius)
+
+  const arm = ([shoulderAngle, elbowAngle]) => {
+    const upper = shoulderAngle + pose.torso
+    const elbow = extend(shoulder, upper, d.upperArm)
+    return [shoulder, elbow, extend(elbow, upper + elbowAngle, d.forearm)]
+  }
+  const leg = ([hipAngle, kneeAngle]) => {
+    const knee = extend(hip, hipAngle, d.thigh)
+    const shinAngle = hipAngle - kneeAngle
+    return { points: [hip, knee, extend(knee, shinAngle, d.shin)], shinAngle }
+  }
+
+  const frontLeg = leg(pose.frontLeg)
+  const backLeg = leg(pose.backLeg)
+  const groundOffset = d.groundY - Math.max(frontLeg.points[2].y, backLeg.points[2].y)
+
+  // Planted feet lie flat and point forward; raised feet follow the shin
+  const withFoot = ({ points, shinAngle }) => {
+    const ankle = points[2]
+    const planted = groundOffset + ankle.y >= d.groundY - GROUND_TOLERANCE
+    return [...points, planted
+      ? { x: ankle.x + d.foot, y: ankle.y }
+      : extend(ankle, shinAngle + 90, d.foot)]
+  }
+
+  const shift = point => ({ x: point.x, y: point.y + groundOffset })
+  return {
+    hip: shift(hip),
+    shoulder: shift(shoulder),
+    head: shift(head),
+    limbs: {
+      frontArm: arm(pose.frontArm).map(shift),
+      backArm: arm(pose.backArm).map(shift),
+      frontLeg: withFoot(frontLeg).map(shift),
+      backLeg: withFoot(backLeg).map(shift)
+    }
+  }
+}
+
+// ===== VALIDATION =====
+
+/**
+ * Checks for a usable joint angle
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a number from -180 to 180
+ */
+const isAngle = (value) => Number.isFinite(value) && value >= -180 && value <= 180
+
+/**
+ * Checks a technique's keyframes: presets must exist, angles must be
+ * numbers within a full turn and every joint must be set by the keyframe
+ * or one of its presets
+ * @param {Array<Keyframe>} keyframes - Keyframes to check
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+export const validateKeyframes = (keyframes) => {
+  if (!Array.isArray(keyframes) || keyframes.length === 0) return ['"keyframes" must be a non-empty list']
+
+  return keyframes.flatMap((keyframe, index) => {
+    const where = `keyframe ${index + 1}`
+    const problems = []
+    if (typeof keyframe.label !== 'string' || !keyframe.label) problems.push(`${where}: missing "label"`)
+    if (keyframe.legs && !POSE_PRESETS.legs[keyframe.legs]) problems.push(`${where}: unknown leg preset "${keyframe.legs}"`)
+    if (keyframe.arms && !POSE_PRESETS.arms[keyframe.arms]) problems.push(`${where}: unknown arm preset "${keyframe.arms}"`)
+    if (keyframe.torso !== undefined && !isAngle(keyframe.torso)) problems.push(`${where}: "torso" must be an angle from -180 to 180`)
+    LIMBS.forEach(limb => {
+      const angles = keyframe[limb]
+      if (angles !== undefined && !(Array.isArray(angles) && angles.length === 2 && angles.every(isAngle))) {
+        problems.push(`${where}: "${limb}" must be two angles from -180 to 180`)
+      }
+    })
+    if (!keyframe.legs && !(keyframe.frontLeg && keyframe.backLeg)) {
+      problems.push(`${where}: needs a "legs" preset or both "frontLeg" and "backLeg" angles`)
+    }
+    if (!keyframe.arms && !(keyframe.frontArm && keyframe.backArm)) {
+      problems.push(`${where}: needs an "arms" preset or both "frontArm" and "backArm" angles`)
+    }
+    return problems
+  })
+}
@@ -0,0 +1,106 @@
+import terminologyData from '../data/terminology/TerminologyData.json'
+import patternData from '../data/patterns/Patterns.json'
+import { TECHNIQUE_CATEGORIES } from './techniques'
+import { BELT_LEVELS, getBeltIndex } from './belts'
+
+/**
+ * Grading Syllabus
+ *
+ * Aggregates the patterns, techniques and terminology a student works on
+ * while wearing a belt. The data files label content with the belt it is
+ * learnt at (Chon-Ji is "White with Yellow Stripe", 9th Kup), which is
+ * exactly what a student at that grade must show at their next grading.
+ *
+ * @typedef {Object} SyllabusItem
+ * @property {string} key - Stable checklist key (e.g. "pattern:chon-ji")
+ * @property {string} title - Main label
+ * @property {string} [subtitle] - Secondary label (English name or meaning)
+ * @property {string} [detail] - Extra information such as move count
+ *
+ * @typedef {Object} SyllabusSection
+ * @property {string} id - Section id
+ * @property {string} name - Section heading
+ * @property {Array<SyllabusItem>} items - Checklist items
+ */
+
+/**
+ * Coloured belt grades a student can hold before a kup grading
+ * @type {Array<import('./belts').BeltLevel>}
+ */
+export const KUP_GRADES = BELT_LEVELS.slice(0, -1)
+
+/**
+ * Builds a checklist key from a slug-able label
+ * @param {string} text - Label text
+ * @returns {string} Lowercase dash-separated slug
+ */
+const slugify = (text = '') => text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+/**
+ * Builds the syllabus for a student's current belt
+ * @param {string} beltId - Id of the belt currently held
+ * @returns {{belt: Object, nextBelt: Object, sections: Array<SyllabusSection>}|null}
+ *   Syllabus grouped into sections, or null when the belt is not a kup grade
+ */
+export const buildSyllabus = (beltId) => {
+  const beltIndex = getBeltIndex(beltId)
+  if (beltIndex < 0 || beltIndex >= KUP_GRADES.length) return null
+
+  const isCurrentBelt = (label) => getBeltIndex(label) === beltIndex
+
+  const patterns = patternData.patterns
+    .filter(pattern => isCurrentBelt(pattern.beltColor))
+    .map(pattern => ({
+      key: `pattern:${pattern.id}`,
+      title: pattern.name,
+      subtitle: pattern.meaning,
+      detail: `${pattern.moveCount} movements`
+    }))
+
+  const techniqueSections = TECHNIQUE_CATEGORIES.map(category => ({
+    id: category.id,
+    name: category.name,
+    items: category.data.beltLevels
+      .filter(level => isCurrentBelt(level.belt))
+      .flatMap(level => level.techniques)
+      .map(technique => ({
+        key: `technique:${category.id}:${slugify(technique.english)}`,
+        title: technique.korean.trim(),
+        subtitle: technique.english,
+        detail: technique.description
+      }))
+  }))
+
+  const terms = terminologyData.terms
+    .filter(term => isCurrentBelt(term.beltLearnt))
+    .map(term => ({
+      key: `term:${term.id}`,
+      title: term.romanized,
+      subtitle: term.englishName,
+      detail: term.koreanName
+    }))
+
+  return {
+    belt: BELT_LEVELS[beltIndex],
+    nextBelt: BELT_LEVELS[beltIndex + 1],
+    sections: [
+      { id: 'patterns', name: 'Patterns', items: patterns },
+      ...techniqueSections,
+      { id: 'terminology', name: 'Terminology', items: terms }
+    ].filter(section => section.items.length > 0)
+  }
+}
+
+/**
+ * Counts checked items in a set of syllabus sections
+ * @param {Array<SyllabusSection>} sections - Syllabus sections
+ * @param {Object<string, boolean>} checklist - Checked state keyed by item key
+ * @returns {{done: number, total: number}} Checked and total item counts
+ */
+export const getSyllabusProgress = (sections, checklist) => {
+  const items = sections.flatMap(section => section.items)
+  return {
+    done: items.filter(item => checklist[item.key]).length,
+    total: items.length
+  }
+}
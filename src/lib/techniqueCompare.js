@@ -0,0 +1,157 @@
+import { getTechniqueEntity } from './entityLinks'
+
+/**
+ * Technique Comparison
+ *
+ * Lines up two to four techniques side by side and marks what differs:
+ * words in a step or application that the other techniques do not use,
+ * and common mistakes that only one technique lists. Steps are aligned
+ * by position, so step 2 of each technique sits in the same row.
+ *
+ * @typedef {Object} TextPart
+ * @property {string} text - Word or the spacing and punctuation between words
+ * @property {boolean} different - Whether the word is missing from another technique's text
+ *
+ * @typedef {Object} ListItemComparison
+ * @property {string} text - List item
+ * @property {boolean} shared - Whether every other technique lists something similar
+ */
+
+// ===== CONSTANTS =====
+
+/** @type {number} Fewest techniques worth comparing */
+export const MIN_COMPARE = 2
+
+/** @type {number} Most techniques that fit side by side */
+export const MAX_COMPARE = 4
+
+/**
+ * Techniques students often mix up, offered as one-click comparisons
+ * @type {Array<{title: string, ids: Array<string>}>}
+ */
+export const COMPARE_SUGGESTIONS = [
+  { title: 'Inward vs outward knife-hand strike', ids: ['strikes/inward-knife-hand-strike', 'strikes/outward-knife-hand-strike'] },
+  { title: 'Front snap vs side front snap kick', ids: ['kicks/front-snap-kick', 'kicks/side-front-snap-kick'] },
+  { title: 'Side piercing vs side pushing kick', ids: ['kicks/side-piercing-kick', 'kicks/side-pushing-kick'] },
+  { title: 'Turning vs reverse turning kick', ids: ['kicks/turning-kick', 'kicks/reverse-turning-kick'] },
+  { title: 'Obverse vs reverse punch', ids: ['punches/obverse-punch', 'punches/reverse-punch'] },
+  { title: 'Inward vs outward block', ids: ['blocks/inward-block', 'blocks/outward-block'] },
+  { title: 'Walking, L- and fixed stance', ids: ['stances/walking-stance', 'stances/l-stance', 'stances/fixed-stance'] }
+].filter(suggestion => suggestion.ids.every(id => getTechniqueEntity(id)))
+
+/**
+ * Words too common to count as a difference
+ * @type {Set<string>}
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'its',
+  'of', 'on', 'or', 'the', 'to', 'with', 'your', 'you', 'while', 'that', 'this'
+])
+
+/** @type {number} Share of words two list items must have in common to count as similar */
+const SIMILARITY_THRESHOLD = 0.5
+
+// ===== HELPERS =====
+
+/**
+ * Normalizes a word for comparison
+ * @param {string} word - Word as written
+ * @returns {string} Lowercase letters and digits only
+ */
+const normalizeWord = (word) => word.toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Collects the meaningful words of a text
+ * @param {string} [text] - Text to read
+ * @returns {Set<string>} Normalized words, without stop words
+ */
+const getWords = (text = '') => new Set(
+  text.split(/\s+/).map(normalizeWord).filter(word => word && !STOP_WORDS.has(word))
+)
+
+/**
+ * Measures word overlap between two texts
+ * @param {Set<string>} a - Words of the first text
+ * @param {Set<string>} b - Words of the second text
+ * @returns {number} Shared words over all words, 0-1
+ */
+const getOverlap = (a, b) => {
+  const shared = [...a].filter(word => b.has(word)).length
+  const total = new Set([...a, ...b]).size
+  return total === 0 ? 1 : shared / total
+}
+
+// ===== SELECTION =====
+
+/**
+ * Reads the techniques to compare from a comma-separated id list, dropping
+ * unknown and repeated ids and anything past MAX_COMPARE
+ * @param {string|null} value - Ids as in the URL ("kicks/turning-kick,kicks/hooking-kick")
+ * @returns {Array<string>} Valid technique ids
+ */
+export const parseCompareIds = (value) =>
+  [...new Set((value || '').split(',').map(id => id.trim()))]
+    .filter(id => getTechniqueEntity(id))
+    .slice(0, MAX_COMPARE)
+
+// ===== COMPARISON =====
+
+/**
+ * Splits each text into parts, marking the words that at least one of the
+ * other texts does not contain. A missing text (e.g. a technique with fewer
+ * steps) shares nothing, so every word of the others is marked.
+ * @param {Array<string|undefined>} texts - One text per technique, same row
+ * @returns {Array<Array<TextPart>|null>} Parts per text, null where the text is missing
+ */
+export const highlightDifferences = (texts) => {
+  const wordSets = texts.map(getWords)
+
+  return texts.map((text, index) => {
+    if (!text) return null
+    const others = wordSets.filter((_, otherIndex) => otherIndex !== index)
+
+    return text.split(/(\s+)/).map(part => {
+      const word = normalizeWord(part)
+      const different = Boolean(word) && !STOP_WORDS.has(word) && others.some(words => !words.has(word))
+      return { text: part, different }
+    })
+  })
+}
+
+/**
+ * Compares lists such as common mistakes. An item is shared when every
+ * other technique lists an item with enough of the same words.
+ * @param {Array<Array<string>|undefined>} lists - One list per technique
+ * @returns {Array<Array<ListItemComparison>>} Items per technique
+ */
+export const compareLists = (lists) => {
+  const wordLists = lists.map(list => (list || []).map(getWords))
+
+  return lists.map((list = [], index) =>
+    list.map((text, itemIndex) => ({
+      text,
+      shared: wordLists.every((otherItems, otherIndex) =>
+        otherIndex === index ||
+        otherItems.some(words => getOverlap(wordLists[index][itemIndex], words) >= SIMILARITY_THRESHOLD)
+      )
+    }))
+  )
+}
+
+/**
+ * Builds the full comparison of a set of techniques
+ * @param {Array<import('./entityLinks').TechniqueEntity>} entities - Techniques to compare
+ * @returns {{steps: Array<Array<Array<TextPart>|null>>, application: Array<Array<TextPart>|null>, mistakes: Array<Array<ListItemComparison>>}} Step rows, application cells and mistakes per technique
+ */
+export const compareTechniques = (entities) => {
+  const techniques = entities.map(entity => entity.technique)
+  const stepCount = Math.max(0, ...techniques.map(technique => technique.steps?.length || 0))
+
+  return {
+    steps: Array.from({ length: stepCount }, (_, row) =>
+      highlightDifferences(techniques.map(technique => technique.steps?.[row]))
+    ),
+    application: highlightDifferences(techniques.map(technique => technique.application)),
+    mistakes: compareLists(techniques.map(technique => technique.commonMistakes))
+  }
+}
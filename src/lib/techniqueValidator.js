@@ -0,0 +1,193 @@
+import { validateKeyframes } from './stickFigure'
+import { validateFootprint } from './footprint'
+
+/**
+ * Technique Data Validator
+ *
+ * Schema checks for the technique category files in src/data/techniques,
+ * run by the Vite build (see vite.config.js). Every file there becomes a
+ * category on the techniques page (see lib/techniques), so a new category
+ * only needs a JSON file that passes these checks. Like patternValidator,
+ * the module takes parsed data rather than importing JSON.
+ *
+ * @typedef {Object} TechniqueData
+ * @property {string} korean - Romanized Korean name
+ * @property {string} english - English name, unique within the category
+ * @property {string} description - One-line summary shown on the card
+ * @property {string} [detailedDescription] - Longer explanation for the modal
+ * @property {string} [application] - Practical application
+ * @property {Array<string>} steps - Execution steps
+ * @property {Array<string>} commonMistakes - Common mistakes to avoid
+ * @property {Array<import('./stickFigure').Keyframe>} [keyframes] - Stick figure poses for the illustration (see lib/stickFigure)
+ * @property {import('./footprint').Footprint} [footprint] - Foot placement for the top-down stance diagram (see lib/footprint)
+ *
+ * @typedef {Object} TechniqueBeltLevel
+ * @property {string} belt - Belt name (e.g. "Yellow Belt with Green Stripe")
+ * @property {string} beltColor - Tailwind gradient classes for the belt badge
+ * @property {Array<TechniqueData>} techniques - Techniques learnt at this belt
+ *
+ * @typedef {Object} TechniqueCategoryData
+ * @property {string} id - URL id of the category (e.g. "kicks")
+ * @property {number} [order] - Position in the category navigation (lowest first)
+ * @property {string} category - Display name (e.g. "Kicks")
+ * @property {string} koreanName - Korean name (e.g. "Chagi")
+ * @property {string} description - Category introduction
+ * @property {{focusAreas: Array<string>, safety: Array<string>}} [trainingPrinciples] - Training guidance
+ * @property {Array<TechniqueBeltLevel>} beltLevels - Techniques grouped by belt, in syllabus order
+ *
+ * @typedef {Object} TechniqueIssue
+ * @property {'error'|'warning'} level - Issue severity
+ * @property {string} file - File (or category id) the issue belongs to
+ * @property {string} message - Description of the problem
+ */
+
+// ===== SCHEMA =====
+
+/**
+ * Text fields every category must have
+ * @type {Array<string>}
+ */
+export const REQUIRED_CATEGORY_FIELDS = ['id', 'category', 'koreanName', 'description']
+
+/**
+ * Text fields every technique must have
+ * @type {Array<string>}
+ */
+export const REQUIRED_TECHNIQUE_FIELDS = ['korean', 'english', 'description']
+
+/**
+ * List fields every technique must have
+ * @type {Array<string>}
+ */
+export const REQUIRED_TECHNIQUE_LISTS = ['steps', 'commonMistakes']
+
+/**
+ * Ids used by other views of the techniques page (/techniques/overview, /techniques/compare)
+ * @type {Array<string>}
+ */
+export const RESERVED_CATEGORY_IDS = ['overview', 'compare']
+
+/** @type {string} Category whose techniques should all have a footprint diagram */
+const STANCE_CATEGORY_ID = 'stances'
+
+/** @type {RegExp} Allowed category ids, used in URLs */
+const CATEGORY_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/
+
+// ===== VALIDATION =====
+
+/**
+ * Checks for a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is usable text
+ */
+const isText = (value) => typeof value === 'string' && value.trim() !== ''
+
+/**
+ * Validates one category file
+ * @param {TechniqueCategoryData} data - Parsed category file
+ * @returns {Array<{level: string, message: string}>} Issues found
+ */
+export const validateTechniqueCategory = (data) => {
+  const issues = []
+  const error = message => issues.push({ level: 'error', message })
+  const warning = message => issues.push({ level: 'warning', message })
+
+  REQUIRED_CATEGORY_FIELDS.forEach(field => {
+    if (!isText(data[field])) error(`missing required field "${field}"`)
+  })
+  if (isText(data.id) && !CATEGORY_ID_PATTERN.test(data.id)) {
+    error(`id "${data.id}" must be lowercase words joined by hyphens`)
+  }
+  if (data.order !== undefined && typeof data.order !== 'number') {
+    error('"order" must be a number')
+  }
+  if (!data.trainingPrinciples) {
+    warning('no trainingPrinciples, so the category has no training section')
+  }
+
+  if (!Array.isArray(data.beltLevels) || data.beltLevels.length === 0) {
+    error('"beltLevels" must be a non-empty list')
+    return issues
+  }
+
+  const seenNames = new Set()
+  data.beltLevels.forEach((level, levelIndex) => {
+    const where = isText(level.belt) ? level.belt : `belt level ${levelIndex + 1}`
+    if (!isText(level.belt)) error(`${where}: missing "belt"`)
+    if (!isText(level.beltColor)) error(`${where}: missing "beltColor"`)
+    if (!Array.isArray(level.techniques)) {
+      error(`${where}: "techniques" must be a list`)
+      return
+    }
+
+    level.techniques.forEach((technique, index) => {
+      const name = isText(technique.english) ? `"${technique.english}"` : `technique ${index + 1}`
+      REQUIRED_TECHNIQUE_FIELDS.forEach(field => {
+        if (!isText(technique[field])) error(`${where} ${name}: missing "${field}"`)
+      })
+      REQUIRED_TECHNIQUE_LISTS.forEach(field => {
+        if (!Array.isArray(technique[field])) error(`${where} ${name}: "${field}" must be a list`)
+      })
+
+      if (technique.keyframes === undefined) {
+        warning(`${where} ${name}: no "keyframes", so the illustration shows a ready stance`)
+      } else {
+        validateKeyframes(technique.keyframes).forEach(problem => error(`${where} ${name}: ${problem}`))
+      }
+
+      if (technique.footprint !== undefined) {
+        validateFootprint(technique.footprint).forEach(problem => error(`${where} ${name}: ${problem}`))
+      } else if (data.id === STANCE_CATEGORY_ID) {
+        warning(`${where} ${name}: no "footprint", so the stance has no footprint diagram`)
+      }
+
+      // Technique URLs are slugs of the English name
+      const key = isText(technique.english) ? technique.english.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim() : null
+      if (key && seenNames.has(key)) error(`${where} ${name}: duplicate technique name`)
+      if (key) seenNames.add(key)
+    })
+  })
+
+  return issues
+}
+
+/**
+ * Validates every category file, including ids that must be unique across files
+ * @param {Object<string, TechniqueCategoryData>} files - Parsed files keyed by file name
+ * @returns {Array<TechniqueIssue>} Issues found across all files
+ */
+export const validateTechniqueCategories = (files) => {
+  const ids = new Map()
+
+  return Object.entries(files).flatMap(([file, data]) => {
+    const issues = validateTechniqueCategory(data).map(issue => ({ ...issue, file }))
+
+    if (isText(data.id)) {
+      if (RESERVED_CATEGORY_IDS.includes(data.id)) {
+        issues.push({ level: 'error', file, message: `id "${data.id}" is reserved for a techniques page view` })
+      } else if (ids.has(data.id)) {
+        issues.push({ level: 'error', file, message: `id "${data.id}" is also used by ${ids.get(data.id)}` })
+      }
+      ids.set(data.id, file)
+    }
+
+    return issues
+  })
+}
+
+/**
+ * Formats issues as a plain-text report, one line per issue
+ * @param {Array<TechniqueIssue>} issues - Issues from validateTechniqueCategories
+ * @returns {string} Report text
+ */
+export const formatTechniqueReport = (issues) => {
+  const errors = issues.filter(issue => issue.level === 'error').length
+  const lines = issues.map(issue =>
+    `  ${issue.level === 'error' ? '✖' : '⚠'} ${issue.file}: ${issue.message}`
+  )
+
+  return [
+    `Technique data: ${errors} error(s), ${issues.length - errors} warning(s)`,
+    ...lines
+  ].join('\n')
+}
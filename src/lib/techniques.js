@@ -0,0 +1,119 @@
+/**
+ * Techniques Registry
+ *
+ * Every JSON file in src/data/techniques is a technique category. The
+ * files are picked up at build time, so adding a category (e.g. Dodging)
+ * only takes a new file with the fields checked by techniqueValidator;
+ * the techniques page, drills, quizzes, syllabus and search all read
+ * their categories from here.
+ *
+ * Also holds the filtering and sorting used by the category view; its text
+ * search goes through koreanSearch, so romanization variants, typos and
+ * partial Hangul match as they do on the Terminology page.
+ *
+ * @typedef {Object} TechniqueCategory
+ * @property {string} id - URL id (e.g. "kicks")
+ * @property {string} name - Display name (e.g. "Kicks")
+ * @property {string} koreanName - Korean name (e.g. "Chagi")
+ * @property {string} description - Category introduction
+ * @property {import('./techniqueValidator').TechniqueCategoryData} data - The category file
+ *
+ * @typedef {Object} TechniqueFilters
+ * @property {string} [belt] - Belt name to show, empty for every belt
+ * @property {string} [query] - Text to find in the English, Korean or description
+ * @property {'belt'|'english'|'korean'} [sort] - Sort order
+ * @property {boolean} [unstudiedOnly] - Hide techniques marked as studied
+ */
+
+import { scoreQuery } from './koreanSearch'
+
+// ===== CONSTANTS =====
+
+/**
+ * Category files, keyed by path
+ * @type {Object<string, import('./techniqueValidator').TechniqueCategoryData>}
+ */
+const CATEGORY_FILES = import.meta.glob('../data/techniques/*.json', { eager: true, import: 'default' })
+
+/**
+ * Sort orders offered by the category view
+ * @type {Array<{id: string, label: string}>}
+ */
+export const TECHNIQUE_SORTS = [
+  { id: 'belt', label: 'Belt order' },
+  { id: 'english', label: 'English name (A-Z)' },
+  { id: 'korean', label: 'Korean name (A-Z)' }
+]
+
+/**
+ * Fields the in-category search matches, names first
+ * @type {Array<import('./koreanSearch').SearchFieldDefinition>}
+ */
+const TECHNIQUE_SEARCH_FIELDS = [
+  { get: technique => technique.english, weight: 3 },
+  { get: technique => technique.korean, weight: 3 },
+  { get: technique => technique.description }
+]
+
+// ===== REGISTRY =====
+
+/**
+ * Every technique category, in navigation order
+ * @type {Array<TechniqueCategory>}
+ */
+export const TECHNIQUE_CATEGORIES = Object.values(CATEGORY_FILES)
+  .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.category.localeCompare(b.category))
+  .map(data => ({
+    id: data.id,
+    name: data.category,
+    koreanName: data.koreanName,
+    description: data.description,
+    data
+  }))
+
+/**
+ * Finds a category by id
+ * @param {string} categoryId - Category id
+ * @returns {TechniqueCategory|null} Category
+ */
+export const getTechniqueCategory = (categoryId) =>
+  TECHNIQUE_CATEGORIES.find(category => category.id === categoryId) || null
+
+/**
+ * Counts the techniques in a category
+ * @param {TechniqueCategory} category - Category
+ * @returns {number} Number of techniques across all belt levels
+ */
+export const countTechniques = (category) =>
+  category.data.beltLevels.reduce((total, level) => total + level.techniques.length, 0)
+
+// ===== FILTERING =====
+
+/**
+ * Filters and sorts technique entities for the category view. Belt order
+ * keeps the order of the category file; the search only decides which
+ * techniques match, not their order.
+ * @param {Array<import('./entityLinks').TechniqueEntity>} entities - Techniques of one category
+ * @param {TechniqueFilters} filters - Filters to apply
+ * @param {Object<string, number>} [studied] - Studied technique ids (see useGlobalProgress)
+ * @returns {Array<import('./entityLinks').TechniqueEntity>} Matching techniques
+ */
+export const filterTechniques = (entities, { belt = '', query = '', sort = 'belt', unstudiedOnly = false }, studied = {}) => {
+  const search = query.trim()
+
+  const matches = entities.filter(entity => {
+    if (belt && entity.belt !== belt) return false
+    if (unstudiedOnly && studied[entity.id]) return false
+    if (!search) return true
+
+    return scoreQuery(search, TECHNIQUE_SEARCH_FIELDS.map(field => ({
+      text: field.get(entity.technique) || '',
+      weight: field.weight ?? 1
+    }))) > 0
+  })
+
+  if (sort === 'english' || sort === 'korean') {
+    return [...matches].sort((a, b) => a.technique[sort].trim().localeCompare(b.technique[sort].trim()))
+  }
+  return matches
+}
@@ -1,9 +1,16 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import './index.css'
+import './components/QuizPage/games/registerGames'
 import App from './App'
+import { registerServiceWorker } from './lib/serviceWorker'
+import { useAppStatus } from './hooks/useAppStatus'
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
-)
\ No newline at end of file
+)
+registerServiceWorker({
+  onOfflineReady: () => useAppStatus.getState().setOfflineReady(true),
+  onUpdateReady: (worker) => useAppStatus.getState().setWaitingWorker(worker)
+})
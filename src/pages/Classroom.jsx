@@ -0,0 +1,205 @@
+// ===== MAIN IMPORTS =====
+import { useEffect, useState } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { StudentAssignments } from '../components/ClassroomPage/StudentAssignments'
+import { InstructorAssignments } from '../components/ClassroomPage/InstructorAssignments'
+import { useClassroom } from '../hooks/useClassroom'
+import { parseAssignment, parseResultSubmission } from '../lib/classroom'
+import { cn } from '../lib/utils'
+
+// ===== QUIZ DATA IMPORTS =====
+import categoriesData from '../data/quiz/QuizCategories.json'
+import mcqData from '../data/quiz/MCQData.json'
+import wordSearchData from '../data/quiz/WordSearchData.json'
+import translationData from '../data/quiz/TranslationData.json'
+import crosswordData from '../data/quiz/CrosswordData.json'
+import flashcardData from '../data/quiz/FlashCardData.json'
+import matchingData from '../data/quiz/MatchingData.json'
+import listeningData from '../data/quiz/ListeningData.json'
+
+/**
+ * Built-in quizzes an assignment can include (generated quizzes change
+ * every time, so they can't be compared across a class)
+ * @type {Array<Object>}
+ */
+const assignableQuizzes = [
+  ...mcqData.quizzes,
+  ...wordSearchData.quizzes,
+  ...translationData.quizzes,
+  ...crosswordData.quizzes,
+  ...flashcardData.quizzes,
+  ...matchingData.quizzes,
+  ...listeningData.quizzes
+]
+
+/** @type {Map<string, Object>} Built-in quizzes by id */
+const quizzesById = new Map(assignableQuizzes.map(quiz => [quiz.id, quiz]))
+
+/**
+ * Classroom Page Component
+ *
+ * Class mode without a server. Instructors set assignments from the
+ * built-in quizzes and collect results into a roster; students join an
+ * assignment, play its quizzes and hand back a signed result.
+ *
+ * Features:
+ * - Student and instructor tabs
+ * - /class/join/:assignmentCode joins an assignment from a link or QR code
+ * - /class/result/:resultCode imports a student's result on the instructor's device
+ *
+ * @returns {JSX.Element} Classroom page
+ */
+export const Classroom = () => {
+  // ===== ROUTING =====
+
+  const { assignmentCode, resultCode } = useParams()
+  const navigate = useNavigate()
+
+  // ===== STATE MANAGEMENT =====
+
+  const joinAssignment = useClassroom(state => state.joinAssignment)
+  const importResult = useClassroom(state => state.importResult)
+
+  /** @type {['student'|'instructor', Function]} Active tab */
+  const [activeTab, setActiveTab] = useState('student')
+
+  /** @type {[string|null, Function]} Assignment shown on the instructor tab */
+  const [selectedAssignmentId, setSelectedAssignmentId] = useState(null)
+
+  /** @type {[{type: 'success'|'error', text: string}|null, Function]} Outcome of a join or result link */
+  const [notice, setNotice] = useState(null)
+
+  // ===== EFFECTS =====
+
+  /**
+   * Joins the assignment in a /class/join link, then drops the code from the URL
+   */
+  useEffect(() => {
+    if (!assignmentCode) return
+
+    const { valid, errors, assignment } = parseAssignment(assignmentCode)
+    if (valid) {
+      joinAssignment(assignment)
+      setNotice({ type: 'success', text: `Joined "${assignment.title}". Play its quizzes below, then create your result.` })
+    } else {
+      setNotice({ type: 'error', text: errors.join(' ') })
+    }
+    setActiveTab('student')
+    navigate('/class', { replace: true, state: { preserveScroll: true } })
+  }, [assignmentCode, joinAssignment, navigate])
+
+  /**
+   * Imports the result in a /class/result link, then drops the code from the URL
+   */
+  useEffect(() => {
+    if (!resultCode) return
+
+    const importFromLink = async () => {
+      const { valid, errors, submission } = parseResultSubmission(resultCode, useClassroom.getState().assignments)
+      if (!valid) {
+        setNotice({ type: 'error', text: errors.join(' ') })
+        return
+      }
+
+      const { status, verified } = await importResult(submission)
+      if (status === 'unknown-assignment') {
+        setNotice({ type: 'error', text: 'This result is for an assignment that was not created on this device.' })
+      } else if (status === 'older') {
+        setNotice({ type: 'error', text: `A newer result from ${submission.student} is already here.` })
+      } else {
+        setSelectedAssignmentId(submission.assignmentId)
+        setNotice({
+          type: verified ? 'success' : 'error',
+          text: verified
+            ? `Result from ${submission.student} imported.`
+            : `Result from ${submission.student} imported, but its signature did not match.`
+        })
+      }
+    }
+
+    importFromLink()
+    setActiveTab('instructor')
+    navigate('/class', { replace: true, state: { preserveScroll: true } })
+  }, [resultCode, importResult, navigate])
+
+  // ===== RENDER METHODS =====
+
+  /**
+   * Renders the student / instructor tabs
+   * @returns {JSX.Element} Tab list
+   */
+  const renderTabs = () => (
+    <div className="flex justify-center">
+      <div className="bg-background border border-border rounded-2xl p-1" role="tablist" aria-label="Class mode">
+        {[
+          { id: 'student', label: 'Student' },
+          { id: 'instructor', label: 'Instructor' }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-6 py-2 rounded-xl font-medium transition-all ${
+              activeTab === tab.id
+                ? 'bg-primary text-white shadow-md'
+                : 'text-foreground/70 hover:text-foreground'
+            }`}
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            aria-controls={`class-${tab.id}-panel`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+
+  // Render
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary/5 via-background to-primary/10 py-24">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 space-y-8">
+
+        {/* Header */}
+        <div className="text-center animate-fade-in-down">
+          <h1 className="text-5xl md:text-6xl font-bold text-foreground mb-4 tracking-tight">
+            Class <span className="text-primary">Mode</span>
+          </h1>
+          <div className="w-32 h-1 bg-primary mx-auto mb-6 rounded-full" />
+          <p className="text-xl text-foreground/70 max-w-2xl mx-auto">
+            Instructors set quizzes for the class; students play them and hand back their results. No accounts needed.
+          </p>
+        </div>
+
+        {renderTabs()}
+
+        {notice && (
+          <p
+            role="status"
+            className={cn(
+              'text-sm rounded-lg px-4 py-2',
+              notice.type === 'error'
+                ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200'
+                : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200'
+            )}
+          >
+            {notice.text}
+          </p>
+        )}
+
+        <div id={`class-${activeTab}-panel`} role="tabpanel" className="animate-fade-in">
+          {activeTab === 'student' ? (
+            <StudentAssignments quizzesById={quizzesById} />
+          ) : (
+            <InstructorAssignments
+              categories={categoriesData.quizCategories}
+              quizzes={assignableQuizzes}
+              quizzesById={quizzesById}
+              selectedAssignmentId={selectedAssignmentId}
+              onAssignmentSelect={setSelectedAssignmentId}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,229 @@
+// imports
+import { useState, useMemo, useCallback, useEffect, useRef } from 'react'
+import { DrillSetup } from '../components/DrillPage/DrillSetup'
+import { DrillRunner } from '../components/DrillPage/DrillRunner'
+import { useDrillRunner } from '../hooks/useDrillRunner'
+import { useCombos } from '../hooks/useCombos'
+import { RETURN_COMMAND, buildComboDrill, buildPatternDrill, buildTechniqueDrill, getKoreanCount } from '../lib/drill'
+import PatternData from '../data/patterns/Patterns.json'
+
+/**
+ * Default drill configuration
+ * @type {Object}
+ */
+const DEFAULT_CONFIG = {
+  source: 'pattern',
+  patternId: 'chon-ji',
+  categoryId: 'stances',
+  belts: [],
+  comboId: null,
+  tempo: 3,
+  sets: 1,
+  voice: true,
+  koreanCount: true,
+  koreanCommands: true
+}
+
+/**
+ * Drill Page Component
+ *
+ * Timed drill mode that steps through a pattern's movements, a list of
+ * techniques or a saved combination on a configurable tempo, calling out
+ * each movement and its count so a class can follow along from a shared
+ * screen.
+ *
+ * @returns {JSX.Element} Drill page
+ */
+export const Drill = () => {
+  // ===== STATE MANAGEMENT =====
+
+  /** @type {[Object, Function]} Drill configuration */
+  const [config, setConfig] = useState(DEFAULT_CONFIG)
+
+  /** @type {[string, Function]} Current view: 'setup' | 'run' */
+  const [view, setView] = useState('setup')
+
+  /** @type {import('react').RefObject<HTMLAudioElement|null>} Currently playing call-out audio */
+  const calloutAudioRef = useRef(null)
+
+  const combos = useCombos(state => state.combos)
+
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Combination to run: the chosen one, or the most recently saved
+   * @type {import('../lib/combos').Combo|undefined}
+   */
+  const selectedCombo = combos.find(combo => combo.id === config.comboId) || combos[0]
+
+  /**
+   * Steps for the configured drill
+   * @type {Array}
+   */
+  const steps = useMemo(() => {
+    if (config.source === 'pattern') {
+      return buildPatternDrill(PatternData.patterns.find(pattern => pattern.id === config.patternId))
+    }
+    if (config.source === 'combo') {
+      return buildComboDrill(selectedCombo)
+    }
+    return buildTechniqueDrill(config.categoryId, config.belts)
+  }, [config.source, config.patternId, config.categoryId, config.belts, selectedCombo])
+
+  // ===== ANNOUNCEMENTS =====
+
+  /**
+   * Stops any call-out audio or speech still playing
+   */
+  const stopCallouts = useCallback(() => {
+    calloutAudioRef.current?.pause()
+    calloutAudioRef.current = null
+    window.speechSynthesis?.cancel()
+  }, [])
+
+  /**
+   * Plays recorded call-outs one after another, cutting off any still
+   * playing, then runs onDone. A clip that fails to play is skipped; a
+   * queue cut off by stopCallouts or a newer call-out never reaches onDone.
+   * @param {Array<string>} sounds - Audio paths in order
+   * @param {Function} [onDone] - Called after the last clip ends
+   */
+  const playSounds = useCallback((sounds, onDone) => {
+    calloutAudioRef.current?.pause()
+    calloutAudioRef.current = null
+    const [first, ...rest] = sounds
+    if (!first) {
+      onDone?.()
+      return
+    }
+
+    const audio = new Audio(first)
+    calloutAudioRef.current = audio
+    const playNext = () => {
+      if (calloutAudioRef.current === audio) playSounds(rest, onDone)
+    }
+    audio.onended = playNext
+    audio.play().catch(error => {
+      console.warn('Call-out audio playback failed:', error)
+      playNext()
+    })
+  }, [])
+
+  /**
+   * Calls out a step: the Korean count, then the recorded Korean command
+   * for the technique, then the English call-out through speech synthesis.
+   * The spoken line leaves out the number when a Korean count clip
+   * already said it.
+   * @param {Object} step - Step that just became active
+   */
+  const announceStep = useCallback((step) => {
+    stopCallouts()
+    const countSound = config.koreanCount ? getKoreanCount(step.count)?.sound : null
+
+    const speakCall = () => {
+      if (!config.voice || !('speechSynthesis' in window)) return
+      const countPrefix = countSound ? '' : `${step.count}. `
+      const utterance = new SpeechSynthesisUtterance(`${countPrefix}${step.call}`)
+      utterance.rate = 1.1
+      window.speechSynthesis.speak(utterance)
+    }
+
+    playSounds([
+      countSound,
+      config.koreanCommands ? step.sound : null
+    ].filter(Boolean), speakCall)
+  }, [config.koreanCount, config.koreanCommands, config.voice, playSounds, stopCallouts])
+
+  const runner = useDrillRunner(steps, {
+    tempo: config.tempo,
+    sets: config.sets,
+    onStep: announceStep
+  })
+
+  // ===== EFFECTS =====
+
+  /**
+   * Calls "Baro" (return) when the drill finishes
+   */
+  useEffect(() => {
+    if (runner.status === 'finished' && config.koreanCommands && RETURN_COMMAND?.sound) {
+      playSounds([RETURN_COMMAND.sound])
+    }
+  }, [runner.status, config.koreanCommands, playSounds])
+
+  /**
+   * Silences the call-out in progress when the drill is paused
+   */
+  useEffect(() => {
+    if (runner.status === 'paused') stopCallouts()
+  }, [runner.status, stopCallouts])
+
+  /**
+   * Silences call-outs when leaving the page mid-drill
+   */
+  useEffect(() => stopCallouts, [stopCallouts])
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Merges a partial update into the drill configuration
+   * @param {Object} update - Config fields to change
+   */
+  const handleConfigChange = (update) => {
+    setConfig(prev => ({ ...prev, ...update }))
+  }
+
+  /**
+   * Switches to the runner and starts the drill
+   */
+  const handleStart = () => {
+    setView('run')
+    runner.start()
+  }
+
+  /**
+   * Stops the drill, silences call-outs and returns to setup
+   */
+  const handleExit = () => {
+    runner.reset()
+    stopCallouts()
+    setView('setup')
+  }
+
+  // Render
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary/5 via-background to-primary/10 py-24">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 space-y-8">
+
+        {/* Header */}
+        <div className="text-center animate-fade-in-down">
+          <h1 className="text-5xl md:text-6xl font-bold text-foreground mb-4 tracking-tight">
+            Training <span className="text-primary">Drills</span>
+          </h1>
+          <div className="w-32 h-1 bg-primary mx-auto mb-6 rounded-full" />
+          <p className="text-xl text-foreground/70 max-w-2xl mx-auto">
+            Run a pattern, technique set or your own combination on a steady count. Put it on the big screen and train together.
+          </p>
+        </div>
+
+        {view === 'setup' ? (
+          <DrillSetup
+            config={config}
+            onConfigChange={handleConfigChange}
+            comboId={selectedCombo?.id || null}
+            stepCount={steps.length}
+            onStart={handleStart}
+          />
+        ) : (
+          <DrillRunner
+            steps={steps}
+            runner={runner}
+            tempo={config.tempo}
+            sets={config.sets}
+            onExit={handleExit}
+          />
+        )}
+      </div>
+    </div>
+  )
+}
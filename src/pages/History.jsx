@@ -1,4 +1,5 @@
 // ===== MAIN IMPORTS =====
+import { useLocation } from 'react-router-dom'
 import { Timeline } from '../components/HistoryPage/Timeline'
 import { HistoryHero } from '../components/HistoryPage/HistoryHero'
 import historyData from '../data/history/HistoryTimeline.json'
@@ -14,6 +15,7 @@ import historyData from '../data/history/HistoryTimeline.json'
  * Features:
  * - Full-screen professional layout with gradient background
  * - Interactive historical timeline with detailed events
+ * - Opens the event passed in navigation state (e.g. from global search)
  * - Hero section with historical milestones and impact
  * - Responsive design optimized for all devices
  * - Accessibility-compliant navigation and content structure
@@ -22,6 +24,10 @@ import historyData from '../data/history/HistoryTimeline.json'
  * @returns {JSX.Element} Complete history application interface
  */
 export const History = () => {
+  // ===== HOOKS =====
+
+  const location = useLocation()
+
   // ===== RENDER METHODS =====
 
   /**
@@ -43,7 +49,11 @@ export const History = () => {
           to global martial art phenomenon.
         </p>
       </div>
-      <Timeline events={historyData.timeline} />
+      <Timeline
+        key={location.key}
+        events={historyData.timeline}
+        initialEventId={location.state?.eventId}
+      />
     </section>
   )
 
@@ -5,12 +5,21 @@ import { PatternMatrix } from '../components/PatternPage/PatternMatrix'
 import { PatternSidebar } from '../components/PatternPage/PatternSidebar'
 import { PatternDetail } from '../components/PatternPage/PatternDetail'
 import { useState } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import patternData from '../data/patterns/Patterns.json'
 
 export const Patterns = () => {
-  const [selectedPattern, setSelectedPattern] = useState(null)
-  const [viewMode, setViewMode] = useState('matrix') 
+  const { patternId } = useParams()
+  const navigate = useNavigate()
   const [sidebarOpen, setSidebarOpen] = useState(false) 
 
+  // The selected pattern lives in the URL (/patterns/:patternId) so it can be shared
+  const selectedPattern = patternData.patterns.find(pattern => pattern.id === patternId) || null
+  const viewMode = selectedPattern ? 'detail' : 'matrix'
+
+  // In-page navigation keeps the scroll position (see useScrollTo)
+  const openPattern = (pattern) => navigate(`/patterns/${pattern.id}`, { state: { preserveScroll: true } })
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary/5 to-primary/10">
       <PatternHero />
@@ -37,8 +46,7 @@ export const Patterns = () => {
             <PatternSidebar 
               selectedPattern={selectedPattern}
               onPatternSelect={(pattern) => {
-                setSelectedPattern(pattern)
-                setViewMode('detail')
+                openPattern(pattern)
                 setSidebarOpen(false)
               }}
             />
@@ -48,15 +56,12 @@ export const Patterns = () => {
           <div className="lg:w-3/4">
             {viewMode === 'matrix' ? (
               <PatternMatrix 
-                onPatternSelect={(pattern) => {
-                  setSelectedPattern(pattern)
-                  setViewMode('detail')
-                }}
+                onPatternSelect={openPattern}
               />
             ) : (
               <PatternDetail 
                 pattern={selectedPattern} 
-                onBack={() => setViewMode('matrix')}
+                onBack={() => navigate('/patterns', { state: { preserveScroll: true } })}
                 />
             )}
           </div>
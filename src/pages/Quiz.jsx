@@ -1,7 +1,10 @@
 // ===== MAIN IMPORTS =====
-import { useState, useEffect, useRef } from 'react'
+import { useEffect, useMemo, useRef } from 'react'
+import { useLocation, useNavigate, useParams } from 'react-router-dom'
 import { QuizHub } from '../components/QuizPage/QuizHub'
 import { QuizGame } from '../components/QuizPage/QuizGame'
+import { useGlobalProgress } from '../hooks/useGlobalProgess'
+import { resolveQuiz, getQuizPath } from '../lib/quizLinks'
 
 // ===== QUIZ DATA IMPORTS =====
 import categoriesData from '../data/quiz/QuizCategories.json'
@@ -11,16 +14,17 @@ import translationData from '../data/quiz/TranslationData.json'
 import crosswordData from '../data/quiz/CrosswordData.json'
 import flashcardData from '../data/quiz/FlashCardData.json'
 import matchingData from '../data/quiz/MatchingData.json'
+import listeningData from '../data/quiz/ListeningData.json'
 
 // ===== DATA COMBINATION =====
 
 /**
  * Combined quiz data object that aggregates all quiz categories,
- * game types, difficulties, and individual quizzes from all data files.
+ * difficulties, and individual quizzes from all data files. Game types
+ * come from the game registry (lib/gameRegistry).
  * 
  * Structure:
  * - quizCategories: Array of category objects
- * - gameTypes: Array of game type objects  
  * - difficultyLevels: Array of difficulty objects
  * - allQuizzes: Combined array of all quizzes from all game types
  * 
@@ -34,7 +38,8 @@ const combinedQuizData = {
     ...translationData.quizzes,
     ...crosswordData.quizzes,
     ...flashcardData.quizzes,
-    ...matchingData.quizzes
+    ...matchingData.quizzes,
+    ...listeningData.quizzes
   ]
 }
 
@@ -47,7 +52,8 @@ const combinedQuizData = {
  * between the quiz hub (selection interface) and individual quiz games.
  * 
  * Features:
- * - View state management (hub vs game)
+ * - Routed views: /quiz shows the hub, /quiz/:quizId plays a quiz
+ * - Shareable quiz links, with generated quizzes rebuilt from their id
  * - Smooth transitions between views
  * - Auto-scroll behavior for game start
  * - Centralized quiz data aggregation
@@ -57,37 +63,56 @@ const combinedQuizData = {
  * @returns {JSX.Element} Complete quiz application interface
  */
 export const Quiz = () => {
-  // ===== STATE MANAGEMENT =====
-  
-  /** @type {[string, Function]} Current view state: 'hub' or 'game' */
-  const [currentView, setCurrentView] = useState('hub')
-  
-  /** @type {[Object|null, Function]} Currently selected quiz object or null */
-  const [selectedQuiz, setSelectedQuiz] = useState(null)
+  // ===== ROUTING =====
+
+  const { quizId } = useParams()
+  const location = useLocation()
+  const navigate = useNavigate()
 
   // ===== REFERENCES =====
   
   /** @type {import('react').RefObject<HTMLDivElement>} Reference to game container for auto-scroll */
   const gameContainerRef = useRef(null)
 
+  // ===== COMPUTED VALUES =====
+
+  /** @type {Object|undefined} Quiz chosen in the hub, passed in router state */
+  const routedQuiz = location.state?.quiz
+
+  /**
+   * Quiz being played: the exact quiz chosen in the hub, otherwise looked
+   * up or rebuilt from the URL. Review records are read once so answering
+   * during a Daily Review doesn't rebuild the quiz.
+   * @type {Object|null}
+   */
+  const selectedQuiz = useMemo(() => {
+    if (!quizId) return null
+    if (routedQuiz?.id === quizId) return routedQuiz
+
+    return resolveQuiz(quizId, {
+      quizzes: combinedQuizData.allQuizzes,
+      termReviews: useGlobalProgress.getState().termReviews
+    })
+  }, [quizId, routedQuiz])
+
+  /** @type {string} Current view: 'hub', 'game' or 'missing' */
+  const currentView = !quizId ? 'hub' : selectedQuiz ? 'game' : 'missing'
+
   // ===== EVENT HANDLERS =====
 
   /**
-   * Handles quiz selection from the hub and transitions to game view
+   * Handles quiz selection from the hub by navigating to the quiz's URL
    * @param {Object} quiz - The selected quiz object
    */
   const handleQuizSelect = (quiz) => {
-    setSelectedQuiz(quiz)
-    setCurrentView('game')
+    navigate(getQuizPath(quiz.id), { state: { quiz } })
   }
 
   /**
    * Handles navigation back to the quiz hub from a game
-   * Resets selected quiz and returns to hub view
    */
   const handleBackToHub = () => {
-    setSelectedQuiz(null)
-    setCurrentView('hub')
+    navigate('/quiz')
   }
 
   // ===== EFFECTS =====
@@ -124,11 +149,28 @@ export const Quiz = () => {
         return (
           <div ref={gameContainerRef}>
             <QuizGame 
+              key={location.key}
               quiz={selectedQuiz}
               onBack={handleBackToHub}
             />
           </div>
         )
+      case 'missing':
+        return (
+          <div className="text-center py-16 bg-background border border-border rounded-2xl">
+            <div className="text-4xl mb-4" aria-hidden="true">🔍</div>
+            <h2 className="text-2xl font-bold text-foreground mb-2">Quiz not found</h2>
+            <p className="text-foreground/70 mb-6">
+              This quiz link is no longer available. Pick another quiz from the hub.
+            </p>
+            <button
+              onClick={handleBackToHub}
+              className="bg-primary text-white px-6 py-3 rounded-lg font-semibold hover:bg-primary-hover transition-colors"
+            >
+              Back to Quiz Hub
+            </button>
+          </div>
+        )
       default:
         // Fallback to hub view for unknown states
         return (
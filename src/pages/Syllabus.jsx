@@ -0,0 +1,99 @@
+// imports
+import { useMemo } from 'react'
+import { GradeSelector } from '../components/SyllabusPage/GradeSelector'
+import { SyllabusChecklist } from '../components/SyllabusPage/SyllabusChecklist'
+import { useGlobalProgress } from '../hooks/useGlobalProgess'
+import { buildSyllabus, getSyllabusProgress } from '../lib/syllabus'
+
+/**
+ * Syllabus Page Component
+ *
+ * Brings together everything a student needs for their next grading:
+ * the patterns, techniques by category and terminology learnt at their
+ * current belt, with a checklist that is saved in the browser.
+ *
+ * @returns {JSX.Element} Syllabus page
+ */
+export const Syllabus = () => {
+  // ===== PROGRESS HOOKS =====
+
+  const currentBelt = useGlobalProgress((state) => state.currentBelt)
+  const setCurrentBelt = useGlobalProgress((state) => state.setCurrentBelt)
+  const syllabusChecklist = useGlobalProgress((state) => state.syllabusChecklist)
+  const toggleSyllabusItem = useGlobalProgress((state) => state.toggleSyllabusItem)
+
+  // ===== COMPUTED VALUES =====
+
+  /**
+   * Syllabus for the selected grade
+   * @type {Object|null}
+   */
+  const syllabus = useMemo(() => buildSyllabus(currentBelt), [currentBelt])
+
+  /**
+   * Overall checklist progress for the selected grade
+   * @type {{done: number, total: number}}
+   */
+  const progress = syllabus
+    ? getSyllabusProgress(syllabus.sections, syllabusChecklist)
+    : { done: 0, total: 0 }
+
+  // Render
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary/5 via-background to-primary/10 py-24">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 space-y-8">
+
+        {/* Header */}
+        <div className="text-center animate-fade-in-down">
+          <h1 className="text-5xl md:text-6xl font-bold text-foreground mb-4 tracking-tight">
+            Grading <span className="text-primary">Syllabus</span>
+          </h1>
+          <div className="w-32 h-1 bg-primary mx-auto mb-6 rounded-full" />
+          <p className="text-xl text-foreground/70 max-w-2xl mx-auto">
+            Everything you need for your next belt in one place. Tick items off as you master them.
+          </p>
+        </div>
+
+        <GradeSelector selectedBelt={currentBelt} onBeltSelect={setCurrentBelt} />
+
+        {syllabus ? (
+          <>
+            {/* Grading summary */}
+            <div className="bg-gradient-to-r from-primary/10 to-primary/5 border-2 border-primary/20 rounded-2xl p-6 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <h2 className="text-2xl font-bold text-foreground">
+                  {syllabus.belt.grade} → {syllabus.nextBelt.grade}
+                </h2>
+                <p className="text-foreground/70">
+                  Grading from {syllabus.belt.name} to {syllabus.nextBelt.name} belt
+                </p>
+              </div>
+              <div className="text-right">
+                <div className="text-3xl font-bold text-primary">
+                  {progress.done} / {progress.total}
+                </div>
+                <div className="text-sm text-foreground/60">items ready</div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 animate-fade-in">
+              {syllabus.sections.map(section => (
+                <SyllabusChecklist
+                  key={section.id}
+                  section={section}
+                  checklist={syllabusChecklist}
+                  onToggle={toggleSyllabusItem}
+                />
+              ))}
+            </div>
+          </>
+        ) : (
+          <div className="text-center py-12 bg-background border border-border rounded-2xl" role="status">
+            <div className="text-4xl mb-4" aria-hidden="true">🥋</div>
+            <p className="text-foreground/70">Select your current grade to see your syllabus.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,50 +1,67 @@
 // imports
-import { useState } from 'react'
+import { useCallback } from 'react'
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom'
 import { TechniquesHero } from '../components/TechniquesPage/TechniquesHero'
 import { CategoryNavigation } from '../components/TechniquesPage/CategoryNavigation'
 import { TechniquesOverview } from '../components/TechniquesPage/TechniquesOverview'
-import { StancesCategory } from '../components/TechniquesPage/categories/StancesCategory'
-import { StrikesCategory } from '../components/TechniquesPage/categories/StrikesCategory'
-import { BlocksCategory } from '../components/TechniquesPage/categories/BlocksCategory'
-import { KicksCategory } from '../components/TechniquesPage/categories/KicksCategory'
-import { ThrustsCategory } from '../components/TechniquesPage/categories/ThrustsCategory'
-import { PunchesCategory } from '../components/TechniquesPage/categories/PunchesCategory'
+import { TechniqueCategory } from '../components/TechniquesPage/TechniqueCategory'
+import { TechniqueCompare } from '../components/TechniquesPage/TechniqueCompare'
+import { TECHNIQUE_CATEGORIES, getTechniqueCategory } from '../lib/techniques'
+import { parseCompareIds } from '../lib/techniqueCompare'
 
 // Main Techniques Page Component
 export const Techniques = () => {
-  const [currentCategory, setCurrentCategory] = useState('overview')
+  // Category and open technique come from the URL: /techniques/:category/:techniqueSlug
+  // Compare mode is /techniques/compare?ids=kicks/turning-kick,kicks/hooking-kick
+  const { category, techniqueSlug } = useParams()
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
 
-  // Category configuration
+  // Overview first, then every category in the techniques registry, then compare mode
   const categories = [
     { id: 'overview', name: 'Overview' },
-    { id: 'stances', name: 'Stances' },
-    { id: 'strikes', name: 'Strikes'},
-    { id: 'blocks', name: 'Blocks'},
-    { id: 'kicks', name: 'Kicks'},
-    { id: 'thrusts', name: 'Thrusts'},
-    { id: 'punches', name: 'Punches' }
+    ...TECHNIQUE_CATEGORIES.map(({ id, name }) => ({ id, name })),
+    { id: 'compare', name: 'Compare' }
   ]
 
-  // Render current category component
+  const techniqueCategory = getTechniqueCategory(category)
+  const isCompare = category === 'compare'
+  const currentCategory = techniqueCategory ? techniqueCategory.id : isCompare ? 'compare' : 'overview'
+  const compareIds = isCompare ? parseCompareIds(searchParams.get('ids')) : []
+
+  // In-page navigation keeps the scroll position (see useScrollTo)
+  const setCurrentCategory = useCallback((categoryId) => {
+    navigate(categoryId === 'overview' ? '/techniques' : `/techniques/${categoryId}`, { state: { preserveScroll: true } })
+  }, [navigate])
+
+  // Opens a technique's modal (slug) or closes it (null)
+  const handleTechniqueSelect = useCallback((slug) => {
+    const path = slug ? `/techniques/${currentCategory}/${slug}` : `/techniques/${currentCategory}`
+    navigate(path, { state: { preserveScroll: true } })
+  }, [navigate, currentCategory])
+
+  // Opens compare mode with the given techniques, keeping them in the URL to share
+  const handleCompareChange = useCallback((techniqueIds) => {
+    const query = techniqueIds.length > 0 ? `?ids=${techniqueIds.join(',')}` : ''
+    navigate(`/techniques/compare${query}`, { state: { preserveScroll: isCompare } })
+  }, [navigate, isCompare])
+
+  // Render current category; keyed so filters reset when the category changes
   const renderCurrentCategory = () => {
-    switch (currentCategory) {
-      case 'overview':
-        return <TechniquesOverview onCategorySelect={setCurrentCategory} />
-      case 'stances':
-        return <StancesCategory />
-      case 'strikes':
-        return <StrikesCategory />
-      case 'blocks':
-        return <BlocksCategory />
-      case 'kicks':
-        return <KicksCategory />
-      case 'thrusts':
-        return <ThrustsCategory />
-      case 'punches':
-        return <PunchesCategory />
-      default:
-        return <TechniquesOverview onCategorySelect={setCurrentCategory} />
+    if (isCompare) {
+      return <TechniqueCompare selectedIds={compareIds} onSelectionChange={handleCompareChange} />
     }
+    return techniqueCategory ? (
+      <TechniqueCategory
+        key={techniqueCategory.id}
+        category={techniqueCategory}
+        techniqueSlug={techniqueSlug}
+        onTechniqueSelect={handleTechniqueSelect}
+        onCompare={(techniqueId) => handleCompareChange([techniqueId])}
+      />
+    ) : (
+      <TechniquesOverview onCategorySelect={setCurrentCategory} />
+    )
   }
 
   return (
@@ -1,30 +1,49 @@
 // imports
-import { useState, useMemo } from 'react'
+import { useState, useMemo, useEffect } from 'react'
+import { useLocation, useNavigate, useParams } from 'react-router-dom'
 import { TerminologyHero } from '../components/Terminology/TerminologyHero'
 import { SearchBar } from '../components/Terminology/SearchBar'
 import { CategoryFilter } from '../components/Terminology/CategoryFilter'
 import { TerminologyTable } from '../components/Terminology/TerminologyTable'
 import terminologyData from '../data/terminology/TerminologyData.json'
+import { searchItems } from '../lib/koreanSearch'
+import { getTermEntity } from '../lib/entityLinks'
+import { useEntityPreview } from '../hooks/useEntityPreview'
+
+// Fields the dictionary search matches, names first
+const TERM_SEARCH_FIELDS = [
+  { get: term => term.englishName, weight: 3 },
+  { get: term => term.romanized, weight: 3 },
+  { get: term => term.koreanName, weight: 3 },
+  { get: term => term.beltLearnt },
+  { get: term => term.category }
+]
 
 // Terminology Page Component
 export const Terminology = () => {
   const [searchTerm, setSearchTerm] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('')
+  const { termId } = useParams()
+  const location = useLocation()
+  const navigate = useNavigate()
+  const openEntity = useEntityPreview(state => state.openEntity)
+
+  // A term in the URL (/terminology/:termId) is highlighted and opened in the preview
+  useEffect(() => {
+    if (termId) openEntity(getTermEntity(termId))
+  }, [termId, location.key, openEntity])
+
+  // Selecting a row puts the term in the URL; in-page navigation keeps the scroll position
+  const handleTermSelect = (term) => {
+    navigate(`/terminology/${term.id}`, { state: { preserveScroll: true } })
+  }
 
-  // Filter terms based on search and category
+  // Filter terms by category, then rank them by the search (romanization variants, typos and Hangul all match)
   const filteredTerms = useMemo(() => {
-    return terminologyData.terms.filter(term => {
-      const matchesSearch = 
-        term.englishName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        term.koreanName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        term.romanized.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        term.beltLearnt.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        term.category.toLowerCase().includes(searchTerm.toLowerCase())
-      
-      const matchesCategory = selectedCategory === '' || term.category === selectedCategory
-      
-      return matchesSearch && matchesCategory
-    })
+    const categoryTerms = terminologyData.terms.filter(term =>
+      selectedCategory === '' || term.category === selectedCategory
+    )
+    return searchItems(categoryTerms, searchTerm, TERM_SEARCH_FIELDS).map(match => match.item)
   }, [searchTerm, selectedCategory])
 
   // Render
@@ -63,7 +82,11 @@ export const Terminology = () => {
 
         {/* Terminology Table */}
         {filteredTerms.length > 0 ? (
-          <TerminologyTable terms={filteredTerms} />
+          <TerminologyTable
+            terms={filteredTerms}
+            selectedTermId={termId}
+            onTermSelect={handleTermSelect}
+          />
         ) : (
           <div className="text-center py-12 bg-background border border-border rounded-2xl">
             <div className="text-3xl mb-4 opacity-50">🔍</div>
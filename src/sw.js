@@ -0,0 +1,123 @@
+/* global __PRECACHE_URLS__, __CACHE_VERSION__ */
+
+/**
+ * Service Worker
+ *
+ * Keeps the whole guide usable without a connection. At install it caches
+ * the app shell, the bundled scripts and styles (which carry all JSON data)
+ * and every file in public/, including the pronunciation audio. The build
+ * (see the service-worker plugin in vite.config.js) replaces the two
+ * placeholders below with the file list and a version derived from the
+ * file contents, so any change to the app ships as a new worker.
+ *
+ * A new worker waits until the page asks it to take over, which lets the
+ * app show a "new version available" prompt instead of swapping code under
+ * a student mid-quiz.
+ */
+
+/** @type {Array<string>} URLs cached at install */
+const PRECACHE_URLS = __PRECACHE_URLS__
+
+/** @type {string} Build version, changes whenever any cached file changes */
+const CACHE_VERSION = __CACHE_VERSION__
+
+/** @type {string} Cache holding this version's files */
+const CACHE_NAME = `taekwondo-guide-${CACHE_VERSION}`
+
+/** @type {string} Cache name prefix, used to clear old versions */
+const CACHE_PREFIX = 'taekwondo-guide-'
+
+/** @type {string} App shell served for every in-app route while offline */
+const APP_SHELL_URL = '/index.html'
+
+// ===== LIFECYCLE =====
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting()
+  }
+})
+
+// ===== FETCH =====
+
+/**
+ * Answers a Range request (sent by audio elements) from a full cached
+ * response, since the cache only stores complete files
+ * @param {Request} request - Request with a Range header
+ * @param {Response} response - Full cached response
+ * @returns {Promise<Response>} 206 partial response, or the full response if the range is unusable
+ */
+const createRangeResponse = async (request, response) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range') || '')
+  if (!match) return response
+
+  const blob = await response.blob()
+  const start = match[1] ? Number(match[1]) : Math.max(blob.size - Number(match[2]), 0)
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1
+  if (start > end || start >= blob.size) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } })
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('content-type') || blob.type,
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`
+    }
+  })
+}
+
+/**
+ * Page navigations: network first so online users always get the latest
+ * shell, falling back to the cached shell so deep links open offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request)
+  } catch {
+    const cached = await caches.match(APP_SHELL_URL, { cacheName: CACHE_NAME })
+    return cached || Response.error()
+  }
+}
+
+/**
+ * Static files: cache first, since precached files are versioned with the
+ * worker; anything not precached goes to the network
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Asset response
+ */
+const handleAsset = async (request) => {
+  const cached = await caches.match(request.url, { cacheName: CACHE_NAME })
+  if (!cached) return fetch(request)
+
+  return request.headers.has('range') ? createRangeResponse(request, cached) : cached
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleAsset(request))
+})
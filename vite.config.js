@@ -1,13 +1,148 @@
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import { join } from 'node:path'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { validatePatterns, formatValidationReport } from './src/lib/patternValidator.js'
+import { validateAchievements, formatAchievementReport } from './src/lib/achievementValidator.js'
+import { validateTechniqueCategories, formatTechniqueReport } from './src/lib/techniqueValidator.js'
+
+/**
+ * Reads a JSON data file relative to the project root
+ * @param {string} path - Path inside src/data
+ * @returns {Object} Parsed JSON
+ */
+const readData = (path) => JSON.parse(readFileSync(new URL(`./src/data/${path}`, import.meta.url), 'utf-8'))
+
+/**
+ * Build-time check of Patterns.json against the movement schema.
+ * Warnings (incomplete data) are reported; errors fail the build.
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+const patternDataCheck = () => ({
+  name: 'pattern-data-check',
+  apply: 'build',
+  buildStart() {
+    const issues = validatePatterns(
+      readData('patterns/Patterns.json'),
+      readData('techniques/stance.json'),
+      readData('terminology/TerminologyData.json')
+    )
+    if (issues.length === 0) return
+
+    const report = formatValidationReport(issues)
+    if (issues.some(issue => issue.level === 'error')) {
+      this.error(report)
+    }
+    this.warn(report)
+  }
+})
+
+/**
+ * Build-time check of achievements.json: required fields, unique ids and
+ * conditions that parse and only read what their condition type allows.
+ * Any error fails the build.
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+const achievementDataCheck = () => ({
+  name: 'achievement-data-check',
+  apply: 'build',
+  buildStart() {
+    const issues = validateAchievements(readData('achievements/achievements.json'))
+    if (issues.length === 0) return
+
+    const report = formatAchievementReport(issues)
+    if (issues.some(issue => issue.level === 'error')) {
+      this.error(report)
+    }
+    this.warn(report)
+  }
+})
+
+/**
+ * Build-time check of every technique category file in src/data/techniques.
+ * Each file becomes a category page, so a malformed one fails the build.
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+const techniqueDataCheck = () => ({
+  name: 'technique-data-check',
+  apply: 'build',
+  buildStart() {
+    const files = Object.fromEntries(
+      readdirSync(new URL('./src/data/techniques', import.meta.url))
+        .filter(file => file.endsWith('.json'))
+        .map(file => [file, readData(`techniques/${file}`)])
+    )
+    const issues = validateTechniqueCategories(files)
+    if (issues.length === 0) return
+
+    const report = formatTechniqueReport(issues)
+    if (issues.some(issue => issue.level === 'error')) {
+      this.error(report)
+    }
+    this.warn(report)
+  }
+})
+
+/**
+ * Lists every file under a directory as URL paths
+ * @param {string} dir - Directory to walk
+ * @returns {Array<string>} Paths relative to the directory, with forward slashes
+ */
+const listFiles = (dir) =>
+  readdirSync(dir, { recursive: true })
+    .filter(path => statSync(join(dir, path)).isFile())
+    .map(path => path.split('\\').join('/'))
+
+/**
+ * Builds the offline service worker (src/sw.js) into dist/sw.js with the
+ * list of files to precache: the app shell, every bundled chunk and asset,
+ * and everything in public/ (pronunciation audio, images, manifest). The
+ * cache version is a hash of all those files, so the browser sees a new
+ * worker exactly when something changed.
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+const serviceWorker = () => {
+  let publicDir = ''
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const bundleFiles = Object.values(bundle)
+        .filter(output => !output.fileName.endsWith('.map'))
+        .sort((a, b) => a.fileName.localeCompare(b.fileName))
+      bundleFiles.forEach(output => hash.update(output.fileName).update(output.type === 'chunk' ? output.code : output.source))
+
+      const publicFiles = publicDir ? listFiles(publicDir).sort() : []
+      publicFiles.forEach(path => hash.update(path).update(readFileSync(join(publicDir, path))))
+
+      const urls = [...new Set([
+        '/',
+        ...[...bundleFiles.map(output => output.fileName), ...publicFiles].map(path => encodeURI(`/${path}`))
+      ])]
+
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf-8')
+        .replace('= __PRECACHE_URLS__', `= ${JSON.stringify(urls)}`)
+        .replace('= __CACHE_VERSION__', `= ${JSON.stringify(hash.digest('hex').slice(0, 12))}`)
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), patternDataCheck(), achievementDataCheck(), techniqueDataCheck(), serviceWorker()],
   resolve: {
     dedupe: ['react', 'react-dom']
   },
   css: {
     postcss: './postcss.config.js'
   }
-})
\ No newline at end of file
+})